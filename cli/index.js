@@ -0,0 +1,812 @@
+const { parseArgs } = require("util");
+const { JsonRpcProvider, Wallet, formatUnits, isAddress, parseUnits, ZeroAddress } = require("ethers");
+
+const {
+    LendingP2PClient,
+    LendingP2PError,
+    LOAN_STATUS,
+    PAUSE_ACTIONS,
+    encodePausedActions,
+    encodeLoan,
+    accruedInterest,
+    allowlistProof,
+    allowlistRoot,
+    validateLoanRequest,
+    assertValidLoan
+} = require("../sdk");
+const { readManifest } = require("../scripts/deploy");
+const { expectedMovements } = require("./movements");
+
+const USAGE = `Usage: hyperlend-p2p <command> [args] [options]
+
+Commands:
+  request                       request a new loan (see request options)
+  refinance <loanId>            request a new loan paying off an active loan, with --amount --repayment
+                                [--collateral-amount] [--duration], other terms are kept
+  fill <loanId...>              fill pending loan requests, --allowlist for requests restricted to an allowlist
+  fill <loanId> --amount <amount>
+                                fund a tranche of a loan request, it starts once fully funded
+  start <loanId>                start a loan request funded with tranches up to its --min-funding
+  withdraw-tranche <loanId>     withdraw a tranche of a canceled or expired loan request
+  repay <loanId>                repay an active loan, or only --amount of it
+  add-collateral <loanId> <amount>
+                                add collateral to an active loan
+  cancel <loanId...>            cancel pending loan requests
+  expire <loanId...>            mark loan requests past their expiry as Expired
+  liquidate <loanId...>         liquidate defaulted or under-collateralized loans, or start their auctions
+  buy <loanId>                  buy the collateral of a loan in a liquidation auction
+  native-payouts <true|false>   receive payouts in the wrapped native token as native tokens
+  transfer-position <loanId> <to>
+                                transfer the lender position NFT of a loan, <to> receives its repayment
+  show <loanId>                 print a loan
+  list                          list loans, filtered with --status, --borrower, --lender
+  config                        print the protocol config
+  admin set-fee <bps>
+  admin set-fee-collector <address>
+  admin set-liquidation-config <liquidatorBonusBps> <protocolFeeBps>
+  admin set-expiration <duration>
+  admin set-oracle-age <duration>
+  admin set-auction-config <duration> <maxDiscountBps>
+  admin set-market-registry <address> <enforce: true|false>
+  admin set-wrapped-native <address>
+  admin set-guardian <address>
+                                admin set-* commands take --schedule when the owner is a timelock
+  admin set-paused <actions>    pause actions (comma-separated: requests, fills, liquidations) and
+                                unpause the others, "none" unpauses everything. owner only, takes
+                                --schedule when the owner is a timelock
+  admin pause <actions>         pause actions without unpausing the others, as the guardian or owner,
+                                or a guardian of the timelock that owns the contract
+  admin pending                 list the changes scheduled in the timelock, with their eta
+  admin execute <changeId>      execute a scheduled change once its eta passed
+  admin cancel-change <changeId>
+                                cancel a scheduled change
+
+Connection options:
+  --rpc-url <url>               (env: HYPERLEND_RPC_URL)
+  --private-key <key>           (env: HYPERLEND_PRIVATE_KEY), required for transactions
+  --address <address>           LendingP2P address, or
+  --network <name>              read the address from deployments/<name>.json
+
+Request options:
+  --asset <address> --amount <amount> --repayment <amount>
+  --apr <bps> [--min-interest-duration <duration>]
+                                instead of --repayment, interest accrues with time
+  --collateral <address> --collateral-amount <amount>
+  --duration <duration>         e.g. 3600, 12h, 30d
+  --expires-in <duration>       request expiry, at most the protocol request expiration duration. set with the
+                                request
+  --lender <address>            only this lender can fill the request, or
+  --allowlist <addresses>       only these lenders (comma-separated) can fill the request
+  --min-funding <amount>        the request can start once its tranches reach this amount
+  --liquidation-threshold <bps> --asset-oracle <address> --collateral-oracle <address>
+
+Amounts are in token units (e.g. 1.5), and are converted using the token's decimals().
+--dry-run simulates the transaction with staticCall and prints the expected token movements.
+--native pays with native tokens instead of the wrapped native token, for fill, repay and add-collateral.
+--permit signs an EIP-2612 permit instead of sending an approval, for request, fill and repay.
+fill, cancel and liquidate take several loanIds, sent in one transaction that skips the loans that would fail.`;
+
+const OPTIONS = {
+    "rpc-url": { type: "string" },
+    "private-key": { type: "string" },
+    "address": { type: "string" },
+    "network": { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    "native": { type: "boolean", default: false },
+    "permit": { type: "boolean", default: false },
+    "schedule": { type: "boolean", default: false },
+    "help": { type: "boolean", short: "h", default: false },
+
+    "status": { type: "string" },
+    "borrower": { type: "string" },
+    "lender": { type: "string" },
+
+    "asset": { type: "string" },
+    "amount": { type: "string" },
+    "repayment": { type: "string" },
+    "apr": { type: "string" },
+    "min-interest-duration": { type: "string" },
+    "collateral": { type: "string" },
+    "collateral-amount": { type: "string" },
+    "duration": { type: "string" },
+    "expires-in": { type: "string" },
+    "allowlist": { type: "string" },
+    "min-funding": { type: "string" },
+    "liquidation-threshold": { type: "string" },
+    "asset-oracle": { type: "string" },
+    "collateral-oracle": { type: "string" }
+};
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/// @notice error caused by invalid user input, printed without a stack trace
+class CliError extends Error {}
+
+function parseDuration(value){
+    const match = /^(\d+)([smhd]?)$/.exec(value ?? "");
+    if (!match) throw new CliError(`invalid duration: ${value}`);
+    return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+function formatDuration(seconds){
+    for (const [unit, size] of [["d", DURATION_UNITS.d], ["h", DURATION_UNITS.h], ["m", DURATION_UNITS.m]]){
+        if (seconds >= size && seconds % size === 0) return `${seconds / size}${unit}`;
+    }
+    return `${seconds}s`;
+}
+
+function parseLoanId(value){
+    if (!/^\d+$/.test(value ?? "")) throw new CliError(`invalid loanId: ${value}`);
+    return Number(value);
+}
+
+function parseAddresses(value){
+    const addresses = value.split(",");
+    for (const address of addresses){
+        if (!isAddress(address)) throw new CliError(`invalid address: ${address}`);
+    }
+    return addresses;
+}
+
+function parseChangeId(value){
+    if (!/^\d+$/.test(value ?? "")) throw new CliError(`invalid changeId: ${value}`);
+    return Number(value);
+}
+
+/// @notice parses a comma-separated list of PAUSE_ACTIONS names, or "none"
+function parsePausedActions(value){
+    if (value === "none") return [];
+
+    const actions = (value ?? "").split(",");
+    for (const action of actions){
+        if (PAUSE_ACTIONS[action] === undefined) throw new CliError(`invalid action: ${action}`);
+    }
+    return actions;
+}
+
+function required(options, name){
+    if (options[name] === undefined) throw new CliError(`missing --${name}`);
+    return options[name];
+}
+
+/// @notice context shared by all commands, caches token metadata
+class Context {
+    constructor(client, out){
+        this.client = client;
+        this.out = out;
+        this.tokens = {};
+    }
+
+    async token(address){
+        if (!this.tokens[address]){
+            const token = this.client.token(address);
+            const [decimals, symbol] = await Promise.all([
+                token.decimals().then(Number),
+                token.symbol().catch(() => address)
+            ]);
+            this.tokens[address] = { decimals, symbol };
+        }
+        return this.tokens[address];
+    }
+
+    async parseAmount(token, value){
+        try {
+            return parseUnits(value, (await this.token(token)).decimals);
+        } catch (error) {
+            if (error instanceof CliError) throw error;
+            throw new CliError(`invalid amount: ${value}`);
+        }
+    }
+
+    async formatAmount(token, amount){
+        const { decimals, symbol } = await this.token(token);
+        return `${formatUnits(amount, decimals)} ${symbol}`;
+    }
+
+    async sender(){
+        return this.client.runner.getAddress();
+    }
+}
+
+async function printLoan(ctx, loan){
+    const date = (timestamp) => timestamp === 0 ? "-" : new Date(timestamp * 1000).toISOString();
+    const liquidation = loan.liquidation.isLiquidatable
+        ? `at ${(loan.liquidation.liquidationThreshold / 100).toFixed(2)}% LTV, oracles ${loan.liquidation.assetOracle} / ${loan.liquidation.collateralOracle}`
+        : "only after default";
+
+    ctx.out(`Loan #${loan.loanId} (${loan.status})`);
+    ctx.out(`  borrower:    ${loan.borrower}`);
+    ctx.out(`  lender:      ${loan.lender === ZeroAddress ? "-" : loan.lender}`);
+    ctx.out(`  asset:       ${await ctx.formatAmount(loan.asset, loan.assetAmount)} (${loan.asset})`);
+    ctx.out(`  repayment:   ${await ctx.formatAmount(loan.asset, loan.repaymentAmount)}`);
+    ctx.out(`  outstanding: ${await ctx.formatAmount(loan.asset, loan.outstandingAmount)}`);
+    if (loan.verified){
+        ctx.out("  market:      verified");
+    }
+    if (loan.refinancedFrom !== null && loan.refinancedFrom !== undefined){
+        ctx.out(`  refinances:  loan #${loan.refinancedFrom}`);
+    }
+    if (loan.interestTerms?.aprBps > 0){
+        ctx.out(`  apr:         ${(loan.interestTerms.aprBps / 100).toFixed(2)}%, charged for at least ${formatDuration(loan.interestTerms.minInterestDuration)}`);
+    }
+    ctx.out(`  collateral:  ${await ctx.formatAmount(loan.collateral, loan.collateralAmount)} (${loan.collateral})`);
+    ctx.out(`  duration:    ${formatDuration(loan.duration)}`);
+    ctx.out(`  created:     ${date(loan.createdTimestamp)}`);
+    if (loan.expiresAt !== null && loan.expiresAt !== undefined){
+        ctx.out(`  expires:     ${date(loan.expiresAt)}`);
+    }
+    if (loan.lenderRoot){
+        ctx.out(`  allowlist:   ${loan.lenderRoot}`);
+    }
+    if (loan.fundedAmount > 0n || loan.minFunding > 0n){
+        const minFunding = loan.minFunding > 0n ? `, starts at ${await ctx.formatAmount(loan.asset, loan.minFunding)}` : "";
+        ctx.out(`  funded:      ${await ctx.formatAmount(loan.asset, loan.fundedAmount)}${minFunding}`);
+    }
+    for (const tranche of loan.tranches ?? []){
+        ctx.out(`  tranche:     ${await ctx.formatAmount(loan.asset, tranche.amount)} from ${tranche.lender}`);
+    }
+    ctx.out(`  started:     ${date(loan.startTimestamp)}`);
+    ctx.out(`  liquidation: ${liquidation}`);
+    if (loan.auction){
+        ctx.out(`  auction:     started ${date(loan.auction.startedAt)}, ${(loan.auction.discountBps / 100).toFixed(2)}% discount`);
+    }
+}
+
+async function printMovements(ctx, movements){
+    if (movements.length === 0){
+        ctx.out("no token movements");
+        return;
+    }
+
+    ctx.out("expected token movements:");
+    for (const movement of movements){
+        ctx.out(`  ${await ctx.formatAmount(movement.token, movement.amount)}: ${movement.from} -> ${movement.to}`);
+    }
+}
+
+/// @notice contract method called by each loan action
+const ACTION_METHODS = {
+    "fill": "fillRequest",
+    "fill-tranche": "fillTranche",
+    "start": "startLoan",
+    "withdraw-tranche": "withdrawTranche",
+    "repay": "repayLoan",
+    "repay-partial": "repayPartial",
+    "add-collateral": "addCollateral",
+    "cancel": "cancelLoan",
+    "liquidate": "liquidateLoan",
+    "buy": "buyCollateral"
+};
+
+/// @notice contract method called by the loan actions that can be paid in native tokens, see --native
+const NATIVE_METHODS = {
+    "fill": "fillRequestNative",
+    "repay": "repayLoanNative",
+    "add-collateral": "addCollateralNative"
+};
+
+/// @notice contract method called by the loan actions that can be paid with an EIP-2612 permit, see --permit
+const PERMIT_METHODS = {
+    "fill": "fillRequestWithPermit",
+    "repay": "repayLoanWithPermit"
+};
+
+/// @notice token and amount approved by the client before sending each loan action
+function requiredApproval(action, loan, amount){
+    switch (action){
+        case "fill": return { token: loan.asset, amount: loan.assetAmount };
+        case "fill-tranche": return { token: loan.asset, amount };
+        case "repay": return { token: loan.asset, amount: loan.repaymentAmount - loan.repaidAmount };
+        case "buy": return { token: loan.asset, amount: loan.repaymentAmount - loan.repaidAmount };
+        case "repay-partial": return { token: loan.asset, amount };
+        case "add-collateral": return { token: loan.collateral, amount };
+        default: return null;
+    }
+}
+
+/// @notice sends the transaction with `send`, or only simulates it with --dry-run
+/// @param amount amount argument of fill-tranche, repay-partial and add-collateral
+/// @return the result of `send`, or null for dry runs
+async function execute(ctx, options, action, loan, send, amount){
+    if (options.native && NATIVE_METHODS[action] === undefined){
+        throw new CliError("--native is only supported by fill, repay and add-collateral, without --amount");
+    }
+    if (options.permit && (options.native || PERMIT_METHODS[action] === undefined)){
+        throw new CliError("--permit is only supported by fill and repay, without --amount or --native");
+    }
+    if (!options["dry-run"]) return send();
+
+    let method = ACTION_METHODS[action];
+    let args = amount === undefined ? [loan.loanId] : [loan.loanId, amount];
+
+    //native calls send the amount that would be approved as value, and requests with an allowlist are filled
+    //with the proof of the sender, see the fill command
+    if (options.native){
+        method = NATIVE_METHODS[action];
+        args = action === "fill" ? [loan.loanId, loan.lenderProof ?? []] : [loan.loanId];
+        args.push({ value: requiredApproval(action, loan, amount).amount });
+    } else if (options.permit){
+        //the permit is signed for the simulation, signing doesn't send a transaction
+        const approval = requiredApproval(action, loan, amount);
+        method = PERMIT_METHODS[action];
+        args = action === "fill" ? [loan.loanId, loan.lenderProof ?? []] : [loan.loanId];
+        args.push(await ctx.client._signPermit(approval.token, approval.amount, {}));
+    } else if (action === "fill-tranche"){
+        args.push(loan.lenderProof ?? []);
+    } else if (action === "fill" && loan.lenderProof !== undefined){
+        method = "fillRequestWithProof";
+        args.push(loan.lenderProof);
+    }
+    const sender = await ctx.sender();
+
+    //payouts of loans funded with tranches are split between their lenders
+    for (const funded of [loan, loan.refinancedLoan]){
+        if (funded?.fundedAmount > 0n) funded.tranches = await ctx.client.getTranches(funded.loanId);
+    }
+
+    //approvals are sent by the client before the call, a simulation without them would always revert
+    const approval = options.native || options.permit ? null : requiredApproval(action, loan, amount);
+    const allowance = approval === null ? 0n : await ctx.client.token(approval.token).allowance(sender, ctx.client.address);
+
+    if (approval !== null && allowance < approval.amount){
+        ctx.out(`requires approval of ${await ctx.formatAmount(approval.token, approval.amount)} to ${ctx.client.address}, simulation skipped`);
+    } else {
+        const result = await ctx.client._call(() => ctx.client.contract[method].staticCall(...args));
+        if (action === "liquidate" && !result){
+            ctx.out("dry run: loan is not liquidatable");
+            return null;
+        }
+        ctx.out(`dry run: ${method} would succeed`);
+    }
+
+    const config = await ctx.client.getConfig();
+    await printMovements(ctx, expectedMovements(action, loan, { contract: ctx.client.address, sender, config, amount }));
+    return null;
+}
+
+/// @notice number of loans read per call by `list`
+const LIST_PAGE_SIZE = 100;
+
+/// @notice client method and past tense of each action that takes several loans
+const BATCH_ACTIONS = {
+    "fill": { method: "fillRequests", done: "filled" },
+    "cancel": { method: "cancelLoans", done: "canceled" },
+    "liquidate": { method: "liquidateLoans", done: "liquidated" }
+};
+
+/// @notice sends a batch of fill, cancel or liquidate calls in one transaction, or only simulates it with --dry-run
+/// @dev prints one line per loan, loans that would revert are skipped with their revert reason
+async function executeBatch(ctx, options, action, args){
+    if (options.native || options.permit) throw new CliError(`--${options.native ? "native" : "permit"} only takes one loanId`);
+    const loanIds = args.map(parseLoanId);
+    const dryRun = options["dry-run"];
+
+    const results = dryRun
+        ? await ctx.client.simulateBatch(ACTION_METHODS[action], loanIds)
+        : (await ctx.client[BATCH_ACTIONS[action].method](loanIds)).results;
+
+    for (const { loanId, success, liquidated, error } of results){
+        if (!success){
+            ctx.out(`skipped loan #${loanId}: ${error.reason ?? error.message}`);
+        } else if (liquidated === false){
+            ctx.out(`skipped loan #${loanId}: not liquidatable`);
+        } else if (dryRun){
+            ctx.out(`dry run: ${ACTION_METHODS[action]} would succeed for loan #${loanId}`);
+        } else if (action === "liquidate" && await ctx.client.getAuction(loanId)){
+            ctx.out(`started auction for loan #${loanId}`);
+        } else {
+            ctx.out(`${BATCH_ACTIONS[action].done} loan #${loanId}`);
+        }
+    }
+}
+
+const COMMANDS = {
+    async request(ctx, args, options){
+        if (options["apr"] !== undefined && !/^\d+$/.test(options["apr"])) throw new CliError(`invalid apr: ${options["apr"]}`);
+
+        const asset = required(options, "asset");
+        const collateral = required(options, "collateral");
+        const isLiquidatable = options["liquidation-threshold"] !== undefined;
+        const expiresIn = options["expires-in"] === undefined ? undefined : parseDuration(options["expires-in"]);
+        const allowlist = options["allowlist"] === undefined ? undefined : parseAddresses(options["allowlist"]);
+        if (allowlist !== undefined && options["apr"] !== undefined) throw new CliError("--allowlist can't be used with --apr");
+        if (options.permit && (allowlist !== undefined || options["apr"] !== undefined)){
+            throw new CliError("--permit can't be used with --allowlist or --apr");
+        }
+        const terms = options["apr"] === undefined ? null : {
+            aprBps: Number(options["apr"]),
+            minInterestDuration: options["min-interest-duration"] === undefined ? 0 : parseDuration(options["min-interest-duration"])
+        };
+
+        const loan = {
+            borrower: await ctx.sender(),
+            lender: options.lender ?? ZeroAddress,
+            asset,
+            collateral,
+            assetAmount: await ctx.parseAmount(asset, required(options, "amount")),
+            repaymentAmount: terms === null ? await ctx.parseAmount(asset, required(options, "repayment")) : 0n,
+            collateralAmount: await ctx.parseAmount(collateral, required(options, "collateral-amount")),
+            duration: parseDuration(required(options, "duration")),
+            liquidation: {
+                isLiquidatable,
+                liquidationThreshold: isLiquidatable ? Number(options["liquidation-threshold"]) : 0,
+                assetOracle: isLiquidatable ? required(options, "asset-oracle") : ZeroAddress,
+                collateralOracle: isLiquidatable ? required(options, "collateral-oracle") : ZeroAddress
+            }
+        };
+
+        if (terms !== null){
+            loan.repaymentAmount = loan.assetAmount + accruedInterest(loan.assetAmount, terms.aprBps, loan.duration);
+        }
+        const expiresAt = expiresIn === undefined ? undefined : (await ctx.client.runner.provider.getBlock("latest")).timestamp + expiresIn;
+
+        if (options["dry-run"]){
+            assertValidLoan(await validateLoanRequest(loan, ctx.client.runner, { sender: loan.borrower }));
+            if (terms !== null){
+                await ctx.client._call(() => ctx.client.contract.requestLoanWithApr.staticCall(encodeLoan(loan), terms, expiresAt ?? 0));
+            } else if (allowlist !== undefined){
+                await ctx.client._call(() => ctx.client.contract.requestLoanWithAllowlist.staticCall(encodeLoan(loan), allowlistRoot(allowlist), expiresAt ?? 0));
+            } else if (options.permit){
+                const permit = await ctx.client._signPermit(collateral, loan.collateralAmount, {});
+                await ctx.client._call(() => ctx.client.contract.requestLoanWithPermit.staticCall(encodeLoan(loan), permit, expiresAt ?? 0));
+            } else if (expiresAt !== undefined){
+                await ctx.client._call(() => ctx.client.contract.requestLoanWithExpiry.staticCall(encodeLoan(loan), expiresAt));
+            } else {
+                await ctx.client._call(() => ctx.client.contract.requestLoan.staticCall(encodeLoan(loan)));
+            }
+
+            const method = terms !== null
+                ? "requestLoanWithApr"
+                : (allowlist !== undefined ? "requestLoanWithAllowlist" : (options.permit ? "requestLoanWithPermit" : (expiresAt !== undefined ? "requestLoanWithExpiry" : "requestLoan")));
+            ctx.out(`dry run: ${method} would succeed`);
+            if (!options.permit){
+                ctx.out(`requires approval of ${await ctx.formatAmount(collateral, loan.collateralAmount)} to ${ctx.client.address}`);
+            }
+            await printMovements(ctx, []);
+            return;
+        }
+
+        const requestOptions = { allowlist, permit: options.permit, expiresAt };
+        if (options["min-funding"] !== undefined){
+            requestOptions.minFunding = await ctx.parseAmount(asset, options["min-funding"]);
+        }
+
+        const { loanId } = terms === null
+            ? await ctx.client.requestLoan(loan, requestOptions)
+            : await ctx.client.requestLoanWithApr(loan, terms, requestOptions);
+        ctx.out(`requested loan #${loanId}`);
+    },
+
+    async refinance(ctx, [loanId], options){
+        const current = await ctx.client.getLoan(parseLoanId(loanId));
+        const loan = {
+            borrower: await ctx.sender(),
+            lender: ZeroAddress,
+            asset: current.asset,
+            collateral: current.collateral,
+            assetAmount: await ctx.parseAmount(current.asset, required(options, "amount")),
+            repaymentAmount: await ctx.parseAmount(current.asset, required(options, "repayment")),
+            collateralAmount: options["collateral-amount"] === undefined
+                ? current.collateralAmount
+                : await ctx.parseAmount(current.collateral, options["collateral-amount"]),
+            duration: options.duration === undefined ? current.duration : parseDuration(options.duration),
+            liquidation: current.liquidation
+        };
+
+        if (options["dry-run"]){
+            assertValidLoan(await validateLoanRequest(loan, ctx.client.runner, { sender: loan.borrower }));
+            await ctx.client._call(() => ctx.client.contract.requestRefinance.staticCall(current.loanId, encodeLoan(loan)));
+
+            ctx.out("dry run: requestRefinance would succeed");
+            await printMovements(ctx, []);
+            return;
+        }
+
+        const { loanId: newLoanId } = await ctx.client.requestRefinance(current.loanId, loan);
+        ctx.out(`requested loan #${newLoanId} to refinance loan #${current.loanId}`);
+    },
+
+    async fill(ctx, [loanId, ...others], options){
+        if (others.length > 0) return executeBatch(ctx, options, "fill", [loanId, ...others]);
+
+        const loan = await ctx.client.getLoan(parseLoanId(loanId));
+        if (loan.refinancedFrom !== null) loan.refinancedLoan = await ctx.client.getLoan(loan.refinancedFrom);
+        if (loan.lenderRoot !== null){
+            const allowlist = parseAddresses(required(options, "allowlist"));
+            const sender = await ctx.sender();
+            if (!allowlist.some((address) => address.toLowerCase() === sender.toLowerCase())){
+                throw new CliError(`${sender} is not in the allowlist`);
+            }
+            loan.lenderProof = allowlistProof(allowlist, sender);
+        }
+
+        if (options.amount !== undefined){
+            const amount = await ctx.parseAmount(loan.asset, options.amount);
+            const receipt = await execute(ctx, options, "fill-tranche", loan, () => ctx.client.fillTranche(loan.loanId, amount, { proof: loan.lenderProof }), amount);
+            if (!receipt) return;
+
+            ctx.out(`funded ${await ctx.formatAmount(loan.asset, amount)} of loan #${loan.loanId}`);
+            if ((await ctx.client.getLoan(loan.loanId)).status === "Active") ctx.out(`filled loan #${loan.loanId}`);
+            return;
+        }
+
+        const receipt = await execute(ctx, options, "fill", loan, () => ctx.client.fillRequest(loan.loanId, { proof: loan.lenderProof, native: options.native, permit: options.permit }));
+        if (receipt) ctx.out(`filled loan #${loan.loanId}`);
+    },
+
+    async start(ctx, [loanId], options){
+        const loan = await ctx.client.getLoan(parseLoanId(loanId));
+        const receipt = await execute(ctx, options, "start", loan, () => ctx.client.startLoan(loan.loanId));
+        if (receipt) ctx.out(`started loan #${loan.loanId} with ${await ctx.formatAmount(loan.asset, loan.fundedAmount)}`);
+    },
+
+    async "withdraw-tranche"(ctx, [loanId], options){
+        const loan = await ctx.client.getLoan(parseLoanId(loanId));
+        const result = await execute(ctx, options, "withdraw-tranche", loan, () => ctx.client.withdrawTranche(loan.loanId));
+        if (result) ctx.out(`withdrew ${await ctx.formatAmount(loan.asset, result.amount)} from loan #${loan.loanId}`);
+    },
+
+    async repay(ctx, [loanId], options){
+        const loan = await ctx.client.getLoan(parseLoanId(loanId));
+
+        if (options.amount !== undefined){
+            const amount = await ctx.parseAmount(loan.asset, options.amount);
+            const receipt = await execute(ctx, options, "repay-partial", loan, () => ctx.client.repayPartial(loan.loanId, amount), amount);
+            if (receipt) ctx.out(`repaid ${await ctx.formatAmount(loan.asset, amount)} of loan #${loan.loanId}`);
+            return;
+        }
+
+        const receipt = await execute(ctx, options, "repay", loan, () => ctx.client.repayLoan(loan.loanId, { native: options.native, permit: options.permit }));
+        if (receipt) ctx.out(`repaid loan #${loan.loanId}`);
+    },
+
+    async "add-collateral"(ctx, [loanId, value], options){
+        const loan = await ctx.client.getLoan(parseLoanId(loanId));
+        if (value === undefined) throw new CliError("missing amount");
+
+        const amount = await ctx.parseAmount(loan.collateral, value);
+        const receipt = await execute(ctx, options, "add-collateral", loan, () => ctx.client.addCollateral(loan.loanId, amount, { native: options.native }), amount);
+        if (receipt) ctx.out(`added ${await ctx.formatAmount(loan.collateral, amount)} to loan #${loan.loanId}`);
+    },
+
+    async "native-payouts"(ctx, [enabled]){
+        const value = { true: true, false: false }[enabled];
+        if (value === undefined) throw new CliError("native-payouts takes true or false");
+
+        await ctx.client.setNativePayouts(value);
+        ctx.out(`native payouts ${value ? "enabled" : "disabled"} for ${await ctx.sender()}`);
+    },
+
+    async expire(ctx, [loanId, ...others]){
+        const { expired } = await ctx.client.expireRequests([loanId, ...others].map(parseLoanId));
+        ctx.out(expired.length === 0 ? "no expired requests" : `expired ${expired.map((id) => `loan #${id}`).join(", ")}`);
+    },
+
+    async cancel(ctx, [loanId, ...others], options){
+        if (others.length > 0) return executeBatch(ctx, options, "cancel", [loanId, ...others]);
+
+        const loan = await ctx.client.getLoan(parseLoanId(loanId));
+        const receipt = await execute(ctx, options, "cancel", loan, () => ctx.client.cancelLoan(loan.loanId));
+        if (receipt) ctx.out(`canceled loan #${loan.loanId}`);
+    },
+
+    async liquidate(ctx, [loanId, ...others], options){
+        if (others.length > 0) return executeBatch(ctx, options, "liquidate", [loanId, ...others]);
+
+        const loan = await ctx.client.getLoan(parseLoanId(loanId));
+        const liquidated = await execute(ctx, options, "liquidate", loan, () => ctx.client.liquidateLoan(loan.loanId));
+        if (liquidated === null) return;
+
+        if (!liquidated){
+            ctx.out(`loan #${loan.loanId} is not liquidatable`);
+        } else if (await ctx.client.getAuction(loan.loanId)){
+            ctx.out(`started auction for loan #${loan.loanId}`);
+        } else {
+            ctx.out(`liquidated loan #${loan.loanId}`);
+        }
+    },
+
+    async buy(ctx, [loanId], options){
+        const loan = await ctx.client.getLoan(parseLoanId(loanId));
+        loan.auction = await ctx.client.getAuction(loan.loanId);
+        if (!loan.auction) throw new CliError(`auction of loan #${loan.loanId} wasn't started`);
+
+        const result = await execute(ctx, options, "buy", loan, () => ctx.client.buyCollateral(loan.loanId));
+        if (result) ctx.out(`bought ${await ctx.formatAmount(loan.collateral, result.collateralAmount)} for ${await ctx.formatAmount(loan.asset, result.assetAmount)} from loan #${loan.loanId}`);
+    },
+
+    async "transfer-position"(ctx, [loanId, to], options){
+        const loan = await ctx.client.getLoan(parseLoanId(loanId));
+        if (!isAddress(to)) throw new CliError(`invalid address: ${to}`);
+
+        const position = await ctx.client.getPosition(loan.loanId);
+        if (!position) throw new CliError(`loan #${loan.loanId} has no lender position`);
+
+        if (options["dry-run"]){
+            const positions = ctx.client.positions(await ctx.client.getLenderPositions());
+            await ctx.client._call(() => positions.transferFrom.staticCall(position.owner, to, loan.loanId));
+            ctx.out("dry run: transferFrom would succeed");
+            await printMovements(ctx, []);
+            return;
+        }
+
+        await ctx.client.transferPosition(loan.loanId, to);
+        ctx.out(`transferred lender position of loan #${loan.loanId} to ${to}`);
+    },
+
+    async show(ctx, [loanId]){
+        const loan = await ctx.client.getLoan(parseLoanId(loanId));
+        loan.auction = await ctx.client.getAuction(loan.loanId);
+        loan.tranches = await ctx.client.getTranches(loan.loanId);
+        await printLoan(ctx, loan);
+    },
+
+    async list(ctx, args, options){
+        const status = options.status === undefined
+            ? undefined
+            : LOAN_STATUS.find((name) => name.toLowerCase() === options.status.toLowerCase());
+        if (options.status !== undefined && status === undefined) throw new CliError(`invalid status: ${options.status}`);
+
+        const matches = (address, filter) => filter === undefined || address.toLowerCase() === filter.toLowerCase();
+
+        //the loans of an address are read from its index, instead of every loan
+        let getPage = (offset) => ctx.client.getLoans(offset, LIST_PAGE_SIZE);
+        if (options.borrower !== undefined){
+            getPage = (offset) => ctx.client.getLoansByBorrower(options.borrower, offset, LIST_PAGE_SIZE);
+        } else if (options.lender !== undefined){
+            getPage = (offset) => ctx.client.getLoansByLender(options.lender, offset, LIST_PAGE_SIZE);
+        }
+
+        for (let offset = 0; ; offset += LIST_PAGE_SIZE){
+            const page = await getPage(offset);
+
+            for (const loan of page){
+                if (status !== undefined && loan.status !== status) continue;
+                if (!matches(loan.borrower, options.borrower) || !matches(loan.lender, options.lender)) continue;
+
+                ctx.out(`#${loan.loanId} ${loan.status} ${await ctx.formatAmount(loan.asset, loan.assetAmount)} for ${await ctx.formatAmount(loan.collateral, loan.collateralAmount)}, borrower ${loan.borrower}`);
+            }
+            if (page.length < LIST_PAGE_SIZE) break;
+        }
+    },
+
+    async config(ctx){
+        const config = await ctx.client.getConfig();
+        for (const [key, value] of Object.entries(config)){
+            ctx.out(`${key}: ${value}`);
+        }
+    },
+
+    async admin(ctx, [subcommand, ...args], options){
+        if (TIMELOCK_COMMANDS[subcommand]) return TIMELOCK_COMMANDS[subcommand](ctx, args);
+
+        if (subcommand === "set-paused"){
+            const actions = parsePausedActions(args[0]);
+            if (options.schedule){
+                const { changeId, eta } = await ctx.client.scheduleChange("setPausedActions", [encodePausedActions(actions)]);
+                ctx.out(`scheduled setPausedActions(${actions.join(", ") || "none"}) as change #${changeId}, executable from ${new Date(eta * 1000).toISOString()}`);
+                return;
+            }
+
+            await ctx.client.setPausedActions(actions);
+            ctx.out(`paused actions: ${actions.length > 0 ? actions.join(", ") : "none"}`);
+            return;
+        }
+
+        if (subcommand === "pause"){
+            const actions = parsePausedActions(args[0]);
+            await ctx.client.pauseActions(actions);
+            ctx.out(`paused actions: ${(await ctx.client.getPausedActions()).join(", ") || "none"}`);
+            return;
+        }
+
+        const ADMIN = {
+            "set-fee": ["setProtocolFee", ([bps]) => [Number(bps)]],
+            "set-fee-collector": ["setFeeCollector", ([address]) => [address]],
+            "set-liquidation-config": ["setLiquidationConfig", ([bonus, fee]) => [Number(bonus), Number(fee)]],
+            "set-expiration": ["setRequestExpirationDuration", ([duration]) => [parseDuration(duration)]],
+            "set-oracle-age": ["setMaximumOraclePriceAge", ([duration]) => [parseDuration(duration)]],
+            "set-auction-config": ["setAuctionConfig", ([duration, bps]) => [parseDuration(duration), Number(bps)]],
+            "set-market-registry": ["setMarketRegistry", ([address, enforce]) => [address, { true: true, false: false }[enforce]]],
+            "set-wrapped-native": ["setWrappedNative", ([address]) => [address]],
+            "set-guardian": ["setGuardian", ([address]) => [address]]
+        };
+        if (!ADMIN[subcommand]) throw new CliError(`unknown admin command: ${subcommand}`);
+
+        const [method, parse] = ADMIN[subcommand];
+        const params = parse(args);
+        if (params.some((param) => param === undefined || Number.isNaN(param))) throw new CliError(`invalid arguments for admin ${subcommand}`);
+
+        if (options["dry-run"]){
+            await ctx.client._call(() => ctx.client.contract[method].staticCall(...params));
+            ctx.out(`dry run: ${method} would succeed`);
+            await printMovements(ctx, []);
+            return;
+        }
+
+        if (options.schedule){
+            const { changeId, eta } = await ctx.client.scheduleChange(method, params);
+            ctx.out(`scheduled ${method}(${params.join(", ")}) as change #${changeId}, executable from ${new Date(eta * 1000).toISOString()}`);
+            return;
+        }
+
+        await ctx.client[method](...params);
+        ctx.out(`${method}(${params.join(", ")}) done`);
+    }
+};
+
+/// @notice admin subcommands that manage the changes scheduled in the timelock
+const TIMELOCK_COMMANDS = {
+    async pending(ctx){
+        const changes = await ctx.client.getPendingChanges();
+        if (changes.length === 0){
+            ctx.out("no pending changes");
+            return;
+        }
+
+        for (const change of changes){
+            const call = change.method ? `${change.method}(${change.args.join(", ")})` : change.data;
+            const eta = `${change.ready ? "ready since" : "eta"} ${new Date(change.eta * 1000).toISOString()}`;
+            ctx.out(`#${change.changeId} ${call} on ${change.target}, ${eta}`);
+        }
+    },
+
+    async execute(ctx, [changeId]){
+        await ctx.client.executeChange(parseChangeId(changeId));
+        ctx.out(`executed change #${changeId}`);
+    },
+
+    async "cancel-change"(ctx, [changeId]){
+        await ctx.client.cancelChange(parseChangeId(changeId));
+        ctx.out(`canceled change #${changeId}`);
+    }
+};
+
+/// @notice creates a client from the connection options
+function connect(options, env){
+    const rpcUrl = options["rpc-url"] ?? env.HYPERLEND_RPC_URL;
+    if (!rpcUrl) throw new CliError("missing --rpc-url");
+
+    const address = options.address ?? (options.network ? readManifest(options.network).address : undefined);
+    if (!address) throw new CliError("missing --address or --network");
+
+    const provider = new JsonRpcProvider(rpcUrl);
+    const privateKey = options["private-key"] ?? env.HYPERLEND_PRIVATE_KEY;
+
+    return LendingP2PClient.at(address, privateKey ? new Wallet(privateKey, provider) : provider);
+}
+
+/// @notice runs the cli
+/// @param context.client optional LendingP2PClient, skips the connection options
+/// @param context.out output function (default: console.log)
+async function run(argv, context = {}){
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const out = context.out ?? console.log;
+
+    const [command, ...args] = positionals;
+    if (options.help || !command){
+        out(USAGE);
+        return;
+    }
+    if (!COMMANDS[command]) throw new CliError(`unknown command: ${command}`);
+
+    const client = context.client ?? connect(options, context.env ?? process.env);
+    await COMMANDS[command](new Context(client, out), args, options);
+}
+
+async function main(argv){
+    try {
+        await run(argv);
+    } catch (error) {
+        console.error(error instanceof CliError || error instanceof LendingP2PError ? `error: ${error.message}` : error);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    CliError,
+    run,
+    main,
+    parseDuration,
+    formatDuration
+};
@@ -0,0 +1,134 @@
+/// @notice same as LendingP2P._protocolFee, `loan.currentRepaymentAmount` includes the interest accrued by loans with an APR
+function feeOnRepaid(loan, repaidAmount, config){
+    const repaymentAmount = loan.currentRepaymentAmount ?? loan.repaymentAmount;
+    const interest = repaymentAmount - loan.assetAmount;
+    return interest * repaidAmount / repaymentAmount * BigInt(config.protocolFee) / 10000n;
+}
+
+/// @notice transfers of `amount` to the lender of a loan, split between its tranche lenders like LendingP2P._payLender
+/// @dev `loan.tranches` has to hold the tranches of loans funded with fillTranche (see LendingP2PClient.getTranches)
+function lenderMovements(loan, token, from, amount){
+    const tranches = loan.tranches ?? [];
+    if (tranches.length === 0) return [{ token, from, to: loan.lender, amount }];
+
+    const funded = tranches.reduce((total, tranche) => total + tranche.amount, 0n);
+    let remaining = amount;
+    return tranches.map((tranche, i) => {
+        const share = i === tranches.length - 1 ? remaining : amount * tranche.amount / funded;
+        remaining -= share;
+        return { token, from, to: tranche.lender, amount: share };
+    });
+}
+
+/// @notice transfers made when a loan request funded with fillTranche starts, same as LendingP2PExtension._startLoan
+function startMovements(loan, funded, contract){
+    const collateralAmount = (loan.collateralAmount * funded + loan.assetAmount - 1n) / loan.assetAmount;
+    return [
+        { token: loan.collateral, from: loan.borrower, to: contract, amount: collateralAmount },
+        { token: loan.asset, from: contract, to: loan.borrower, amount: funded }
+    ];
+}
+
+/// @notice computes the token transfers a LendingP2P call is expected to make
+/// @dev mirrors the transfers in fillRequest, repayLoan, repayPartial, addCollateral, _liquidate and buyCollateral,
+///      and fillTranche, startLoan and withdrawTranche
+/// @dev for "buy", `loan.auction` has to hold the current auction quote (see LendingP2PClient.getAuction)
+/// @dev for "fill" of a refinance request, `loan.refinancedLoan` has to hold the loan it pays off
+/// @return list of { token, from, to, amount }
+function expectedMovements(action, loan, context){
+    const { contract, sender, config } = context;
+
+    switch (action){
+        case "fill":
+            if (loan.refinancedLoan) return refinanceMovements(loan, loan.refinancedLoan, context);
+            return [
+                { token: loan.collateral, from: loan.borrower, to: contract, amount: loan.collateralAmount },
+                { token: loan.asset, from: sender, to: loan.borrower, amount: loan.assetAmount }
+            ];
+        case "fill-tranche": {
+            const movements = [{ token: loan.asset, from: sender, to: contract, amount: context.amount }];
+            const funded = (loan.fundedAmount ?? 0n) + context.amount;
+            return funded === loan.assetAmount ? [...movements, ...startMovements(loan, funded, contract)] : movements;
+        }
+        case "start":
+            return startMovements(loan, loan.fundedAmount, contract);
+        case "withdraw-tranche": {
+            const tranche = (loan.tranches ?? []).find((tranche) => tranche.lender === sender);
+            return [{ token: loan.asset, from: contract, to: sender, amount: tranche?.amount ?? 0n }];
+        }
+        case "repay": {
+            const repaymentAmount = loan.currentRepaymentAmount ?? loan.repaymentAmount;
+            const protocolFee = feeOnRepaid(loan, repaymentAmount, config) - feeOnRepaid(loan, loan.repaidAmount ?? 0n, config);
+            const outstandingAmount = repaymentAmount - (loan.repaidAmount ?? 0n);
+            return [
+                ...lenderMovements(loan, loan.asset, loan.borrower, outstandingAmount - protocolFee),
+                { token: loan.collateral, from: contract, to: loan.borrower, amount: loan.collateralAmount },
+                { token: loan.asset, from: loan.borrower, to: config.feeCollector, amount: protocolFee }
+            ];
+        }
+        case "repay-partial": {
+            const repaidAmount = loan.repaidAmount ?? 0n;
+            const protocolFee = feeOnRepaid(loan, repaidAmount + context.amount, config) - feeOnRepaid(loan, repaidAmount, config);
+            return [
+                ...lenderMovements(loan, loan.asset, loan.borrower, context.amount - protocolFee),
+                { token: loan.asset, from: loan.borrower, to: config.feeCollector, amount: protocolFee }
+            ];
+        }
+        case "add-collateral":
+            return [
+                { token: loan.collateral, from: sender, to: contract, amount: context.amount }
+            ];
+        case "liquidate": {
+            const liquidatorBonus = loan.collateralAmount * BigInt(config.liquidatorBonus) / 10000n;
+            const protocolFee = loan.collateralAmount * BigInt(config.protocolLiquidationFee) / 10000n;
+            return [
+                ...lenderMovements(loan, loan.collateral, contract, loan.collateralAmount - liquidatorBonus - protocolFee),
+                { token: loan.collateral, from: contract, to: sender, amount: liquidatorBonus },
+                { token: loan.collateral, from: contract, to: config.feeCollector, amount: protocolFee }
+            ];
+        }
+        case "buy": {
+            const { assetAmount, collateralAmount } = loan.auction;
+            const remaining = loan.collateralAmount - collateralAmount;
+            let protocolFee = collateralAmount * BigInt(config.protocolLiquidationFee) / 10000n;
+            if (protocolFee > remaining) protocolFee = remaining;
+            return [
+                ...lenderMovements(loan, loan.asset, sender, assetAmount),
+                { token: loan.collateral, from: contract, to: sender, amount: collateralAmount },
+                { token: loan.collateral, from: contract, to: config.feeCollector, amount: protocolFee },
+                { token: loan.collateral, from: contract, to: loan.borrower, amount: remaining - protocolFee }
+            ];
+        }
+        default:
+            return [];
+    }
+}
+
+/// @notice same as LendingP2P._refinance, the new lender's assetAmount pays off `oldLoan` through the contract
+function refinanceMovements(loan, oldLoan, { contract, sender, config }){
+    const repaymentAmount = oldLoan.currentRepaymentAmount ?? oldLoan.repaymentAmount;
+    const outstandingAmount = repaymentAmount - (oldLoan.repaidAmount ?? 0n);
+    const protocolFee = feeOnRepaid(oldLoan, repaymentAmount, config) - feeOnRepaid(oldLoan, oldLoan.repaidAmount ?? 0n, config);
+
+    const movements = [{ token: loan.asset, from: sender, to: contract, amount: loan.assetAmount }];
+    if (outstandingAmount > loan.assetAmount){
+        movements.push({ token: loan.asset, from: loan.borrower, to: contract, amount: outstandingAmount - loan.assetAmount });
+    } else {
+        movements.push({ token: loan.asset, from: contract, to: loan.borrower, amount: loan.assetAmount - outstandingAmount });
+    }
+    movements.push(
+        ...lenderMovements(oldLoan, loan.asset, contract, outstandingAmount - protocolFee),
+        { token: loan.asset, from: contract, to: config.feeCollector, amount: protocolFee }
+    );
+
+    if (loan.collateralAmount > oldLoan.collateralAmount){
+        movements.push({ token: loan.collateral, from: loan.borrower, to: contract, amount: loan.collateralAmount - oldLoan.collateralAmount });
+    } else if (loan.collateralAmount < oldLoan.collateralAmount){
+        movements.push({ token: loan.collateral, from: contract, to: loan.borrower, amount: oldLoan.collateralAmount - loan.collateralAmount });
+    }
+    return movements;
+}
+
+module.exports = {
+    expectedMovements
+};
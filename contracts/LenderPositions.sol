@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { ERC721 } from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import { Strings } from "@openzeppelin/contracts/utils/Strings.sol";
+import { Base64 } from "@openzeppelin/contracts/utils/Base64.sol";
+
+import { LendingP2P } from "./LendingP2P.sol";
+import { LendingP2PCore } from "./LendingP2PCore.sol";
+
+/**
+ * @title  LenderPositions
+ * @author HyperLend developers
+ * @notice ERC-721 lender positions of LendingP2P loans, tokenId == loanId.
+ * @dev minted by LendingP2P when a loan becomes active. transfers move loans[loanId].lender to the new owner,
+ *      so repayments and liquidations always go to the current holder of the position.
+ */
+contract LenderPositions is ERC721 {
+    using Strings for uint256;
+    using Strings for address;
+
+    /// @notice LendingP2P contract that mints the positions
+    LendingP2P public immutable lendingP2P;
+
+    constructor(LendingP2P _lendingP2P) ERC721("HyperLend P2P Lender Position", "HLP2P-POS") {
+        lendingP2P = _lendingP2P;
+    }
+
+    /// @notice function used by LendingP2P to mint the position of a loan that became active
+    /// @dev _mint instead of _safeMint, so contract lenders that don't implement onERC721Received can still fill loans
+    function mint(address to, uint256 loanId) external {
+        require(msg.sender == address(lendingP2P), "sender != lendingP2P");
+
+        _mint(to, loanId);
+    }
+
+    /// @notice on-chain JSON metadata describing the loan terms
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+
+        (
+            address borrower,
+            ,
+            address asset,
+            address collateral,
+            uint256 assetAmount,
+            uint256 repaymentAmount,
+            uint256 collateralAmount,
+            ,
+            uint64 startTimestamp,
+            uint64 duration,
+            LendingP2PCore.Status status,
+        ) = lendingP2P.loans(tokenId);
+
+        string memory attributes = string.concat(
+            _attribute("status", _statusName(status)), ",",
+            _attribute("borrower", borrower.toHexString()), ",",
+            _attribute("asset", asset.toHexString()), ",",
+            _attribute("collateral", collateral.toHexString()), ",",
+            _attribute("assetAmount", assetAmount.toString()), ",",
+            _attribute("repaymentAmount", repaymentAmount.toString()), ",",
+            _attribute("collateralAmount", collateralAmount.toString()), ",",
+            _attribute("startTimestamp", uint256(startTimestamp).toString()), ",",
+            _attribute("maturity", (uint256(startTimestamp) + duration).toString())
+        );
+
+        string memory json = string.concat(
+            '{"name":"HyperLend P2P Loan #', tokenId.toString(),
+            '","description":"Lender position of a HyperLend P2P loan, the owner receives the repayment or the liquidated collateral.",',
+            '"attributes":[', attributes, ']}'
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /// @dev notifies LendingP2P on transfers, mints are already handled by the loan itself
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = super._update(to, tokenId, auth);
+
+        if (from != address(0) && to != address(0)){
+            lendingP2P.transferLender(tokenId, to);
+        }
+
+        return from;
+    }
+
+    /// @dev values are always strings, since JSON numbers can't hold uint256 amounts without precision loss
+    function _attribute(string memory traitType, string memory value) internal pure returns (string memory) {
+        return string.concat('{"trait_type":"', traitType, '","value":"', value, '"}');
+    }
+
+    function _statusName(LendingP2PCore.Status status) internal pure returns (string memory) {
+        if (status == LendingP2PCore.Status.Pending) return "Pending";
+        if (status == LendingP2PCore.Status.Canceled) return "Canceled";
+        if (status == LendingP2PCore.Status.Active) return "Active";
+        if (status == LendingP2PCore.Status.Repaid) return "Repaid";
+        if (status == LendingP2PCore.Status.Liquidated) return "Liquidated";
+        if (status == LendingP2PCore.Status.Refinanced) return "Refinanced";
+        return "Expired";
+    }
+}
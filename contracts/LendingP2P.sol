@@ -1,125 +1,43 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.20;
 
-import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import { Ownable } from "@openzeppelin/contracts/access/Ownable.sol";
 import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import { IERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
 
 import { AggregatorInterface } from './dependencies/AggregatorInterface.sol';
+import { LendingP2PCore } from './LendingP2PCore.sol';
 import {console} from "forge-std/console.sol";
 
 /**
  * @title  LendingP2P
  * @author HyperLend developers
  * @notice Main contract of the HyperLend P2P lending market.
+ * @dev to stay under the contract size limit, signed requests, offers, allowlist, APR and refinance requests, request expiry,
+ *      cancellations, tranches, lender position transfers and batches are implemented in LendingP2PExtension, partial repayments,
+ *      collateral top-ups and admin functions in LendingP2PManager. their functions are declared here, so this ABI stays
+ *      complete, and delegatecalled to them.
  */
-contract LendingP2P is ReentrancyGuard, Ownable {
+contract LendingP2P is LendingP2PCore {
     using SafeERC20 for IERC20;
 
-    enum Status {
-        Pending,
-        Canceled,
-        Active,
-        Repaid,
-        Liquidated
-    }
-
-    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
-    /*                          Structs                         */
-    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
-
-    /// @notice details about loan liquidation
-    struct Liquidation {
-        bool isLiquidatable;          // can the loan be liquidated before it's defaulted
-        uint16 liquidationThreshold;  // threshold where loan can be liquidated in bps, e.g. 8000 = liquidated when loan value > 80% of the collateral value
-        address assetOracle;          // chainlink oracle for the borrowed asset
-        address collateralOracle;     // chainlink oracle for the collateral asset, must be in the same quote currency as assetOracle
-    }
-
-    /// @notice details about the individual loan
-    struct Loan {
-        address borrower;         // address of the borrower
-        address lender;           // address of the lender
-        address asset;            // address of the asset being borrowed
-        address collateral;       // address of the asset used as a collateral
-
-        uint256 assetAmount;      // amount of the asset being paid to the borrower by the lender
-        //@audit-info comment doesn't reflect the actual logic.
-        uint256 repaymentAmount;  // amount of the asset being repaid by the lender
-        uint256 collateralAmount; // amount of the collateral being pledged by the borrower
-
-        uint64 createdTimestamp;  // timestamp when the loan request was created
-        uint64 startTimestamp;    // timestamp when the loan was accepted
-        uint64 duration;          // duration of the loan in seconds
-
-        Status status;            // current status of the loan
-        Liquidation liquidation;  // details about the loan liquidation
-    }
-
-    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
-    /*                         Events                           */
-    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
-
-    /// @notice emitted when a new loan is requested
-    event LoanRequested(uint256 indexed loanId, address indexed borrower);
-    /// @notice emitted when a loan is canceled
-    event LoanCanceled(uint256 indexed loanId, address indexed borrower);
-    /// @notice emitted when a loan request is filled
-    event LoanFilled(uint256 indexed loanId, address indexed borrower, address indexed lender);
-    /// @notice emitted when a loan is repaid
-    event LoanRepaid(uint256 indexed loanId, address indexed borrower, address indexed lender);
-    /// @notice emitted when a loan is liquidated
-    event LoanLiquidated(uint256 indexed loanId);
-    /// @notice emitted when protocol earns some revenue
-    event ProtocolRevenue(uint256 indexed loanId, address indexed asset, uint256 amount);
-    /// @notice emitted when fee collector changes
-    event FeeCollectorUpdated(address oldFeeCollector, address newFeeCollector);
-    /// @notice emitted when expiration duration changes
-    event ExpirationDurationUpdated(uint256 oldExpirationDuration, uint256 newExpirationDuration);
-    /// @notice emitted when protocol fee changes
-    event ProtocolFeeUpdated(uint256 oldProtocolFee, uint256 newProtocolFee);
-    /// @notice emitted when liquidator bonus changes
-    event LiquidatorBonusUpdated(uint256 oldLiquidatorBonus, uint256 newLiquidatorBonus);
-    /// @notice emitted when protocol liquidation fee changes
-    event ProtocolLiquidationFeeUpdated(uint256 oldProtocolLiquidationFee, uint256 newProtocolLiquidationFee);
-    /// @notice emitted when max allowed oracle price age changes
-    event MaxOraclePriceAgeUpdated(uint256 oldMaxOraclePriceAge, uint256 newMaxOraclePriceAge);
-
-    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
-    /*                     Protocol config                      */
-    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
-
-    /// @notice maximum acceptable age of the oracle price in seconds, afterwards liquidations will revert
-    uint256 public MAX_ORACLE_PRICE_AGE = 1 hours;
-    /// @notice precision factor, used when calculating asset values, to avoid precision loss
-    uint256 public PRECISION_FACTOR = 1e8;
-    /// @notice maximum duration that the loan request can be active
-    uint256 public REQUEST_EXPIRATION_DURATION;
-    /// @notice protocol fee, charged on interest, in bps
-    uint256 public PROTOCOL_FEE;
-    /// @notice fee paid to the liquidator, in bps
-    uint256 public LIQUIDATOR_BONUS_BPS;
-    /// @notice fee paid to the protocol, in bps
-    uint256 public PROTOCOL_LIQUIDATION_FEE;
-
-    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
-    /*                        Variables                         */
-    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
-
-    /// @notice length of all loans
-    uint256 public loanLength;
-    /// @notice mapping of all loans
-    mapping(uint256 => Loan) public loans;
-    /// @notice address that receives the fees
-    address public feeCollector;
+    /// @notice implementation of the functions delegatecalled to LendingP2PExtension, see the constructor
+    address public immutable extension;
+    /// @notice implementation of the functions delegatecalled to LendingP2PManager, see the constructor
+    address public immutable manager;
 
     /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
     /*                    Public Functions                      */
     /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
 
-    constructor() Ownable(msg.sender) {
+    /// @param _extension LendingP2PExtension deployed beforehand, it's only delegatecalled so its own storage and owner are unused
+    /// @param _manager LendingP2PManager deployed beforehand, delegatecalled the same way
+    /// @dev the extensions are deployed separately, so each contract gets its own code size limit, see scripts/deploy.js
+    constructor(address _extension, address _manager) {
+        require(_extension.code.length > 0 && _manager.code.length > 0, "invalid extension");
+        extension = _extension;
+        manager = _manager;
         feeCollector = msg.sender;
 
         REQUEST_EXPIRATION_DURATION = 7 days;
@@ -128,115 +46,559 @@ contract LendingP2P is ReentrancyGuard, Ownable {
         PROTOCOL_LIQUIDATION_FEE = 20;
     }
 
+    /// @notice native tokens are only received from wrappedNative, when it's unwrapped for a payout, see _sendNative
+    receive() external payable {
+        require(msg.sender == address(wrappedNative), "sender != wrappedNative");
+    }
+
     /// @notice function used to request a new loan
+    /// @dev if lender is set, only this address can fill the request
     function requestLoan(bytes memory _encodedLoan) external nonReentrant {
-        Loan memory loan = abi.decode(_encodedLoan, (Loan));
-
-        require(loan.borrower == msg.sender, "borrower != msg.sender");
-        require(loan.repaymentAmount > loan.assetAmount, "amount <= repayment");
-        require(loan.asset != loan.collateral, "asset == collateral");
-        // @audit-info: magic number 
-        require(loan.liquidation.liquidationThreshold <= 10000, "liq threshold > max bps");
-
-        //since users can use any address (even non-standard contracts), verify that the decimals function exists
-        // qr it allows decimals to different than 18? yes and it is supported
-        require(IERC20Metadata(loan.asset).decimals() >= 0, "invalid decimals");
-        // qr what happens if decimals mismatch?, nothing wrong, it is supported
-        require(IERC20Metadata(loan.collateral).decimals() >= 0, "invalid decimals");
-
-        if (loan.liquidation.isLiquidatable){
-            uint8 assetOracleDecimals = AggregatorInterface(loan.liquidation.assetOracle).decimals();
-            uint8 collateralOracleDecimals = AggregatorInterface(loan.liquidation.collateralOracle).decimals();
-            require(assetOracleDecimals == collateralOracleDecimals, "oracle decimals mismatch");
-        }
+        _requestLoan(abi.decode(_encodedLoan, (Loan)));
+    }
 
-        loan.createdTimestamp = uint64(block.timestamp);
-        loan.startTimestamp = 0;
-        loan.status = Status.Pending;
+    /// @notice function used to request a new loan and approve its collateral with an EIP-2612 permit, in one transaction
+    /// @dev the collateral is pulled when the request is filled, so the permit has to cover collateralAmount until then
+    /// @param expiresAt expiry of the request, see requestLoanWithExpiry. 0 keeps the default expiry
+    function requestLoanWithPermit(bytes memory _encodedLoan, PermitSignature calldata permit, uint256 expiresAt) external nonReentrant {
+        Loan memory _loan = abi.decode(_encodedLoan, (Loan));
+        _permit(_loan.collateral, msg.sender, permit);
+        uint256 loanId = _requestLoan(_loan);
+        if (expiresAt != 0) _setRequestExpiry(loanId, expiresAt);
+    }
 
-        loans[loanLength] = loan;
-        loanLength += 1;
+    /// @notice function used to request a new loan that can only be filled or canceled until `expiresAt`
+    /// @dev same as requestLoan followed by setRequestExpiry, without a window where the request can be filled without its expiry
+    function requestLoanWithExpiry(bytes memory _encodedLoan, uint256 expiresAt) external nonReentrant {
+        _setRequestExpiry(_requestLoan(abi.decode(_encodedLoan, (Loan))), expiresAt);
+    }
 
-        emit LoanRequested(loanLength - 1, msg.sender);
+    /// @notice function used to request a new loan that only the lenders of an allowlist can fill, see LendingP2PExtension.requestLoanWithAllowlist
+    function requestLoanWithAllowlist(bytes memory, bytes32, uint256) external {
+        _delegateTo(extension);
     }
 
-    /// @notice function used to cancel an unfilled loan
-    function cancelLoan(uint256 loanId) external nonReentrant {
-        require(loans[loanId].status == Status.Pending, "invalid status");
-        // qr REQUEST_EXPIRATION_DURATION is the maximum duration that the loan request can be active. Based on the below logic after 
-        // that time has passed, the loan request can't be canceled.
-        // r , yes it can't be canceled after REQUEST_EXPIRATION_DURATION
-        require(loans[loanId].createdTimestamp + REQUEST_EXPIRATION_DURATION > block.timestamp, "already expired");
-        require(loans[loanId].borrower == msg.sender, "sender != borrower");
+    /// @notice function used to request a new loan where interest accrues with time, see LendingP2PExtension.requestLoanWithApr
+    function requestLoanWithApr(bytes memory, InterestTerms calldata, uint256) external {
+        _delegateTo(extension);
+    }
 
-        loans[loanId].status = Status.Canceled;
+    /// @notice function used by the borrower of an active loan to request a new loan that pays it off, see LendingP2PExtension.requestRefinance
+    function requestRefinance(uint256, bytes memory) external {
+        _delegateTo(extension);
+    }
 
-        emit LoanCanceled(loanId, msg.sender);
+    /// @notice function used to cancel an unfilled loan, see LendingP2PExtension.cancelLoan
+    function cancelLoan(uint256) external {
+        _delegateTo(extension);
     }
 
     /// @notice function used to fill a loan request
+    /// @dev for refinance requests, the outstanding amount of the refinanced loan is paid from the new loan, see _refinance
     function fillRequest(uint256 loanId) external nonReentrant {
-        Loan memory _loan = loans[loanId];
+        _fillRequest(loanId, new bytes32[](0));
+    }
 
-        require(_loan.status == Status.Pending, "invalid status");
-        require(_loan.createdTimestamp + REQUEST_EXPIRATION_DURATION > block.timestamp, "already expired");
+    /// @notice function used to fill a loan request restricted to an allowlist of lenders, see requestLoanWithAllowlist
+    /// @param proof Merkle proof that the sender is in the allowlist of the request
+    function fillRequestWithProof(uint256 loanId, bytes32[] calldata proof) external nonReentrant {
+        _fillRequest(loanId, proof);
+    }
 
-        loans[loanId].lender = msg.sender;
-        loans[loanId].startTimestamp = uint64(block.timestamp);
-        loans[loanId].status = Status.Active;
+    /// @notice function used to fill a loan request whose asset is wrappedNative with native tokens, see fillRequestWithProof
+    /// @dev msg.value above the asset amount (or the refinanced amount) is refunded
+    function fillRequestNative(uint256 loanId, bytes32[] calldata proof) external payable nonReentrant {
+        _wrapNative(loans[loanId].asset);
+        _fillRequest(loanId, proof);
+        _refundNative();
+    }
 
-        if (_loan.liquidation.isLiquidatable){
-            require(!_isLoanLiquidatable(loanId), "instantly liquidatable"); //make sure it can't be instantly liquidated
-        }
+    /// @notice function used to fill a loan request with an EIP-2612 permit of the asset instead of a prior approve, see fillRequestWithProof
+    function fillRequestWithPermit(uint256 loanId, bytes32[] calldata proof, PermitSignature calldata permit) external nonReentrant {
+        _permit(loans[loanId].asset, msg.sender, permit);
+        _fillRequest(loanId, proof);
+    }
 
-        IERC20(_loan.collateral).safeTransferFrom(_loan.borrower, address(this), _loan.collateralAmount);
-        IERC20(_loan.asset).safeTransferFrom(msg.sender, _loan.borrower, _loan.assetAmount);
+    /// @notice function used to fill a loan request signed off-chain by the borrower, without a prior requestLoan
+    /// @dev see LendingP2PExtension.fillSignedRequest
+    function fillSignedRequest(LoanOrder calldata, bytes calldata) external returns (uint256) {
+        _delegateTo(extension);
+    }
 
-        emit LoanFilled(loanId, _loan.borrower, msg.sender);
+    /// @notice function used to cancel a signed loan request, before it's filled
+    function cancelSignedRequest(uint256) external {
+        _delegateTo(extension);
+    }
+
+    /// @notice function used to cancel all signed loan requests with a nonce lower than `minNonce`
+    function cancelSignedRequestsBelow(uint256) external {
+        _delegateTo(extension);
     }
 
     /// @notice function used to repay a loan
     /// @dev loan can be repaid after expiration, as long it's not liquidated
-    /// @dev fee is charged on interest only
+    /// @dev fee is charged on interest only, for loans with an APR only on the interest accrued so far
+    /// @dev if the loan was partially repaid, only the outstanding amount is charged
     function repayLoan(uint256 loanId) external nonReentrant {
+        _repayLoan(loanId);
+    }
+
+    /// @notice function used by the borrower to repay a loan whose asset is wrappedNative with native tokens
+    /// @dev msg.value above the outstanding amount is refunded, e.g. the interest that didn't accrue yet for loans with an APR
+    function repayLoanNative(uint256 loanId) external payable nonReentrant {
+        _wrapNative(loans[loanId].asset);
+        _repayLoan(loanId);
+        _refundNative();
+    }
+
+    /// @notice function used to repay a loan with an EIP-2612 permit signed by the borrower, instead of a prior approve
+    /// @dev like repayLoan anyone can send it, the outstanding amount is always paid by the borrower
+    function repayLoanWithPermit(uint256 loanId, PermitSignature calldata permit) external nonReentrant {
+        _permit(loans[loanId].asset, loans[loanId].borrower, permit);
+        _repayLoan(loanId);
+    }
+
+    /// @notice internal helper function used to repay a loan, see repayLoan
+    function _repayLoan(uint256 loanId) internal {
         Loan memory _loan = loans[loanId];
 
         require(_loan.status == Status.Active, "invalid status");
         // @audit-info: magic number . It should be PROTOCOL_FEE_PRECISION_FACTOR
         // qr if repaymentAmount is slightly larger than assetAmount protocol fee will be zero and it would be a proble if asset token reverts on zero transfer
         // r yes but that issue is out of scope for this contest
-        uint256 protocolFee = (_loan.repaymentAmount - _loan.assetAmount) * PROTOCOL_FEE / 10000;
-        uint256 amountToLender = _loan.repaymentAmount - protocolFee;
+        uint256 repaidAmount = repaidAmounts[loanId];
+        uint256 repaymentAmount = getRepaymentAmount(loanId);
+        uint256 protocolFee = _protocolFee(_loan, repaymentAmount, repaymentAmount) - _protocolFee(_loan, repaymentAmount, repaidAmount);
+        uint256 amountToLender = repaymentAmount - repaidAmount - protocolFee;
 
         loans[loanId].status = Status.Repaid;
 
         //since the token could be ERC777 and the lender could be a contract, there is a possible DoS attack vector during repayment/liquidation
         //this is acceptable, since borrowers are expected to be aware of the risk when using non-standard tokens
-        IERC20(_loan.asset).safeTransferFrom(_loan.borrower, _loan.lender, amountToLender); //return asset
-        IERC20(_loan.collateral).safeTransfer(_loan.borrower, _loan.collateralAmount); //return collateral
+        _payLender(loanId, _loan.lender, _loan.asset, _loan.borrower, amountToLender); //return asset
+        _transferFrom(_loan.collateral, address(this), _loan.borrower, _loan.collateralAmount); //return collateral
 
-        IERC20(_loan.asset).safeTransferFrom(_loan.borrower, feeCollector, protocolFee);
+        _transferFrom(_loan.asset, _loan.borrower, feeCollector, protocolFee);
 
         emit LoanRepaid(loanId, _loan.borrower, _loan.lender);
         emit ProtocolRevenue(loanId, _loan.asset, protocolFee);
     }   
 
+    /// @notice function used to repay a part of a loan, see LendingP2PManager.repayPartial
+    function repayPartial(uint256, uint256) external {
+        _delegateTo(manager);
+    }
+
+    /// @notice function used to add collateral to an active loan, see LendingP2PManager.addCollateral
+    function addCollateral(uint256, uint256) external {
+        _delegateTo(manager);
+    }
+
+    /// @notice function used to add msg.value to an active loan whose collateral is wrappedNative, see LendingP2PManager.addCollateralNative
+    function addCollateralNative(uint256) external payable {
+        _delegateTo(manager);
+    }
+
+    /// @notice function used by lenders to post a standing loan offer, see LendingP2PExtension.createOffer
+    function createOffer(bytes memory) external {
+        _delegateTo(extension);
+    }
+
+    /// @notice function used to cancel an offer
+    function cancelOffer(uint256) external {
+        _delegateTo(extension);
+    }
+
+    /// @notice function used by borrowers to accept an offer, creating a new active loan, see LendingP2PExtension.acceptOffer
+    function acceptOffer(uint256, uint256, uint256) external returns (uint256) {
+        _delegateTo(extension);
+    }
+
+    /// @notice function called by lenderPositions when a position is transferred, see LendingP2PExtension.transferLender
+    function transferLender(uint256, address) external {
+        _delegateTo(extension);
+    }
+
     /// @notice function used to liquidate a loan
     /// @dev loan can be liquidated either if it's overdue, or if it's insolvent (only for liquidatable loans)
     /// @dev doesn't revert if the loan is not liquidatable, only if the price from the oracle is invalid
+    /// @dev if auctions are enabled, the collateral of loans with oracles is put up for auction instead, see buyCollateral
+    /// @dev the auction of a loan that isn't liquidatable anymore is reset, so it starts again from no discount, see _resetAuction
+    /// @return true if the loan was liquidated, or its auction was started
     function liquidateLoan(uint256 loanId) external nonReentrant returns (bool) {
+        //while liquidations are paused, only defaulted loans can be liquidated
+        if (block.timestamp <= loans[loanId].startTimestamp + loans[loanId].duration){
+            _requireNotPaused(PAUSE_LIQUIDATIONS);
+        }
+
         if (_isLoanLiquidatable(loanId)){
+            if (AUCTION_DURATION > 0 && loans[loanId].liquidation.isLiquidatable){
+                if (auctionStarts[loanId] != 0) return false;
+
+                auctionStarts[loanId] = block.timestamp;
+                emit AuctionStarted(loanId);
+                return true;
+            }
+
             _liquidate(loanId);
             return true;
         }
 
+        _resetAuction(loanId);
         return false;
     }
 
+    /// @notice function used to buy the collateral of a loan in a liquidation auction, see getAuctionQuote
+    /// @dev the buyer pays the outstanding amount to the lender, and receives the collateral covering it at the auction price
+    /// @dev surplus collateral is returned to the borrower, after the protocol fee on the sold collateral
+    /// @return assetAmount paid to the lender and collateralAmount received by the buyer
+    function buyCollateral(uint256 loanId) external nonReentrant returns (uint256, uint256) {
+        _requireNotPaused(PAUSE_LIQUIDATIONS); //auction prices come from the oracles
+        Loan memory _loan = loans[loanId];
+
+        require(_loan.status == Status.Active, "invalid status");
+        require(auctionStarts[loanId] != 0, "auction not started");
+        require(_isLoanLiquidatable(loanId), "not liquidatable");
+
+        (uint256 assetAmount, uint256 collateralSold) = getAuctionQuote(loanId);
+        uint256 protocolFee = Math.min(collateralSold * PROTOCOL_LIQUIDATION_FEE / 10000, _loan.collateralAmount - collateralSold);
+        uint256 surplus = _loan.collateralAmount - collateralSold - protocolFee;
+
+        loans[loanId].status = Status.Liquidated;
+
+        _payLender(loanId, _loan.lender, _loan.asset, msg.sender, assetAmount);
+        _transferFrom(_loan.collateral, address(this), msg.sender, collateralSold);
+        IERC20(_loan.collateral).safeTransfer(feeCollector, protocolFee);
+        _transferFrom(_loan.collateral, address(this), _loan.borrower, surplus);
+
+        emit AuctionSettled(loanId, msg.sender, assetAmount, collateralSold, surplus);
+        emit LoanLiquidated(loanId);
+        emit ProtocolRevenue(loanId, _loan.collateral, protocolFee);
+
+        return (assetAmount, collateralSold);
+    }
+
+    /// @notice function used by lenders to fund a part of a loan request, see LendingP2PExtension.fillTranche
+    function fillTranche(uint256, uint256, bytes32[] calldata) external {
+        _delegateTo(extension);
+    }
+
+    /// @notice function used to start a partially funded loan request, see LendingP2PExtension.startLoan
+    function startLoan(uint256) external {
+        _delegateTo(extension);
+    }
+
+    /// @notice function used by the borrower to let a loan request start before it's fully funded, see LendingP2PExtension.setMinFunding
+    function setMinFunding(uint256, uint256) external {
+        _delegateTo(extension);
+    }
+
+    /// @notice function used by lenders to withdraw their part of a loan request that was canceled or expired
+    function withdrawTranche(uint256) external returns (uint256) {
+        _delegateTo(extension);
+    }
+
+    /// @notice function used by the borrower to set the expiry of a loan request, see LendingP2PExtension.setRequestExpiry
+    function setRequestExpiry(uint256, uint256) external {
+        _delegateTo(extension);
+    }
+
+    /// @notice function used to mark loan requests past their expiry as Expired, see LendingP2PExtension.expireRequests
+    function expireRequests(uint256[] calldata) external returns (uint256) {
+        _delegateTo(extension);
+    }
+
+    /// @notice function used to receive payouts in wrappedNative as native tokens, see LendingP2PExtension.setNativePayouts
+    function setNativePayouts(bool) external {
+        _delegateTo(extension);
+    }
+
+    /// @notice function used to make several calls to this contract in one transaction, e.g. fill, liquidate or cancel a list of loans
+    /// @dev failed calls are skipped instead of reverting the whole batch, see LendingP2PExtension.tryMulticall
+    function tryMulticall(bytes[] calldata) external returns (bool[] memory, bytes[] memory) {
+        _delegateTo(extension);
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                      View Functions                      */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice EIP-712 digest of a signed loan request, as signed by the borrower for fillSignedRequest
+    /// @dev this and the getters below are declared here rather than in LendingP2PCore, so the extension doesn't carry
+    ///      unreachable external copies of them
+    function hashLoanOrder(LoanOrder calldata order) external view returns (bytes32) {
+        return _hashLoanOrder(order);
+    }
+
+    /// @notice timestamp from which a loan request can't be filled or canceled anymore
+    /// @dev the expiry set by the borrower, capped to createdTimestamp + REQUEST_EXPIRATION_DURATION
+    function getRequestExpiry(uint256 loanId) public view returns (uint256) {
+        return _requestExpiry(loanId);
+    }
+
+    /// @notice amount that still has to be repaid, including the interest accrued so far
+    function getOutstandingAmount(uint256 loanId) public view returns (uint256) {
+        return _outstandingAmount(loanId);
+    }
+
+    /// @notice total amount the borrower has to repay if the loan is repaid now, including partial repayments
+    /// @dev same as repaymentAmount, except for active loans with an APR, where interest accrues linearly on the principal
+    ///      still owed from startTimestamp until the end of the loan duration, and partial repayments pay the accrued interest first.
+    ///      the interest charged is at least the interest of assetAmount over minInterestDuration
+    function getRepaymentAmount(uint256 loanId) public view returns (uint256) {
+        return _repaymentAmount(loanId);
+    }
+
+    /// @notice status of a loan, Expired for pending requests past their expiry even if expireRequests wasn't called
+    function getLoanStatus(uint256 loanId) public view returns (Status) {
+        Status status = loans[loanId].status;
+        if (status == Status.Pending && getRequestExpiry(loanId) <= block.timestamp) return Status.Expired;
+        return status;
+    }
+
+    /// @notice lenders that funded a loan request with fillTranche and their amounts, empty for loans filled by one lender
+    function getTranches(uint256 loanId) external view returns (address[] memory lenders, uint256[] memory amounts) {
+        lenders = trancheLenders[loanId];
+        amounts = new uint256[](lenders.length);
+        for (uint256 i = 0; i < lenders.length; i++){
+            amounts[i] = trancheAmounts[loanId][lenders[i]];
+        }
+    }
+
+    /// @notice loans with ids from `offset` to `offset + limit`, fewer at the end of the list
+    function getLoans(uint256 offset, uint256 limit) external view returns (uint256[] memory loanIds, Loan[] memory) {
+        uint256 count = offset < loanLength ? Math.min(limit, loanLength - offset) : 0;
+
+        loanIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++){
+            loanIds[i] = offset + i;
+        }
+        return (loanIds, _getLoans(loanIds));
+    }
+
+    /// @notice loans requested by `borrower`, from its `offset`th loan, see getLoanCounts
+    function getLoansByBorrower(address borrower, uint256 offset, uint256 limit) external view returns (uint256[] memory loanIds, Loan[] memory) {
+        loanIds = _slice(borrowerLoanIds[borrower], offset, limit);
+        return (loanIds, _getLoans(loanIds));
+    }
+
+    /// @notice loans filled by `lender`, or whose lender position it received, from its `offset`th loan, see getLoanCounts
+    /// @dev loans whose position was transferred away are still listed, with the current lender. each loan is listed once,
+    ///      even if the position comes back
+    function getLoansByLender(address lender, uint256 offset, uint256 limit) external view returns (uint256[] memory loanIds, Loan[] memory) {
+        loanIds = _slice(lenderLoanIds[lender], offset, limit);
+        return (loanIds, _getLoans(loanIds));
+    }
+
+    /// @notice number of loans listed by getLoansByBorrower and getLoansByLender for `user`
+    function getLoanCounts(address user) external view returns (uint256 borrowed, uint256 lent) {
+        return (borrowerLoanIds[user].length, lenderLoanIds[user].length);
+    }
+
+    /// @notice loan requests that can still be filled, among the loans with ids from `offset` to `offset + limit`
+    /// @dev only `limit` loans are scanned, so pages can have fewer (or no) loans before the end of the list
+    function getPendingLoans(uint256 offset, uint256 limit) external view returns (uint256[] memory loanIds, Loan[] memory) {
+        uint256 end = offset < loanLength ? offset + Math.min(limit, loanLength - offset) : offset;
+        uint256 count = 0;
+
+        loanIds = new uint256[](end - offset);
+        for (uint256 loanId = offset; loanId < end; loanId++){
+            if (getLoanStatus(loanId) == Status.Pending){
+                loanIds[count++] = loanId;
+            }
+        }
+
+        //shrink the array to the pending loans
+        assembly ("memory-safe") {
+            mstore(loanIds, count)
+        }
+        return (loanIds, _getLoans(loanIds));
+    }
+
+    /// @notice current value of the debt and the collateral of a loan, scaled like _getValue, and its loan-to-value in bps
+    /// @dev never reverts on oracle failures: `validPrices` is false if a price is stale, not positive or can't be read,
+    ///      if the decimals of a token or an oracle can't be read, or if a value overflows.
+    ///      stale prices are still used, the others count as 0. the debt is the one compared by _isLoanLiquidatable
+    function getLoanHealth(uint256 loanId) external view returns (uint256 loanValue, uint256 collateralValue, uint256 ltvBps, bool validPrices) {
+        Loan memory _loan = loans[loanId];
+        if (_loan.borrower == address(0)) return (0, 0, 0, false);
+
+        uint256 debtAmount = Math.mulDiv(_loan.assetAmount, getOutstandingAmount(loanId), getRepaymentAmount(loanId));
+
+        bool assetPriceValid;
+        bool collateralPriceValid;
+        (loanValue, assetPriceValid) = _tryGetValue(_loan.asset, _loan.liquidation.assetOracle, debtAmount);
+        (collateralValue, collateralPriceValid) = _tryGetValue(_loan.collateral, _loan.liquidation.collateralOracle, _loan.collateralAmount);
+
+        validPrices = assetPriceValid && collateralPriceValid;
+        if (collateralValue != 0 && loanValue / collateralValue < type(uint256).max / 10000){
+            ltvBps = Math.mulDiv(loanValue, 10000, collateralValue);
+        } else if (loanValue != 0){
+            ltvBps = type(uint256).max;
+        }
+    }
+
     /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
     /*                    Helper Functions                      */
     /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
 
+    /// @notice internal helper function used to fill a loan request, see fillRequest
+    /// @dev requests that were partially funded with fillTranche can only be completed with fillTranche
+    function _fillRequest(uint256 loanId, bytes32[] memory proof) internal {
+        _requireNotPaused(PAUSE_FILLS);
+        Loan memory _loan = loans[loanId];
+
+        require(_loan.status == Status.Pending, "invalid status");
+        require(getRequestExpiry(loanId) > block.timestamp, "already expired");
+        require(fundedAmounts[loanId] == 0, "partially filled");
+        _requireAllowedLender(loanId, _loan.lender, proof);
+
+        loans[loanId].lender = msg.sender;
+        loans[loanId].startTimestamp = uint64(block.timestamp);
+        loans[loanId].status = Status.Active;
+        _indexLender(msg.sender, loanId);
+
+        if (_loan.liquidation.isLiquidatable){
+            require(!_isLoanLiquidatable(loanId), "instantly liquidatable"); //make sure it can't be instantly liquidated
+        }
+
+        if (isRefinance[loanId]){
+            _refinance(loanId, _loan);
+        } else {
+            _pull(_loan.collateral, _loan.borrower, _loan.collateralAmount);
+            _transferFrom(_loan.asset, msg.sender, _loan.borrower, _loan.assetAmount);
+        }
+        _mintPosition(msg.sender, loanId);
+
+        emit LoanFilled(loanId, _loan.borrower, msg.sender);
+    }
+
+    /// @notice current price of a liquidation auction: asset amount paid to the lender, and collateral amount received for it
+    /// @dev if the collateral doesn't cover the outstanding amount at the auction price, all of it is sold for less
+    function getAuctionQuote(uint256 loanId) public view returns (uint256 assetAmount, uint256 collateralAmount) {
+        Loan memory _loan = loans[loanId];
+        require(auctionStarts[loanId] != 0, "auction not started");
+
+        uint256 debt = getOutstandingAmount(loanId);
+        uint256 debtValue = _getValue(_loan.asset, _loan.liquidation.assetOracle, debt, "stale asset oracle");
+        uint256 collateralValue = _getValue(_loan.collateral, _loan.liquidation.collateralOracle, _loan.collateralAmount, "stale collateral oracle");
+        uint256 discountedValue = collateralValue * (10000 - getAuctionDiscount(loanId)) / 10000;
+
+        if (debtValue >= discountedValue){
+            return (Math.mulDiv(debt, discountedValue, debtValue), _loan.collateralAmount);
+        }
+
+        return (debt, Math.mulDiv(_loan.collateralAmount, debtValue, discountedValue));
+    }
+
+    /// @notice current discount on the oracle price of the collateral in a liquidation auction, in bps
+    /// @dev grows linearly from 0 when the auction starts, to AUCTION_MAX_DISCOUNT_BPS after AUCTION_DURATION. 0 if it wasn't started
+    function getAuctionDiscount(uint256 loanId) public view returns (uint256) {
+        if (auctionStarts[loanId] == 0) return 0;
+
+        uint256 elapsed = block.timestamp - auctionStarts[loanId];
+        if (elapsed >= AUCTION_DURATION) return AUCTION_MAX_DISCOUNT_BPS;
+
+        return AUCTION_MAX_DISCOUNT_BPS * elapsed / AUCTION_DURATION;
+    }
+
+    /// @notice internal helper function used to pay off the refinanced loan when a refinance request is filled
+    /// @dev the lender's assetAmount goes to the old lender first, the borrower receives the rest or pays the shortfall
+    /// @dev protocol fee is charged on the interest of the refinanced loan, same as in repayLoan
+    function _refinance(uint256 loanId, Loan memory _loan) internal {
+        uint256 oldLoanId = refinancedFrom[loanId];
+        Loan memory oldLoan = loans[oldLoanId];
+
+        require(oldLoan.status == Status.Active, "invalid status");
+
+        uint256 repaidAmount = repaidAmounts[oldLoanId];
+        uint256 repaymentAmount = getRepaymentAmount(oldLoanId);
+        uint256 outstandingAmount = repaymentAmount - repaidAmount;
+        uint256 protocolFee = _protocolFee(oldLoan, repaymentAmount, repaymentAmount) - _protocolFee(oldLoan, repaymentAmount, repaidAmount);
+
+        loans[oldLoanId].status = Status.Refinanced;
+
+        _transferFrom(_loan.asset, msg.sender, address(this), _loan.assetAmount);
+        if (outstandingAmount > _loan.assetAmount){
+            _pull(_loan.asset, _loan.borrower, outstandingAmount - _loan.assetAmount);
+        } else {
+            _transferFrom(_loan.asset, address(this), _loan.borrower, _loan.assetAmount - outstandingAmount);
+        }
+        _payLender(oldLoanId, oldLoan.lender, _loan.asset, address(this), outstandingAmount - protocolFee);
+        IERC20(_loan.asset).safeTransfer(feeCollector, protocolFee);
+
+        if (_loan.collateralAmount > oldLoan.collateralAmount){
+            _pull(_loan.collateral, _loan.borrower, _loan.collateralAmount - oldLoan.collateralAmount);
+        } else {
+            _transferFrom(_loan.collateral, address(this), _loan.borrower, oldLoan.collateralAmount - _loan.collateralAmount);
+        }
+
+        emit LoanRefinanced(oldLoanId, loanId, msg.sender);
+        emit ProtocolRevenue(oldLoanId, _loan.asset, protocolFee);
+    }
+
+    /// @notice internal helper function used to approve this contract with an EIP-2612 permit signed by `owner`
+    /// @dev a failed permit is ignored, since anyone can submit it first. without the allowance, the transfer reverts anyway
+    function _permit(address token, address owner, PermitSignature calldata permit) internal {
+        try IERC20Permit(token).permit(owner, address(this), permit.value, permit.deadline, permit.v, permit.r, permit.s) {} catch {}
+    }
+
+    /// @notice internal helper function used to read the loans of a list of ids, with the status of getLoanStatus
+    function _getLoans(uint256[] memory loanIds) internal view returns (Loan[] memory result) {
+        result = new Loan[](loanIds.length);
+        for (uint256 i = 0; i < loanIds.length; i++){
+            result[i] = loans[loanIds[i]];
+            result[i].status = getLoanStatus(loanIds[i]);
+        }
+    }
+
+    /// @notice internal helper function used to copy up to `limit` ids of `ids`, from index `offset`
+    function _slice(uint256[] storage ids, uint256 offset, uint256 limit) internal view returns (uint256[] memory result) {
+        uint256 count = offset < ids.length ? Math.min(limit, ids.length - offset) : 0;
+
+        result = new uint256[](count);
+        for (uint256 i = 0; i < count; i++){
+            result[i] = ids[offset + i];
+        }
+    }
+
+    /// @notice same as _getValue, but returns false instead of reverting when the price is stale, not positive, or the oracle reverts.
+    ///         also returns (0, false) if the decimals of the token or the oracle can't be read, or if the value overflows
+    function _tryGetValue(address token, address oracle, uint256 amount) internal view returns (uint256, bool) {
+        if (oracle.code.length == 0 || !_hasDecimals(token) || !_hasDecimals(oracle)) return (0, false);
+
+        try AggregatorInterface(oracle).latestRoundData() returns (uint80, int256 price, uint256, uint256 priceUpdatedAt, uint80) {
+            if (price <= 0) return (0, false);
+
+            (bool valid, uint256 value) = _tryValueAtPrice(token, oracle, amount, uint256(price));
+            if (!valid) return (0, false);
+
+            bool fresh = priceUpdatedAt <= block.timestamp && MAX_ORACLE_PRICE_AGE > block.timestamp - priceUpdatedAt;
+            return (value, fresh);
+        } catch {
+            return (0, false);
+        }
+    }
+
+    /// @notice internal helper function used to check that `target` returns valid uint8 decimals, which _valueAtPrice reads without try
+    function _hasDecimals(address target) internal view returns (bool) {
+        (bool success, bytes memory data) = target.staticcall(abi.encodeWithSignature("decimals()"));
+        return success && data.length == 32 && abi.decode(data, (uint256)) <= type(uint8).max;
+    }
+
+    /// @notice internal helper function used to forward the current call to `_extension`, with the same calldata
+    /// @dev returns or reverts with the result of the delegatecall, so the calling function never continues
+    function _delegateTo(address _extension) internal {
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), _extension, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) { revert(ptr, returndatasize()) }
+            return(ptr, returndatasize())
+        }
+    }
+
     /// @notice internal helper function used to liquidate a loan
     function _liquidate(uint256 loanId) internal {
         Loan memory _loan = loans[loanId];
@@ -247,105 +609,75 @@ contract LendingP2P is ReentrancyGuard, Ownable {
 
         loans[loanId].status = Status.Liquidated;
         
-        IERC20(_loan.collateral).safeTransfer(_loan.lender, lenderAmount);
-        IERC20(_loan.collateral).safeTransfer(msg.sender, liquidatorBonus);
+        _payLender(loanId, _loan.lender, _loan.collateral, address(this), lenderAmount);
+        _transferFrom(_loan.collateral, address(this), msg.sender, liquidatorBonus);
         IERC20(_loan.collateral).safeTransfer(feeCollector, protocolFee);
 
         emit LoanLiquidated(loanId);
         emit ProtocolRevenue(loanId, _loan.collateral, protocolFee);
     }
-    // qr it shouldn't be an internal function ? actually I am not sure, maybe it only have a bad naming convention
-    function _isLoanLiquidatable(uint256 loanId) public view returns (bool) {
-        Loan memory _loan = loans[loanId];
 
-        //loan is not active
-        if (_loan.status != Status.Active){
-            return false;
-        }
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                     Admin Functions                      */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
 
-        //defaulted loan
-        if (block.timestamp > _loan.startTimestamp + _loan.duration){
-            return true;
-        }
+    /// @notice used to change fee collector, see LendingP2PManager.setFeeCollector
+    function setFeeCollector(address) external {
+        _delegateTo(manager);
+    }
 
-        if (_loan.liquidation.isLiquidatable){
-            //users are expected to verify that assetOracle and collateralOracle are not malicious contracts before filling loan request
-            (, int256 assetPrice, , uint256 assetPriceUpdatedAt,) = AggregatorInterface(_loan.liquidation.assetOracle).latestRoundData();
-            (, int256 collateralPrice, , uint256 collateralPriceUpdatedAt,) = AggregatorInterface(_loan.liquidation.collateralOracle).latestRoundData();
-
-            require(assetPrice > 0, "invalid oracle price");
-            require(collateralPrice > 0, "invalid oracle price");
-
-            require(MAX_ORACLE_PRICE_AGE > block.timestamp - assetPriceUpdatedAt, "stale asset oracle");
-            require(MAX_ORACLE_PRICE_AGE > block.timestamp - collateralPriceUpdatedAt, "stale collateral oracle");
-
-            //users are expected to use only standard ERC20Metadata tokens that include decimals()
-            uint8 assetDecimals = IERC20Metadata(_loan.asset).decimals();
-            uint8 collateralDecimals = IERC20Metadata(_loan.collateral).decimals();
-
-            //uint256.max is 1.15e77 and chainlink price is expected to be under 1e12, 
-            //so overflow would only happen if amount > 1e53, with 0 decimals
-            //this is an acceptable risk, and users are expected to not use amounts that high
-            // q 1e8 * 5e18 * 1000e12 / 1e18 = 5000e20
-            // q 1e8 * 1e16 * 1e12 / 1e24 = 1e16
-            // q 1e8 * 1e6 * 1e12 / 1e6 = 1e20    
-            uint256 loanValueUsd = PRECISION_FACTOR * _loan.assetAmount * uint256(assetPrice) / (10 ** assetDecimals);
-            uint256 collateralValueUsd = PRECISION_FACTOR * _loan.collateralAmount * uint256(collateralPrice) / (10 ** collateralDecimals);
-            // @audit-info: magic number , it should be LIQUIDATION_THRESHOLD_PRECISION_FACTOR
-            
-            return (loanValueUsd > (collateralValueUsd * _loan.liquidation.liquidationThreshold / 10000));
-        } 
+    /// @notice used to change loan request expiration, see LendingP2PManager.setRequestExpirationDuration
+    function setRequestExpirationDuration(uint256) external {
+        _delegateTo(manager);
+    }
 
-        return false;
+    /// @notice used to change the maximum allowed oracle price age, see LendingP2PManager.setMaximumOraclePriceAge
+    function setMaximumOraclePriceAge(uint256) external {
+        _delegateTo(manager);
     }
 
-    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
-    /*                     Admin Functions                      */
-    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /// @notice used to change the protocol fee percentage, see LendingP2PManager.setProtocolFee
+    function setProtocolFee(uint256) external {
+        _delegateTo(manager);
+    }
+
+    /// @notice used to change protocol liquidation config, see LendingP2PManager.setLiquidationConfig
+    function setLiquidationConfig(uint256, uint256) external {
+        _delegateTo(manager);
+    }
 
-    /// @notice used to change fee collector
-    /// @param _newFeeCollector address that will receive the fees
-    /// @dev since some tokens don't allow transfers to address(0), it can't be set to it
-    function setFeeCollector(address _newFeeCollector) external onlyOwner() {
-        require(_newFeeCollector != address(0), "feeCollector == address(0)");
-        emit FeeCollectorUpdated(feeCollector, _newFeeCollector);
-        feeCollector = _newFeeCollector;
+    /// @notice used to change liquidation auction config, see LendingP2PManager.setAuctionConfig
+    function setAuctionConfig(uint256, uint256) external {
+        _delegateTo(manager);
     }
 
-    /// @notice used to change loan request expiration
-    /// @param _newExpirationDuration loan expiration in seconds
-    function setRequestExpirationDuration(uint256 _newExpirationDuration) external onlyOwner() {
-        require(_newExpirationDuration > 1 days, "newExpirationDuration < 1 day");
-        emit ExpirationDurationUpdated(REQUEST_EXPIRATION_DURATION, _newExpirationDuration);
-        REQUEST_EXPIRATION_DURATION = _newExpirationDuration;
+    /// @notice used to set the lender positions contract, only once, see LendingP2PManager.setLenderPositions
+    function setLenderPositions(address) external {
+        _delegateTo(manager);
     }
 
-    /// @notice used to change the maximum allowed oracle price age
-    /// @param _newMaxPriceAge maximum allowed oracle price age in seconds
-    function setMaximumOraclePriceAge(uint256 _newMaxPriceAge) external onlyOwner() {
-        emit MaxOraclePriceAgeUpdated(MAX_ORACLE_PRICE_AGE, _newMaxPriceAge);
-        MAX_ORACLE_PRICE_AGE = _newMaxPriceAge;
+    /// @notice used to set the wrapped native token used by the *Native functions, only once, see LendingP2PManager.setWrappedNative
+    function setWrappedNative(address) external {
+        _delegateTo(manager);
     }
 
-    /// @notice used to change the protocol fee percentage
-    /// @param _newProtocolFee new fee in basis points
-    function setProtocolFee(uint256 _newProtocolFee) external onlyOwner() {
-        require(_newProtocolFee < 2000, "protocolFee > 2000 bps");
-        emit ProtocolFeeUpdated(PROTOCOL_FEE, _newProtocolFee);
-        PROTOCOL_FEE = _newProtocolFee;
+    /// @notice used to set the market registry, and whether loans outside of it are rejected, see LendingP2PManager.setMarketRegistry
+    function setMarketRegistry(address, bool) external {
+        _delegateTo(manager);
     }
 
-    /// @notice used to change protocol liquidation config
-    /// @param _newLiquidatorBonus new bonus paid to the liquidator, in basis points
-    /// @param _newProtocolLiquidationFee new fee paid to the protocol, in basis points
-    function setLiquidationConfig(uint256 _newLiquidatorBonus, uint256 _newProtocolLiquidationFee) external onlyOwner() {
-        require(_newLiquidatorBonus < 1000, "liquidatorBonus > 1000 bps");
-        require(_newProtocolLiquidationFee < 500, "protocolLiquidationFee > 500 bps");
+    /// @notice used to pause or unpause actions, see LendingP2PManager.setPausedActions
+    function setPausedActions(uint256) external {
+        _delegateTo(manager);
+    }
 
-        emit LiquidatorBonusUpdated(LIQUIDATOR_BONUS_BPS, _newLiquidatorBonus);
-        emit ProtocolLiquidationFeeUpdated(PROTOCOL_LIQUIDATION_FEE, _newProtocolLiquidationFee);
+    /// @notice used by the guardian or the owner to pause actions, see LendingP2PManager.pauseActions
+    function pauseActions(uint256) external {
+        _delegateTo(manager);
+    }
 
-        LIQUIDATOR_BONUS_BPS = _newLiquidatorBonus;
-        PROTOCOL_LIQUIDATION_FEE = _newProtocolLiquidationFee;
+    /// @notice used to set the guardian that can call pauseActions, see LendingP2PManager.setGuardian
+    function setGuardian(address) external {
+        _delegateTo(manager);
     }
 }
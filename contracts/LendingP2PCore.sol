@@ -0,0 +1,680 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import { Ownable } from "@openzeppelin/contracts/access/Ownable.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import { MerkleProof } from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+import { AggregatorInterface } from './dependencies/AggregatorInterface.sol';
+import { IWETH } from './dependencies/IWETH.sol';
+import { LenderPositions } from './LenderPositions.sol';
+import { MarketRegistry } from './MarketRegistry.sol';
+
+/**
+ * @title  LendingP2PCore
+ * @author HyperLend developers
+ * @notice Types, events, storage and shared helpers of LendingP2P, LendingP2PExtension and LendingP2PManager.
+ * @dev LendingP2P alone would be over the 24576 bytes contract size limit, so its code is split with LendingP2PExtension and
+ *      LendingP2PManager, which are deployed separately and delegatecalled by LendingP2P. all of them have to inherit the same
+ *      storage layout from here, and can't declare storage variables themselves, see test/33_storage_layout.js.
+ *      new storage variables can only be added here, after the existing ones.
+ */
+abstract contract LendingP2PCore is ReentrancyGuard, Ownable, EIP712 {
+    using SafeERC20 for IERC20;
+
+    enum Status {
+        Pending,
+        Canceled,
+        Active,
+        Repaid,
+        Liquidated,
+        Refinanced,
+        Expired
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                          Structs                         */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice details about loan liquidation
+    struct Liquidation {
+        bool isLiquidatable;          // can the loan be liquidated before it's defaulted
+        uint16 liquidationThreshold;  // threshold where loan can be liquidated in bps, e.g. 8000 = liquidated when loan value > 80% of the collateral value
+        address assetOracle;          // chainlink oracle for the borrowed asset
+        address collateralOracle;     // chainlink oracle for the collateral asset, must be in the same quote currency as assetOracle
+    }
+
+    /// @notice details about the individual loan
+    struct Loan {
+        address borrower;         // address of the borrower
+        address lender;           // address of the lender
+        address asset;            // address of the asset being borrowed
+        address collateral;       // address of the asset used as a collateral
+
+        uint256 assetAmount;      // amount of the asset being paid to the borrower by the lender
+        //@audit-info comment doesn't reflect the actual logic.
+        uint256 repaymentAmount;  // amount of the asset being repaid by the lender
+        uint256 collateralAmount; // amount of the collateral being pledged by the borrower
+
+        uint64 createdTimestamp;  // timestamp when the loan request was created
+        uint64 startTimestamp;    // timestamp when the loan was accepted
+        uint64 duration;          // duration of the loan in seconds
+
+        Status status;            // current status of the loan
+        Liquidation liquidation;  // details about the loan liquidation
+    }
+
+    /// @notice details about a standing loan offer, posted by a lender
+    struct Offer {
+        address lender;           // address of the lender
+        address asset;            // address of the asset being lent
+        address collateral;       // address of the asset accepted as a collateral
+
+        uint256 availableAmount;  // amount of the asset that can still be borrowed from this offer
+        uint16 interestBps;       // interest charged on the borrowed amount, in bps, e.g. 500 = repay 105% of the borrowed amount
+        uint16 collateralRatio;   // minimum collateral value when accepting, in bps of the loan value, e.g. 15000 = 150%
+
+        uint64 duration;          // duration of the resulting loans in seconds
+        uint64 expiration;        // timestamp after which the offer can't be accepted, 0 if it doesn't expire
+
+        bool active;              // false once the offer is canceled
+        Liquidation liquidation;  // oracles used for the collateral ratio, and liquidation details of the resulting loans
+    }
+
+    /// @notice interest terms of loans where interest accrues with time, see requestLoanWithApr
+    struct InterestTerms {
+        uint32 aprBps;               // yearly interest rate in bps, e.g. 1000 = 10% APR, 0 for loans with a fixed repaymentAmount
+        uint64 minInterestDuration;  // interest is charged for at least this many seconds, even if repaid earlier
+    }
+
+    /// @notice interest of an APR loan accrued until its last partial repayment, see _checkpointInterest
+    struct InterestAccrual {
+        uint256 principal;  // part of assetAmount still owed, interest accrues on it from `timestamp`
+        uint256 interest;   // interest accrued until `timestamp`, repaid or not
+        uint64 timestamp;   // timestamp of the last partial repayment, capped to the end of the loan duration
+    }
+
+    /// @notice loan request signed off-chain by the borrower (EIP-712), filled with fillSignedRequest
+    /// @dev createdTimestamp, startTimestamp and status of the loan are ignored, lender can be set to restrict who can fill it
+    struct LoanOrder {
+        Loan loan;                // requested loan, same layout as in requestLoan
+        uint256 nonce;            // borrower nonce, each nonce can be used only once
+        uint256 deadline;         // timestamp after which the order can't be filled
+    }
+
+    /// @notice EIP-2612 permit signed by the owner of the tokens, with LendingP2P as spender
+    struct PermitSignature {
+        uint256 value;            // allowance granted to LendingP2P
+        uint256 deadline;         // timestamp after which the permit can't be used
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                         Events                           */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice emitted when a new loan is requested
+    event LoanRequested(uint256 indexed loanId, address indexed borrower);
+    /// @notice emitted when a loan is canceled
+    event LoanCanceled(uint256 indexed loanId, address indexed borrower);
+    /// @notice emitted when a loan request past its expiry is marked as Expired
+    event LoanExpired(uint256 indexed loanId);
+    /// @notice emitted when the borrower sets the expiry of a loan request
+    event RequestExpiryUpdated(uint256 indexed loanId, uint256 expiresAt);
+    /// @notice emitted when a lender funds a part of a loan request
+    event TrancheFilled(uint256 indexed loanId, address indexed lender, uint256 amount);
+    /// @notice emitted when a lender withdraws its part of a loan request that didn't start
+    event TrancheWithdrawn(uint256 indexed loanId, address indexed lender, uint256 amount);
+    /// @notice emitted when the borrower sets the minimum funded amount with which a loan request can start
+    event MinFundingUpdated(uint256 indexed loanId, uint256 minFunding);
+    /// @notice emitted when a loan request is filled
+    event LoanFilled(uint256 indexed loanId, address indexed borrower, address indexed lender);
+    /// @notice emitted when a loan is repaid
+    event LoanRepaid(uint256 indexed loanId, address indexed borrower, address indexed lender);
+    /// @notice emitted when a part of the loan is repaid
+    event LoanPartiallyRepaid(uint256 indexed loanId, address indexed borrower, address indexed lender, uint256 amount, uint256 outstandingAmount);
+    /// @notice emitted when the borrower adds collateral to an active loan
+    event CollateralAdded(uint256 indexed loanId, address indexed borrower, uint256 amount);
+    /// @notice emitted when a loan is liquidated
+    event LoanLiquidated(uint256 indexed loanId);
+    /// @notice emitted when the borrower of an active loan requests a new loan to refinance it
+    event RefinanceRequested(uint256 indexed loanId, uint256 indexed refinancedLoanId, address indexed borrower);
+    /// @notice emitted when a loan is paid off by a refinance, `newLoanId` is the loan that replaced it
+    event LoanRefinanced(uint256 indexed loanId, uint256 indexed newLoanId, address indexed lender);
+    /// @notice emitted when the lender position NFT of a loan is transferred
+    event LenderTransferred(uint256 indexed loanId, address indexed from, address indexed to);
+    /// @notice emitted when a lender posts a new offer
+    event OfferCreated(uint256 indexed offerId, address indexed lender);
+    /// @notice emitted when an offer is canceled
+    event OfferCanceled(uint256 indexed offerId, address indexed lender);
+    /// @notice emitted when a borrower accepts an offer, followed by LoanFilled for the new loan
+    event OfferAccepted(uint256 indexed offerId, uint256 indexed loanId, address indexed borrower, uint256 assetAmount);
+    /// @notice emitted when a signed loan request is filled, followed by LoanFilled for the new loan
+    event SignedRequestFilled(uint256 indexed loanId, address indexed borrower, uint256 nonce);
+    /// @notice emitted when a borrower cancels a signed loan request
+    event SignedRequestCanceled(address indexed borrower, uint256 nonce);
+    /// @notice emitted when a borrower cancels all signed loan requests below a nonce
+    event MinNonceUpdated(address indexed borrower, uint256 minNonce);
+    /// @notice emitted when the collateral of a liquidatable loan is put up for auction
+    event AuctionStarted(uint256 indexed loanId);
+    /// @notice emitted when the auction of a loan that isn't liquidatable anymore is reset, see LendingP2P.liquidateLoan
+    event AuctionReset(uint256 indexed loanId);
+    /// @notice emitted when the collateral of a loan is bought in an auction, followed by LoanLiquidated
+    event AuctionSettled(uint256 indexed loanId, address indexed buyer, uint256 assetAmount, uint256 collateralAmount, uint256 surplus);
+    /// @notice emitted when protocol earns some revenue
+    event ProtocolRevenue(uint256 indexed loanId, address indexed asset, uint256 amount);
+    /// @notice emitted when fee collector changes
+    event FeeCollectorUpdated(address oldFeeCollector, address newFeeCollector);
+    /// @notice emitted when expiration duration changes
+    event ExpirationDurationUpdated(uint256 oldExpirationDuration, uint256 newExpirationDuration);
+    /// @notice emitted when protocol fee changes
+    event ProtocolFeeUpdated(uint256 oldProtocolFee, uint256 newProtocolFee);
+    /// @notice emitted when liquidator bonus changes
+    event LiquidatorBonusUpdated(uint256 oldLiquidatorBonus, uint256 newLiquidatorBonus);
+    /// @notice emitted when protocol liquidation fee changes
+    event ProtocolLiquidationFeeUpdated(uint256 oldProtocolLiquidationFee, uint256 newProtocolLiquidationFee);
+    /// @notice emitted when max allowed oracle price age changes
+    event MaxOraclePriceAgeUpdated(uint256 oldMaxOraclePriceAge, uint256 newMaxOraclePriceAge);
+    /// @notice emitted when liquidation auction duration changes
+    event AuctionDurationUpdated(uint256 oldAuctionDuration, uint256 newAuctionDuration);
+    /// @notice emitted when liquidation auction max discount changes
+    event AuctionMaxDiscountUpdated(uint256 oldAuctionMaxDiscount, uint256 newAuctionMaxDiscount);
+    /// @notice emitted when the lender positions contract is set
+    event LenderPositionsUpdated(address lenderPositions);
+    /// @notice emitted when the paused actions change
+    event PausedActionsUpdated(uint256 oldPausedActions, uint256 newPausedActions);
+    /// @notice emitted when the guardian changes
+    event GuardianUpdated(address oldGuardian, address newGuardian);
+    /// @notice emitted when the market registry or its enforcement changes
+    event MarketRegistryUpdated(address marketRegistry, bool enforced);
+    /// @notice emitted when the wrapped native token is set
+    event WrappedNativeUpdated(address wrappedNative);
+    /// @notice emitted when a user enables or disables native payouts
+    event NativePayoutsUpdated(address indexed user, bool enabled);
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                     Protocol config                      */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice maximum acceptable age of the oracle price in seconds, afterwards liquidations will revert
+    uint256 public MAX_ORACLE_PRICE_AGE = 1 hours;
+    /// @notice precision factor, used when calculating asset values, to avoid precision loss
+    uint256 public PRECISION_FACTOR = 1e8;
+    /// @notice maximum duration that the loan request can be active
+    uint256 public REQUEST_EXPIRATION_DURATION;
+    /// @notice protocol fee, charged on interest, in bps
+    uint256 public PROTOCOL_FEE;
+    /// @notice fee paid to the liquidator, in bps
+    uint256 public LIQUIDATOR_BONUS_BPS;
+    /// @notice fee paid to the protocol, in bps
+    uint256 public PROTOCOL_LIQUIDATION_FEE;
+    /// @notice duration of liquidation auctions in seconds, 0 if loans are liquidated with a fixed LIQUIDATOR_BONUS_BPS
+    uint256 public AUCTION_DURATION;
+    /// @notice discount on the oracle price of the collateral at the end of a liquidation auction, in bps
+    uint256 public AUCTION_MAX_DISCOUNT_BPS;
+    /// @notice bitmask of the paused actions (PAUSE_REQUESTS, PAUSE_FILLS, PAUSE_LIQUIDATIONS)
+    /// @dev repayments, cancellations and collateral top-ups are never paused, so users can always exit
+    uint256 public PAUSED_ACTIONS;
+
+    /// @notice pauses requestLoan, requestLoanWithApr, requestRefinance and createOffer
+    uint256 public constant PAUSE_REQUESTS = 1;
+    /// @notice pauses fillRequest, fillSignedRequest, acceptOffer, fillTranche and startLoan
+    uint256 public constant PAUSE_FILLS = 2;
+    /// @notice pauses price-based liquidations and auction purchases, defaulted loans can still be liquidated
+    uint256 public constant PAUSE_LIQUIDATIONS = 4;
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                        Variables                         */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice length of all loans
+    uint256 public loanLength;
+    /// @notice mapping of all loans
+    mapping(uint256 => Loan) public loans;
+    /// @notice part of the repaymentAmount already repaid with repayPartial, per loan
+    mapping(uint256 => uint256) public repaidAmounts;
+    /// @notice interest terms of loans requested with requestLoanWithApr, empty for loans with a fixed repaymentAmount
+    mapping(uint256 => InterestTerms) public interestTerms;
+    /// @notice timestamp when the liquidation auction of a loan started, 0 if it wasn't started
+    mapping(uint256 => uint256) public auctionStarts;
+    /// @notice true for loan requests created with requestRefinance
+    mapping(uint256 => bool) public isRefinance;
+    /// @notice loanId of the active loan that a refinance request pays off, only set if isRefinance
+    mapping(uint256 => uint256) public refinancedFrom;
+    /// @notice ERC-721 lender positions, minted when loans become active, not minted if address(0)
+    LenderPositions public lenderPositions;
+    /// @notice registry of curated tokens and oracles, loans are not verified if address(0)
+    MarketRegistry public marketRegistry;
+    /// @notice if true, loans that are not verified by the marketRegistry can't be created
+    bool public enforceMarketRegistry;
+    /// @notice true for loans in markets verified by the marketRegistry when the loan was created
+    mapping(uint256 => bool) public isVerified;
+    /// @notice address that receives the fees
+    address public feeCollector;
+    /// @notice length of all offers
+    uint256 public offerLength;
+    /// @notice mapping of all offers
+    mapping(uint256 => Offer) public offers;
+    /// @notice nonces of signed loan requests that were filled or canceled, per borrower
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+    /// @notice signed loan requests with a lower nonce can't be filled, per borrower
+    mapping(address => uint256) public minNonces;
+    /// @notice ids of the loans of each borrower, see getLoansByBorrower
+    mapping(address => uint256[]) internal borrowerLoanIds;
+    /// @notice ids of the loans each address filled or received the lender position of, see getLoansByLender
+    mapping(address => uint256[]) internal lenderLoanIds;
+    /// @notice expiry of loan requests set by their borrower with setRequestExpiry, 0 if not set
+    mapping(uint256 => uint256) public requestExpiries;
+    /// @notice Merkle root of the lenders allowed to fill each loan request, see requestLoanWithAllowlist. 0 if anyone can fill it
+    mapping(uint256 => bytes32) public lenderRoots;
+    /// @notice asset amount funded with fillTranche, per loan request
+    mapping(uint256 => uint256) public fundedAmounts;
+    /// @notice asset amount funded by each lender with fillTranche, their share of the repayment or collateral
+    mapping(uint256 => mapping(address => uint256)) public trancheAmounts;
+    /// @notice lenders that funded each loan request with fillTranche, see getTranches
+    mapping(uint256 => address[]) internal trancheLenders;
+    /// @notice funded amount from which a loan request can start before it's fully funded, see startLoan. 0 if not set
+    mapping(uint256 => uint256) public minFundings;
+    /// @notice WETH-style wrapper of the native token, used by the *Native functions. native tokens are not supported if address(0)
+    IWETH public wrappedNative;
+    /// @notice users that receive their payouts in wrappedNative as native tokens, see setNativePayouts
+    mapping(address => bool) public nativePayouts;
+    /// @notice part of msg.value wrapped by a *Native function that wasn't spent yet, see _transferFrom
+    uint256 internal nativeBalance;
+    /// @notice address that can pause actions without the owner, see LendingP2P.pauseActions. only the owner can unpause
+    address public guardian;
+    /// @notice true if a loan is in the lender index of an address, so it's only listed once by getLoansByLender
+    mapping(address => mapping(uint256 => bool)) internal isIndexedLender;
+    /// @notice interest accrual of APR loans, only set once they were partially repaid
+    mapping(uint256 => InterestAccrual) public interestAccruals;
+
+    /// @notice maximum number of tranches of a loan request, tranches are at least assetAmount / MAX_TRANCHES
+    uint256 public constant MAX_TRANCHES = 20;
+    /// @notice gas forwarded with native payouts, recipients that need more receive wrappedNative instead
+    uint256 public constant NATIVE_PAYOUT_GAS = 50000;
+
+    /// @notice EIP-712 typehashes of LoanOrder and its nested structs
+    bytes32 public constant LIQUIDATION_TYPEHASH = keccak256(
+        "Liquidation(bool isLiquidatable,uint16 liquidationThreshold,address assetOracle,address collateralOracle)"
+    );
+    bytes32 public constant LOAN_TYPEHASH = keccak256(
+        "Loan(address borrower,address lender,address asset,address collateral,uint256 assetAmount,uint256 repaymentAmount,uint256 collateralAmount,uint64 createdTimestamp,uint64 startTimestamp,uint64 duration,uint8 status,Liquidation liquidation)"
+        "Liquidation(bool isLiquidatable,uint16 liquidationThreshold,address assetOracle,address collateralOracle)"
+    );
+    bytes32 public constant LOAN_ORDER_TYPEHASH = keccak256(
+        "LoanOrder(Loan loan,uint256 nonce,uint256 deadline)"
+        "Liquidation(bool isLiquidatable,uint16 liquidationThreshold,address assetOracle,address collateralOracle)"
+        "Loan(address borrower,address lender,address asset,address collateral,uint256 assetAmount,uint256 repaymentAmount,uint256 collateralAmount,uint64 createdTimestamp,uint64 startTimestamp,uint64 duration,uint8 status,Liquidation liquidation)"
+    );
+
+    constructor() Ownable(msg.sender) EIP712("LendingP2P", "1") {}
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                    Helper Functions                      */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice EIP-712 digest of a signed loan request, as signed by the borrower, see LendingP2P.hashLoanOrder
+    function _hashLoanOrder(LoanOrder calldata order) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(LOAN_ORDER_TYPEHASH, _hashLoan(order.loan), order.nonce, order.deadline)));
+    }
+
+    /// @notice EIP-712 struct hash of a Loan
+    /// @dev encoded in two parts to avoid stack too deep
+    function _hashLoan(Loan calldata loan) internal pure returns (bytes32) {
+        Liquidation calldata liquidation = loan.liquidation;
+        bytes32 liquidationHash = keccak256(abi.encode(
+            LIQUIDATION_TYPEHASH, liquidation.isLiquidatable, liquidation.liquidationThreshold, liquidation.assetOracle, liquidation.collateralOracle
+        ));
+
+        return keccak256(bytes.concat(
+            abi.encode(LOAN_TYPEHASH, loan.borrower, loan.lender, loan.asset, loan.collateral, loan.assetAmount, loan.repaymentAmount),
+            abi.encode(loan.collateralAmount, loan.createdTimestamp, loan.startTimestamp, loan.duration, loan.status, liquidationHash)
+        ));
+    }
+
+    /// @notice checks shared by requestLoan and fillSignedRequest
+    function _validateLoanRequest(Loan memory loan) internal view {
+        require(loan.repaymentAmount > loan.assetAmount, "amount <= repayment");
+        require(loan.asset != loan.collateral, "asset == collateral");
+        // @audit-info: magic number 
+        require(loan.liquidation.liquidationThreshold <= 10000, "liq threshold > max bps");
+
+        //since users can use any address (even non-standard contracts), verify that the decimals function exists
+        // qr it allows decimals to different than 18? yes and it is supported
+        require(IERC20Metadata(loan.asset).decimals() >= 0, "invalid decimals");
+        // qr what happens if decimals mismatch?, nothing wrong, it is supported
+        require(IERC20Metadata(loan.collateral).decimals() >= 0, "invalid decimals");
+
+        if (loan.liquidation.isLiquidatable){
+            _validateOracleDecimals(loan.liquidation.assetOracle, loan.liquidation.collateralOracle);
+        }
+    }
+
+    /// @notice oracles can use different decimals (e.g. 8 decimals chainlink feed and 18 decimals adapter),
+    ///         since prices are normalized in _getValue. decimals() is also used to verify that the oracle exists
+    function _validateOracleDecimals(address assetOracle, address collateralOracle) internal view {
+        require(AggregatorInterface(assetOracle).decimals() <= 18, "oracle decimals > 18");
+        require(AggregatorInterface(collateralOracle).decimals() <= 18, "oracle decimals > 18");
+    }
+
+    /// @notice internal helper function used to get the expiry of a loan request, see LendingP2P.getRequestExpiry
+    /// @dev the expiry set by the borrower, capped to createdTimestamp + REQUEST_EXPIRATION_DURATION
+    function _requestExpiry(uint256 loanId) internal view returns (uint256) {
+        uint256 maxExpiry = loans[loanId].createdTimestamp + REQUEST_EXPIRATION_DURATION;
+        uint256 expiry = requestExpiries[loanId];
+
+        return expiry != 0 && expiry < maxExpiry ? expiry : maxExpiry;
+    }
+
+    /// @notice internal helper function used to get the amount that still has to be repaid, see LendingP2P.getOutstandingAmount
+    function _outstandingAmount(uint256 loanId) internal view returns (uint256) {
+        return _repaymentAmount(loanId) - repaidAmounts[loanId];
+    }
+
+    /// @notice internal helper function used to get the total amount to repay if the loan is repaid now, see LendingP2P.getRepaymentAmount
+    /// @dev same as repaymentAmount, except for active loans with an APR, where interest accrues linearly on the principal
+    ///      still owed from startTimestamp until the end of the loan duration. the interest charged is at least the interest
+    ///      of assetAmount over minInterestDuration
+    function _repaymentAmount(uint256 loanId) internal view returns (uint256) {
+        Loan storage _loan = loans[loanId];
+        InterestTerms memory terms = interestTerms[loanId];
+
+        if (terms.aprBps == 0 || _loan.status != Status.Active){
+            return _loan.repaymentAmount;
+        }
+
+        (, uint256 interest) = _accrual(loanId);
+
+        return _loan.assetAmount + Math.max(interest, _accruedInterest(_loan.assetAmount, terms.aprBps, terms.minInterestDuration));
+    }
+
+    /// @notice internal helper function used to get the principal still owed on an active APR loan, and the interest accrued on it until now
+    /// @dev interest stops accruing at the end of the loan duration
+    function _accrual(uint256 loanId) internal view returns (uint256 principal, uint256 interest) {
+        Loan storage _loan = loans[loanId];
+        InterestAccrual memory accrual = interestAccruals[loanId];
+
+        if (accrual.timestamp == 0){
+            accrual = InterestAccrual({ principal: _loan.assetAmount, interest: 0, timestamp: _loan.startTimestamp });
+        }
+
+        uint256 elapsed = Math.min(block.timestamp, _loan.startTimestamp + _loan.duration) - accrual.timestamp;
+
+        return (accrual.principal, accrual.interest + _accruedInterest(accrual.principal, interestTerms[loanId].aprBps, elapsed));
+    }
+
+    /// @notice internal helper function used to checkpoint the interest of an APR loan after a partial repayment, see LendingP2P.repayPartial
+    /// @dev repayments pay the accrued interest first, the rest reduces the principal that interest accrues on
+    /// @param repaidAmount total amount repaid, including the partial repayment
+    function _checkpointInterest(uint256 loanId, uint256 repaidAmount) internal {
+        if (interestTerms[loanId].aprBps == 0) return;
+
+        Loan storage _loan = loans[loanId];
+        (uint256 principal, uint256 interest) = _accrual(loanId);
+
+        uint256 owed = _loan.assetAmount + interest;
+        interestAccruals[loanId] = InterestAccrual({
+            principal: Math.min(principal, owed > repaidAmount ? owed - repaidAmount : 0),
+            interest: interest,
+            timestamp: uint64(Math.min(block.timestamp, _loan.startTimestamp + _loan.duration))
+        });
+    }
+
+    /// @notice interest accrued on `amount` over `elapsed` seconds, with a yearly rate of `aprBps`
+    function _accruedInterest(uint256 amount, uint256 aprBps, uint256 elapsed) internal pure returns (uint256) {
+        return Math.mulDiv(amount, aprBps * elapsed, 10000 * 365 days);
+    }
+
+    /// @notice value of `amount` of `token`, in the oracle quote currency, scaled by PRECISION_FACTOR
+    /// @dev reverts if the oracle price is not positive, or older than MAX_ORACLE_PRICE_AGE
+    function _getValue(address token, address oracle, uint256 amount, string memory staleMessage) internal view returns (uint256) {
+        (, int256 price, , uint256 priceUpdatedAt,) = AggregatorInterface(oracle).latestRoundData();
+
+        require(price > 0, "invalid oracle price");
+        require(MAX_ORACLE_PRICE_AGE > block.timestamp - priceUpdatedAt, staleMessage);
+
+        return _valueAtPrice(token, oracle, amount, uint256(price));
+    }
+
+    /// @notice value of `amount` of `token` at `price`, a price of `oracle`, see _getValue
+    function _valueAtPrice(address token, address oracle, uint256 amount, uint256 price) internal view returns (uint256) {
+        //users are expected to use only standard ERC20Metadata tokens that include decimals()
+        uint8 decimals = IERC20Metadata(token).decimals();
+        uint8 oracleDecimals = AggregatorInterface(oracle).decimals();
+
+        //prices are normalized to 8 decimals (chainlink usd feeds), so values from oracles with different decimals can be compared
+        //mulDiv keeps the full 512 bit product, so 18 decimals prices don't overflow for large amounts
+        // q 1e8 * 5e18 * 1000e12 / 1e18 = 5000e20
+        // q 1e8 * 1e16 * 1e12 / 1e24 = 1e16
+        // q 1e8 * 1e6 * 1e12 / 1e6 = 1e20    
+        return Math.mulDiv(PRECISION_FACTOR * amount, price * 1e8, 10 ** (uint256(decimals) + oracleDecimals));
+    }
+
+    /// @notice same as _valueAtPrice, but returns false instead of reverting when a step of the normalization overflows
+    /// @dev e.g. for prices near the top of the int256 range, or tokens and oracles with very large decimals
+    function _tryValueAtPrice(address token, address oracle, uint256 amount, uint256 price) internal view returns (bool, uint256) {
+        uint256 exponent = uint256(IERC20Metadata(token).decimals()) + AggregatorInterface(oracle).decimals();
+        (bool amountValid, uint256 scaledAmount) = Math.tryMul(PRECISION_FACTOR, amount);
+        (bool priceValid, uint256 scaledPrice) = Math.tryMul(price, 1e8);
+
+        //10 ** 78 doesn't fit in uint256
+        if (!amountValid || !priceValid || exponent > 77) return (false, 0);
+
+        uint256 denominator = 10 ** exponent;
+        unchecked {
+            //high 256 bits of the 512 bit product, mulDiv overflows if they are not lower than the denominator
+            uint256 low = scaledAmount * scaledPrice;
+            uint256 mm = mulmod(scaledAmount, scaledPrice, type(uint256).max);
+            uint256 high = mm - low - (mm < low ? 1 : 0);
+            if (high >= denominator) return (false, 0);
+        }
+
+        return (true, Math.mulDiv(scaledAmount, scaledPrice, denominator));
+    }
+
+    /// @notice internal helper function used to transfer `amount` of `token` approved by `from` to this contract
+    /// @dev checks the balance delta: loans and tranches record `amount`, so fee-on-transfer tokens that deliver less are rejected,
+    ///      otherwise the difference would be paid out of the tokens held for other loans.
+    ///      rebasing tokens are not supported: their balance changes without transfers, which this check can't see
+    function _pull(address token, address from, uint256 amount) internal {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(from, address(this), amount);
+        require(IERC20(token).balanceOf(address(this)) - balance == amount, "fee-on-transfer token");
+    }
+
+    /// @notice internal helper function used to pay `amount` of `token` from `from` to the lender of a loan
+    /// @dev loans funded with fillTranche are paid to each tranche lender pro-rata to its share, the last one gets the rounding
+    function _payLender(uint256 loanId, address lender, address token, address from, uint256 amount) internal {
+        address[] memory lenders = trancheLenders[loanId];
+        if (lenders.length == 0){
+            _transferFrom(token, from, lender, amount);
+            return;
+        }
+
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < lenders.length; i++){
+            uint256 share = i == lenders.length - 1 ? remaining : amount * trancheAmounts[loanId][lenders[i]] / fundedAmounts[loanId];
+            remaining -= share;
+            _transferFrom(token, from, lenders[i], share);
+        }
+    }
+
+    /// @notice internal helper function used to transfer tokens held by this contract, or approved by `from`
+    /// @dev in *Native functions, wrappedNative owed by the sender is paid from msg.value, see _wrapNative.
+    ///      wrappedNative sent to users with nativePayouts is unwrapped, see _sendNative. transfers to this contract use _pull
+    function _transferFrom(address token, address from, address to, uint256 amount) internal {
+        if (token == address(wrappedNative)){
+            if (from == msg.sender && nativeBalance != 0){
+                require(nativeBalance >= amount, "msg.value < amount");
+                nativeBalance -= amount;
+                from = address(this);
+            }
+            if (nativePayouts[to]){
+                if (from != address(this)) IERC20(token).safeTransferFrom(from, address(this), amount);
+                if (_sendNative(to, amount)) return;
+                from = address(this);
+            }
+        }
+
+        if (from == address(this)){
+            IERC20(token).safeTransfer(to, amount);
+        } else if (to == address(this)){
+            _pull(token, from, amount);
+        } else {
+            IERC20(token).safeTransferFrom(from, to, amount);
+        }
+    }
+
+    /// @notice internal helper function used to wrap msg.value, which is then spent by _transferFrom instead of the sender's `token`
+    function _wrapNative(address token) internal {
+        require(token == address(wrappedNative) && token != address(0), "not wrapped native");
+
+        wrappedNative.deposit{value: msg.value}();
+        nativeBalance = msg.value;
+    }
+
+    /// @notice internal helper function used to refund the part of msg.value that wasn't spent, see _wrapNative
+    function _refundNative() internal {
+        uint256 refund = nativeBalance;
+        nativeBalance = 0;
+
+        if (refund > 0){
+            require(_sendNative(msg.sender, refund), "refund failed");
+        }
+    }
+
+    /// @notice internal helper function used to unwrap `amount` of wrappedNative held by this contract and send it to `to`
+    /// @dev gas is capped at NATIVE_PAYOUT_GAS and the return data is ignored, so the recipient can't make the call revert.
+    ///      if the recipient rejects it, it's wrapped again and false is returned
+    function _sendNative(address to, uint256 amount) internal returns (bool success) {
+        wrappedNative.withdraw(amount);
+        assembly {
+            success := call(NATIVE_PAYOUT_GAS, to, amount, 0, 0, 0, 0)
+        }
+        if (!success) wrappedNative.deposit{value: amount}();
+    }
+
+    /// @notice protocol fee charged once `repaidAmount` of `repaymentAmount` has been repaid
+    /// @dev fee is charged on the interest part of each repayment, pro-rata to repaymentAmount
+    function _protocolFee(Loan memory _loan, uint256 repaymentAmount, uint256 repaidAmount) internal view returns (uint256) {
+        uint256 interest = repaymentAmount - _loan.assetAmount;
+        return Math.mulDiv(interest, repaidAmount, repaymentAmount) * PROTOCOL_FEE / 10000;
+    }
+
+    /// @notice internal helper function used to reset the auction of a loan that isn't liquidatable anymore
+    /// @dev e.g. after its price recovered, or collateral was added. if it becomes liquidatable again, liquidateLoan starts a new auction.
+    ///      while an auction runs, _isLoanLiquidatable is checked, so a stale oracle makes the caller revert
+    function _resetAuction(uint256 loanId) internal {
+        if (auctionStarts[loanId] != 0 && !_isLoanLiquidatable(loanId)){
+            delete auctionStarts[loanId];
+            emit AuctionReset(loanId);
+        }
+    }
+
+    /// @notice internal helper function used to store a new loan request
+    function _requestLoan(Loan memory loan) internal returns (uint256) {
+        _requireNotPaused(PAUSE_REQUESTS);
+        require(loan.borrower == msg.sender, "borrower != msg.sender");
+        _validateLoanRequest(loan);
+
+        loan.createdTimestamp = uint64(block.timestamp);
+        loan.startTimestamp = 0;
+        loan.status = Status.Pending;
+
+        _verifyMarket(loanLength, loan);
+        loans[loanLength] = loan;
+        borrowerLoanIds[loan.borrower].push(loanLength);
+        loanLength += 1;
+
+        emit LoanRequested(loanLength - 1, msg.sender);
+
+        return loanLength - 1;
+    }
+
+    /// @notice internal helper function used to set the expiry of a pending loan request, see LendingP2PExtension.setRequestExpiry
+    function _setRequestExpiry(uint256 loanId, uint256 expiresAt) internal {
+        require(expiresAt > block.timestamp, "invalid expiry");
+        require(expiresAt <= loans[loanId].createdTimestamp + REQUEST_EXPIRATION_DURATION, "expiry > max");
+
+        requestExpiries[loanId] = expiresAt;
+
+        emit RequestExpiryUpdated(loanId, expiresAt);
+    }
+
+    /// @notice internal helper function used to add a loan to the lender index of `lender`, unless it's already in it
+    function _indexLender(address lender, uint256 loanId) internal {
+        if (!isIndexedLender[lender][loanId]){
+            isIndexedLender[lender][loanId] = true;
+            lenderLoanIds[lender].push(loanId);
+        }
+    }
+
+    /// @notice internal helper function used to revert if `action` is paused
+    function _requireNotPaused(uint256 action) internal view {
+        require(PAUSED_ACTIONS & action == 0, "action paused");
+    }
+
+    /// @notice internal helper function used to mark loans in markets listed by the marketRegistry as verified
+    /// @dev reverts for the other loans if the registry is enforced
+    function _verifyMarket(uint256 loanId, Loan memory loan) internal {
+        if (address(marketRegistry) == address(0)) return;
+
+        bool verified = marketRegistry.isVerifiedLoan(abi.encode(loan));
+        require(verified || !enforceMarketRegistry, "unverified market");
+
+        isVerified[loanId] = verified;
+    }
+
+    /// @notice internal helper function used to revert if the sender can't fill the loan request
+    /// @dev requests with a lender only accept this lender, requests with an allowlist only the lenders with a valid proof
+    function _requireAllowedLender(uint256 loanId, address lender, bytes32[] memory proof) internal view {
+        require(lender == address(0) || lender == msg.sender, "sender != lender");
+        require(
+            lenderRoots[loanId] == bytes32(0) ||
+            MerkleProof.verify(proof, lenderRoots[loanId], keccak256(bytes.concat(keccak256(abi.encode(msg.sender))))),
+            "lender not allowed"
+        );
+    }
+
+    /// @notice internal helper function used to mint the lender position of a loan that became active
+    function _mintPosition(address lender, uint256 loanId) internal {
+        if (address(lenderPositions) != address(0)){
+            lenderPositions.mint(lender, loanId);
+        }
+    }
+
+    // qr it shouldn't be an internal function ? actually I am not sure, maybe it only have a bad naming convention
+    function _isLoanLiquidatable(uint256 loanId) public view returns (bool) {
+        Loan memory _loan = loans[loanId];
+
+        //loan is not active
+        if (_loan.status != Status.Active){
+            return false;
+        }
+
+        //defaulted loan
+        if (block.timestamp > _loan.startTimestamp + _loan.duration){
+            return true;
+        }
+
+        if (_loan.liquidation.isLiquidatable){
+            //users are expected to verify that assetOracle and collateralOracle are not malicious contracts before filling loan request
+            //partial repayments reduce the debt pro-rata to the repayment amount
+            uint256 debtAmount = Math.mulDiv(_loan.assetAmount, _outstandingAmount(loanId), _repaymentAmount(loanId));
+            uint256 loanValueUsd = _getValue(_loan.asset, _loan.liquidation.assetOracle, debtAmount, "stale asset oracle");
+            uint256 collateralValueUsd = _getValue(_loan.collateral, _loan.liquidation.collateralOracle, _loan.collateralAmount, "stale collateral oracle");
+            // @audit-info: magic number , it should be LIQUIDATION_THRESHOLD_PRECISION_FACTOR
+            
+            return (loanValueUsd > (collateralValueUsd * _loan.liquidation.liquidationThreshold / 10000));
+        } 
+
+        return false;
+    }
+}
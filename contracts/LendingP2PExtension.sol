@@ -0,0 +1,399 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+import { SignatureChecker } from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+import { LendingP2PCore } from './LendingP2PCore.sol';
+
+/**
+ * @title  LendingP2PExtension
+ * @author HyperLend developers
+ * @notice Signed, allowlist, APR and refinance requests, cancellations, offers, tranches, request expiry, lender position transfers,
+ *         batches and native payout settings of LendingP2P.
+ * @dev only meant to be delegatecalled by LendingP2P, which declares the same functions and receives its address in its constructor.
+ *      it runs on the storage of LendingP2P, so msg.sender, balances and events are the ones of LendingP2P.
+ */
+contract LendingP2PExtension is LendingP2PCore {
+    using SafeERC20 for IERC20;
+
+    /// @notice function used to request a new loan that only the lenders of an allowlist can fill, see fillRequestWithProof
+    /// @param lenderRoot Merkle root of the allowed lenders, leaves are keccak256(bytes.concat(keccak256(abi.encode(lender))))
+    /// @param expiresAt expiry of the request, see LendingP2P.requestLoanWithExpiry. 0 keeps the default expiry
+    function requestLoanWithAllowlist(bytes memory _encodedLoan, bytes32 lenderRoot, uint256 expiresAt) external nonReentrant {
+        require(lenderRoot != bytes32(0), "invalid allowlist");
+
+        uint256 loanId = _requestLoan(abi.decode(_encodedLoan, (Loan)));
+        lenderRoots[loanId] = lenderRoot;
+        if (expiresAt != 0) _setRequestExpiry(loanId, expiresAt);
+    }
+
+    /// @notice function used to request a new loan where interest accrues with time, instead of a fixed repaymentAmount
+    /// @dev repaymentAmount of the encoded loan is ignored, and set to the amount owed at the end of the loan duration
+    /// @dev interest accrues linearly from the fill until the loan duration, see LendingP2P.getRepaymentAmount
+    /// @param expiresAt expiry of the request, see LendingP2P.requestLoanWithExpiry. 0 keeps the default expiry
+    function requestLoanWithApr(bytes memory _encodedLoan, InterestTerms calldata terms, uint256 expiresAt) external nonReentrant {
+        Loan memory loan = abi.decode(_encodedLoan, (Loan));
+
+        require(terms.aprBps > 0, "apr == 0");
+        require(terms.minInterestDuration <= loan.duration, "min interest > duration");
+
+        loan.repaymentAmount = loan.assetAmount + _accruedInterest(loan.assetAmount, terms.aprBps, loan.duration);
+        uint256 loanId = _requestLoan(loan);
+        interestTerms[loanId] = terms;
+        if (expiresAt != 0) _setRequestExpiry(loanId, expiresAt);
+    }
+
+    /// @notice function used by the borrower of an active loan to request a new loan that pays it off, see fillRequest
+    /// @dev the new loan has to use the same asset and collateral, the collateral stays in the contract
+    /// @dev if collateralAmount of the new loan differs, the difference is pulled from or returned to the borrower when filled
+    function requestRefinance(uint256 loanId, bytes memory _encodedLoan) external nonReentrant {
+        Loan memory _loan = loans[loanId];
+        Loan memory loan = abi.decode(_encodedLoan, (Loan));
+
+        require(_loan.status == Status.Active, "invalid status");
+        require(_loan.borrower == msg.sender, "sender != borrower");
+        require(loan.asset == _loan.asset && loan.collateral == _loan.collateral, "token mismatch");
+
+        uint256 newLoanId = _requestLoan(loan);
+        isRefinance[newLoanId] = true;
+        refinancedFrom[newLoanId] = loanId;
+
+        emit RefinanceRequested(newLoanId, loanId, msg.sender);
+    }
+
+    /// @notice function used to cancel an unfilled loan
+    function cancelLoan(uint256 loanId) external nonReentrant {
+        require(loans[loanId].status == Status.Pending, "invalid status");
+        // qr REQUEST_EXPIRATION_DURATION is the maximum duration that the loan request can be active. Based on the below logic after 
+        // that time has passed, the loan request can't be canceled.
+        // r , yes it can't be canceled after REQUEST_EXPIRATION_DURATION, anyone can mark it as Expired instead, see expireRequests
+        require(_requestExpiry(loanId) > block.timestamp, "already expired");
+        require(loans[loanId].borrower == msg.sender, "sender != borrower");
+
+        loans[loanId].status = Status.Canceled;
+
+        emit LoanCanceled(loanId, msg.sender);
+    }
+
+    /// @notice function used to fill a loan request signed off-chain by the borrower, without a prior requestLoan
+    /// @dev the borrower has to approve the collateral before the order can be filled
+    /// @param signature EIP-712 signature of hashLoanOrder(order), ERC-1271 signatures are supported for contract borrowers
+    function fillSignedRequest(LoanOrder calldata order, bytes calldata signature) external nonReentrant returns (uint256) {
+        _requireNotPaused(PAUSE_FILLS);
+        Loan memory loan = order.loan;
+
+        require(order.deadline >= block.timestamp, "already expired");
+        require(loan.lender == address(0) || loan.lender == msg.sender, "sender != lender");
+        require(order.nonce >= minNonces[loan.borrower], "nonce too low");
+        require(!usedNonces[loan.borrower][order.nonce], "nonce already used");
+        require(SignatureChecker.isValidSignatureNow(loan.borrower, _hashLoanOrder(order), signature), "invalid signature");
+
+        _validateLoanRequest(loan);
+
+        usedNonces[loan.borrower][order.nonce] = true;
+
+        loan.lender = msg.sender;
+        loan.createdTimestamp = uint64(block.timestamp);
+        loan.startTimestamp = uint64(block.timestamp);
+        loan.status = Status.Active;
+
+        uint256 loanId = loanLength;
+        loans[loanId] = loan;
+        borrowerLoanIds[loan.borrower].push(loanId);
+        _indexLender(msg.sender, loanId);
+        loanLength += 1;
+        _verifyMarket(loanId, loan);
+
+        if (loan.liquidation.isLiquidatable){
+            require(!_isLoanLiquidatable(loanId), "instantly liquidatable"); //make sure it can't be instantly liquidated
+        }
+
+        _pull(loan.collateral, loan.borrower, loan.collateralAmount);
+        _transferFrom(loan.asset, msg.sender, loan.borrower, loan.assetAmount);
+        _mintPosition(msg.sender, loanId);
+
+        emit SignedRequestFilled(loanId, loan.borrower, order.nonce);
+        emit LoanFilled(loanId, loan.borrower, msg.sender);
+
+        return loanId;
+    }
+
+    /// @notice function used to cancel a signed loan request, before it's filled
+    function cancelSignedRequest(uint256 nonce) external {
+        require(!usedNonces[msg.sender][nonce], "nonce already used");
+
+        usedNonces[msg.sender][nonce] = true;
+
+        emit SignedRequestCanceled(msg.sender, nonce);
+    }
+
+    /// @notice function used to cancel all signed loan requests with a nonce lower than `minNonce`
+    function cancelSignedRequestsBelow(uint256 minNonce) external {
+        require(minNonce > minNonces[msg.sender], "nonce too low");
+
+        minNonces[msg.sender] = minNonce;
+
+        emit MinNonceUpdated(msg.sender, minNonce);
+    }
+
+    /// @notice function used by lenders to post a standing loan offer
+    /// @dev lender's funds are pulled only when the offer is accepted, so the lender has to keep an allowance for availableAmount
+    function createOffer(bytes memory _encodedOffer) external nonReentrant {
+        _requireNotPaused(PAUSE_REQUESTS);
+        Offer memory offer = abi.decode(_encodedOffer, (Offer));
+
+        require(offer.lender == msg.sender, "lender != msg.sender");
+        require(offer.asset != offer.collateral, "asset == collateral");
+        require(offer.availableAmount > 0, "amount == 0");
+        require(offer.interestBps > 0, "interest == 0");
+        require(offer.liquidation.liquidationThreshold <= 10000, "liq threshold > max bps");
+        require(offer.expiration == 0 || offer.expiration > block.timestamp, "already expired");
+
+        require(IERC20Metadata(offer.asset).decimals() >= 0, "invalid decimals");
+        require(IERC20Metadata(offer.collateral).decimals() >= 0, "invalid decimals");
+
+        //oracles are always needed to check the collateral ratio when accepting
+        _validateOracleDecimals(offer.liquidation.assetOracle, offer.liquidation.collateralOracle);
+
+        offer.active = true;
+
+        offers[offerLength] = offer;
+        offerLength += 1;
+
+        emit OfferCreated(offerLength - 1, msg.sender);
+    }
+
+    /// @notice function used to cancel an offer
+    function cancelOffer(uint256 offerId) external nonReentrant {
+        require(offers[offerId].active, "invalid status");
+        require(offers[offerId].lender == msg.sender, "sender != lender");
+
+        offers[offerId].active = false;
+
+        emit OfferCanceled(offerId, msg.sender);
+    }
+
+    /// @notice function used by borrowers to accept an offer, creating a new active loan
+    /// @param assetAmount amount of the asset to borrow, at most offer.availableAmount
+    /// @param collateralAmount amount of the collateral to pledge, its value has to be at least offer.collateralRatio of the loan value
+    function acceptOffer(uint256 offerId, uint256 assetAmount, uint256 collateralAmount) external nonReentrant returns (uint256) {
+        _requireNotPaused(PAUSE_FILLS);
+        Offer memory _offer = offers[offerId];
+
+        require(_offer.active, "invalid status");
+        require(_offer.expiration == 0 || _offer.expiration > block.timestamp, "already expired");
+        require(assetAmount > 0, "amount == 0");
+        require(assetAmount <= _offer.availableAmount, "amount > available");
+
+        uint256 loanValue = _getValue(_offer.asset, _offer.liquidation.assetOracle, assetAmount, "stale asset oracle");
+        uint256 collateralValue = _getValue(_offer.collateral, _offer.liquidation.collateralOracle, collateralAmount, "stale collateral oracle");
+        require(collateralValue * 10000 >= loanValue * _offer.collateralRatio, "insufficient collateral");
+
+        offers[offerId].availableAmount = _offer.availableAmount - assetAmount;
+
+        uint256 loanId = loanLength;
+        loans[loanId] = Loan({
+            borrower: msg.sender,
+            lender: _offer.lender,
+            asset: _offer.asset,
+            collateral: _offer.collateral,
+            assetAmount: assetAmount,
+            repaymentAmount: assetAmount + assetAmount * _offer.interestBps / 10000,
+            collateralAmount: collateralAmount,
+            createdTimestamp: uint64(block.timestamp),
+            startTimestamp: uint64(block.timestamp),
+            duration: _offer.duration,
+            status: Status.Active,
+            liquidation: _offer.liquidation
+        });
+        borrowerLoanIds[msg.sender].push(loanId);
+        _indexLender(_offer.lender, loanId);
+        loanLength += 1;
+        _verifyMarket(loanId, loans[loanId]);
+
+        require(loans[loanId].repaymentAmount > assetAmount, "amount <= repayment");
+        if (_offer.liquidation.isLiquidatable){
+            require(!_isLoanLiquidatable(loanId), "instantly liquidatable"); //make sure it can't be instantly liquidated
+        }
+
+        _pull(_offer.collateral, msg.sender, collateralAmount);
+        _transferFrom(_offer.asset, _offer.lender, msg.sender, assetAmount);
+        _mintPosition(_offer.lender, loanId);
+
+        emit OfferAccepted(offerId, loanId, msg.sender, assetAmount);
+        emit LoanFilled(loanId, msg.sender, _offer.lender);
+
+        return loanId;
+    }
+
+    /// @notice function called by lenderPositions when a position is transferred, the new owner becomes the lender of the loan
+    /// @dev repayments and liquidations of the loan are paid to the new lender from then on
+    function transferLender(uint256 loanId, address to) external nonReentrant {
+        require(msg.sender == address(lenderPositions), "sender != positions");
+
+        emit LenderTransferred(loanId, loans[loanId].lender, to);
+
+        loans[loanId].lender = to;
+        _indexLender(to, loanId);
+    }
+
+    /// @notice function used by lenders to fund a part of a loan request, the loan starts once it's fully funded
+    /// @dev the asset is held by this contract until the loan starts, see startLoan, or withdrawn with withdrawTranche if it doesn't.
+    ///      tranches are at least assetAmount / MAX_TRANCHES, except the one completing the request
+    /// @param proof Merkle proof of the sender for requests with an allowlist, see requestLoanWithAllowlist
+    function fillTranche(uint256 loanId, uint256 amount, bytes32[] calldata proof) external nonReentrant {
+        _requireNotPaused(PAUSE_FILLS);
+        Loan memory _loan = loans[loanId];
+
+        require(_loan.status == Status.Pending, "invalid status");
+        require(_requestExpiry(loanId) > block.timestamp, "already expired");
+        require(!isRefinance[loanId], "refinance request");
+        _requireAllowedLender(loanId, _loan.lender, proof);
+
+        uint256 remaining = _loan.assetAmount - fundedAmounts[loanId];
+        require(amount > 0, "amount == 0");
+        require(amount <= remaining, "amount > available");
+        require(amount == remaining || amount >= _loan.assetAmount / MAX_TRANCHES, "tranche too small");
+
+        if (trancheAmounts[loanId][msg.sender] == 0){
+            trancheLenders[loanId].push(msg.sender);
+            _indexLender(msg.sender, loanId);
+        }
+        trancheAmounts[loanId][msg.sender] += amount;
+        fundedAmounts[loanId] += amount;
+
+        _pull(_loan.asset, msg.sender, amount);
+
+        emit TrancheFilled(loanId, msg.sender, amount);
+
+        if (amount == remaining){
+            _startLoan(loanId);
+        }
+    }
+
+    /// @notice function used to start a loan request that reached the minimum funding set by the borrower, callable by anyone
+    /// @dev the loan terms are scaled down to the funded amount, see _startLoan
+    function startLoan(uint256 loanId) external nonReentrant {
+        _requireNotPaused(PAUSE_FILLS);
+
+        require(loans[loanId].status == Status.Pending, "invalid status");
+        require(_requestExpiry(loanId) > block.timestamp, "already expired");
+        require(minFundings[loanId] != 0 && fundedAmounts[loanId] >= minFundings[loanId], "insufficient funding");
+
+        _startLoan(loanId);
+    }
+
+    /// @notice function used by the borrower to let a loan request start with startLoan once `minFunding` is funded, 0 to disable it
+    function setMinFunding(uint256 loanId, uint256 minFunding) external {
+        Loan storage _loan = loans[loanId];
+
+        require(_loan.status == Status.Pending, "invalid status");
+        require(_loan.borrower == msg.sender, "sender != borrower");
+        require(minFunding <= _loan.assetAmount, "amount > available");
+
+        minFundings[loanId] = minFunding;
+
+        emit MinFundingUpdated(loanId, minFunding);
+    }
+
+    /// @notice function used by lenders to withdraw the asset they funded, once the loan request is canceled or expired
+    /// @return amount withdrawn
+    function withdrawTranche(uint256 loanId) external nonReentrant returns (uint256 amount) {
+        Status status = loans[loanId].status;
+        bool expired = status == Status.Pending && _requestExpiry(loanId) <= block.timestamp;
+        require(status == Status.Canceled || status == Status.Expired || expired, "invalid status");
+
+        amount = trancheAmounts[loanId][msg.sender];
+        require(amount > 0, "amount == 0");
+
+        trancheAmounts[loanId][msg.sender] = 0;
+        fundedAmounts[loanId] -= amount;
+
+        _transferFrom(loans[loanId].asset, address(this), msg.sender, amount);
+
+        emit TrancheWithdrawn(loanId, msg.sender, amount);
+    }
+
+    /// @notice function used by the borrower to set the expiry of a pending loan request
+    /// @dev the request can be filled or canceled until `expiresAt`, which can't be later than createdTimestamp + REQUEST_EXPIRATION_DURATION.
+    ///      it can be changed again until the request expires
+    function setRequestExpiry(uint256 loanId, uint256 expiresAt) external {
+        Loan storage _loan = loans[loanId];
+
+        require(_loan.status == Status.Pending, "invalid status");
+        require(_loan.borrower == msg.sender, "sender != borrower");
+        require(_requestExpiry(loanId) > block.timestamp, "already expired");
+
+        _setRequestExpiry(loanId, expiresAt);
+    }
+
+    /// @notice function used to mark loan requests past their expiry as Expired, callable by anyone
+    /// @dev other loans (not pending, not expired yet, or not created) are skipped, so a list can be cleaned up at once
+    /// @return expired number of requests marked as Expired
+    function expireRequests(uint256[] calldata loanIds) external returns (uint256 expired) {
+        for (uint256 i = 0; i < loanIds.length; i++){
+            uint256 loanId = loanIds[i];
+            if (loanId >= loanLength || loans[loanId].status != Status.Pending || _requestExpiry(loanId) > block.timestamp){
+                continue;
+            }
+
+            loans[loanId].status = Status.Expired;
+            expired += 1;
+
+            emit LoanExpired(loanId);
+        }
+    }
+
+    /// @notice function used to receive payouts in wrappedNative (repayments, returned collateral, liquidations) as native tokens
+    /// @dev if a native payout to the sender fails, e.g. a contract without receive(), it gets wrappedNative instead
+    function setNativePayouts(bool enabled) external {
+        nativePayouts[msg.sender] = enabled;
+
+        emit NativePayoutsUpdated(msg.sender, enabled);
+    }
+
+    /// @notice function used to make several calls to this contract in one transaction, e.g. fill, liquidate or cancel a list of loans
+    /// @dev calls are delegatecalls to this contract, so msg.sender is kept. failed calls (e.g. loans that were filled in the meantime)
+    ///      are skipped instead of reverting the whole batch
+    /// @return successes of each call, and its return data, or revert data if it failed
+    function tryMulticall(bytes[] calldata calls) external returns (bool[] memory successes, bytes[] memory results) {
+        successes = new bool[](calls.length);
+        results = new bytes[](calls.length);
+
+        for (uint256 i = 0; i < calls.length; i++){
+            (successes[i], results[i]) = address(this).delegatecall(calls[i]);
+        }
+    }
+
+    /// @notice internal helper function used to start a loan request funded with fillTranche
+    /// @dev if it's not fully funded, assetAmount becomes the funded amount and repaymentAmount and collateralAmount are scaled
+    ///      down pro-rata, rounding the collateral up. the lender of the loan is this contract, repayments and liquidations are
+    ///      paid to the tranche lenders, and no lender position is minted
+    function _startLoan(uint256 loanId) internal {
+        Loan memory _loan = loans[loanId];
+        uint256 funded = fundedAmounts[loanId];
+
+        if (funded < _loan.assetAmount){
+            _loan.repaymentAmount = Math.mulDiv(_loan.repaymentAmount, funded, _loan.assetAmount);
+            _loan.collateralAmount = Math.mulDiv(_loan.collateralAmount, funded, _loan.assetAmount, Math.Rounding.Ceil);
+            _loan.assetAmount = funded;
+        }
+        _loan.lender = address(this);
+        _loan.startTimestamp = uint64(block.timestamp);
+        _loan.status = Status.Active;
+        loans[loanId] = _loan;
+
+        if (_loan.liquidation.isLiquidatable){
+            require(!_isLoanLiquidatable(loanId), "instantly liquidatable"); //make sure it can't be instantly liquidated
+        }
+
+        _pull(_loan.collateral, _loan.borrower, _loan.collateralAmount);
+        _transferFrom(_loan.asset, address(this), _loan.borrower, funded);
+
+        emit LoanFilled(loanId, _loan.borrower, address(this));
+    }
+}
@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { IWETH } from './dependencies/IWETH.sol';
+import { LenderPositions } from './LenderPositions.sol';
+import { LendingP2PCore } from './LendingP2PCore.sol';
+import { MarketRegistry } from './MarketRegistry.sol';
+
+/**
+ * @title  LendingP2PManager
+ * @author HyperLend developers
+ * @notice Partial repayments and collateral top-ups of active loans, and admin functions of LendingP2P: fees, risk params,
+ *         lender positions, market registry, wrapped native token and pauses.
+ * @dev only meant to be delegatecalled by LendingP2P, like LendingP2PExtension. it runs on the storage of LendingP2P,
+ *      so owner(), msg.sender, balances and events are the ones of LendingP2P.
+ */
+contract LendingP2PManager is LendingP2PCore {
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                      Active Loans                        */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice function used to repay a part of a loan
+    /// @dev protocol fee is charged on the interest part of `amount`, pro-rata to the current repayment amount
+    /// @dev the last part has to be repaid with repayLoan, which also returns the collateral
+    function repayPartial(uint256 loanId, uint256 amount) external nonReentrant {
+        Loan memory _loan = loans[loanId];
+
+        require(_loan.status == Status.Active, "invalid status");
+        require(_loan.borrower == msg.sender, "sender != borrower");
+        require(amount > 0, "amount == 0");
+
+        uint256 repaidAmount = repaidAmounts[loanId];
+        uint256 repaymentAmount = _repaymentAmount(loanId);
+        require(repaidAmount + amount < repaymentAmount, "amount >= outstanding");
+
+        uint256 protocolFee = _protocolFee(_loan, repaymentAmount, repaidAmount + amount) - _protocolFee(_loan, repaymentAmount, repaidAmount);
+        repaidAmounts[loanId] = repaidAmount + amount;
+        _checkpointInterest(loanId, repaidAmount + amount);
+        _resetAuction(loanId);
+
+        _payLender(loanId, _loan.lender, _loan.asset, _loan.borrower, amount - protocolFee);
+        _transferFrom(_loan.asset, _loan.borrower, feeCollector, protocolFee);
+
+        emit LoanPartiallyRepaid(loanId, _loan.borrower, _loan.lender, amount, repaymentAmount - repaidAmount - amount);
+        emit ProtocolRevenue(loanId, _loan.asset, protocolFee);
+    }
+
+    /// @notice function used to add collateral to an active loan, e.g. to move it away from the liquidation threshold
+    function addCollateral(uint256 loanId, uint256 amount) external nonReentrant {
+        _addCollateral(loanId, amount);
+    }
+
+    /// @notice function used to add msg.value to an active loan whose collateral is wrappedNative
+    function addCollateralNative(uint256 loanId) external payable nonReentrant {
+        _wrapNative(loans[loanId].collateral);
+        _addCollateral(loanId, msg.value);
+        _refundNative();
+    }
+
+    /// @notice internal helper function used to add collateral to an active loan, see addCollateral
+    function _addCollateral(uint256 loanId, uint256 amount) internal {
+        Loan memory _loan = loans[loanId];
+
+        require(_loan.status == Status.Active, "invalid status");
+        require(_loan.borrower == msg.sender, "sender != borrower");
+        require(amount > 0, "amount == 0");
+
+        loans[loanId].collateralAmount = _loan.collateralAmount + amount;
+        _resetAuction(loanId);
+
+        _transferFrom(_loan.collateral, msg.sender, address(this), amount);
+
+        emit CollateralAdded(loanId, msg.sender, amount);
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                     Admin Functions                      */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice used to change fee collector
+    /// @param _newFeeCollector address that will receive the fees
+    /// @dev since some tokens don't allow transfers to address(0), it can't be set to it
+    function setFeeCollector(address _newFeeCollector) external onlyOwner() {
+        require(_newFeeCollector != address(0), "feeCollector == address(0)");
+        emit FeeCollectorUpdated(feeCollector, _newFeeCollector);
+        feeCollector = _newFeeCollector;
+    }
+
+    /// @notice used to change loan request expiration
+    /// @param _newExpirationDuration loan expiration in seconds
+    function setRequestExpirationDuration(uint256 _newExpirationDuration) external onlyOwner() {
+        require(_newExpirationDuration > 1 days, "newExpirationDuration < 1 day");
+        emit ExpirationDurationUpdated(REQUEST_EXPIRATION_DURATION, _newExpirationDuration);
+        REQUEST_EXPIRATION_DURATION = _newExpirationDuration;
+    }
+
+    /// @notice used to change the maximum allowed oracle price age
+    /// @param _newMaxPriceAge maximum allowed oracle price age in seconds
+    function setMaximumOraclePriceAge(uint256 _newMaxPriceAge) external onlyOwner() {
+        emit MaxOraclePriceAgeUpdated(MAX_ORACLE_PRICE_AGE, _newMaxPriceAge);
+        MAX_ORACLE_PRICE_AGE = _newMaxPriceAge;
+    }
+
+    /// @notice used to change the protocol fee percentage
+    /// @param _newProtocolFee new fee in basis points
+    function setProtocolFee(uint256 _newProtocolFee) external onlyOwner() {
+        require(_newProtocolFee < 2000, "protocolFee > 2000 bps");
+        emit ProtocolFeeUpdated(PROTOCOL_FEE, _newProtocolFee);
+        PROTOCOL_FEE = _newProtocolFee;
+    }
+
+    /// @notice used to change protocol liquidation config
+    /// @param _newLiquidatorBonus new bonus paid to the liquidator, in basis points
+    /// @param _newProtocolLiquidationFee new fee paid to the protocol, in basis points
+    function setLiquidationConfig(uint256 _newLiquidatorBonus, uint256 _newProtocolLiquidationFee) external onlyOwner() {
+        require(_newLiquidatorBonus < 1000, "liquidatorBonus > 1000 bps");
+        require(_newProtocolLiquidationFee < 500, "protocolLiquidationFee > 500 bps");
+
+        emit LiquidatorBonusUpdated(LIQUIDATOR_BONUS_BPS, _newLiquidatorBonus);
+        emit ProtocolLiquidationFeeUpdated(PROTOCOL_LIQUIDATION_FEE, _newProtocolLiquidationFee);
+
+        LIQUIDATOR_BONUS_BPS = _newLiquidatorBonus;
+        PROTOCOL_LIQUIDATION_FEE = _newProtocolLiquidationFee;
+    }
+
+    /// @notice used to change liquidation auction config
+    /// @param _newAuctionDuration new auction duration in seconds, 0 to liquidate with a fixed liquidator bonus instead
+    /// @param _newAuctionMaxDiscount new discount on the collateral price at the end of the auction, in basis points
+    function setAuctionConfig(uint256 _newAuctionDuration, uint256 _newAuctionMaxDiscount) external onlyOwner() {
+        require(_newAuctionMaxDiscount < 10000, "auctionMaxDiscount > 10000 bps");
+
+        emit AuctionDurationUpdated(AUCTION_DURATION, _newAuctionDuration);
+        emit AuctionMaxDiscountUpdated(AUCTION_MAX_DISCOUNT_BPS, _newAuctionMaxDiscount);
+
+        AUCTION_DURATION = _newAuctionDuration;
+        AUCTION_MAX_DISCOUNT_BPS = _newAuctionMaxDiscount;
+    }
+
+    /// @notice used to set the lender positions contract, only once
+    /// @dev loans filled before it's set have no position, and keep the lender that filled them
+    /// @param _lenderPositions LenderPositions deployed for this contract
+    function setLenderPositions(address _lenderPositions) external onlyOwner() {
+        require(address(lenderPositions) == address(0), "positions already set");
+        require(address(LenderPositions(_lenderPositions).lendingP2P()) == address(this), "invalid positions");
+
+        lenderPositions = LenderPositions(_lenderPositions);
+
+        emit LenderPositionsUpdated(_lenderPositions);
+    }
+
+    /// @notice used to set the market registry, and whether loans outside of it are rejected
+    /// @param _marketRegistry MarketRegistry used to verify new loans, address(0) to stop verifying loans
+    /// @param _enforce if true, only loans verified by the registry can be created
+    function setMarketRegistry(address _marketRegistry, bool _enforce) external onlyOwner() {
+        require(_marketRegistry != address(0) || !_enforce, "invalid registry");
+
+        marketRegistry = MarketRegistry(_marketRegistry);
+        enforceMarketRegistry = _enforce;
+
+        emit MarketRegistryUpdated(_marketRegistry, _enforce);
+    }
+
+    /// @notice used to set the WETH-style wrapper of the native token, only once
+    /// @param _wrappedNative wrapper used by the *Native functions and native payouts, e.g. WHYPE
+    function setWrappedNative(address _wrappedNative) external onlyOwner() {
+        require(address(wrappedNative) == address(0), "wrapped native already set");
+        require(_wrappedNative != address(0), "wrappedNative == address(0)");
+
+        wrappedNative = IWETH(_wrappedNative);
+
+        emit WrappedNativeUpdated(_wrappedNative);
+    }
+
+    /// @notice used to pause or unpause actions, e.g. when an oracle or token misbehaves
+    /// @dev the guardian can only pause, with pauseActions
+    /// @param _newPausedActions bitmask of PAUSE_REQUESTS, PAUSE_FILLS and PAUSE_LIQUIDATIONS, 0 to unpause everything
+    function setPausedActions(uint256 _newPausedActions) external onlyOwner() {
+        require(_newPausedActions <= PAUSE_REQUESTS | PAUSE_FILLS | PAUSE_LIQUIDATIONS, "invalid actions");
+
+        emit PausedActionsUpdated(PAUSED_ACTIONS, _newPausedActions);
+        PAUSED_ACTIONS = _newPausedActions;
+    }
+
+    /// @notice used by the guardian or the owner to pause actions, without unpausing the ones already paused
+    /// @param _actions bitmask of the actions to pause, see setPausedActions
+    function pauseActions(uint256 _actions) external {
+        require(msg.sender == guardian || msg.sender == owner(), "not guardian");
+        require(_actions <= PAUSE_REQUESTS | PAUSE_FILLS | PAUSE_LIQUIDATIONS, "invalid actions");
+
+        emit PausedActionsUpdated(PAUSED_ACTIONS, PAUSED_ACTIONS | _actions);
+        PAUSED_ACTIONS |= _actions;
+    }
+
+    /// @notice used to set the guardian that can call pauseActions, address(0) to remove it
+    function setGuardian(address _newGuardian) external onlyOwner() {
+        emit GuardianUpdated(guardian, _newGuardian);
+        guardian = _newGuardian;
+    }
+}
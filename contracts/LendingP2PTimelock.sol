@@ -0,0 +1,185 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { Address } from "@openzeppelin/contracts/utils/Address.sol";
+
+import { LendingP2P } from "./LendingP2P.sol";
+import { MarketRegistry } from "./MarketRegistry.sol";
+
+/**
+ * @title  LendingP2PTimelock
+ * @author HyperLend developers
+ * @notice Role-based, timelocked owner of LendingP2P (and MarketRegistry).
+ * @dev config changes are scheduled by the role allowed to call the function, are visible through ChangeScheduled for `delay`
+ *      seconds, and can then be executed by anyone. the proposer role or a guardian can cancel them before.
+ *      roles are set per target and function selector, like OpenZeppelin's AccessManager, so the same selector can need
+ *      different roles on different contracts. functions without a role in selectorRoles (e.g. transferOwnership) require DEFAULT_ADMIN_ROLE.
+ *      guardians can also pause LendingP2P actions instantly, see pauseActions. unpausing (setPausedActions) is a scheduled change.
+ *      roles are granted and revoked instantly by DEFAULT_ADMIN_ROLE, see AccessControl.
+ */
+contract LendingP2PTimelock is AccessControl {
+    enum Status {
+        Pending,
+        Executed,
+        Canceled
+    }
+
+    struct Change {
+        address target;    //contract called when executed
+        bytes data;        //calldata of the call
+        address proposer;  //address that scheduled the change
+        uint64 eta;        //timestamp from which the change can be executed
+        Status status;
+    }
+
+    /// @notice role that manages fees (protocol fee, fee collector, liquidation fees)
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    /// @notice role that manages risk params (oracle age, request expiration, auctions, market registry)
+    bytes32 public constant RISK_MANAGER_ROLE = keccak256("RISK_MANAGER_ROLE");
+    /// @notice role that can cancel any scheduled change, and pause (but not unpause) actions without delay
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @notice maximum delay, to make sure changes can't be locked forever
+    uint256 public constant MAX_DELAY = 30 days;
+
+    /// @notice minimum time between scheduling and executing a change, in seconds
+    uint256 public delay;
+    /// @notice role required to schedule a call to each function selector of a target, DEFAULT_ADMIN_ROLE if not set
+    mapping(address => mapping(bytes4 => bytes32)) public selectorRoles;
+    /// @notice length of all changes
+    uint256 public changeLength;
+    /// @notice mapping of all changes
+    mapping(uint256 => Change) public changes;
+
+    /// @notice emitted when a change is scheduled
+    event ChangeScheduled(uint256 indexed changeId, address indexed target, address indexed proposer, bytes data, uint256 eta);
+    /// @notice emitted when a change is executed
+    event ChangeExecuted(uint256 indexed changeId, address indexed executor);
+    /// @notice emitted when a change is canceled
+    event ChangeCanceled(uint256 indexed changeId, address indexed canceler);
+    /// @notice emitted when the delay changes
+    event DelayUpdated(uint256 oldDelay, uint256 newDelay);
+    /// @notice emitted when the role required for a function selector of a target changes
+    event SelectorRoleUpdated(address indexed target, bytes4 indexed selector, bytes32 indexed role);
+
+    /// @param _delay initial delay in seconds
+    /// @param _admin address that receives DEFAULT_ADMIN_ROLE
+    /// @param _lendingP2P LendingP2P contract whose setters get the fee and risk manager roles
+    /// @param _marketRegistry MarketRegistry whose setters get the risk manager role, address(0) to skip
+    constructor(uint256 _delay, address _admin, address _lendingP2P, address _marketRegistry) {
+        require(_delay <= MAX_DELAY, "delay > max");
+
+        delay = _delay;
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+
+        _setSelectorRole(_lendingP2P, LendingP2P.setProtocolFee.selector, FEE_MANAGER_ROLE);
+        _setSelectorRole(_lendingP2P, LendingP2P.setFeeCollector.selector, FEE_MANAGER_ROLE);
+        _setSelectorRole(_lendingP2P, LendingP2P.setLiquidationConfig.selector, FEE_MANAGER_ROLE);
+
+        _setSelectorRole(_lendingP2P, LendingP2P.setMaximumOraclePriceAge.selector, RISK_MANAGER_ROLE);
+        _setSelectorRole(_lendingP2P, LendingP2P.setRequestExpirationDuration.selector, RISK_MANAGER_ROLE);
+        _setSelectorRole(_lendingP2P, LendingP2P.setAuctionConfig.selector, RISK_MANAGER_ROLE);
+        _setSelectorRole(_lendingP2P, LendingP2P.setMarketRegistry.selector, RISK_MANAGER_ROLE);
+
+        if (_marketRegistry != address(0)){
+            _setSelectorRole(_marketRegistry, MarketRegistry.setTokenConfig.selector, RISK_MANAGER_ROLE);
+            _setSelectorRole(_marketRegistry, MarketRegistry.setOracleApproval.selector, RISK_MANAGER_ROLE);
+        }
+    }
+
+    /// @notice function used to schedule a change, executable after `delay`
+    /// @param target contract to call, usually LendingP2P, MarketRegistry or the timelock itself
+    /// @param data calldata of the call, the sender needs the role of its selector on `target`
+    function schedule(address target, bytes calldata data) external returns (uint256) {
+        require(data.length >= 4, "invalid data");
+        _checkRole(selectorRoles[target][bytes4(data)]);
+
+        uint256 changeId = changeLength;
+        uint256 eta = block.timestamp + delay;
+
+        changes[changeId] = Change({
+            target: target,
+            data: data,
+            proposer: msg.sender,
+            eta: uint64(eta),
+            status: Status.Pending
+        });
+        changeLength += 1;
+
+        emit ChangeScheduled(changeId, target, msg.sender, data, eta);
+
+        return changeId;
+    }
+
+    /// @notice function used to execute a scheduled change once its eta passed, callable by anyone
+    /// @dev reverts with the revert reason of the target if the call fails, the change can then be executed again
+    function execute(uint256 changeId) external returns (bytes memory) {
+        Change memory _change = changes[changeId];
+
+        require(_change.status == Status.Pending, "invalid status");
+        require(block.timestamp >= _change.eta, "change not ready");
+
+        changes[changeId].status = Status.Executed;
+
+        emit ChangeExecuted(changeId, msg.sender);
+
+        return Address.functionCall(_change.target, _change.data);
+    }
+
+    /// @notice function used to cancel a scheduled change, by the role that can schedule it or a guardian
+    function cancel(uint256 changeId) external {
+        Change memory _change = changes[changeId];
+
+        require(_change.status == Status.Pending, "invalid status");
+        require(
+            hasRole(selectorRoles[_change.target][bytes4(_change.data)], msg.sender) || hasRole(GUARDIAN_ROLE, msg.sender),
+            "sender can't cancel"
+        );
+
+        changes[changeId].status = Status.Canceled;
+
+        emit ChangeCanceled(changeId, msg.sender);
+    }
+
+    /// @notice function used by guardians to pause LendingP2P actions without delay, it can't unpause the ones already paused
+    /// @param target LendingP2P contract owned by the timelock
+    /// @param actions bitmask of the actions to pause, see LendingP2P.pauseActions
+    function pauseActions(LendingP2P target, uint256 actions) external onlyRole(GUARDIAN_ROLE) {
+        require(target.owner() == address(this), "invalid target");
+
+        target.pauseActions(actions);
+    }
+
+    /// @notice true if the change is pending and its eta passed
+    function isReady(uint256 changeId) external view returns (bool) {
+        Change memory _change = changes[changeId];
+        return _change.status == Status.Pending && block.timestamp >= _change.eta;
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                     Timelocked config                    */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice used to change the delay, only through a scheduled change
+    function setDelay(uint256 _newDelay) external {
+        require(msg.sender == address(this), "sender != timelock");
+        require(_newDelay <= MAX_DELAY, "delay > max");
+
+        emit DelayUpdated(delay, _newDelay);
+        delay = _newDelay;
+    }
+
+    /// @notice used to change the role required to schedule calls to a function of `target`, only through a scheduled change
+    function setSelectorRole(address target, bytes4 selector, bytes32 role) external {
+        require(msg.sender == address(this), "sender != timelock");
+
+        _setSelectorRole(target, selector, role);
+    }
+
+    function _setSelectorRole(address target, bytes4 selector, bytes32 role) internal {
+        selectorRoles[target][selector] = role;
+
+        emit SelectorRoleUpdated(target, selector, role);
+    }
+}
@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { Ownable } from "@openzeppelin/contracts/access/Ownable.sol";
+
+import { LendingP2PCore } from "./LendingP2PCore.sol";
+
+/**
+ * @title  MarketRegistry
+ * @author HyperLend developers
+ * @notice Owner-curated list of tokens, their approved oracles and risk params.
+ * @dev LendingP2P marks loans in listed markets as verified, and rejects the others if the registry is enforced.
+ *      the registry is only checked when a loan is created, later changes don't affect existing loans.
+ */
+contract MarketRegistry is Ownable {
+    struct TokenConfig {
+        bool listed;                     //token can be used as asset or collateral of verified loans
+        uint16 maxLiquidationThreshold;  //max liquidationThreshold of loans using the token as collateral, in bps
+        uint64 minDuration;              //min duration of loans using the token, in seconds
+    }
+
+    /// @notice risk params of each token, not listed by default
+    mapping(address => TokenConfig) public tokenConfigs;
+    /// @notice oracles approved to price each token
+    mapping(address => mapping(address => bool)) public approvedOracles;
+
+    /// @notice emitted when the config of a token changes
+    event TokenConfigUpdated(address indexed token, bool listed, uint16 maxLiquidationThreshold, uint64 minDuration);
+    /// @notice emitted when an oracle is approved or removed for a token
+    event OracleApprovalUpdated(address indexed token, address indexed oracle, bool approved);
+
+    constructor() Ownable(msg.sender) {}
+
+    /// @notice used to list, delist or change the risk params of a token
+    function setTokenConfig(address token, bool listed, uint16 maxLiquidationThreshold, uint64 minDuration) external onlyOwner() {
+        require(maxLiquidationThreshold <= 10000, "liq threshold > max bps");
+
+        tokenConfigs[token] = TokenConfig(listed, maxLiquidationThreshold, minDuration);
+
+        emit TokenConfigUpdated(token, listed, maxLiquidationThreshold, minDuration);
+    }
+
+    /// @notice used to approve or remove an oracle for a token
+    function setOracleApproval(address token, address oracle, bool approved) external onlyOwner() {
+        approvedOracles[token][oracle] = approved;
+
+        emit OracleApprovalUpdated(token, oracle, approved);
+    }
+
+    /// @notice true if both tokens are listed, the duration is at least their minDuration,
+    ///         and liquidatable loans use approved oracles and at most the collateral maxLiquidationThreshold
+    /// @param encodedLoan loan encoded in the same layout as LendingP2P.requestLoan
+    function isVerifiedLoan(bytes memory encodedLoan) external view returns (bool) {
+        LendingP2PCore.Loan memory loan = abi.decode(encodedLoan, (LendingP2PCore.Loan));
+
+        TokenConfig memory asset = tokenConfigs[loan.asset];
+        TokenConfig memory collateral = tokenConfigs[loan.collateral];
+
+        if (!asset.listed || !collateral.listed) return false;
+        if (loan.duration < asset.minDuration || loan.duration < collateral.minDuration) return false;
+
+        //oracles and the threshold are not used by loans that are only liquidated after default
+        if (loan.liquidation.isLiquidatable){
+            if (!approvedOracles[loan.asset][loan.liquidation.assetOracle]) return false;
+            if (!approvedOracles[loan.collateral][loan.liquidation.collateralOracle]) return false;
+            if (loan.liquidation.liquidationThreshold > collateral.maxLiquidationThreshold) return false;
+        }
+
+        return true;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: Apache-2.0
+// Pyth Network, subset of IPyth used by PythAdapter
+pragma solidity 0.8.20;
+
+interface PythInterface {
+    struct Price {
+        int64 price;
+        uint64 conf;
+        int32 expo;
+        uint256 publishTime;
+    }
+
+    function getPriceUnsafe(bytes32 id) external view returns (Price memory price);
+    function getUpdateFee(bytes[] calldata updateData) external view returns (uint256 feeAmount);
+    function updatePriceFeeds(bytes[] calldata updateData) external payable;
+}
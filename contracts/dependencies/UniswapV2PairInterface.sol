@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+// Uniswap V2, subset of IUniswapV2Pair used by TwapAdapter
+pragma solidity 0.8.20;
+
+interface UniswapV2PairInterface {
+    function token0() external view returns (address);
+    function token1() external view returns (address);
+    function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast);
+    function price0CumulativeLast() external view returns (uint256);
+    function price1CumulativeLast() external view returns (uint256);
+}
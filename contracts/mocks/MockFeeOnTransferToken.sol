@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @notice token that burns `feeBps` of every transfer, so the recipient receives less than the amount sent
+contract MockFeeOnTransferToken is ERC20 {
+    uint256 public feeBps;
+
+    constructor(uint256 _feeBps) ERC20("Fee Token", "FEE") {
+        feeBps = _feeBps;
+        _mint(msg.sender, 1_000_000_000 * 10**18);
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function setFeeBps(uint256 _feeBps) external {
+        feeBps = _feeBps;
+    }
+
+    function _update(address from, address to, uint256 amount) internal override {
+        if (from == address(0) || to == address(0)){
+            super._update(from, to, amount);
+            return;
+        }
+
+        uint256 fee = amount * feeBps / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, amount - fee);
+    }
+}
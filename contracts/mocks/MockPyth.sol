@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { PythInterface } from "../dependencies/PythInterface.sol";
+
+contract MockPyth is PythInterface {
+    mapping(bytes32 => Price) private _prices;
+
+    uint256 public updateFee;
+
+    function setPrice(bytes32 id, int64 price, uint64 conf, int32 expo, uint256 publishTime) external {
+        _prices[id] = Price(price, conf, expo, publishTime);
+    }
+
+    function setUpdateFee(uint256 fee) external {
+        updateFee = fee;
+    }
+
+    function getPriceUnsafe(bytes32 id) external view returns (Price memory) {
+        return _prices[id];
+    }
+
+    function getUpdateFee(bytes[] calldata updateData) external view returns (uint256) {
+        return updateFee * updateData.length;
+    }
+
+    /// @dev update data is abi.encode(id, price, conf, expo, publishTime) instead of a signed wormhole message
+    function updatePriceFeeds(bytes[] calldata updateData) external payable {
+        require(msg.value >= updateFee * updateData.length, "insufficient fee");
+
+        for (uint256 i = 0; i < updateData.length; i++){
+            (bytes32 id, int64 price, uint64 conf, int32 expo, uint256 publishTime) = abi.decode(updateData[i], (bytes32, int64, uint64, int32, uint256));
+            if (publishTime > _prices[id].publishTime){
+                _prices[id] = Price(price, conf, expo, publishTime);
+            }
+        }
+    }
+}
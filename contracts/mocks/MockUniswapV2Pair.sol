@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { UniswapV2PairInterface } from "../dependencies/UniswapV2PairInterface.sol";
+
+contract MockUniswapV2Pair is UniswapV2PairInterface {
+    address public token0;
+    address public token1;
+
+    uint112 private _reserve0;
+    uint112 private _reserve1;
+    uint32 private _blockTimestampLast;
+
+    uint256 public price0CumulativeLast;
+    uint256 public price1CumulativeLast;
+
+    constructor(address _token0, address _token1) {
+        token0 = _token0;
+        token1 = _token1;
+    }
+
+    function getReserves() external view returns (uint112, uint112, uint32) {
+        return (_reserve0, _reserve1, _blockTimestampLast);
+    }
+
+    /// @dev accrues the cumulative prices with the previous reserves, like UniswapV2Pair._update
+    function setReserves(uint112 reserve0, uint112 reserve1) external {
+        uint32 blockTimestamp = uint32(block.timestamp);
+        unchecked {
+            uint32 elapsed = blockTimestamp - _blockTimestampLast;
+            if (elapsed > 0 && _reserve0 != 0 && _reserve1 != 0){
+                price0CumulativeLast += ((uint256(_reserve1) << 112) / _reserve0) * elapsed;
+                price1CumulativeLast += ((uint256(_reserve0) << 112) / _reserve1) * elapsed;
+            }
+        }
+
+        _reserve0 = reserve0;
+        _reserve1 = reserve1;
+        _blockTimestampLast = blockTimestamp;
+    }
+}
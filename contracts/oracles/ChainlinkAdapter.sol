@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { AggregatorInterface } from '../dependencies/AggregatorInterface.sol';
+import { OracleAdapter } from './OracleAdapter.sol';
+
+/**
+ * @title  ChainlinkAdapter
+ * @author HyperLend developers
+ * @notice Chainlink feed with its price normalized to 18 decimals.
+ */
+contract ChainlinkAdapter is OracleAdapter {
+    /// @notice underlying chainlink feed
+    AggregatorInterface public immutable feed;
+    /// @notice decimals of the underlying feed
+    uint8 public immutable feedDecimals;
+
+    constructor(AggregatorInterface _feed) {
+        feed = _feed;
+        feedDecimals = _feed.decimals();
+    }
+
+    /// @dev rounds that were not answered in the latest round are rejected, the staleness is checked by LendingP2P
+    function _latestPrice() internal view override returns (int256, uint256) {
+        (uint80 roundId, int256 answer, , uint256 updatedAt, uint80 answeredInRound) = feed.latestRoundData();
+        require(answeredInRound >= roundId, "incomplete round");
+
+        return (_normalize(answer, feedDecimals), updatedAt);
+    }
+}
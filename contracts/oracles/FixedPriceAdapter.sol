@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { OracleAdapter } from './OracleAdapter.sol';
+
+/**
+ * @title  FixedPriceAdapter
+ * @author HyperLend developers
+ * @notice Constant price, for stable pairs (e.g. USDC priced at 1 USD) or the quote token of a TwapAdapter.
+ * @dev the price is always reported as updated in the current block
+ */
+contract FixedPriceAdapter is OracleAdapter {
+    /// @notice reported price, with 18 decimals
+    int256 public immutable price;
+
+    constructor(int256 _price) {
+        require(_price > 0, "invalid oracle price");
+
+        price = _price;
+    }
+
+    function _latestPrice() internal view override returns (int256, uint256) {
+        return (price, block.timestamp);
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+/**
+ * @title  OracleAdapter
+ * @author HyperLend developers
+ * @notice Base of the price sources that can be used as LendingP2P loan oracles.
+ * @dev adapters expose the two chainlink functions used by LendingP2P (decimals and latestRoundData),
+ *      so they can be set as assetOracle/collateralOracle like any chainlink feed.
+ *      prices are always reported with 18 decimals, LendingP2P normalizes them against other oracles.
+ */
+abstract contract OracleAdapter {
+    /// @notice decimals of the reported prices
+    uint8 public constant decimals = 18;
+
+    /// @notice latest price in the chainlink AggregatorV3 format, roundId and answeredInRound are always 0
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        (answer, updatedAt) = _latestPrice();
+        return (0, answer, updatedAt, updatedAt, 0);
+    }
+
+    /// @notice latest price with 18 decimals, and the timestamp when it was last updated
+    function _latestPrice() internal view virtual returns (int256 price, uint256 updatedAt);
+
+    /// @notice converts a price with `priceDecimals` decimals into 18 decimals
+    function _normalize(int256 price, uint256 priceDecimals) internal pure returns (int256) {
+        if (priceDecimals <= decimals){
+            return price * int256(10 ** (decimals - priceDecimals));
+        }
+        return price / int256(10 ** (priceDecimals - decimals));
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { PythInterface } from '../dependencies/PythInterface.sol';
+import { OracleAdapter } from './OracleAdapter.sol';
+
+/**
+ * @title  PythAdapter
+ * @author HyperLend developers
+ * @notice Pyth-style pull oracle feed, with its price normalized to 18 decimals.
+ * @dev prices are only updated on-chain when someone submits a price update (pyth.updatePriceFeeds),
+ *      so liquidators have to push a fresh price before liquidating. publishTime is reported as updatedAt,
+ *      so LendingP2P rejects prices older than MAX_ORACLE_PRICE_AGE.
+ */
+contract PythAdapter is OracleAdapter {
+    /// @notice pyth contract
+    PythInterface public immutable pyth;
+    /// @notice id of the pyth price feed
+    bytes32 public immutable priceId;
+    /// @notice maximum confidence interval, in bps of the price, e.g. 200 = prices with conf > 2% are rejected
+    uint256 public immutable maxConfidenceBps;
+
+    constructor(PythInterface _pyth, bytes32 _priceId, uint256 _maxConfidenceBps) {
+        pyth = _pyth;
+        priceId = _priceId;
+        maxConfidenceBps = _maxConfidenceBps;
+    }
+
+    function _latestPrice() internal view override returns (int256, uint256) {
+        PythInterface.Price memory price = pyth.getPriceUnsafe(priceId);
+
+        require(price.price > 0, "invalid oracle price");
+        require(uint256(price.conf) * 10000 <= uint256(int256(price.price)) * maxConfidenceBps, "price confidence too low");
+
+        //pyth prices are price * 10^expo, expo is negative for all usd feeds
+        int256 normalized = price.expo <= 0
+            ? _normalize(price.price, uint256(int256(-price.expo)))
+            : _normalize(price.price * int256(10 ** uint256(int256(price.expo))), 0);
+
+        return (normalized, price.publishTime);
+    }
+}
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+
+import { UniswapV2PairInterface } from '../dependencies/UniswapV2PairInterface.sol';
+import { OracleAdapter } from './OracleAdapter.sol';
+
+/**
+ * @title  TwapAdapter
+ * @author HyperLend developers
+ * @notice Time-weighted average price of a token from a Uniswap V2 style pool, with 18 decimals.
+ * @dev the price is denominated in the other token of the pool (quote token), so the other side of the loan
+ *      has to be priced in the same quote token, e.g. with a FixedPriceAdapter for a stablecoin quote.
+ *      the average is recomputed by update() at most once per `period`, anyone can call it (usually a keeper),
+ *      and the time of the last update is reported as updatedAt, so stale averages are rejected by LendingP2P.
+ */
+contract TwapAdapter is OracleAdapter {
+    /// @notice pool used for the price
+    UniswapV2PairInterface public immutable pair;
+    /// @notice true if the priced token is token0 of the pool
+    bool public immutable isToken0;
+    /// @notice minimum duration of the averaging window, in seconds
+    uint256 public immutable period;
+
+    uint256 private immutable baseUnit;
+    uint256 private immutable quoteUnit;
+
+    /// @notice cumulative price of the priced token at the last update
+    uint256 public priceCumulativeLast;
+    /// @notice timestamp of the last update
+    uint256 public lastUpdate;
+    /// @notice average price between the last two updates, in the quote token with 18 decimals
+    uint256 public priceAverage;
+
+    /// @notice emitted when the average price is updated
+    event PriceUpdated(uint256 priceAverage, uint256 timestamp);
+
+    /// @param _baseToken token to price, must be one of the tokens of the pool
+    constructor(UniswapV2PairInterface _pair, address _baseToken, uint256 _period) {
+        address token0 = _pair.token0();
+        address token1 = _pair.token1();
+        require(_baseToken == token0 || _baseToken == token1, "token not in pair");
+        require(_period > 0, "period == 0");
+
+        pair = _pair;
+        isToken0 = _baseToken == token0;
+        period = _period;
+
+        baseUnit = 10 ** IERC20Metadata(_baseToken).decimals();
+        quoteUnit = 10 ** IERC20Metadata(isToken0 ? token1 : token0).decimals();
+
+        (priceCumulativeLast, lastUpdate) = _currentCumulativePrice();
+    }
+
+    /// @notice recomputes the average price since the last update, once at least `period` passed
+    function update() external {
+        (uint256 priceCumulative, uint256 timestamp) = _currentCumulativePrice();
+        uint256 elapsed = timestamp - lastUpdate;
+        require(elapsed >= period, "period not elapsed");
+
+        //cumulative prices are UQ112x112 fixed point numbers, and are expected to overflow
+        uint256 average;
+        unchecked {
+            average = (priceCumulative - priceCumulativeLast) / elapsed;
+        }
+
+        priceAverage = Math.mulDiv(average, 1e18 * baseUnit, quoteUnit << 112);
+        priceCumulativeLast = priceCumulative;
+        lastUpdate = timestamp;
+
+        emit PriceUpdated(priceAverage, timestamp);
+    }
+
+    /// @dev the price is 0 until the first update, which LendingP2P rejects as an invalid price
+    function _latestPrice() internal view override returns (int256, uint256) {
+        return (int256(priceAverage), lastUpdate);
+    }
+
+    /// @notice cumulative price of the priced token at the current timestamp, same as UniswapV2OracleLibrary
+    function _currentCumulativePrice() internal view returns (uint256 priceCumulative, uint256 timestamp) {
+        timestamp = block.timestamp;
+        priceCumulative = isToken0 ? pair.price0CumulativeLast() : pair.price1CumulativeLast();
+
+        (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast) = pair.getReserves();
+        if (blockTimestampLast != uint32(timestamp) && reserve0 != 0 && reserve1 != 0){
+            unchecked {
+                uint256 elapsed = uint32(timestamp) - blockTimestampLast;
+                priceCumulative += isToken0
+                    ? ((uint256(reserve1) << 112) / reserve0) * elapsed
+                    : ((uint256(reserve0) << 112) / reserve1) * elapsed;
+            }
+        }
+    }
+}
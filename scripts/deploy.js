@@ -1,12 +1,208 @@
-const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+const { LendingP2PClient } = require("../sdk");
+
+const CONFIG_DIR = path.join(__dirname, "config");
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/// @notice loads the deployment config of a network from scripts/config/<network>.json
+/// @dev all keys are optional, missing ones keep the contract defaults:
+///      feeCollector, protocolFee, liquidatorBonus, protocolLiquidationFee,
+///      requestExpirationDuration, maxOraclePriceAge, auctionDuration, auctionMaxDiscount, owner,
+///      guardian (address that can pause actions without the owner, see LendingP2P.pauseActions),
+///      lenderPositions (set to false to skip deploying the LenderPositions NFT),
+///      wrappedNative (address of the WETH-style native token wrapper, e.g. WHYPE, enables the *Native functions),
+///      timelock ({ delay, admin, feeManagers, riskManagers, guardians }, deploys a LendingP2PTimelock that becomes the owner)
+function loadConfig(network, configDir = CONFIG_DIR){
+    const file = path.join(configDir, `${network}.json`);
+    if (!fs.existsSync(file)){
+        throw new Error(`missing deployment config for network "${network}": ${file}`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/// @notice applies the config to a deployed LendingP2P, only sending transactions for values that changed
+async function applyConfig(client, config){
+    const current = await client.getConfig();
+
+    if (config.feeCollector !== undefined && config.feeCollector.toLowerCase() !== current.feeCollector.toLowerCase()){
+        await client.setFeeCollector(config.feeCollector);
+    }
+    if (config.protocolFee !== undefined && config.protocolFee !== current.protocolFee){
+        await client.setProtocolFee(config.protocolFee);
+    }
+    if (
+        (config.liquidatorBonus !== undefined && config.liquidatorBonus !== current.liquidatorBonus) ||
+        (config.protocolLiquidationFee !== undefined && config.protocolLiquidationFee !== current.protocolLiquidationFee)
+    ){
+        await client.setLiquidationConfig(
+            config.liquidatorBonus ?? current.liquidatorBonus,
+            config.protocolLiquidationFee ?? current.protocolLiquidationFee
+        );
+    }
+    if (config.requestExpirationDuration !== undefined && config.requestExpirationDuration !== current.requestExpirationDuration){
+        await client.setRequestExpirationDuration(config.requestExpirationDuration);
+    }
+    if (config.maxOraclePriceAge !== undefined && config.maxOraclePriceAge !== current.maxOraclePriceAge){
+        await client.setMaximumOraclePriceAge(config.maxOraclePriceAge);
+    }
+    if (
+        (config.auctionDuration !== undefined && config.auctionDuration !== current.auctionDuration) ||
+        (config.auctionMaxDiscount !== undefined && config.auctionMaxDiscount !== current.auctionMaxDiscount)
+    ){
+        await client.setAuctionConfig(
+            config.auctionDuration ?? current.auctionDuration,
+            config.auctionMaxDiscount ?? current.auctionMaxDiscount
+        );
+    }
+    if (config.guardian !== undefined && config.guardian.toLowerCase() !== current.guardian.toLowerCase()){
+        await client.setGuardian(config.guardian);
+    }
+}
+
+/// @notice deploys a LendingP2PTimelock, grants the configured roles and hands DEFAULT_ADMIN_ROLE to `timelockConfig.admin`
+/// @dev the function roles are set on `loanContract` and its market registry, if it has one
+async function deployTimelock(ethers, deployer, loanContract, timelockConfig){
+    const Timelock = await ethers.getContractFactory("LendingP2PTimelock");
+    const timelock = await Timelock.connect(deployer).deploy(timelockConfig.delay ?? 0, deployer.address, loanContract.target, await loanContract.marketRegistry());
+    await timelock.waitForDeployment();
+
+    const grants = [
+        [await timelock.FEE_MANAGER_ROLE(), timelockConfig.feeManagers ?? []],
+        [await timelock.RISK_MANAGER_ROLE(), timelockConfig.riskManagers ?? []],
+        [await timelock.GUARDIAN_ROLE(), timelockConfig.guardians ?? []]
+    ];
+    for (const [role, accounts] of grants){
+        for (const account of accounts){
+            await (await timelock.grantRole(role, account)).wait();
+        }
+    }
+
+    const adminRole = await timelock.DEFAULT_ADMIN_ROLE();
+    if (timelockConfig.admin !== undefined && timelockConfig.admin.toLowerCase() !== deployer.address.toLowerCase()){
+        await (await timelock.grantRole(adminRole, timelockConfig.admin)).wait();
+        await (await timelock.renounceRole(adminRole, deployer.address)).wait();
+    }
+
+    return timelock;
+}
+
+/// @notice deploys LendingP2P, its LendingP2PExtension, LendingP2PManager and LenderPositions, applies the config, optionally transfers ownership and writes the manifest
+/// @param options.manifestDir directory of the manifest, defaults to deployments/ (set to null to skip writing)
+/// @return the deployment manifest
+async function deploy(hre, config, options = {}){
+    const { ethers, network } = hre;
+    const [deployer] = await ethers.getSigners();
+
+    if (config.owner !== undefined && config.timelock !== undefined){
+        throw new Error("owner and timelock can't both be set, the timelock becomes the owner");
+    }
+
+    //LendingP2P delegatecalls a part of its functions to LendingP2PExtension and LendingP2PManager, which have to be deployed first
+    const Extension = await ethers.getContractFactory("LendingP2PExtension");
+    const extension = await Extension.connect(deployer).deploy();
+    await extension.waitForDeployment();
+
+    const Manager = await ethers.getContractFactory("LendingP2PManager");
+    const manager = await Manager.connect(deployer).deploy();
+    await manager.waitForDeployment();
+
+    const LoanContract = await ethers.getContractFactory("LendingP2P");
+    const loanContract = await LoanContract.connect(deployer).deploy(extension.target, manager.target);
+    await loanContract.waitForDeployment();
+
+    const deploymentTx = loanContract.deploymentTransaction();
+    const deploymentReceipt = await deploymentTx.wait();
+
+    const client = new LendingP2PClient(loanContract);
+
+    let lenderPositions = null;
+    if (config.lenderPositions !== false){
+        const LenderPositions = await ethers.getContractFactory("LenderPositions");
+        lenderPositions = await LenderPositions.connect(deployer).deploy(loanContract.target);
+        await lenderPositions.waitForDeployment();
+
+        await client.setLenderPositions(lenderPositions.target);
+    }
+    if (config.wrappedNative !== undefined){
+        await client.setWrappedNative(config.wrappedNative);
+    }
+
+    await applyConfig(client, config);
+
+    let timelock = null;
+    if (config.timelock !== undefined){
+        timelock = await deployTimelock(ethers, deployer, loanContract, config.timelock);
+        await (await loanContract.transferOwnership(timelock.target)).wait();
+    }
+
+    if (config.owner !== undefined && config.owner.toLowerCase() !== deployer.address.toLowerCase()){
+        await (await loanContract.transferOwnership(config.owner)).wait();
+    }
+
+    const manifest = {
+        network: network.name,
+        chainId: Number((await ethers.provider.getNetwork()).chainId),
+        contract: "LendingP2P",
+        address: loanContract.target,
+        extension: extension.target,
+        manager: manager.target,
+        lenderPositions: lenderPositions ? lenderPositions.target : null,
+        timelock: timelock ? timelock.target : null,
+        wrappedNative: config.wrappedNative ?? null,
+        deployer: deployer.address,
+        transactionHash: deploymentTx.hash,
+        blockNumber: deploymentReceipt.blockNumber,
+        deployedAt: new Date().toISOString(),
+        config: {
+            owner: await loanContract.owner(),
+            ...(await client.getConfig())
+        }
+    };
+
+    const manifestDir = options.manifestDir === undefined ? DEPLOYMENTS_DIR : options.manifestDir;
+    if (manifestDir !== null){
+        writeManifest(manifest, manifestDir);
+    }
+
+    return manifest;
+}
+
+/// @notice writes the manifest to <manifestDir>/<network>.json
+function writeManifest(manifest, manifestDir = DEPLOYMENTS_DIR){
+    fs.mkdirSync(manifestDir, { recursive: true });
+
+    const file = path.join(manifestDir, `${manifest.network}.json`);
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 4) + "\n");
+    return file;
+}
+
+/// @notice reads a manifest written by deploy()
+function readManifest(network, manifestDir = DEPLOYMENTS_DIR){
+    return JSON.parse(fs.readFileSync(path.join(manifestDir, `${network}.json`), "utf8"));
+}
 
 async function main() {
+    const hre = require("hardhat");
 
+    const manifest = await deploy(hre, loadConfig(hre.network.name));
+    console.log(`LendingP2P deployed to ${manifest.address} on ${manifest.network} (block ${manifest.blockNumber})`);
 }
 
-// We recommend this pattern to be able to use async/await everywhere
-// and properly handle errors.
-main().catch((error) => {
-  console.error(error);
-  process.exitCode = 1;
-});
+module.exports = {
+    loadConfig,
+    applyConfig,
+    deploy,
+    writeManifest,
+    readManifest
+};
+
+if (require.main === module) {
+    // We recommend this pattern to be able to use async/await everywhere
+    // and properly handle errors.
+    main().catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
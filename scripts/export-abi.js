@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+
+const ABI_FILE = path.join(__dirname, "..", "sdk", "abi", "LendingP2P.json");
+
+/// @notice writes the LendingP2P ABI loaded by the SDK to sdk/abi/LendingP2P.json, to run after changing the contracts
+/// @dev the hardhat artifacts are not committed, test/10_client.js checks that the exported ABI matches them
+async function exportAbi(hre, file = ABI_FILE){
+    const { abi } = await hre.artifacts.readArtifact("LendingP2P");
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(abi, null, 4) + "\n");
+    return file;
+}
+
+async function main() {
+    const hre = require("hardhat");
+
+    const file = await exportAbi(hre);
+    console.log(`LendingP2P ABI written to ${path.relative(process.cwd(), file)}`);
+}
+
+module.exports = {
+    ABI_FILE,
+    exportAbi
+};
+
+if (require.main === module) {
+    main().catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,58 @@
+const path = require("path");
+
+const { LoanIndexer, JsonStore } = require("../sdk");
+const { readManifest } = require("./deploy");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+/// @notice indexer options, read from the environment
+/// @dev INDEXER_CONFIRMATIONS, INDEXER_BATCH_SIZE, INDEXER_POLL_INTERVAL (ms), INDEXER_STORE (path of the JSON store)
+function loadOptions(network, env = process.env){
+    const number = (value) => value === undefined ? undefined : Number(value);
+
+    return {
+        confirmations: number(env.INDEXER_CONFIRMATIONS),
+        batchSize: number(env.INDEXER_BATCH_SIZE),
+        pollInterval: number(env.INDEXER_POLL_INTERVAL) ?? 15000,
+        store: env.INDEXER_STORE ?? path.join(DATA_DIR, `${network}.json`)
+    };
+}
+
+async function main() {
+    const hre = require("hardhat");
+
+    const manifest = readManifest(hre.network.name);
+    const options = loadOptions(hre.network.name);
+
+    const contract = await hre.ethers.getContractAt("LendingP2P", manifest.address);
+    const indexer = new LoanIndexer(contract, new JsonStore(options.store), {
+        ...options,
+        startBlock: manifest.blockNumber
+    });
+
+    indexer.on("synced", ({ fromBlock, toBlock }) => console.log(`indexed blocks ${fromBlock}-${toBlock}`));
+    indexer.on("reorg", ({ fromBlock, toBlock }) => console.warn(`reorg detected, re-indexing blocks ${fromBlock}-${toBlock}`));
+
+    console.log(`indexing LendingP2P ${manifest.address} on ${hre.network.name} into ${options.store}`);
+
+    let running = true;
+    for (const signal of ["SIGINT", "SIGTERM"]){
+        process.on(signal, () => { running = false; });
+    }
+
+    while (running){
+        await indexer.sync();
+        await new Promise((resolve) => setTimeout(resolve, options.pollInterval));
+    }
+}
+
+module.exports = {
+    loadOptions
+};
+
+if (require.main === module) {
+    main().catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,60 @@
+const { LendingP2PClient, LiquidationKeeper } = require("../sdk");
+const { readManifest } = require("./deploy");
+
+/// @notice keeper options, read from the environment
+/// @dev KEEPER_DRY_RUN=true, KEEPER_CONCURRENCY, KEEPER_POLL_INTERVAL (ms),
+///      KEEPER_MAX_GAS_PRICE (gwei), KEEPER_GAS_LIMIT, KEEPER_BATCH_SIZE, KEEPER_FROM_LOAN_ID
+function loadOptions(env = process.env){
+    const { ethers } = require("hardhat");
+    const number = (value) => value === undefined ? undefined : Number(value);
+
+    return {
+        dryRun: env.KEEPER_DRY_RUN === "true",
+        concurrency: number(env.KEEPER_CONCURRENCY),
+        pollInterval: number(env.KEEPER_POLL_INTERVAL),
+        maxGasPrice: env.KEEPER_MAX_GAS_PRICE === undefined ? undefined : ethers.parseUnits(env.KEEPER_MAX_GAS_PRICE, "gwei"),
+        gasLimit: number(env.KEEPER_GAS_LIMIT),
+        batchSize: number(env.KEEPER_BATCH_SIZE),
+        fromLoanId: number(env.KEEPER_FROM_LOAN_ID)
+    };
+}
+
+async function main() {
+    const hre = require("hardhat");
+    const [liquidator] = await hre.ethers.getSigners();
+
+    const { address } = readManifest(hre.network.name);
+    const client = LendingP2PClient.at(address, liquidator);
+    const keeper = new LiquidationKeeper(client, loadOptions());
+
+    keeper.on("liquidated", ({ loanId, reason, dryRun }) => {
+        console.log(`${dryRun ? "[dry-run] would liquidate" : "liquidated"} loan ${loanId} (${reason})`);
+    });
+    keeper.on("auctionStarted", ({ loanId, reason, dryRun }) => {
+        console.log(`${dryRun ? "[dry-run] would start" : "started"} the auction of loan ${loanId} (${reason})`);
+    });
+    keeper.on("bought", ({ loanId, assetAmount, collateralAmount, dryRun }) => {
+        console.log(`${dryRun ? "[dry-run] would buy" : "bought"} ${collateralAmount} collateral for ${assetAmount} from loan ${loanId}`);
+    });
+    keeper.on("skipped", ({ loanId, reason }) => console.log(`skipped loan ${loanId}: ${reason}`));
+    keeper.on("alert", ({ loanId, error }) => console.warn(`ALERT loan ${loanId}: ${error.message}`));
+    keeper.on("failed", ({ loanId, error }) => console.error(`failed loan ${loanId}:`, error));
+
+    console.log(`keeper started for LendingP2P ${address} on ${hre.network.name} as ${liquidator.address}`);
+    keeper.start();
+
+    for (const signal of ["SIGINT", "SIGTERM"]){
+        process.on(signal, () => keeper.stop());
+    }
+}
+
+module.exports = {
+    loadOptions
+};
+
+if (require.main === module) {
+    main().catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
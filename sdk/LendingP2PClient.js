@@ -0,0 +1,971 @@
+const { Contract, Interface, MaxUint256, ZeroAddress, ZeroHash } = require("ethers");
+
+const { encodeLoan, decodeLoan, validateLoanRequest, assertValidLoan, accruedInterest } = require("./loan");
+const { encodeOffer, decodeOffer } = require("./offer");
+const { orderDomain, buildOrder, signOrder } = require("./order");
+const { quoteAuction } = require("./auction");
+const { allowlistRoot, allowlistProof } = require("./allowlist");
+const { signPermit } = require("./permit");
+const { POSITIONS_ABI, decodePositionURI } = require("./positions");
+const { REGISTRY_ABI } = require("./registry");
+const { TIMELOCK_ABI, decodeChange } = require("./timelock");
+const { parseRevert, UnverifiedMarketError } = require("./errors");
+
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function decimals() view returns (uint8)",
+    "function symbol() view returns (string)"
+];
+
+const ORACLE_ABI = [
+    "function decimals() view returns (uint8)",
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)"
+];
+
+/// @notice bits of LendingP2P.PAUSED_ACTIONS, by action name
+const PAUSE_ACTIONS = {
+    requests: 1,
+    fills: 2,
+    liquidations: 4
+};
+
+/// @notice bitmask of PAUSE_ACTIONS names, e.g. ["fills", "liquidations"] => 6
+function encodePausedActions(actions){
+    return actions.reduce((mask, action) => {
+        if (PAUSE_ACTIONS[action] === undefined) throw new Error(`unknown action: ${action}`);
+        return mask | PAUSE_ACTIONS[action];
+    }, 0);
+}
+
+/// @notice loads the LendingP2P ABI exported to ./abi by scripts/export-abi.js
+function loadAbi(){
+    return require("./abi/LendingP2P.json");
+}
+
+/**
+ * @notice thin wrapper around the LendingP2P contract
+ * @dev handles ERC20 approvals, decodes loans into named objects and
+ *      converts revert strings into typed errors (see ./errors.js)
+ */
+class LendingP2PClient {
+    /// @param contract ethers Contract instance of LendingP2P, connected to a signer for write calls
+    /// @param options.approveMax approve MaxUint256 instead of the exact amount (default: false)
+    constructor(contract, options = {}){
+        this.contract = contract;
+        this.runner = contract.runner;
+        this.approveMax = options.approveMax ?? false;
+    }
+
+    /// @notice creates a client for the contract deployed at `address`
+    static at(address, runner, options = {}){
+        return new LendingP2PClient(new Contract(address, options.abi ?? loadAbi(), runner), options);
+    }
+
+    /// @notice returns a new client using a different signer
+    connect(runner){
+        return new LendingP2PClient(this.contract.connect(runner), { approveMax: this.approveMax });
+    }
+
+    get address(){
+        return this.contract.target;
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                          Reads                           */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @return decoded loan, including the amount repaid with repayPartial, the outstanding amount and the interest terms
+    /// @dev for loans with an APR, currentRepaymentAmount and outstandingAmount include the interest accrued until the latest block,
+    ///      repaymentAmount is the amount owed at the end of the loan duration
+    /// @dev refinancedFrom is the loanId paid off by a refinance request, null for other loans
+    /// @dev status is "Expired" for requests past their expiry, even before expireRequests marks them on-chain.
+    ///      expiresAt is the expiry of pending and expired requests, null for other loans
+    /// @dev lender is the only lender allowed to fill a pending request if set, lenderRoot the root of its allowlist or null
+    /// @dev fundedAmount is the amount funded with fillTranche, minFunding the amount from which it can start (0 if not set).
+    ///      the lender of loans funded with tranches is the LendingP2P contract, see getTranches
+    async getLoan(loanId){
+        const [loan, status, expiresAt, lenderRoot, fundedAmount, minFunding, repaidAmount, currentRepaymentAmount, terms, isRefinance, refinancedFrom, verified] = await Promise.all([
+            this.contract.loans(loanId),
+            this.contract.getLoanStatus(loanId),
+            this.contract.getRequestExpiry(loanId),
+            this.contract.lenderRoots(loanId),
+            this.contract.fundedAmounts(loanId),
+            this.contract.minFundings(loanId),
+            this.contract.repaidAmounts(loanId),
+            this.contract.getRepaymentAmount(loanId),
+            this.contract.interestTerms(loanId),
+            this.contract.isRefinance(loanId),
+            this.contract.refinancedFrom(loanId),
+            this.contract.isVerified(loanId)
+        ]);
+        const decoded = decodeLoan({ ...loan.toObject(), status });
+        return {
+            loanId: Number(loanId),
+            ...decoded,
+            expiresAt: decoded.status === "Pending" || decoded.status === "Expired" ? Number(expiresAt) : null,
+            lenderRoot: lenderRoot === ZeroHash ? null : lenderRoot,
+            fundedAmount,
+            minFunding,
+            repaidAmount,
+            currentRepaymentAmount,
+            outstandingAmount: currentRepaymentAmount - repaidAmount,
+            interestTerms: { aprBps: Number(terms.aprBps), minInterestDuration: Number(terms.minInterestDuration) },
+            refinancedFrom: isRefinance ? Number(refinancedFrom) : null,
+            verified
+        };
+    }
+
+    async getLoanLength(){
+        return Number(await this.contract.loanLength());
+    }
+
+    /// @return [{ lender, amount }] of the lenders that funded a loan with fillTranche, empty for loans filled by one lender
+    async getTranches(loanId){
+        const [lenders, amounts] = await this.contract.getTranches(loanId);
+        return lenders.map((lender, i) => ({ lender, amount: amounts[i] }));
+    }
+
+    /// @notice pages of loans, read in one call. loans are decoded with decodeLoan, without the extra fields of getLoan
+    /// @return [{ loanId, ...loan }], fewer than `limit` at the end of the list
+    async getLoans(offset = 0, limit = 100){
+        return this._decodePage(await this.contract.getLoans(offset, limit));
+    }
+
+    /// @param offset index in the loans of `borrower`, see getLoanCounts
+    async getLoansByBorrower(borrower, offset = 0, limit = 100){
+        return this._decodePage(await this.contract.getLoansByBorrower(borrower, offset, limit));
+    }
+
+    /// @notice loans filled by `lender` or whose position it received, including positions it transferred since
+    /// @param offset index in the loans of `lender`, see getLoanCounts
+    async getLoansByLender(lender, offset = 0, limit = 100){
+        return this._decodePage(await this.contract.getLoansByLender(lender, offset, limit));
+    }
+
+    /// @notice requests that can still be filled, among the loans with ids from `offset` to `offset + limit`
+    /// @dev a page can be empty before the end of the list, the next page starts at `offset + limit`
+    async getPendingLoans(offset = 0, limit = 100){
+        return this._decodePage(await this.contract.getPendingLoans(offset, limit));
+    }
+
+    /// @return { borrowed, lent }, number of loans listed by getLoansByBorrower and getLoansByLender
+    async getLoanCounts(user){
+        const [borrowed, lent] = await this.contract.getLoanCounts(user);
+        return { borrowed: Number(borrowed), lent: Number(lent) };
+    }
+
+    /// @notice debt and collateral value of a loan (in the oracle quote currency, scaled by PRECISION_FACTOR) and its LTV
+    /// @dev doesn't throw on stale or reverting oracles, `validPrices` is false instead
+    /// @return { loanValue, collateralValue, ltvBps, validPrices }, ltvBps is Infinity if the collateral is worth 0
+    async getLoanHealth(loanId){
+        const [loanValue, collateralValue, ltvBps, validPrices] = await this.contract.getLoanHealth(loanId);
+        return {
+            loanValue,
+            collateralValue,
+            ltvBps: ltvBps === MaxUint256 ? Infinity : Number(ltvBps),
+            validPrices
+        };
+    }
+
+    async getOffer(offerId){
+        return { offerId: Number(offerId), ...decodeOffer(await this.contract.offers(offerId)) };
+    }
+
+    async getOfferLength(){
+        return Number(await this.contract.offerLength());
+    }
+
+    async isLoanLiquidatable(loanId){
+        return this._call(() => this.contract._isLoanLiquidatable(loanId));
+    }
+
+    async getConfig(){
+        const [
+            feeCollector,
+            protocolFee,
+            liquidatorBonus,
+            protocolLiquidationFee,
+            requestExpirationDuration,
+            maxOraclePriceAge,
+            auctionDuration,
+            auctionMaxDiscount,
+            pausedActions,
+            guardian
+        ] = await Promise.all([
+            this.contract.feeCollector(),
+            this.contract.PROTOCOL_FEE(),
+            this.contract.LIQUIDATOR_BONUS_BPS(),
+            this.contract.PROTOCOL_LIQUIDATION_FEE(),
+            this.contract.REQUEST_EXPIRATION_DURATION(),
+            this.contract.MAX_ORACLE_PRICE_AGE(),
+            this.contract.AUCTION_DURATION(),
+            this.contract.AUCTION_MAX_DISCOUNT_BPS(),
+            this.contract.PAUSED_ACTIONS(),
+            this.contract.guardian()
+        ]);
+
+        return {
+            feeCollector,
+            protocolFee: Number(protocolFee),
+            liquidatorBonus: Number(liquidatorBonus),
+            protocolLiquidationFee: Number(protocolLiquidationFee),
+            requestExpirationDuration: Number(requestExpirationDuration),
+            maxOraclePriceAge: Number(maxOraclePriceAge),
+            auctionDuration: Number(auctionDuration),
+            auctionMaxDiscount: Number(auctionMaxDiscount),
+            pausedActions: Number(pausedActions),
+            guardian
+        };
+    }
+
+    /// @return names of the paused actions (see PAUSE_ACTIONS), e.g. ["fills", "liquidations"]
+    async getPausedActions(){
+        const pausedActions = Number(await this.contract.PAUSED_ACTIONS());
+        return Object.keys(PAUSE_ACTIONS).filter((action) => (pausedActions & PAUSE_ACTIONS[action]) !== 0);
+    }
+
+    /// @return address of the wrapped native token used by the native options of fillRequest, repayLoan and addCollateral,
+    ///         or null if native tokens are not supported
+    async getWrappedNative(){
+        const address = await this.contract.wrappedNative();
+        return address === ZeroAddress ? null : address;
+    }
+
+    /// @return address of the LenderPositions contract, or null if lender positions are not enabled
+    async getLenderPositions(){
+        const address = await this.contract.lenderPositions();
+        return address === ZeroAddress ? null : address;
+    }
+
+    /// @return { address, enforced } of the MarketRegistry, or null if loans are not verified
+    async getMarketRegistry(){
+        const [address, enforced] = await Promise.all([
+            this.contract.marketRegistry(),
+            this.contract.enforceMarketRegistry()
+        ]);
+        return address === ZeroAddress ? null : { address, enforced };
+    }
+
+    /// @return true if the loan would be created as verified, false if there is no registry
+    async isVerifiedLoan(loan){
+        const registry = await this.getMarketRegistry();
+        if (registry === null) return false;
+
+        return this.registry(registry.address).isVerifiedLoan(encodeLoan(loan));
+    }
+
+    /// @return lender position of a loan ({ loanId, owner, metadata }), or null if the loan has no position
+    /// @dev metadata is the decoded tokenURI, see decodePositionURI in ./positions.js
+    async getPosition(loanId){
+        const address = await this.getLenderPositions();
+        if (address === null) return null;
+
+        const positions = this.positions(address);
+        const owner = await positions.ownerOf(loanId).catch(() => null);
+        if (owner === null) return null;
+
+        return { loanId: Number(loanId), owner, metadata: decodePositionURI(await positions.tokenURI(loanId)) };
+    }
+
+    /// @return current state of the liquidation auction of a loan ({ startedAt, discountBps, assetAmount, collateralAmount }),
+    ///         or null if the auction wasn't started
+    async getAuction(loanId){
+        const startedAt = Number(await this.contract.auctionStarts(loanId));
+        if (startedAt === 0) return null;
+
+        const [discountBps, [assetAmount, collateralAmount]] = await Promise.all([
+            this.contract.getAuctionDiscount(loanId),
+            this._call(() => this.contract.getAuctionQuote(loanId))
+        ]);
+        return { startedAt, discountBps: Number(discountBps), assetAmount, collateralAmount };
+    }
+
+    /// @notice simulates the auction of a loan at `timestamp`, using the current oracle prices and outstanding amount
+    /// @param startedAt start of the auction, defaults to the on-chain start (or `timestamp` if it wasn't started yet)
+    /// @return see quoteAuction in ./auction.js
+    async quoteAuctionAt(loanId, timestamp, startedAt){
+        const loan = await this.getLoan(loanId);
+        const oracle = (address) => new Contract(address, ORACLE_ABI, this.runner);
+
+        const [
+            config, onChainStart, assetRound, collateralRound, assetDecimals, collateralDecimals, assetOracleDecimals, collateralOracleDecimals
+        ] = await Promise.all([
+            this.getConfig(),
+            this.contract.auctionStarts(loanId),
+            oracle(loan.liquidation.assetOracle).latestRoundData(),
+            oracle(loan.liquidation.collateralOracle).latestRoundData(),
+            this.token(loan.asset).decimals(),
+            this.token(loan.collateral).decimals(),
+            oracle(loan.liquidation.assetOracle).decimals(),
+            oracle(loan.liquidation.collateralOracle).decimals()
+        ]);
+
+        return quoteAuction({
+            startedAt: startedAt ?? (onChainStart === 0n ? timestamp : onChainStart),
+            duration: config.auctionDuration,
+            maxDiscountBps: config.auctionMaxDiscount,
+            debt: loan.outstandingAmount,
+            collateralAmount: loan.collateralAmount,
+            assetPrice: assetRound[1],
+            collateralPrice: collateralRound[1],
+            assetDecimals,
+            collateralDecimals,
+            assetOracleDecimals,
+            collateralOracleDecimals,
+            protocolLiquidationFee: config.protocolLiquidationFee
+        }, timestamp);
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                      Loan lifecycle                      */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice requests a new loan, and approves the collateral so the request can be filled
+    /// @param loan set loan.lender to only let this lender fill the request
+    /// @param options.validate set to false to skip local validation (default: true)
+    /// @param options.approveCollateral set to false to skip the collateral approval (default: true)
+    /// @param options.expiresAt expiry of the request, set in the same transaction (default: REQUEST_EXPIRATION_DURATION)
+    /// @param options.allowlist addresses of the only lenders allowed to fill the request, see LendingP2P.requestLoanWithAllowlist
+    /// @param options.minFunding funded amount from which the request can start, set with setMinFunding in a second transaction
+    /// @param options.permit sign an EIP-2612 permit of the collateral instead of approving it, see LendingP2P.requestLoanWithPermit
+    /// @param options.permitDeadline expiry of the permit (default: 1 hour from the latest block)
+    /// @return loanId of the new request and the transaction receipt
+    async requestLoan(loan, options = {}){
+        const expiresAt = options.expiresAt ?? 0;
+
+        if (options.permit){
+            if (options.allowlist) throw new Error("permits are not supported for requests with an allowlist");
+
+            const permit = await this._signPermit(loan.collateral, loan.collateralAmount, options);
+            return this._requestLoan(loan, { ...options, approveCollateral: false }, (encodedLoan) => this.contract.requestLoanWithPermit(encodedLoan, permit, expiresAt));
+        }
+        if (options.allowlist){
+            const lenderRoot = allowlistRoot(options.allowlist);
+            return this._requestLoan(loan, options, (encodedLoan) => this.contract.requestLoanWithAllowlist(encodedLoan, lenderRoot, expiresAt));
+        }
+        if (options.expiresAt !== undefined){
+            return this._requestLoan(loan, options, (encodedLoan) => this.contract.requestLoanWithExpiry(encodedLoan, options.expiresAt));
+        }
+        return this._requestLoan(loan, options, (encodedLoan) => this.contract.requestLoan(encodedLoan));
+    }
+
+    /// @notice requests a new loan where interest accrues with time, see LendingP2P.requestLoanWithApr
+    /// @param terms { aprBps, minInterestDuration }, repaymentAmount of the loan is ignored
+    /// @param options same as requestLoan, without options.allowlist (only loan.lender can restrict who fills APR loans) and options.permit
+    async requestLoanWithApr(loan, terms, options = {}){
+        if (options.allowlist) throw new Error("allowlists are not supported for APR loans");
+        if (options.permit) throw new Error("permits are not supported for APR loans");
+
+        const interest = accruedInterest(loan.assetAmount, terms.aprBps, loan.duration);
+        const aprLoan = { ...loan, repaymentAmount: BigInt(loan.assetAmount) + interest };
+        const aprTerms = { aprBps: terms.aprBps, minInterestDuration: terms.minInterestDuration ?? 0 };
+
+        return this._requestLoan(aprLoan, options, (encodedLoan) => this.contract.requestLoanWithApr(encodedLoan, aprTerms, options.expiresAt ?? 0));
+    }
+
+    /// @notice requests a new loan that pays off the active loan `loanId` when filled, see LendingP2P.requestRefinance
+    /// @param loan new loan terms, asset, collateral, collateralAmount, duration and liquidation default to the ones of the current loan
+    /// @param options.validate set to false to skip local validation (default: true)
+    /// @param options.approve set to false to skip approving the extra collateral and the asset shortfall (default: true)
+    /// @dev if assetAmount is lower than the outstanding amount, the borrower pays the difference when the request is filled
+    /// @return loanId of the new request and the transaction receipt
+    async requestRefinance(loanId, loan, options = {}){
+        const current = await this.getLoan(loanId);
+        const refinance = {
+            borrower: current.borrower,
+            lender: ZeroAddress,
+            asset: current.asset,
+            collateral: current.collateral,
+            collateralAmount: current.collateralAmount,
+            duration: current.duration,
+            liquidation: current.liquidation,
+            ...loan
+        };
+
+        if (options.approve ?? true){
+            const extraCollateral = BigInt(refinance.collateralAmount) - current.collateralAmount;
+            const shortfall = current.repaymentAmount - current.repaidAmount - BigInt(refinance.assetAmount);
+
+            if (extraCollateral > 0n) await this._ensureAllowance(current.collateral, extraCollateral);
+            if (shortfall > 0n) await this._ensureAllowance(current.asset, shortfall);
+        }
+
+        return this._requestLoan(refinance, { ...options, approveCollateral: false }, (encodedLoan) => this.contract.requestRefinance(loanId, encodedLoan));
+    }
+
+    /// @notice fills a pending loan request, approving the asset if needed
+    /// @param options.allowlist lenders of the request's allowlist, used to build the proof of the sender
+    /// @param options.proof proof of the sender in the request's allowlist, instead of options.allowlist
+    /// @param options.native pay the asset in native tokens, for requests whose asset is the wrapped native token
+    /// @param options.permit sign an EIP-2612 permit of the asset instead of approving it, options.permitDeadline sets its expiry
+    /// @dev the allowlist options are only needed for requests with an allowlist (lenderRoot in getLoan)
+    async fillRequest(loanId, options = {}){
+        const loan = await this.getLoan(loanId);
+
+        if (options.native){
+            const proof = loan.lenderRoot === null ? [] : await this._lenderProof(options);
+            return this._send(() => this.contract.fillRequestNative(loanId, proof, { value: loan.assetAmount }));
+        }
+        if (options.permit){
+            const proof = loan.lenderRoot === null ? [] : await this._lenderProof(options);
+            const permit = await this._signPermit(loan.asset, loan.assetAmount, options);
+            return this._send(() => this.contract.fillRequestWithPermit(loanId, proof, permit));
+        }
+
+        await this._ensureAllowance(loan.asset, loan.assetAmount);
+        if (loan.lenderRoot !== null){
+            const proof = await this._lenderProof(options);
+            return this._send(() => this.contract.fillRequestWithProof(loanId, proof));
+        }
+        return this._send(() => this.contract.fillRequest(loanId));
+    }
+
+    /// @notice funds `amount` of a pending loan request, approving it if needed. the loan starts once it's fully funded
+    /// @param options same as fillRequest
+    async fillTranche(loanId, amount, options = {}){
+        const loan = await this.getLoan(loanId);
+        await this._ensureAllowance(loan.asset, amount);
+
+        const proof = loan.lenderRoot === null ? [] : await this._lenderProof(options);
+        return this._send(() => this.contract.fillTranche(loanId, amount, proof));
+    }
+
+    /// @notice starts a partially funded loan request once it reached its minimum funding, see setMinFunding
+    /// @dev the borrower's collateral is pulled, so the borrower has to keep the allowance
+    async startLoan(loanId){
+        return this._send(() => this.contract.startLoan(loanId));
+    }
+
+    /// @notice lets a loan request start with startLoan once `minFunding` is funded, with terms scaled down to the funded amount
+    async setMinFunding(loanId, minFunding){
+        return this._send(() => this.contract.setMinFunding(loanId, minFunding));
+    }
+
+    /// @notice withdraws the amount funded by the sender in a loan request that was canceled or expired
+    /// @return amount withdrawn and the transaction receipt
+    async withdrawTranche(loanId){
+        const receipt = await this._send(() => this.contract.withdrawTranche(loanId));
+        const event = this._findEvent(receipt, "TrancheWithdrawn");
+
+        return { amount: event.args.amount, receipt };
+    }
+
+    /// @notice repays an active loan, approving the outstanding amount if needed
+    /// @param options.native repay in native tokens, for loans whose asset is the wrapped native token
+    /// @param options.permit sign an EIP-2612 permit of the outstanding amount instead of approving it, options.permitDeadline sets its expiry
+    /// @dev for loans with an APR, the amount owed at the end of the duration is approved, since interest keeps accruing until the tx is mined.
+    ///      with options.native, this amount is sent and the part that wasn't owed is refunded
+    async repayLoan(loanId, options = {}){
+        const loan = await this.getLoan(loanId);
+        if (options.native){
+            return this._send(() => this.contract.repayLoanNative(loanId, { value: loan.repaymentAmount - loan.repaidAmount }));
+        }
+        if (options.permit){
+            const permit = await this._signPermit(loan.asset, loan.repaymentAmount - loan.repaidAmount, options);
+            return this._send(() => this.contract.repayLoanWithPermit(loanId, permit));
+        }
+        await this._ensureAllowance(loan.asset, loan.repaymentAmount - loan.repaidAmount);
+
+        return this._send(() => this.contract.repayLoan(loanId));
+    }
+
+    /// @notice repays a part of an active loan, approving `amount` if needed
+    async repayPartial(loanId, amount){
+        const loan = await this.getLoan(loanId);
+        await this._ensureAllowance(loan.asset, amount);
+
+        return this._send(() => this.contract.repayPartial(loanId, amount));
+    }
+
+    /// @notice adds collateral to an active loan, approving `amount` if needed
+    /// @param options.native send `amount` in native tokens, for loans whose collateral is the wrapped native token
+    async addCollateral(loanId, amount, options = {}){
+        if (options.native){
+            return this._send(() => this.contract.addCollateralNative(loanId, { value: amount }));
+        }
+
+        const loan = await this.getLoan(loanId);
+        await this._ensureAllowance(loan.collateral, amount);
+
+        return this._send(() => this.contract.addCollateral(loanId, amount));
+    }
+
+    /// @notice receive payouts in the wrapped native token (repayments, returned collateral, liquidations) as native tokens
+    async setNativePayouts(enabled){
+        return this._send(() => this.contract.setNativePayouts(enabled));
+    }
+
+    async cancelLoan(loanId){
+        return this._send(() => this.contract.cancelLoan(loanId));
+    }
+
+    /// @notice sets the timestamp after which a pending request can't be filled, at most REQUEST_EXPIRATION_DURATION after the request
+    async setRequestExpiry(loanId, expiresAt){
+        return this._send(() => this.contract.setRequestExpiry(loanId, expiresAt));
+    }
+
+    /// @notice marks the requests past their expiry as Expired, the other loans are skipped
+    /// @return ids of the loans marked as Expired and the transaction receipt
+    async expireRequests(loanIds){
+        const receipt = await this._send(() => this.contract.expireRequests(loanIds));
+        const expired = receipt.logs
+            .filter((log) => log.address.toLowerCase() === this.address.toLowerCase())
+            .map((log) => this.contract.interface.parseLog(log))
+            .filter((event) => event?.name === "LoanExpired")
+            .map((event) => Number(event.args.loanId));
+
+        return { expired, receipt };
+    }
+
+    /// @notice liquidates a loan, or starts its liquidation auction if auctions are enabled
+    /// @param overrides ethers transaction overrides, e.g. { gasLimit, maxFeePerGas }
+    /// @return true if the loan was liquidated (or its auction started), false if it was not liquidatable
+    async liquidateLoan(loanId, overrides = {}){
+        const liquidated = await this._call(() => this.contract.liquidateLoan.staticCall(loanId));
+        if (!liquidated) return false;
+
+        await this._send(() => this.contract.liquidateLoan(loanId, overrides));
+        return true;
+    }
+
+    /// @notice buys the collateral of a loan in a liquidation auction, approving the asset if needed
+    /// @dev approves the full outstanding amount, since the price keeps moving until the tx is mined
+    /// @return amounts paid and received, and the transaction receipt
+    async buyCollateral(loanId){
+        const loan = await this.getLoan(loanId);
+        await this._ensureAllowance(loan.asset, loan.repaymentAmount - loan.repaidAmount);
+
+        const receipt = await this._send(() => this.contract.buyCollateral(loanId));
+        const event = this._findEvent(receipt, "AuctionSettled");
+
+        return {
+            assetAmount: event.args.assetAmount,
+            collateralAmount: event.args.collateralAmount,
+            surplus: event.args.surplus,
+            receipt
+        };
+    }
+
+    /// @notice transfers the lender position of a loan owned by the connected signer, the new owner receives the repayment
+    async transferPosition(loanId, to){
+        const address = await this.getLenderPositions();
+        if (address === null) throw new Error("lender positions are not enabled");
+
+        const from = await this.runner.getAddress();
+        return this._send(() => this.positions(address).transferFrom(from, to, loanId));
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                         Batches                          */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice fills several pending loan requests in one transaction, approving the total asset amounts if needed
+    /// @return see _batch, requests that can't be filled (already filled, canceled, expired, ...) are skipped
+    async fillRequests(loanIds){
+        const loans = await Promise.all(loanIds.map((loanId) => this.getLoan(loanId)));
+
+        const amounts = new Map();
+        for (const loan of loans.filter((loan) => loan.status === "Pending")){
+            amounts.set(loan.asset, (amounts.get(loan.asset) ?? 0n) + loan.assetAmount);
+        }
+        for (const [asset, amount] of amounts){
+            await this._ensureAllowance(asset, amount);
+        }
+
+        return this._batch("fillRequest", loanIds);
+    }
+
+    /// @notice cancels several pending loan requests in one transaction
+    /// @return see _batch
+    async cancelLoans(loanIds){
+        return this._batch("cancelLoan", loanIds);
+    }
+
+    /// @notice liquidates several loans in one transaction, or starts their auctions if auctions are enabled
+    /// @param overrides ethers transaction overrides, e.g. { gasLimit, maxFeePerGas }
+    /// @return see _batch, with `liquidated` false for loans that are not liquidatable
+    async liquidateLoans(loanIds, overrides = {}){
+        return this._batch("liquidateLoan", loanIds, overrides);
+    }
+
+    /// @notice simulates `method(loanId)` for each loan in one tryMulticall, without sending a transaction
+    /// @param method "fillRequest", "cancelLoan" or "liquidateLoan"
+    /// @return [{ loanId, success, error, liquidated? }], `error` is the typed error (see ./errors.js) of a failed call,
+    ///         `liquidated` is the return value of liquidateLoan
+    async simulateBatch(method, loanIds){
+        const calls = loanIds.map((loanId) => this.contract.interface.encodeFunctionData(method, [loanId]));
+        const [successes, returnData] = await this._call(() => this.contract.tryMulticall.staticCall(calls));
+
+        return loanIds.map((loanId, i) => {
+            if (!successes[i]){
+                const error = parseRevert({ code: "CALL_EXCEPTION", data: returnData[i] }, this.contract.interface);
+                return { loanId, success: false, error };
+            }
+
+            const result = { loanId, success: true, error: null };
+            if (method === "liquidateLoan"){
+                result.liquidated = this.contract.interface.decodeFunctionResult(method, returnData[i])[0];
+            }
+            return result;
+        });
+    }
+
+    /// @notice simulates the batch, then sends the calls that succeeded (and liquidated) in one tryMulticall
+    /// @dev if the state changes before the transaction is mined, failing calls are still skipped on-chain
+    /// @return { results, receipt }, see simulateBatch. receipt is null if no call was sent
+    async _batch(method, loanIds, overrides = {}){
+        const results = await this.simulateBatch(method, loanIds);
+        const calls = results
+            .filter((result) => result.success && result.liquidated !== false)
+            .map((result) => this.contract.interface.encodeFunctionData(method, [result.loanId]));
+
+        const receipt = calls.length === 0 ? null : await this._send(() => this.contract.tryMulticall(calls, overrides));
+        return { results, receipt };
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                     Signed requests                      */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @return EIP-712 domain used to sign loan orders for this contract
+    async getOrderDomain(){
+        const { chainId } = await this.runner.provider.getNetwork();
+        return orderDomain(this.address, chainId);
+    }
+
+    /// @notice signs a loan request off-chain, and approves the collateral so the order can be filled
+    /// @param options.nonce borrower nonce (default: Date.now(), so that later orders have higher nonces)
+    /// @param options.deadline unix timestamp after which the order can't be filled (default: latest block + requestExpirationDuration)
+    /// @param options.validate set to false to skip local validation (default: true)
+    /// @param options.approveCollateral set to false to skip the collateral approval (default: true)
+    /// @return the order and its signature, to be passed to fillSignedRequest by the lender
+    async signLoanRequest(loan, options = {}){
+        if (options.validate ?? true){
+            const sender = await this.runner.getAddress();
+            assertValidLoan(await validateLoanRequest(loan, this.runner, { sender }));
+        }
+
+        if (options.approveCollateral ?? true){
+            await this._ensureAllowance(loan.collateral, loan.collateralAmount);
+        }
+
+        const nonce = options.nonce ?? Date.now();
+        const deadline = options.deadline ?? await this._defaultDeadline();
+
+        const order = buildOrder(loan, { nonce, deadline });
+        const signature = await signOrder(this.runner, await this.getOrderDomain(), order);
+
+        return { order, signature };
+    }
+
+    /// @notice fills a signed loan request, approving the asset if needed
+    /// @return loanId of the new loan and the transaction receipt
+    async fillSignedRequest(order, signature){
+        await this._ensureAllowance(order.loan.asset, order.loan.assetAmount);
+
+        const receipt = await this._send(() => this.contract.fillSignedRequest(order, signature));
+        const event = this._findEvent(receipt, "SignedRequestFilled");
+
+        return { loanId: Number(event.args.loanId), receipt };
+    }
+
+    /// @notice cancels a signed loan request of the connected borrower
+    async cancelSignedRequest(nonce){
+        return this._send(() => this.contract.cancelSignedRequest(nonce));
+    }
+
+    /// @notice cancels all signed loan requests of the connected borrower with a nonce lower than `minNonce`
+    async cancelSignedRequestsBelow(minNonce){
+        return this._send(() => this.contract.cancelSignedRequestsBelow(minNonce));
+    }
+
+    /// @return true if the order's nonce wasn't filled or canceled yet
+    async isOrderNonceValid(order){
+        const [used, minNonce] = await Promise.all([
+            this.contract.usedNonces(order.loan.borrower, order.nonce),
+            this.contract.minNonces(order.loan.borrower)
+        ]);
+        return !used && BigInt(order.nonce) >= minNonce;
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                          Offers                          */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @notice posts a lender offer, and approves the available amount so the offer can be accepted
+    /// @param options.approveAsset set to false to skip the asset approval (default: true)
+    /// @return offerId of the new offer and the transaction receipt
+    async createOffer(offer, options = {}){
+        if (options.approveAsset ?? true){
+            await this._ensureAllowance(offer.asset, offer.availableAmount);
+        }
+
+        const receipt = await this._send(() => this.contract.createOffer(encodeOffer(offer)));
+        const event = this._findEvent(receipt, "OfferCreated");
+
+        return { offerId: Number(event.args.offerId), receipt };
+    }
+
+    async cancelOffer(offerId){
+        return this._send(() => this.contract.cancelOffer(offerId));
+    }
+
+    /// @notice accepts an offer, approving the collateral if needed
+    /// @return loanId of the new loan and the transaction receipt
+    async acceptOffer(offerId, assetAmount, collateralAmount){
+        const offer = await this.getOffer(offerId);
+        await this._ensureAllowance(offer.collateral, collateralAmount);
+
+        const receipt = await this._send(() => this.contract.acceptOffer(offerId, assetAmount, collateralAmount));
+        const event = this._findEvent(receipt, "OfferAccepted");
+
+        return { loanId: Number(event.args.loanId), receipt };
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                          Admin                           */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    async setFeeCollector(feeCollector){
+        return this._send(() => this.contract.setFeeCollector(feeCollector));
+    }
+
+    async setRequestExpirationDuration(duration){
+        return this._send(() => this.contract.setRequestExpirationDuration(duration));
+    }
+
+    async setMaximumOraclePriceAge(maxPriceAge){
+        return this._send(() => this.contract.setMaximumOraclePriceAge(maxPriceAge));
+    }
+
+    async setProtocolFee(protocolFee){
+        return this._send(() => this.contract.setProtocolFee(protocolFee));
+    }
+
+    async setLiquidationConfig(liquidatorBonus, protocolLiquidationFee){
+        return this._send(() => this.contract.setLiquidationConfig(liquidatorBonus, protocolLiquidationFee));
+    }
+
+    async setAuctionConfig(auctionDuration, auctionMaxDiscount){
+        return this._send(() => this.contract.setAuctionConfig(auctionDuration, auctionMaxDiscount));
+    }
+
+    async setLenderPositions(lenderPositions){
+        return this._send(() => this.contract.setLenderPositions(lenderPositions));
+    }
+
+    async setWrappedNative(wrappedNative){
+        return this._send(() => this.contract.setWrappedNative(wrappedNative));
+    }
+
+    async setMarketRegistry(marketRegistry, enforce){
+        return this._send(() => this.contract.setMarketRegistry(marketRegistry, enforce));
+    }
+
+    async setGuardian(guardian){
+        return this._send(() => this.contract.setGuardian(guardian));
+    }
+
+    /// @notice pauses the given actions and unpauses the others, e.g. setPausedActions(["fills"]), or [] to unpause everything
+    /// @dev owner only, if the owner is a timelock use scheduleChange("setPausedActions", [encodePausedActions(actions)])
+    async setPausedActions(actions){
+        return this._send(() => this.contract.setPausedActions(encodePausedActions(actions)));
+    }
+
+    /// @notice pauses the given actions without unpausing the others, e.g. pauseActions(["fills"])
+    /// @dev for the guardian (see setGuardian) or the owner, only the owner can unpause with setPausedActions.
+    ///      if the owner is a timelock, other senders pause through it, which requires GUARDIAN_ROLE
+    async pauseActions(actions){
+        const pausedActions = encodePausedActions(actions);
+
+        const [sender, guardian, timelockAddress] = await Promise.all([
+            this.runner.getAddress(),
+            this.contract.guardian(),
+            this.getTimelock()
+        ]);
+        if (timelockAddress === null || sender === guardian) return this._send(() => this.contract.pauseActions(pausedActions));
+
+        const timelock = this.timelock(timelockAddress);
+        return this._send(() => timelock.pauseActions(this.address, pausedActions), timelock);
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                     Timelocked admin                     */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    /// @return address of the LendingP2PTimelock that owns the contract, or null if the owner is not a timelock
+    async getTimelock(){
+        const owner = await this.contract.owner();
+        const isTimelock = await this.timelock(owner).delay().then(() => true, () => false);
+        return isTimelock ? owner : null;
+    }
+
+    /// @notice lists the changes scheduled in the timelock that were not executed or canceled yet, sorted by eta
+    /// @return see decodeChange in ./timelock.js, calls to LendingP2P, MarketRegistry and the timelock are decoded
+    async getPendingChanges(){
+        const timelock = this.timelock(await this._requireTimelock());
+        const [changeLength, block] = await Promise.all([
+            timelock.changeLength(),
+            this.runner.provider.getBlock("latest")
+        ]);
+
+        const changes = await Promise.all(Array.from({ length: Number(changeLength) }, (_, changeId) => timelock.changes(changeId)));
+        const interfaces = [this.contract.interface, new Interface(REGISTRY_ABI), timelock.interface];
+
+        return changes
+            .map((change, changeId) => decodeChange(changeId, change, interfaces, block.timestamp))
+            .filter((change) => change.status === "Pending")
+            .sort((a, b) => a.eta - b.eta);
+    }
+
+    /// @notice schedules a call to an admin function through the timelock, e.g. scheduleChange("setProtocolFee", [1000])
+    /// @param options.target contract to call (default: LendingP2P)
+    /// @param options.interface ethers interface used to encode the call (default: LendingP2P)
+    /// @return { changeId, eta, receipt }
+    async scheduleChange(method, args, options = {}){
+        const timelock = this.timelock(await this._requireTimelock());
+        const data = (options.interface ?? this.contract.interface).encodeFunctionData(method, args);
+
+        const receipt = await this._send(() => timelock.schedule(options.target ?? this.address, data), timelock);
+        const event = this._findEvent(receipt, "ChangeScheduled", timelock);
+
+        return { changeId: Number(event.args.changeId), eta: Number(event.args.eta), receipt };
+    }
+
+    /// @notice executes a scheduled change once its eta passed
+    async executeChange(changeId){
+        const timelock = this.timelock(await this._requireTimelock());
+        return this._send(() => timelock.execute(changeId), timelock);
+    }
+
+    /// @notice cancels a scheduled change, as its proposer role or a guardian
+    async cancelChange(changeId){
+        const timelock = this.timelock(await this._requireTimelock());
+        return this._send(() => timelock.cancel(changeId), timelock);
+    }
+
+    async _requireTimelock(){
+        const address = await this.getTimelock();
+        if (address === null) throw new Error("the owner is not a timelock");
+        return address;
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                         Helpers                          */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    token(address){
+        return new Contract(address, ERC20_ABI, this.runner);
+    }
+
+    positions(address){
+        return new Contract(address, POSITIONS_ABI, this.runner);
+    }
+
+    registry(address){
+        return new Contract(address, REGISTRY_ABI, this.runner);
+    }
+
+    timelock(address){
+        return new Contract(address, TIMELOCK_ABI, this.runner);
+    }
+
+    /// @notice validates the loan, approves the collateral and sends the request with `send(encodedLoan)`
+    /// @dev if the market registry is enforced, unverified loans are also rejected before sending
+    async _requestLoan(loan, options, send){
+        if (options.validate ?? true){
+            const sender = await this.runner.getAddress();
+            assertValidLoan(await validateLoanRequest(loan, this.runner, { sender }));
+
+            const registry = await this.getMarketRegistry();
+            if (registry?.enforced && !(await this.isVerifiedLoan({ status: 0, ...loan }))){
+                throw new UnverifiedMarketError("unverified market", "unverified market");
+            }
+        }
+
+        if (options.approveCollateral ?? true){
+            await this._ensureAllowance(loan.collateral, loan.collateralAmount);
+        }
+
+        const receipt = await this._send(() => send(encodeLoan({ status: 0, ...loan })));
+        const loanId = Number(this._findEvent(receipt, "LoanRequested").args.loanId);
+
+        if (options.minFunding !== undefined){
+            await this.setMinFunding(loanId, options.minFunding);
+        }
+
+        return { loanId, receipt };
+    }
+
+    /// @notice proof of the sender in the allowlist of a request, from options.proof or options.allowlist
+    /// @dev without them the proof is empty, and the fill reverts with NotLenderError
+    async _lenderProof(options){
+        if (options.proof) return options.proof;
+        return options.allowlist ? allowlistProof(options.allowlist, await this.runner.getAddress()) : [];
+    }
+
+    /// @notice signs a permit of `amount` of `token` for this contract, expiring at options.permitDeadline (default: 1 hour from the latest block)
+    async _signPermit(token, amount, options){
+        const deadline = options.permitDeadline ?? (await this.runner.provider.getBlock("latest")).timestamp + 60 * 60;
+        return signPermit(this.runner, token, this.address, amount, deadline);
+    }
+
+    async _defaultDeadline(){
+        const [block, expirationDuration] = await Promise.all([
+            this.runner.provider.getBlock("latest"),
+            this.contract.REQUEST_EXPIRATION_DURATION()
+        ]);
+        return block.timestamp + Number(expirationDuration);
+    }
+
+    _decodePage([loanIds, loans]){
+        return loans.map((loan, i) => ({ loanId: Number(loanIds[i]), ...decodeLoan(loan) }));
+    }
+
+    async _ensureAllowance(tokenAddress, amount){
+        const owner = await this.runner.getAddress();
+        const token = this.token(tokenAddress);
+
+        const allowance = await token.allowance(owner, this.address);
+        if (allowance >= BigInt(amount)) return null;
+
+        return this._send(() => token.approve(this.address, this.approveMax ? MaxUint256 : amount));
+    }
+
+    /// @param contract contract whose interface decodes custom errors (default: LendingP2P)
+    async _send(fn, contract = this.contract){
+        try {
+            const tx = await fn();
+            return await tx.wait();
+        } catch (error) {
+            throw parseRevert(error, contract.interface);
+        }
+    }
+
+    async _call(fn){
+        try {
+            return await fn();
+        } catch (error) {
+            throw parseRevert(error, this.contract.interface);
+        }
+    }
+
+    _findEvent(receipt, name, contract = this.contract){
+        for (const log of receipt.logs){
+            if (log.address.toLowerCase() !== contract.target.toLowerCase()) continue;
+
+            const parsed = contract.interface.parseLog(log);
+            if (parsed?.name === name) return parsed;
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    LendingP2PClient,
+    ERC20_ABI,
+    PAUSE_ACTIONS,
+    encodePausedActions
+};
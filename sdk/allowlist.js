@@ -0,0 +1,61 @@
+const { AbiCoder, concat, getAddress, keccak256 } = require("ethers");
+
+/// @notice leaf of a lender in the allowlist of a loan request, same as in LendingP2P._fillRequest
+/// @dev double hashed abi.encode(lender), like OpenZeppelin's StandardMerkleTree
+function hashLender(lender){
+    return keccak256(keccak256(AbiCoder.defaultAbiCoder().encode(["address"], [lender])));
+}
+
+/// @notice hash of two nodes, sorted like OpenZeppelin's MerkleProof
+function hashPair(a, b){
+    return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/// @notice layers of the Merkle tree of `lenders`, from the sorted leaves to the root
+/// @dev a node without a sibling is moved up unchanged
+function buildLayers(lenders){
+    if (lenders.length === 0) throw new Error("empty allowlist");
+
+    const leaves = [...new Set(lenders.map((lender) => getAddress(lender)))].map(hashLender);
+    const layers = [leaves.sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))];
+
+    while (layers[layers.length - 1].length > 1){
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2){
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+
+    return layers;
+}
+
+/// @notice Merkle root of a list of lenders, as expected by requestLoanWithAllowlist
+function allowlistRoot(lenders){
+    const layers = buildLayers(lenders);
+    return layers[layers.length - 1][0];
+}
+
+/// @notice Merkle proof of `lender` in the allowlist `lenders`, as expected by fillRequestWithProof
+function allowlistProof(lenders, lender){
+    const layers = buildLayers(lenders);
+
+    let index = layers[0].indexOf(hashLender(getAddress(lender)));
+    if (index === -1) throw new Error(`${lender} is not in the allowlist`);
+
+    const proof = [];
+    for (const layer of layers.slice(0, -1)){
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < layer.length) proof.push(layer[sibling]);
+        index = Math.floor(index / 2);
+    }
+
+    return proof;
+}
+
+module.exports = {
+    hashLender,
+    allowlistRoot,
+    allowlistProof
+};
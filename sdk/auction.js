@@ -0,0 +1,69 @@
+const { MAX_BPS } = require("./loan");
+
+/// @notice same as LendingP2P.PRECISION_FACTOR
+const PRECISION_FACTOR = 10n ** 8n;
+
+/// @notice value of `amount` of a token in the oracle quote currency, same as LendingP2P._getValue
+/// @dev prices are normalized to 8 decimals, so values from oracles with different decimals can be compared
+function oracleValue(amount, price, decimals, oracleDecimals = 8){
+    return PRECISION_FACTOR * BigInt(amount) * BigInt(price) * 10n ** 8n / 10n ** (BigInt(decimals) + BigInt(oracleDecimals));
+}
+
+/// @notice discount on the collateral price at `timestamp`, same as LendingP2P.getAuctionDiscount
+/// @param auction { startedAt, duration, maxDiscountBps }
+function auctionDiscountAt(auction, timestamp){
+    const elapsed = BigInt(timestamp) - BigInt(auction.startedAt);
+    const maxDiscount = BigInt(auction.maxDiscountBps);
+
+    if (elapsed >= BigInt(auction.duration)) return Number(maxDiscount);
+    return Number(maxDiscount * elapsed / BigInt(auction.duration));
+}
+
+/**
+ * @notice simulates LendingP2P.getAuctionQuote and the payouts of buyCollateral at `timestamp`
+ * @param auction {
+ *     startedAt, duration, maxDiscountBps,       auction start and protocol auction config
+ *     debt, collateralAmount,                    outstanding amount and collateral of the loan
+ *     assetPrice, collateralPrice,               oracle answers, prices are assumed unchanged until `timestamp`
+ *     assetDecimals, collateralDecimals,         token decimals
+ *     assetOracleDecimals, collateralOracleDecimals, oracle decimals (default: 8)
+ *     protocolLiquidationFee                     protocol fee on the sold collateral in bps (default: 0)
+ * }
+ * @return { discountBps, assetAmount, collateralAmount, protocolFee, surplus }
+ */
+function quoteAuction(auction, timestamp){
+    const discountBps = auctionDiscountAt(auction, timestamp);
+
+    const debt = BigInt(auction.debt);
+    const totalCollateral = BigInt(auction.collateralAmount);
+    const debtValue = oracleValue(debt, auction.assetPrice, auction.assetDecimals, auction.assetOracleDecimals);
+    const collateralValue = oracleValue(totalCollateral, auction.collateralPrice, auction.collateralDecimals, auction.collateralOracleDecimals);
+    const discountedValue = collateralValue * BigInt(MAX_BPS - discountBps) / BigInt(MAX_BPS);
+
+    let assetAmount = debt;
+    let collateralAmount;
+    if (debtValue >= discountedValue){
+        assetAmount = debt * discountedValue / debtValue;
+        collateralAmount = totalCollateral;
+    } else {
+        collateralAmount = totalCollateral * debtValue / discountedValue;
+    }
+
+    let protocolFee = collateralAmount * BigInt(auction.protocolLiquidationFee ?? 0) / BigInt(MAX_BPS);
+    if (protocolFee > totalCollateral - collateralAmount) protocolFee = totalCollateral - collateralAmount;
+
+    return {
+        discountBps,
+        assetAmount,
+        collateralAmount,
+        protocolFee,
+        surplus: totalCollateral - collateralAmount - protocolFee
+    };
+}
+
+module.exports = {
+    PRECISION_FACTOR,
+    oracleValue,
+    auctionDiscountAt,
+    quoteAuction
+};
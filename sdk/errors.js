@@ -0,0 +1,191 @@
+/// @notice base class for all errors thrown by the LendingP2P client
+class LendingP2PError extends Error {
+    constructor(message, reason, cause){
+        super(message);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+
+class InvalidStatusError extends LendingP2PError {}
+class RequestExpiredError extends LendingP2PError {}
+class InvalidExpiryError extends LendingP2PError {}
+class InstantlyLiquidatableError extends LendingP2PError {}
+class NotBorrowerError extends LendingP2PError {}
+class NotLenderError extends LendingP2PError {}
+class InvalidLoanError extends LendingP2PError {}
+class UnverifiedMarketError extends InvalidLoanError {}
+class InvalidAmountError extends LendingP2PError {}
+class InsufficientCollateralError extends LendingP2PError {}
+class InvalidNonceError extends LendingP2PError {}
+class InvalidSignatureError extends LendingP2PError {}
+class OracleError extends LendingP2PError {}
+class StaleOracleError extends OracleError {}
+class InvalidOraclePriceError extends OracleError {}
+class OracleDecimalsMismatchError extends OracleError {}
+class InvalidOracleDecimalsError extends OracleError {}
+class InvalidConfigError extends LendingP2PError {}
+class NotOwnerError extends LendingP2PError {}
+class NotAuthorizedError extends LendingP2PError {}
+class ChangeNotReadyError extends LendingP2PError {}
+class ActionPausedError extends LendingP2PError {}
+class ContractRevertError extends LendingP2PError {}
+
+/// @notice thrown before sending a transaction, when a loan fails local validation (see ./loan.js)
+/// @dev `violations` contains every failed check ({ field, reason }), not only the first one
+class LoanValidationError extends InvalidLoanError {
+    constructor(violations){
+        super("invalid loan: " + violations.map((v) => `${v.field}: ${v.reason}`).join(", "), null);
+        this.violations = violations;
+    }
+}
+
+/// @notice revert strings of LendingP2P, mapped to the error class thrown by the client
+const REVERT_REASONS = {
+    "invalid status": InvalidStatusError,
+    "partially filled": InvalidStatusError,
+    "already expired": RequestExpiredError,
+    "invalid expiry": InvalidExpiryError,
+    "expiry > max": InvalidExpiryError,
+    "instantly liquidatable": InstantlyLiquidatableError,
+    "borrower != msg.sender": NotBorrowerError,
+    "sender != borrower": NotBorrowerError,
+    "lender != msg.sender": NotLenderError,
+    "sender != lender": NotLenderError,
+    "lender not allowed": NotLenderError,
+    "amount <= repayment": InvalidLoanError,
+    "asset == collateral": InvalidLoanError,
+    "liq threshold > max bps": InvalidLoanError,
+    "invalid decimals": InvalidLoanError,
+    "amount == 0": InvalidAmountError,
+    "amount >= outstanding": InvalidAmountError,
+    "amount > available": InvalidAmountError,
+    "tranche too small": InvalidAmountError,
+    "insufficient funding": InvalidAmountError,
+    "msg.value < amount": InvalidAmountError,
+    "interest == 0": InvalidLoanError,
+    "apr == 0": InvalidLoanError,
+    "min interest > duration": InvalidLoanError,
+    "token mismatch": InvalidLoanError,
+    "invalid allowlist": InvalidLoanError,
+    "refinance request": InvalidLoanError,
+    "not wrapped native": InvalidLoanError,
+    "fee-on-transfer token": InvalidLoanError,
+    "unverified market": UnverifiedMarketError,
+    "action paused": ActionPausedError,
+    "insufficient collateral": InsufficientCollateralError,
+    "nonce too low": InvalidNonceError,
+    "nonce already used": InvalidNonceError,
+    "invalid signature": InvalidSignatureError,
+    "auction not started": InvalidStatusError,
+    "not liquidatable": InvalidStatusError,
+    "oracle decimals mismatch": OracleDecimalsMismatchError,
+    "oracle decimals > 18": InvalidOracleDecimalsError,
+    "incomplete round": InvalidOraclePriceError,
+    "price confidence too low": InvalidOraclePriceError,
+    "invalid oracle price": InvalidOraclePriceError,
+    "stale asset oracle": StaleOracleError,
+    "stale collateral oracle": StaleOracleError,
+    "feeCollector == address(0)": InvalidConfigError,
+    "newExpirationDuration < 1 day": InvalidConfigError,
+    "protocolFee > 2000 bps": InvalidConfigError,
+    "liquidatorBonus > 1000 bps": InvalidConfigError,
+    "protocolLiquidationFee > 500 bps": InvalidConfigError,
+    "auctionMaxDiscount > 10000 bps": InvalidConfigError,
+    "positions already set": InvalidConfigError,
+    "invalid positions": InvalidConfigError,
+    "sender != positions": NotAuthorizedError,
+    "sender != lendingP2P": NotAuthorizedError,
+    "invalid registry": InvalidConfigError,
+    "invalid actions": InvalidConfigError,
+    "invalid extension": InvalidConfigError,
+    "wrapped native already set": InvalidConfigError,
+    "wrappedNative == address(0)": InvalidConfigError,
+    "sender != wrappedNative": NotAuthorizedError,
+    "refund failed": InvalidConfigError,
+    "change not ready": ChangeNotReadyError,
+    "sender can't cancel": NotAuthorizedError,
+    "sender != timelock": NotAuthorizedError,
+    "not guardian": NotAuthorizedError,
+    "invalid target": InvalidConfigError,
+    "delay > max": InvalidConfigError,
+    "invalid data": InvalidConfigError
+};
+
+/// @notice custom errors (from OpenZeppelin dependencies), mapped to the error class thrown by the client
+const CUSTOM_ERRORS = {
+    "OwnableUnauthorizedAccount": NotOwnerError,
+    "AccessControlUnauthorizedAccount": NotAuthorizedError
+};
+
+/// @notice extracts the decoded revert ({ name, args }) from an ethers or hardhat error, if any
+function decodeRevert(error, contractInterface){
+    if (error?.revert) return error.revert;
+
+    const data = error?.data ?? error?.info?.error?.data;
+    if (!contractInterface || typeof data !== "string" || data.length < 10) return null;
+
+    try {
+        return contractInterface.parseError(data);
+    } catch {
+        return null;
+    }
+}
+
+/// @notice converts an ethers call exception into a typed LendingP2PError
+/// @param contractInterface interface used to decode raw revert data, e.g. `contract.interface`
+/// @dev errors that are not contract reverts are returned unchanged
+function parseRevert(error, contractInterface){
+    if (error instanceof LendingP2PError) return error;
+
+    const revert = decodeRevert(error, contractInterface);
+    if (revert && revert.name !== "Error"){
+        const ErrorClass = CUSTOM_ERRORS[revert.name] ?? ContractRevertError;
+        return new ErrorClass(revert.name, revert.name, error);
+    }
+
+    const reason = revert?.args?.[0] ?? error?.reason;
+    if (typeof reason === "string"){
+        const ErrorClass = REVERT_REASONS[reason] ?? ContractRevertError;
+        return new ErrorClass(reason, reason, error);
+    }
+
+    if (error?.code === "CALL_EXCEPTION"){
+        return new ContractRevertError("transaction reverted without a reason", null, error);
+    }
+
+    return error;
+}
+
+module.exports = {
+    LendingP2PError,
+    InvalidStatusError,
+    RequestExpiredError,
+    InvalidExpiryError,
+    InstantlyLiquidatableError,
+    NotBorrowerError,
+    NotLenderError,
+    InvalidLoanError,
+    UnverifiedMarketError,
+    InvalidAmountError,
+    InsufficientCollateralError,
+    InvalidNonceError,
+    InvalidSignatureError,
+    OracleError,
+    StaleOracleError,
+    InvalidOraclePriceError,
+    OracleDecimalsMismatchError,
+    InvalidOracleDecimalsError,
+    InvalidConfigError,
+    NotOwnerError,
+    NotAuthorizedError,
+    ChangeNotReadyError,
+    ActionPausedError,
+    ContractRevertError,
+    LoanValidationError,
+    REVERT_REASONS,
+    CUSTOM_ERRORS,
+    decodeRevert,
+    parseRevert
+};
@@ -0,0 +1,34 @@
+const { LendingP2PClient, ERC20_ABI, PAUSE_ACTIONS, encodePausedActions } = require("./LendingP2PClient");
+const { LiquidationKeeper } = require("./keeper");
+const { LoanIndexer, JsonStore, MemoryStore } = require("./indexer");
+const loan = require("./loan");
+const offer = require("./offer");
+const order = require("./order");
+const auction = require("./auction");
+const allowlist = require("./allowlist");
+const permit = require("./permit");
+const positions = require("./positions");
+const registry = require("./registry");
+const timelock = require("./timelock");
+const errors = require("./errors");
+
+module.exports = {
+    LendingP2PClient,
+    LiquidationKeeper,
+    LoanIndexer,
+    JsonStore,
+    MemoryStore,
+    ERC20_ABI,
+    PAUSE_ACTIONS,
+    encodePausedActions,
+    ...loan,
+    ...offer,
+    ...order,
+    ...auction,
+    ...allowlist,
+    ...permit,
+    ...positions,
+    ...registry,
+    ...timelock,
+    ...errors
+};
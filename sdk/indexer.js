@@ -0,0 +1,430 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+
+const { LOAN_STATUS, decodeLoan } = require("./loan");
+
+/// @notice status each lifecycle event moves the loan to
+const LOAN_EVENTS = {
+    LoanRequested: "Pending",
+    OfferAccepted: "Active",
+    SignedRequestFilled: "Active",
+    LoanCanceled: "Canceled",
+    LoanExpired: "Expired",
+    LoanFilled: "Active",
+    LoanRepaid: "Repaid",
+    LoanLiquidated: "Liquidated",
+    LoanRefinanced: "Refinanced"
+};
+
+/// @notice events that update a loan, without changing its status
+const LOAN_UPDATE_EVENTS = [
+    "LoanPartiallyRepaid", "CollateralAdded", "AuctionStarted", "AuctionReset", "AuctionSettled", "RefinanceRequested", "LenderTransferred", "RequestExpiryUpdated",
+    "TrancheFilled", "TrancheWithdrawn"
+];
+
+/// @notice config events, mapped to the config key they update and the arg holding the new value,
+///         and for per-user settings the arg holding the user, see getConfig
+const CONFIG_EVENTS = {
+    FeeCollectorUpdated: ["feeCollector", "newFeeCollector"],
+    ExpirationDurationUpdated: ["requestExpirationDuration", "newExpirationDuration"],
+    ProtocolFeeUpdated: ["protocolFee", "newProtocolFee"],
+    LiquidatorBonusUpdated: ["liquidatorBonus", "newLiquidatorBonus"],
+    ProtocolLiquidationFeeUpdated: ["protocolLiquidationFee", "newProtocolLiquidationFee"],
+    MaxOraclePriceAgeUpdated: ["maxOraclePriceAge", "newMaxOraclePriceAge"],
+    AuctionDurationUpdated: ["auctionDuration", "newAuctionDuration"],
+    AuctionMaxDiscountUpdated: ["auctionMaxDiscount", "newAuctionMaxDiscount"],
+    LenderPositionsUpdated: ["lenderPositions", "lenderPositions"],
+    MarketRegistryUpdated: ["marketRegistry", "marketRegistry"],
+    WrappedNativeUpdated: ["wrappedNative", "wrappedNative"],
+    NativePayoutsUpdated: ["nativePayouts", "enabled", "user"],
+    PausedActionsUpdated: ["pausedActions", "newPausedActions"],
+    GuardianUpdated: ["guardian", "newGuardian"],
+    OwnershipTransferred: ["owner", "newOwner"]
+};
+
+function emptyState(){
+    return { checkpoint: null, provisional: null, loans: {}, config: [], revenue: [] };
+}
+
+/// @notice JSON representation of event args (bigints as decimal strings)
+function serialize(value){
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(serialize);
+    if (value && typeof value === "object"){
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serialize(v)]));
+    }
+    return value;
+}
+
+/// @notice stores the indexer state in a single JSON file
+class JsonStore {
+    constructor(file){
+        this.file = file;
+    }
+
+    load(){
+        if (!fs.existsSync(this.file)) return emptyState();
+        return JSON.parse(fs.readFileSync(this.file, "utf8"));
+    }
+
+    /// @dev written to a temporary file first, so a crash can't leave a truncated store behind
+    save(state){
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file + ".tmp", JSON.stringify(state));
+        fs.renameSync(this.file + ".tmp", this.file);
+    }
+}
+
+/// @notice keeps the state in memory only, mostly useful for tests
+class MemoryStore {
+    constructor(){
+        this.state = emptyState();
+    }
+
+    load(){
+        return structuredClone(this.state);
+    }
+
+    save(state){
+        this.state = structuredClone(state);
+    }
+}
+
+/**
+ * @notice indexes LendingP2P events into a local store of loans, with their full status history
+ * @dev every synced block range is persisted, so indexing resumes where it stopped. the checkpoint only moves to blocks
+ *      with `confirmations` blocks on top of them, data of newer blocks is provisional (see getProvisionalBlock):
+ *      if the last indexed block was reorged out, everything after the checkpoint is dropped and re-processed.
+ *      if the checkpoint block itself was reorged out, all data after `checkpoint - confirmations` is dropped
+ *      and re-processed from there. reorgs deeper than `confirmations` are not detected.
+ *      emits "reorg" ({ fromBlock, toBlock }) and "synced" ({ fromBlock, toBlock })
+ */
+class LoanIndexer extends EventEmitter {
+    /// @param contract ethers Contract instance of LendingP2P, connected to a provider
+    /// @param store JsonStore, MemoryStore, or any object implementing load() and save(state)
+    /// @param options.startBlock first block to index, usually the deployment block (default: 0)
+    /// @param options.confirmations number of blocks after which events are considered final (default: 12)
+    /// @param options.batchSize maximum block range of a single getLogs call (default: 2000)
+    constructor(contract, store, options = {}){
+        super();
+        this.contract = contract;
+        this.provider = contract.runner.provider ?? contract.runner;
+        this.store = store;
+
+        this.startBlock = options.startBlock ?? 0;
+        this.confirmations = options.confirmations ?? 12;
+        this.batchSize = options.batchSize ?? 2000;
+
+        this.state = store.load();
+    }
+
+    /// @notice indexes all events up to the latest block, and checkpoints the ones with `confirmations` blocks on top of them
+    /// @return the checkpoint, null until a block after startBlock is confirmed
+    async sync(){
+        const head = await this.provider.getBlockNumber();
+        const safeHead = head - this.confirmations;
+        await this._handleReorg();
+
+        //provisional blocks indexed by the previous sync may be confirmed now
+        const provisional = this.state.provisional;
+        if (provisional && safeHead > this._checkpointBlock()){
+            await this._setCheckpoint(Math.min(safeHead, provisional.blockNumber));
+            if (this._checkpointBlock() === provisional.blockNumber) this.state.provisional = null;
+        }
+
+        const indexed = this.state.provisional ?? this.state.checkpoint;
+        const fromBlock = indexed ? indexed.blockNumber + 1 : this.startBlock;
+        for (let from = fromBlock; from <= head; from += this.batchSize){
+            const to = Math.min(from + this.batchSize - 1, head);
+
+            //events of the same block share its timestamp, so each block is only fetched once per batch
+            const timestamps = new Map();
+            const logs = await this.contract.queryFilter("*", from, to);
+            for (const log of logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)){
+                await this._process(log, timestamps);
+            }
+
+            const confirmed = Math.min(to, safeHead);
+            if (confirmed >= from) await this._setCheckpoint(confirmed);
+            this.state.provisional = to > confirmed ? { blockNumber: to, blockHash: (await this.provider.getBlock(to)).hash } : null;
+            this.store.save(this.state);
+
+            this.emit("synced", { fromBlock: from, toBlock: to });
+        }
+
+        return this.state.checkpoint;
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                         Queries                          */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    getCheckpoint(){
+        return this.state.checkpoint;
+    }
+
+    /// @notice last indexed block after the checkpoint, null if there is none
+    /// @dev loans, config and revenue entries of blocks after the checkpoint are provisional, they are dropped if these blocks are reorged out
+    getProvisionalBlock(){
+        return this.state.provisional ?? null;
+    }
+
+    getLoan(loanId){
+        return this.state.loans[loanId] ?? null;
+    }
+
+    /// @param filter.status, filter.borrower, filter.lender, filter.asset, filter.collateral (all optional)
+    getLoans(filter = {}){
+        const matches = (a, b) => b === undefined || (a ?? "").toLowerCase() === b.toLowerCase();
+
+        return Object.values(this.state.loans)
+            .filter((loan) => filter.status === undefined || loan.status === filter.status)
+            .filter((loan) => ["borrower", "lender", "asset", "collateral"].every((key) => matches(loan[key], filter[key])))
+            .sort((a, b) => a.loanId - b.loanId);
+    }
+
+    /// @notice loans linked by refinances, from the first loan to the latest one, including `loanId`
+    /// @dev stops at loans requested before startBlock
+    getRefinanceChain(loanId){
+        let first = this.getLoan(loanId);
+        if (!first) return [];
+
+        while (first.refinancedFrom !== null && this.getLoan(first.refinancedFrom)){
+            first = this.getLoan(first.refinancedFrom);
+        }
+
+        const chain = [first];
+        for (let loan = first; loan.refinancedTo !== null && this.getLoan(loan.refinancedTo); ){
+            loan = this.getLoan(loan.refinancedTo);
+            chain.push(loan);
+        }
+        return chain;
+    }
+
+    /// @notice latest value of every config key that was updated since startBlock, per user for per-user settings
+    ///         (e.g. nativePayouts: { [user]: true })
+    getConfig(){
+        const config = {};
+        for (const entry of this.state.config){
+            if (entry.user !== undefined){
+                config[entry.key] = { ...config[entry.key], [entry.user]: entry.value };
+            } else {
+                config[entry.key] = entry.value;
+            }
+        }
+        return config;
+    }
+
+    getConfigHistory(){
+        return this.state.config;
+    }
+
+    /// @notice protocol revenue, summed per token
+    getRevenue(){
+        const revenue = {};
+        for (const entry of this.state.revenue){
+            revenue[entry.asset] = (BigInt(revenue[entry.asset] ?? 0) + BigInt(entry.amount)).toString();
+        }
+        return revenue;
+    }
+
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+    /*                         Helpers                          */
+    /*~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~*/
+
+    async _handleReorg(){
+        const provisional = this.state.provisional;
+        if (provisional){
+            const block = await this.provider.getBlock(provisional.blockNumber);
+            if (block && block.hash === provisional.blockHash) return;
+
+            //the checkpoint is checked below, provisional blocks after it are indexed again
+            const checkpointBlock = this._checkpointBlock();
+            this._rollback(checkpointBlock);
+            this.state.provisional = null;
+            this.store.save(this.state);
+
+            this.emit("reorg", { fromBlock: checkpointBlock + 1, toBlock: provisional.blockNumber });
+        }
+
+        const checkpoint = this.state.checkpoint;
+        if (!checkpoint) return;
+
+        const block = await this.provider.getBlock(checkpoint.blockNumber);
+        if (block && block.hash === checkpoint.blockHash) return;
+
+        const safeBlock = checkpoint.blockNumber - this.confirmations;
+        this._rollback(safeBlock);
+
+        if (safeBlock < this.startBlock){
+            this.state.checkpoint = null;
+        } else {
+            this.state.checkpoint = { blockNumber: safeBlock, blockHash: (await this.provider.getBlock(safeBlock)).hash };
+        }
+        this.store.save(this.state);
+
+        this.emit("reorg", { fromBlock: safeBlock + 1, toBlock: checkpoint.blockNumber });
+    }
+
+    _checkpointBlock(){
+        return this.state.checkpoint ? this.state.checkpoint.blockNumber : this.startBlock - 1;
+    }
+
+    async _setCheckpoint(blockNumber){
+        this.state.checkpoint = { blockNumber, blockHash: (await this.provider.getBlock(blockNumber)).hash };
+    }
+
+    /// @notice drops everything indexed after `blockNumber`, and recomputes the affected loans
+    _rollback(blockNumber){
+        for (const [loanId, loan] of Object.entries(this.state.loans)){
+            loan.history = loan.history.filter((entry) => entry.blockNumber <= blockNumber);
+
+            if (loan.history.length === 0){
+                delete this.state.loans[loanId];
+            } else {
+                this._applyHistory(loan);
+            }
+        }
+
+        this.state.config = this.state.config.filter((entry) => entry.blockNumber <= blockNumber);
+        this.state.revenue = this.state.revenue.filter((entry) => entry.blockNumber <= blockNumber);
+    }
+
+    /// @param timestamps block timestamps already fetched in the current batch, by block number
+    async _process(log, timestamps){
+        if (!log.eventName) return; //not emitted by LendingP2P
+
+        const meta = {
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.index
+        };
+
+        if (LOAN_EVENTS[log.eventName] || LOAN_UPDATE_EVENTS.includes(log.eventName)){
+            const loanId = Number(log.args.loanId);
+            if (!timestamps.has(log.blockNumber)) timestamps.set(log.blockNumber, (await log.getBlock()).timestamp);
+            const timestamp = timestamps.get(log.blockNumber);
+
+            //loans created from offers or signed requests are never requested on-chain, they start with OfferAccepted/SignedRequestFilled
+            if (log.eventName === "LoanRequested" || log.eventName === "OfferAccepted" || log.eventName === "SignedRequestFilled"){
+                this.state.loans[loanId] = await this._fetchLoan(loanId, log.blockNumber);
+            }
+
+            const loan = this.state.loans[loanId];
+            if (!loan) return; //requested before startBlock
+
+            loan.history.push({
+                event: log.eventName,
+                status: LOAN_EVENTS[log.eventName] ?? loan.status,
+                ...(log.eventName === "LoanFilled" ? { lender: log.args.lender } : {}),
+                ...(log.eventName === "LenderTransferred" ? { lender: log.args.to } : {}),
+                ...(log.eventName === "RequestExpiryUpdated" ? { expiresAt: Number(log.args.expiresAt) } : {}),
+                ...(log.eventName === "OfferAccepted" ? { offerId: Number(log.args.offerId) } : {}),
+                ...(log.eventName === "SignedRequestFilled" ? { nonce: log.args.nonce.toString() } : {}),
+                ...(log.eventName === "RefinanceRequested" ? { refinancedLoanId: Number(log.args.refinancedLoanId) } : {}),
+                ...(log.eventName === "LoanRefinanced" ? { newLoanId: Number(log.args.newLoanId) } : {}),
+                ...(log.eventName === "TrancheFilled" || log.eventName === "TrancheWithdrawn" ? { lender: log.args.lender } : {}),
+                ...(["LoanPartiallyRepaid", "CollateralAdded", "TrancheFilled", "TrancheWithdrawn"].includes(log.eventName)
+                    ? { amount: log.args.amount.toString() }
+                    : {}),
+                ...(log.eventName === "AuctionSettled" ? {
+                    buyer: log.args.buyer,
+                    assetAmount: log.args.assetAmount.toString(),
+                    collateralSold: log.args.collateralAmount.toString(),
+                    surplus: log.args.surplus.toString()
+                } : {}),
+                timestamp,
+                ...meta
+            });
+            this._applyHistory(loan);
+        } else if (CONFIG_EVENTS[log.eventName]){
+            const [key, arg, userArg] = CONFIG_EVENTS[log.eventName];
+            this.state.config.push({ key, value: serialize(log.args[arg]), ...(userArg ? { user: log.args[userArg] } : {}), ...meta });
+        } else if (log.eventName === "ProtocolRevenue"){
+            this.state.revenue.push({
+                loanId: Number(log.args.loanId),
+                asset: log.args.asset,
+                amount: log.args.amount.toString(),
+                ...meta
+            });
+        }
+    }
+
+    /// @notice loads the loan terms at the request block, fields that change afterwards are derived from the events
+    /// @dev reading state at past blocks requires an archive node when indexing old blocks
+    async _fetchLoan(loanId, blockNumber){
+        const [loan, interestTerms, verified] = await Promise.all([
+            this.contract.loans(loanId, { blockTag: blockNumber }),
+            this.contract.interestTerms(loanId, { blockTag: blockNumber }),
+            this.contract.isVerified(loanId, { blockTag: blockNumber })
+        ]);
+        const terms = serialize(decodeLoan(loan));
+        delete terms.status;
+        delete terms.statusId;
+        terms.aprBps = Number(interestTerms.aprBps);
+        terms.minInterestDuration = Number(interestTerms.minInterestDuration);
+        terms.verified = verified;
+
+        return {
+            loanId,
+            ...terms,
+            initialAssetAmount: terms.assetAmount,
+            initialRepaymentAmount: terms.repaymentAmount,
+            initialCollateralAmount: terms.collateralAmount,
+            repaidAmount: "0",
+            lender: null,
+            startTimestamp: 0,
+            status: LOAN_STATUS[0],
+            history: []
+        };
+    }
+
+    _applyHistory(loan){
+        const last = loan.history[loan.history.length - 1];
+        const filled = loan.history.find((entry) => entry.event === "LoanFilled");
+        const transferred = loan.history.filter((entry) => entry.event === "LenderTransferred").pop();
+
+        const sum = (event) => loan.history
+            .filter((entry) => entry.event === event)
+            .reduce((total, entry) => total + BigInt(entry.amount), 0n);
+
+        //requests started with less than the requested amount have their terms scaled down, same as LendingP2PExtension._startLoan
+        const tranches = {};
+        for (const entry of loan.history.filter((entry) => entry.event === "TrancheFilled" || entry.event === "TrancheWithdrawn")){
+            const amount = entry.event === "TrancheFilled" ? BigInt(entry.amount) : -BigInt(entry.amount);
+            tranches[entry.lender] = (BigInt(tranches[entry.lender] ?? 0) + amount).toString();
+        }
+        const funded = sum("TrancheFilled") - sum("TrancheWithdrawn");
+        const requested = BigInt(loan.initialAssetAmount ?? loan.assetAmount);
+        const scale = (amount, roundUp) => filled && funded > 0n && funded < requested
+            ? ((BigInt(amount) * funded + (roundUp ? requested - 1n : 0n)) / requested).toString()
+            : amount;
+
+        loan.status = last.status;
+        loan.lender = transferred ? transferred.lender : (filled ? filled.lender : null);
+        loan.startTimestamp = filled ? filled.timestamp : 0;
+        loan.tranches = tranches;
+        loan.fundedAmount = funded.toString();
+        loan.assetAmount = scale(requested.toString(), false);
+        loan.repaymentAmount = scale(loan.initialRepaymentAmount ?? loan.repaymentAmount, false);
+        loan.repaidAmount = sum("LoanPartiallyRepaid").toString();
+        loan.collateralAmount = (BigInt(scale(loan.initialCollateralAmount, true)) + sum("CollateralAdded")).toString();
+        //auctions are reset when the loan recovers, and can be started again
+        const auction = loan.history.filter((entry) => entry.event === "AuctionStarted" || entry.event === "AuctionReset").pop();
+        loan.auctionStartedAt = auction?.event === "AuctionStarted" ? auction.timestamp : null;
+        loan.refinancedFrom = loan.history.find((entry) => entry.event === "RefinanceRequested")?.refinancedLoanId ?? null;
+        loan.refinancedTo = loan.history.find((entry) => entry.event === "LoanRefinanced")?.newLoanId ?? null;
+        loan.expiresAt = loan.history.filter((entry) => entry.event === "RequestExpiryUpdated").pop()?.expiresAt ?? null;
+        loan.updatedBlock = last.blockNumber;
+    }
+}
+
+module.exports = {
+    LOAN_EVENTS,
+    LOAN_UPDATE_EVENTS,
+    CONFIG_EVENTS,
+    JsonStore,
+    MemoryStore,
+    LoanIndexer
+};
@@ -0,0 +1,269 @@
+const { EventEmitter } = require("events");
+
+const { OracleError } = require("./errors");
+const { PAUSE_ACTIONS } = require("./LendingP2PClient");
+
+/// @notice statuses after which a loan can never be liquidated
+const FINAL_STATUSES = ["Canceled", "Repaid", "Liquidated", "Refinanced", "Expired"];
+
+/// @notice gas used to compare the cost of buyCollateral with its profit when options.gasLimit isn't set
+/// @dev buyCollateral can't be estimated before the asset is approved, which is only done for profitable buys
+const BUY_GAS_ESTIMATE = 300000n;
+
+/**
+ * @notice keeper that tracks loans and liquidates them once they become liquidatable
+ * @dev if auctions are enabled, loans with oracles are auctioned instead: the keeper starts their auction,
+ *      and buys the collateral once it's profitable at the current discount, see LendingP2P.buyCollateral
+ * @dev emits:
+ *      - "liquidated"     ({ loanId, reason, dryRun })
+ *      - "auctionStarted" ({ loanId, reason, dryRun })
+ *      - "bought"         ({ loanId, reason, assetAmount, collateralAmount, dryRun }), amounts are the quote in dry-run mode
+ *      - "skipped"        ({ loanId, reason })
+ *      - "alert"      ({ loanId, error }), for oracle reverts ("stale asset oracle", "invalid oracle price", ...)
+ *      - "failed"     ({ loanId, error }), for any other failure, the keeper keeps running
+ */
+class LiquidationKeeper extends EventEmitter {
+    /// @param client LendingP2PClient connected to the liquidator signer
+    /// @param options.dryRun only report liquidatable loans, without sending transactions (default: false)
+    /// @param options.concurrency number of loans evaluated in parallel (default: 5)
+    /// @param options.pollInterval delay between scans in ms, used by start() (default: 15000)
+    /// @param options.maxGasPrice skip liquidations while the gas price (in wei) is above this value
+    /// @param options.gasLimit gas limit of each liquidation, batch transactions get it once per loan
+    /// @param options.batchSize maximum number of loans liquidated per transaction (default: 10)
+    /// @param options.isProfitable async ({ loan, bonus, gasCost, auction }) => bool, `bonus` is in collateral units, `gasCost` in wei.
+    ///        for liquidations `bonus` is the liquidator bonus and `auction` is null. for auction buys `auction` is the current quote
+    ///        (see LendingP2PClient.getAuction), and `bonus` is the part of its collateralAmount received as a discount.
+    ///        auctions are started without checking it, starting one doesn't pay anything
+    constructor(client, options = {}){
+        super();
+        this.client = client;
+
+        this.dryRun = options.dryRun ?? false;
+        this.concurrency = options.concurrency ?? 5;
+        this.pollInterval = options.pollInterval ?? 15000;
+        this.maxGasPrice = options.maxGasPrice !== undefined ? BigInt(options.maxGasPrice) : null;
+        this.gasLimit = options.gasLimit;
+        this.batchSize = options.batchSize ?? 10;
+        this.isProfitable = options.isProfitable ?? (async () => true);
+
+        this.nextLoanId = options.fromLoanId ?? 0;
+        this.tracked = new Set();
+
+        this._timer = null;
+        this._running = false;
+    }
+
+    /// @notice loads new loans and drops the ones that can't be liquidated anymore
+    async sync(){
+        const loanLength = await this.client.getLoanLength();
+        for (; this.nextLoanId < loanLength; this.nextLoanId++){
+            this.tracked.add(this.nextLoanId);
+        }
+
+        const block = await this.client.runner.provider.getBlock("latest");
+
+        //requests past their expiry are already "Expired" in getLoan
+        const active = [];
+        await this._forEach([...this.tracked], async (loanId) => {
+            const loan = await this.client.getLoan(loanId);
+
+            if (FINAL_STATUSES.includes(loan.status)){
+                this.tracked.delete(loanId);
+            } else if (loan.status === "Active"){
+                active.push(loan);
+            }
+        });
+
+        return { active: active.sort((a, b) => a.loanId - b.loanId), timestamp: block.timestamp };
+    }
+
+    /// @notice scans all tracked loans once, and liquidates the liquidatable ones
+    /// @return ids of liquidated, auctioned (auction started), bought, skipped and errored loans
+    async runOnce(){
+        const result = { checked: 0, liquidated: [], auctions: [], bought: [], skipped: [], alerts: [], errors: [] };
+        const { active, timestamp } = await this.sync();
+
+        const liquidatable = [];
+        await this._forEach(active, async (loan) => {
+            result.checked++;
+            try {
+                if (await this.client.isLoanLiquidatable(loan.loanId)){
+                    const reason = timestamp > loan.startTimestamp + loan.duration ? "defaulted" : "price";
+                    const auction = loan.liquidation.isLiquidatable ? await this.client.getAuction(loan.loanId) : null;
+                    liquidatable.push({ loan, reason, auction });
+                }
+            } catch (error) {
+                this._fail(result, loan.loanId, error);
+            }
+        });
+
+        const approved = [];
+        for (const entry of liquidatable.sort((a, b) => a.loan.loanId - b.loan.loanId)){
+            try {
+                if (await this._evaluate(result, entry)) approved.push(entry);
+            } catch (error) {
+                this._fail(result, entry.loan.loanId, error);
+            }
+        }
+
+        //batches and buys are sent one by one, so they don't compete for the signer's nonce
+        const liquidations = approved.filter(({ auction }) => auction === null);
+        for (let i = 0; i < liquidations.length; i += this.batchSize){
+            const batch = liquidations.slice(i, i + this.batchSize);
+            try {
+                await this._liquidate(result, batch);
+            } catch (error) {
+                batch.forEach(({ loan }) => this._fail(result, loan.loanId, error));
+            }
+        }
+        for (const entry of approved.filter(({ auction }) => auction !== null)){
+            try {
+                await this._buy(result, entry);
+            } catch (error) {
+                this._fail(result, entry.loan.loanId, error);
+            }
+        }
+
+        return result;
+    }
+
+    /// @notice starts polling, every `pollInterval` ms after the previous scan finished
+    start(){
+        if (this._running) return;
+        this._running = true;
+
+        const loop = async () => {
+            try {
+                await this.runOnce();
+            } catch (error) {
+                this.emit("failed", { loanId: null, error });
+            }
+            if (this._running) this._timer = setTimeout(loop, this.pollInterval);
+        };
+        loop();
+    }
+
+    stop(){
+        this._running = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /// @notice checks the pause, gas price and profitability of a liquidation, or of an auction buy if `auction` is set
+    /// @return true if the loan should be liquidated (or its auction started or bought), otherwise it's skipped
+    async _evaluate(result, { loan, reason, auction }){
+        const provider = this.client.runner.provider;
+
+        const [feeData, config] = await Promise.all([
+            provider.getFeeData(),
+            this.client.getConfig()
+        ]);
+
+        //while liquidations are paused, only defaulted loans can be liquidated, and auctions can't be bought
+        if ((reason === "price" || auction !== null) && (config.pausedActions & PAUSE_ACTIONS.liquidations) !== 0){
+            this._skip(result, loan.loanId, "liquidations paused");
+            return false;
+        }
+        const gasEstimate = auction !== null ? BUY_GAS_ESTIMATE : await this.client.contract.liquidateLoan.estimateGas(loan.loanId);
+
+        const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+        if (this.maxGasPrice !== null && gasPrice > this.maxGasPrice){
+            this._skip(result, loan.loanId, "gas price too high");
+            return false;
+        }
+
+        if (auction === null && this._startsAuction(loan, config)) return true;
+
+        const bonus = auction !== null
+            ? auction.collateralAmount * BigInt(auction.discountBps) / 10000n
+            : loan.collateralAmount * BigInt(config.liquidatorBonus) / 10000n;
+        const gasCost = gasPrice * BigInt(this.gasLimit ?? gasEstimate);
+        if (!(await this.isProfitable({ loan, bonus, gasCost, auction }))){
+            this._skip(result, loan.loanId, "not profitable");
+            return false;
+        }
+        return true;
+    }
+
+    /// @return true if liquidateLoan starts an auction for the loan instead of liquidating it
+    _startsAuction(loan, config){
+        return config.auctionDuration > 0 && loan.liquidation.isLiquidatable;
+    }
+
+    /// @notice liquidates a batch of loans in one transaction, loans that fail or aren't liquidatable anymore are skipped
+    /// @dev loans whose auction is started stay tracked, so their collateral can be bought in the next scans
+    async _liquidate(result, batch){
+        const config = await this.client.getConfig();
+        const started = (loanId, reason, dryRun) => {
+            result.auctions.push(loanId);
+            this.emit("auctionStarted", { loanId, reason, dryRun });
+        };
+
+        if (this.dryRun){
+            for (const { loan, reason } of batch){
+                if (this._startsAuction(loan, config)){
+                    started(loan.loanId, reason, true);
+                    continue;
+                }
+                result.liquidated.push(loan.loanId);
+                this.emit("liquidated", { loanId: loan.loanId, reason, dryRun: true });
+            }
+            return;
+        }
+
+        const overrides = this.gasLimit !== undefined ? { gasLimit: BigInt(this.gasLimit) * BigInt(batch.length) } : {};
+        const { results } = await this.client.liquidateLoans(batch.map(({ loan }) => loan.loanId), overrides);
+
+        results.forEach(({ loanId, success, liquidated, error }, i) => {
+            if (!success) return this._fail(result, loanId, error);
+            if (!liquidated) return this._skip(result, loanId, "not liquidatable");
+            if (this._startsAuction(batch[i].loan, config)) return started(loanId, batch[i].reason, false);
+
+            this.tracked.delete(loanId);
+            result.liquidated.push(loanId);
+            this.emit("liquidated", { loanId, reason: batch[i].reason, dryRun: false });
+        });
+    }
+
+    /// @notice buys the collateral of a loan in a liquidation auction, the liquidator has to hold the asset to pay for it
+    async _buy(result, { loan, reason, auction }){
+        let { assetAmount, collateralAmount } = auction;
+        if (!this.dryRun){
+            ({ assetAmount, collateralAmount } = await this.client.buyCollateral(loan.loanId));
+            this.tracked.delete(loan.loanId);
+        }
+
+        result.bought.push(loan.loanId);
+        this.emit("bought", { loanId: loan.loanId, reason, assetAmount, collateralAmount, dryRun: this.dryRun });
+    }
+
+    _skip(result, loanId, reason){
+        result.skipped.push(loanId);
+        this.emit("skipped", { loanId, reason });
+    }
+
+    _fail(result, loanId, error){
+        if (error instanceof OracleError){
+            result.alerts.push(loanId);
+            this.emit("alert", { loanId, error });
+        } else {
+            result.errors.push(loanId);
+            this.emit("failed", { loanId, error });
+        }
+    }
+
+    /// @notice runs `fn` over `items`, with at most `concurrency` calls in flight
+    async _forEach(items, fn){
+        let index = 0;
+        const workers = Array.from({ length: Math.min(this.concurrency, items.length) }, async () => {
+            while (index < items.length){
+                await fn(items[index++]);
+            }
+        });
+        await Promise.all(workers);
+    }
+}
+
+module.exports = {
+    LiquidationKeeper
+};
@@ -0,0 +1,249 @@
+const { AbiCoder, Contract, isAddress, ZeroAddress } = require("ethers");
+
+const { LoanValidationError } = require("./errors");
+
+/// @notice names of the LendingP2P.Status enum, indexed by value
+const LOAN_STATUS = ["Pending", "Canceled", "Active", "Repaid", "Liquidated", "Refinanced", "Expired"];
+
+/// @notice ABI layout of LendingP2P.Loan, as expected by requestLoan
+const LOAN_TYPES = [
+    "address", "address", "address", "address",
+    "uint256", "uint256", "uint256",
+    "uint256", "uint256", "uint256",
+    "uint8",
+    "tuple(bool, uint256, address, address)"
+];
+
+/// @notice same value as the `10000` bps cap in requestLoan
+const MAX_BPS = 10000;
+const MAX_UINT64 = (1n << 64n) - 1n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+/// @notice same as `365 days` used for the APR in LendingP2P
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+const DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+/// @notice converts a status name or enum value into the enum value
+function statusId(status){
+    if (status === undefined || status === null) return 0;
+    if (typeof status === "string"){
+        const id = LOAN_STATUS.indexOf(status);
+        if (id === -1) throw new Error(`unknown loan status: ${status}`);
+        return id;
+    }
+    return Number(status);
+}
+
+/// @notice encodes a loan in the layout expected by requestLoan
+/// @dev timestamps and status are encoded as given (defaulting to 0), requestLoan overwrites them anyway
+/// @dev lender defaults to address(0), anyone can fill the request. any other address is the only one that can fill it
+function encodeLoan(loan){
+    return AbiCoder.defaultAbiCoder().encode(
+        LOAN_TYPES,
+        [
+            loan.borrower, loan.lender ?? ZeroAddress, loan.asset, loan.collateral,
+            loan.assetAmount, loan.repaymentAmount, loan.collateralAmount,
+            loan.createdTimestamp ?? 0, loan.startTimestamp ?? 0, loan.duration,
+            statusId(loan.status),
+            [loan.liquidation.isLiquidatable, loan.liquidation.liquidationThreshold, loan.liquidation.assetOracle, loan.liquidation.collateralOracle]
+        ]
+    );
+}
+
+/// @notice converts an encoded loan, or the result of `loans(loanId)`, into a plain object with named fields
+function decodeLoan(data){
+    if (typeof data === "string"){
+        const decoded = AbiCoder.defaultAbiCoder().decode(LOAN_TYPES, data);
+        data = {
+            borrower: decoded[0],
+            lender: decoded[1],
+            asset: decoded[2],
+            collateral: decoded[3],
+            assetAmount: decoded[4],
+            repaymentAmount: decoded[5],
+            collateralAmount: decoded[6],
+            createdTimestamp: decoded[7],
+            startTimestamp: decoded[8],
+            duration: decoded[9],
+            status: decoded[10],
+            liquidation: {
+                isLiquidatable: decoded[11][0],
+                liquidationThreshold: decoded[11][1],
+                assetOracle: decoded[11][2],
+                collateralOracle: decoded[11][3]
+            }
+        };
+    }
+
+    const status = Number(data.status);
+
+    return {
+        borrower: data.borrower,
+        lender: data.lender,
+        asset: data.asset,
+        collateral: data.collateral,
+
+        assetAmount: data.assetAmount,
+        repaymentAmount: data.repaymentAmount,
+        collateralAmount: data.collateralAmount,
+
+        createdTimestamp: Number(data.createdTimestamp),
+        startTimestamp: Number(data.startTimestamp),
+        duration: Number(data.duration),
+
+        status: LOAN_STATUS[status],
+        statusId: status,
+        liquidation: decodeLiquidation(data.liquidation)
+    };
+}
+
+function decodeLiquidation(data){
+    return {
+        isLiquidatable: data.isLiquidatable,
+        liquidationThreshold: Number(data.liquidationThreshold),
+        assetOracle: data.assetOracle,
+        collateralOracle: data.collateralOracle
+    };
+}
+
+function toBigInt(value){
+    try {
+        return BigInt(value);
+    } catch {
+        return null;
+    }
+}
+
+/// @notice checks the loan against the invariants enforced by requestLoan, without any RPC calls
+/// @param options.sender address that will send the requestLoan transaction
+/// @return list of violations ({ field, reason }), empty if the loan is valid
+function validateLoan(loan, options = {}){
+    const violations = [];
+    const fail = (field, reason) => violations.push({ field, reason });
+
+    for (const field of ["borrower", "asset", "collateral"]){
+        if (!isAddress(loan[field])) fail(field, "invalid address");
+    }
+    if (loan.lender !== undefined && !isAddress(loan.lender)) fail("lender", "invalid address");
+
+    if (options.sender !== undefined && isAddress(loan.borrower) && loan.borrower.toLowerCase() !== options.sender.toLowerCase()){
+        fail("borrower", "borrower != msg.sender");
+    }
+
+    if (isAddress(loan.asset) && isAddress(loan.collateral) && loan.asset.toLowerCase() === loan.collateral.toLowerCase()){
+        fail("collateral", "asset == collateral");
+    }
+
+    const amounts = {};
+    for (const field of ["assetAmount", "repaymentAmount", "collateralAmount"]){
+        amounts[field] = toBigInt(loan[field]);
+        if (amounts[field] === null || amounts[field] < 0n || amounts[field] > MAX_UINT256){
+            fail(field, "not a uint256");
+            amounts[field] = null;
+        }
+    }
+    if (amounts.assetAmount !== null && amounts.repaymentAmount !== null && amounts.repaymentAmount <= amounts.assetAmount){
+        fail("repaymentAmount", "amount <= repayment");
+    }
+
+    const duration = toBigInt(loan.duration);
+    if (duration === null || duration < 0n || duration > MAX_UINT64){
+        fail("duration", "not a uint64");
+    }
+
+    const liquidation = loan.liquidation;
+    if (!liquidation){
+        fail("liquidation", "missing");
+        return violations;
+    }
+
+    const threshold = toBigInt(liquidation.liquidationThreshold);
+    if (threshold === null || threshold < 0n){
+        fail("liquidation.liquidationThreshold", "not a uint16");
+    } else if (threshold > BigInt(MAX_BPS)){
+        fail("liquidation.liquidationThreshold", "liq threshold > max bps");
+    }
+
+    if (liquidation.isLiquidatable){
+        if (!isAddress(liquidation.assetOracle)) fail("liquidation.assetOracle", "invalid address");
+        if (!isAddress(liquidation.collateralOracle)) fail("liquidation.collateralOracle", "invalid address");
+    }
+
+    return violations;
+}
+
+/// @notice same as validateLoan, but also checks token and oracle decimals on chain
+/// @param runner ethers provider or signer used for the decimals() calls
+async function validateLoanRequest(loan, runner, options = {}){
+    const violations = validateLoan(loan, options);
+    const invalidFields = new Set(violations.map((v) => v.field));
+
+    async function decimals(field, address){
+        if (invalidFields.has(field)) return null;
+        try {
+            return Number(await new Contract(address, DECIMALS_ABI, runner).decimals());
+        } catch {
+            violations.push({ field, reason: "invalid decimals" });
+            return null;
+        }
+    }
+
+    await decimals("asset", loan.asset);
+    await decimals("collateral", loan.collateral);
+
+    if (loan.liquidation?.isLiquidatable){
+        const assetOracleDecimals = await decimals("liquidation.assetOracle", loan.liquidation.assetOracle);
+        const collateralOracleDecimals = await decimals("liquidation.collateralOracle", loan.liquidation.collateralOracle);
+
+        //oracles with different decimals can be paired, prices are normalized on chain
+        if (assetOracleDecimals > 18) violations.push({ field: "liquidation.assetOracle", reason: "oracle decimals > 18" });
+        if (collateralOracleDecimals > 18) violations.push({ field: "liquidation.collateralOracle", reason: "oracle decimals > 18" });
+    }
+
+    return violations;
+}
+
+/// @notice interest accrued on `amount` over `elapsed` seconds, same as LendingP2P._accruedInterest
+function accruedInterest(amount, aprBps, elapsed){
+    return BigInt(amount) * BigInt(aprBps) * BigInt(elapsed) / (BigInt(MAX_BPS) * SECONDS_PER_YEAR);
+}
+
+/// @notice total amount owed for `loan` at `timestamp`, same as LendingP2P.getRepaymentAmount
+/// @param terms interest terms of the loan ({ aprBps, minInterestDuration }), the fixed repaymentAmount is used if aprBps is 0
+/// @param accrual interestAccruals(loanId) of the loan ({ principal, interest, timestamp }), only needed once it was partially repaid
+function repaymentAmountAt(loan, terms, timestamp, accrual){
+    if (!terms || Number(terms.aprBps) === 0 || statusId(loan.status) !== LOAN_STATUS.indexOf("Active")){
+        return BigInt(loan.repaymentAmount);
+    }
+
+    if (!accrual || Number(accrual.timestamp) === 0){
+        accrual = { principal: loan.assetAmount, interest: 0n, timestamp: loan.startTimestamp };
+    }
+
+    const elapsed = Math.min(Number(timestamp), Number(loan.startTimestamp) + Number(loan.duration)) - Number(accrual.timestamp);
+    const interest = BigInt(accrual.interest) + accruedInterest(accrual.principal, terms.aprBps, elapsed);
+    const minInterest = accruedInterest(loan.assetAmount, terms.aprBps, terms.minInterestDuration ?? 0);
+
+    return BigInt(loan.assetAmount) + (interest > minInterest ? interest : minInterest);
+}
+
+/// @notice throws a LoanValidationError listing all violations, if there are any
+function assertValidLoan(violations){
+    if (violations.length > 0) throw new LoanValidationError(violations);
+}
+
+module.exports = {
+    LOAN_STATUS,
+    LOAN_TYPES,
+    MAX_BPS,
+    SECONDS_PER_YEAR,
+    statusId,
+    encodeLoan,
+    decodeLoan,
+    decodeLiquidation,
+    validateLoan,
+    validateLoanRequest,
+    assertValidLoan,
+    accruedInterest,
+    repaymentAmountAt
+};
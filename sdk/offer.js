@@ -0,0 +1,79 @@
+const { AbiCoder } = require("ethers");
+
+const { decodeLiquidation } = require("./loan");
+
+/// @notice ABI layout of LendingP2P.Offer, as expected by createOffer
+const OFFER_TYPES = [
+    "address", "address", "address",
+    "uint256", "uint256", "uint256",
+    "uint256", "uint256",
+    "bool",
+    "tuple(bool, uint256, address, address)"
+];
+
+/// @notice encodes an offer in the layout expected by createOffer
+/// @dev `active` is always set by createOffer, `expiration` defaults to 0 (never expires)
+function encodeOffer(offer){
+    return AbiCoder.defaultAbiCoder().encode(
+        OFFER_TYPES,
+        [
+            offer.lender, offer.asset, offer.collateral,
+            offer.availableAmount, offer.interestBps, offer.collateralRatio,
+            offer.duration, offer.expiration ?? 0,
+            offer.active ?? false,
+            [offer.liquidation.isLiquidatable, offer.liquidation.liquidationThreshold, offer.liquidation.assetOracle, offer.liquidation.collateralOracle]
+        ]
+    );
+}
+
+/// @notice converts an encoded offer, or the result of `offers(offerId)`, into a plain object with named fields
+function decodeOffer(data){
+    if (typeof data === "string"){
+        const decoded = AbiCoder.defaultAbiCoder().decode(OFFER_TYPES, data);
+        data = {
+            lender: decoded[0],
+            asset: decoded[1],
+            collateral: decoded[2],
+            availableAmount: decoded[3],
+            interestBps: decoded[4],
+            collateralRatio: decoded[5],
+            duration: decoded[6],
+            expiration: decoded[7],
+            active: decoded[8],
+            liquidation: {
+                isLiquidatable: decoded[9][0],
+                liquidationThreshold: decoded[9][1],
+                assetOracle: decoded[9][2],
+                collateralOracle: decoded[9][3]
+            }
+        };
+    }
+
+    return {
+        lender: data.lender,
+        asset: data.asset,
+        collateral: data.collateral,
+
+        availableAmount: data.availableAmount,
+        interestBps: Number(data.interestBps),
+        collateralRatio: Number(data.collateralRatio),
+
+        duration: Number(data.duration),
+        expiration: Number(data.expiration),
+
+        active: data.active,
+        liquidation: decodeLiquidation(data.liquidation)
+    };
+}
+
+/// @notice repayment amount of a loan created from an offer, same as in acceptOffer
+function offerRepaymentAmount(offer, assetAmount){
+    return BigInt(assetAmount) + BigInt(assetAmount) * BigInt(offer.interestBps) / 10000n;
+}
+
+module.exports = {
+    OFFER_TYPES,
+    encodeOffer,
+    decodeOffer,
+    offerRepaymentAmount
+};
@@ -0,0 +1,116 @@
+const { TypedDataEncoder, verifyTypedData, ZeroAddress } = require("ethers");
+
+const { statusId } = require("./loan");
+
+/// @notice EIP-712 domain name and version of LendingP2P
+const ORDER_DOMAIN_NAME = "LendingP2P";
+const ORDER_DOMAIN_VERSION = "1";
+
+/// @notice EIP-712 types of LendingP2P.LoanOrder, Loan uses the same layout as encodeLoan
+const ORDER_TYPES = {
+    LoanOrder: [
+        { name: "loan", type: "Loan" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ],
+    Loan: [
+        { name: "borrower", type: "address" },
+        { name: "lender", type: "address" },
+        { name: "asset", type: "address" },
+        { name: "collateral", type: "address" },
+        { name: "assetAmount", type: "uint256" },
+        { name: "repaymentAmount", type: "uint256" },
+        { name: "collateralAmount", type: "uint256" },
+        { name: "createdTimestamp", type: "uint64" },
+        { name: "startTimestamp", type: "uint64" },
+        { name: "duration", type: "uint64" },
+        { name: "status", type: "uint8" },
+        { name: "liquidation", type: "Liquidation" }
+    ],
+    Liquidation: [
+        { name: "isLiquidatable", type: "bool" },
+        { name: "liquidationThreshold", type: "uint16" },
+        { name: "assetOracle", type: "address" },
+        { name: "collateralOracle", type: "address" }
+    ]
+};
+
+/// @notice EIP-712 domain of the LendingP2P contract deployed at `verifyingContract`
+function orderDomain(verifyingContract, chainId){
+    return {
+        name: ORDER_DOMAIN_NAME,
+        version: ORDER_DOMAIN_VERSION,
+        chainId: BigInt(chainId),
+        verifyingContract
+    };
+}
+
+/// @notice builds a signed loan request, in the shape expected by fillSignedRequest
+/// @param options.nonce borrower nonce, each nonce can be filled or canceled only once
+/// @param options.deadline unix timestamp after which the order can't be filled
+/// @dev like encodeLoan, lender defaults to address(0) (anyone can fill) and timestamps and status to 0
+function buildOrder(loan, options = {}){
+    if (options.nonce === undefined || options.nonce === null) throw new Error("missing order nonce");
+    if (options.deadline === undefined || options.deadline === null) throw new Error("missing order deadline");
+
+    return {
+        loan: {
+            borrower: loan.borrower,
+            lender: loan.lender ?? ZeroAddress,
+            asset: loan.asset,
+            collateral: loan.collateral,
+            assetAmount: BigInt(loan.assetAmount),
+            repaymentAmount: BigInt(loan.repaymentAmount),
+            collateralAmount: BigInt(loan.collateralAmount),
+            createdTimestamp: BigInt(loan.createdTimestamp ?? 0),
+            startTimestamp: BigInt(loan.startTimestamp ?? 0),
+            duration: BigInt(loan.duration),
+            status: statusId(loan.status),
+            liquidation: {
+                isLiquidatable: loan.liquidation.isLiquidatable,
+                liquidationThreshold: Number(loan.liquidation.liquidationThreshold),
+                assetOracle: loan.liquidation.assetOracle,
+                collateralOracle: loan.liquidation.collateralOracle
+            }
+        },
+        nonce: BigInt(options.nonce),
+        deadline: BigInt(options.deadline)
+    };
+}
+
+/// @notice EIP-712 digest of the order, same as hashLoanOrder on-chain
+function hashOrder(domain, order){
+    return TypedDataEncoder.hash(domain, ORDER_TYPES, order);
+}
+
+/// @notice signs the order with the borrower's signer
+async function signOrder(signer, domain, order){
+    return signer.signTypedData(domain, ORDER_TYPES, order);
+}
+
+/// @return address that signed the order
+function recoverOrderSigner(domain, order, signature){
+    return verifyTypedData(domain, ORDER_TYPES, order, signature);
+}
+
+/// @notice checks that the order was signed by its borrower
+/// @dev only covers EOA signatures, ERC-1271 signatures of contract borrowers are only checked on-chain
+function verifyOrder(domain, order, signature){
+    try {
+        return recoverOrderSigner(domain, order, signature).toLowerCase() === order.loan.borrower.toLowerCase();
+    } catch {
+        return false;
+    }
+}
+
+module.exports = {
+    ORDER_DOMAIN_NAME,
+    ORDER_DOMAIN_VERSION,
+    ORDER_TYPES,
+    orderDomain,
+    buildOrder,
+    hashOrder,
+    signOrder,
+    recoverOrderSigner,
+    verifyOrder
+};
@@ -0,0 +1,64 @@
+const { Contract, Signature } = require("ethers");
+
+/// @notice EIP-712 types of an EIP-2612 permit
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+const PERMIT_ABI = [
+    "function name() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
+/// @notice EIP-712 domain of a permit token
+/// @dev read from EIP-5267 eip712Domain when the token has it, otherwise from name() with version "1"
+async function permitDomain(token, provider){
+    const contract = new Contract(token, PERMIT_ABI, provider);
+    try {
+        const domain = await contract.eip712Domain();
+        return { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract };
+    } catch {
+        const [name, network] = await Promise.all([contract.name(), provider.getNetwork()]);
+        return { name, version: "1", chainId: network.chainId, verifyingContract: token };
+    }
+}
+
+/// @notice builds the typed data of a permit of `owner` letting `spender` move `value` of `token`, using the next nonce of `owner`
+/// @return { domain, types, message }, as passed to signTypedData
+async function buildPermit(token, owner, spender, value, deadline, provider){
+    const [domain, nonce] = await Promise.all([
+        permitDomain(token, provider),
+        new Contract(token, PERMIT_ABI, provider).nonces(owner)
+    ]);
+
+    return {
+        domain,
+        types: PERMIT_TYPES,
+        message: { owner, spender, value: BigInt(value), nonce, deadline: BigInt(deadline) }
+    };
+}
+
+/// @notice signs a permit with `signer` as owner, in the shape expected by LendingP2P.PermitSignature
+/// @param spender address of the LendingP2P contract
+/// @param deadline unix timestamp after which the permit can't be used
+async function signPermit(signer, token, spender, value, deadline){
+    const owner = await signer.getAddress();
+    const { domain, types, message } = await buildPermit(token, owner, spender, value, deadline, signer.provider);
+    const { v, r, s } = Signature.from(await signer.signTypedData(domain, types, message));
+
+    return { value: message.value, deadline: message.deadline, v, r, s };
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    permitDomain,
+    buildPermit,
+    signPermit
+};
@@ -0,0 +1,33 @@
+/// @notice ABI of the LenderPositions functions used by the client
+const POSITIONS_ABI = [
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function tokenURI(uint256 tokenId) view returns (string)",
+    "function transferFrom(address from, address to, uint256 tokenId)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId)"
+];
+
+const JSON_DATA_PREFIX = "data:application/json;base64,";
+/// @notice attributes converted from strings, the others (status and addresses) are kept as strings
+const BIGINT_ATTRIBUTES = ["assetAmount", "repaymentAmount", "collateralAmount"];
+const NUMBER_ATTRIBUTES = ["startTimestamp", "maturity"];
+
+/// @notice decodes the on-chain metadata of a lender position (LenderPositions.tokenURI)
+/// @return { name, description, attributes }, where attributes are keyed by trait_type, amounts are bigints and timestamps numbers
+function decodePositionURI(uri){
+    if (!uri.startsWith(JSON_DATA_PREFIX)) throw new Error(`unsupported tokenURI: ${uri.slice(0, 32)}`);
+
+    const json = JSON.parse(Buffer.from(uri.slice(JSON_DATA_PREFIX.length), "base64").toString("utf8"));
+    const attributes = {};
+    for (const { trait_type: key, value } of json.attributes){
+        if (BIGINT_ATTRIBUTES.includes(key)) attributes[key] = BigInt(value);
+        else if (NUMBER_ATTRIBUTES.includes(key)) attributes[key] = Number(value);
+        else attributes[key] = value;
+    }
+
+    return { name: json.name, description: json.description, attributes };
+}
+
+module.exports = {
+    POSITIONS_ABI,
+    decodePositionURI
+};
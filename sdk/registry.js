@@ -0,0 +1,12 @@
+/// @notice ABI of the MarketRegistry functions used by the client
+const REGISTRY_ABI = [
+    "function tokenConfigs(address token) view returns (bool listed, uint16 maxLiquidationThreshold, uint64 minDuration)",
+    "function approvedOracles(address token, address oracle) view returns (bool)",
+    "function isVerifiedLoan(bytes encodedLoan) view returns (bool)",
+    "function setTokenConfig(address token, bool listed, uint16 maxLiquidationThreshold, uint64 minDuration)",
+    "function setOracleApproval(address token, address oracle, bool approved)"
+];
+
+module.exports = {
+    REGISTRY_ABI
+};
@@ -0,0 +1,61 @@
+const { id } = require("ethers");
+
+/// @notice ABI of the LendingP2PTimelock functions used by the client
+const TIMELOCK_ABI = [
+    "function delay() view returns (uint256)",
+    "function changeLength() view returns (uint256)",
+    "function changes(uint256 changeId) view returns (address target, bytes data, address proposer, uint64 eta, uint8 status)",
+    "function selectorRoles(address target, bytes4 selector) view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function schedule(address target, bytes data) returns (uint256)",
+    "function execute(uint256 changeId) returns (bytes)",
+    "function cancel(uint256 changeId)",
+    "function pauseActions(address target, uint256 actions)",
+    "event ChangeScheduled(uint256 indexed changeId, address indexed target, address indexed proposer, bytes data, uint256 eta)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)"
+];
+
+/// @notice names of the LendingP2PTimelock.Status enum, indexed by value
+const CHANGE_STATUS = ["Pending", "Executed", "Canceled"];
+
+/// @notice role ids of LendingP2PTimelock
+const ROLES = {
+    DEFAULT_ADMIN_ROLE: "0x" + "00".repeat(32),
+    FEE_MANAGER_ROLE: id("FEE_MANAGER_ROLE"),
+    RISK_MANAGER_ROLE: id("RISK_MANAGER_ROLE"),
+    GUARDIAN_ROLE: id("GUARDIAN_ROLE")
+};
+
+/// @notice converts the result of `changes(changeId)` into a plain object, decoding the call with the given interfaces
+/// @param interfaces ethers interfaces tried in order to decode the calldata, e.g. [lendingP2P.interface]
+/// @param timestamp current timestamp, used for `ready`
+/// @return { changeId, target, proposer, data, method, args, eta, status, ready }, method and args are null if the call can't be decoded
+function decodeChange(changeId, change, interfaces, timestamp){
+    let call = null;
+    for (const contractInterface of interfaces){
+        call = contractInterface.parseTransaction({ data: change.data });
+        if (call) break;
+    }
+
+    const status = CHANGE_STATUS[Number(change.status)];
+    const eta = Number(change.eta);
+
+    return {
+        changeId: Number(changeId),
+        target: change.target,
+        proposer: change.proposer,
+        data: change.data,
+        method: call ? call.name : null,
+        args: call ? [...call.args] : null,
+        eta,
+        status,
+        ready: status === "Pending" && timestamp >= eta
+    };
+}
+
+module.exports = {
+    TIMELOCK_ABI,
+    CHANGE_STATUS,
+    ROLES,
+    decodeChange
+};
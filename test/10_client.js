@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const {
+    LendingP2PClient,
+    InstantlyLiquidatableError,
+    InvalidStatusError,
+    InvalidAmountError,
+    NotBorrowerError,
+    InvalidConfigError,
+    NotOwnerError,
+    StaleOracleError
+} = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Client", function () {
+    let loanContract;
+    let client;
+
+    let borrower;
+    let lender;
+    let deployer;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    beforeEach(async function () {
+        [borrower, lender, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        client = new LendingP2PClient(loanContract.connect(borrower));
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator"); 
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseEther("100"))
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+    
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"), //30k usd
+    
+            duration: 30 * 24 * 60 * 60, 
+    
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+    });
+
+    it("should request a loan and decode it", async function () {
+        const { loanId } = await client.requestLoan(loan);
+
+        expect(loanId).to.equal(0);
+        expect(await mockCollateral.allowance(borrower.address, loanContract.target)).to.equal(loan.collateralAmount);
+
+        const storedLoan = await client.getLoan(loanId);
+
+        expect(storedLoan.loanId).to.equal(0);
+        expect(storedLoan.borrower).to.equal(borrower.address);
+        expect(storedLoan.assetAmount).to.equal(loan.assetAmount);
+        expect(storedLoan.duration).to.equal(loan.duration);
+        expect(storedLoan.createdTimestamp).to.be.greaterThan(0);
+        expect(storedLoan.status).to.equal("Pending");
+        expect(storedLoan.statusId).to.equal(0);
+        expect(storedLoan.liquidation).to.deep.equal({
+            isLiquidatable: true,
+            liquidationThreshold: 8000,
+            assetOracle: aggregatorAsset.target,
+            collateralOracle: aggregatorCollateral.target
+        });
+    });
+
+    it("should fill, and repay a loan handling approvals", async function () {
+        const { loanId } = await client.requestLoan(loan);
+
+        await client.connect(lender).fillRequest(loanId);
+        expect((await client.getLoan(loanId)).status).to.equal("Active");
+        expect((await client.getLoan(loanId)).lender).to.equal(lender.address);
+
+        await client.repayLoan(loanId);
+        expect((await client.getLoan(loanId)).status).to.equal("Repaid");
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(0);
+    });
+
+    it("should partially repay and add collateral handling approvals", async function () {
+        const { loanId } = await client.requestLoan(loan);
+        await client.connect(lender).fillRequest(loanId);
+
+        await client.repayPartial(loanId, ethers.parseEther("4"));
+        await client.addCollateral(loanId, ethers.parseEther("0.4"));
+
+        const storedLoan = await client.getLoan(loanId);
+        expect(storedLoan.repaidAmount).to.equal(ethers.parseEther("4"));
+        expect(storedLoan.outstandingAmount).to.equal(ethers.parseEther("7"));
+        expect(storedLoan.collateralAmount).to.equal(ethers.parseEther("1"));
+
+        await expect(client.repayPartial(loanId, ethers.parseEther("7"))).to.be.rejectedWith(InvalidAmountError);
+
+        await client.repayLoan(loanId);
+        expect((await client.getLoan(loanId)).status).to.equal("Repaid");
+    });
+
+    it("should cancel a loan", async function () {
+        const { loanId } = await client.requestLoan(loan);
+        await client.cancelLoan(loanId);
+
+        expect((await client.getLoan(loanId)).status).to.equal("Canceled");
+    });
+
+    it("should liquidate a loan only when liquidatable", async function () {
+        const { loanId } = await client.requestLoan(loan);
+        await client.connect(lender).fillRequest(loanId);
+
+        expect(await client.connect(deployer).liquidateLoan(loanId)).to.equal(false);
+
+        await aggregatorAsset.connect(deployer).setAnswer(250000000000);
+
+        expect(await client.isLoanLiquidatable(loanId)).to.equal(true);
+        expect(await client.connect(deployer).liquidateLoan(loanId)).to.equal(true);
+        expect((await client.getLoan(loanId)).status).to.equal("Liquidated");
+    });
+
+    it("should throw typed errors on reverts", async function () {
+        const { loanId } = await client.requestLoan(loan);
+
+        await expect(client.connect(lender).cancelLoan(loanId)).to.be.rejectedWith(NotBorrowerError, "sender != borrower");
+
+        await aggregatorAsset.connect(deployer).setAnswer(250000000000);
+        await expect(client.connect(lender).fillRequest(loanId)).to.be.rejectedWith(InstantlyLiquidatableError);
+
+        await client.cancelLoan(loanId);
+        await expect(client.cancelLoan(loanId)).to.be.rejectedWith(InvalidStatusError);
+    });
+
+    it("should throw typed errors on stale oracles", async function () {
+        const { loanId } = await client.requestLoan(loan);
+        await client.connect(lender).fillRequest(loanId);
+
+        await aggregatorAsset.connect(deployer).setPriceAge(2 * 60 * 60);
+
+        await expect(client.isLoanLiquidatable(loanId)).to.be.rejectedWith(StaleOracleError, "stale asset oracle");
+    });
+
+    it("should update config through admin setters", async function () {
+        const admin = client.connect(deployer);
+
+        await admin.setFeeCollector(lender.address);
+        await admin.setProtocolFee(1000);
+        await admin.setLiquidationConfig(200, 50);
+        await admin.setRequestExpirationDuration(2 * 24 * 60 * 60);
+        await admin.setMaximumOraclePriceAge(60);
+        await admin.setAuctionConfig(60 * 60, 1500);
+
+        expect(await admin.getConfig()).to.deep.equal({
+            feeCollector: lender.address,
+            protocolFee: 1000,
+            liquidatorBonus: 200,
+            protocolLiquidationFee: 50,
+            requestExpirationDuration: 2 * 24 * 60 * 60,
+            maxOraclePriceAge: 60,
+            auctionDuration: 60 * 60,
+            auctionMaxDiscount: 1500,
+            pausedActions: 0,
+            guardian: ethers.ZeroAddress
+        });
+
+        await expect(admin.setProtocolFee(5000)).to.be.rejectedWith(InvalidConfigError, "protocolFee > 2000 bps");
+        await expect(client.setProtocolFee(1000)).to.be.rejectedWith(NotOwnerError);
+    });
+
+    it("should create a client from an address", async function () {
+        const addressClient = LendingP2PClient.at(loanContract.target, borrower);
+
+        expect(await addressClient.getLoanLength()).to.equal(0);
+        expect(addressClient.address).to.equal(loanContract.target);
+    });
+
+    it("should ship the ABI of the compiled contract", async function () {
+        //run `npm run export-abi` after changing the contracts
+        const { abi } = await hre.artifacts.readArtifact("LendingP2P");
+        expect(require("../sdk/abi/LendingP2P.json")).to.deep.equal(abi);
+    });
+});
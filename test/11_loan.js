@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+    LendingP2PClient,
+    LoanValidationError,
+    encodeLoan,
+    decodeLoan,
+    validateLoan,
+    validateLoanRequest
+} = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Loan encoding", function () {
+    let loanContract;
+
+    let borrower;
+    let lender;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    beforeEach(async function () {
+        [borrower, lender] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P();
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
+        mockAsset = await MockToken.deploy("Asset", "ASSET", 8)
+        mockCollateral = await MockToken.deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator"); 
+        aggregatorAsset = await MockAggregator.deploy();
+        aggregatorCollateral = await MockAggregator.deploy();
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+    
+            assetAmount: ethers.parseEther("10"),
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("1"),
+    
+            duration: 30 * 24 * 60 * 60, 
+    
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            },
+            status: 0 //Pending
+        };
+    });
+
+    it("should round-trip the full loan struct", async function () {
+        const fullLoan = { ...loan, createdTimestamp: 100, startTimestamp: 200, status: "Active" };
+        const decoded = decodeLoan(encodeLoan(fullLoan));
+
+        expect(decoded).to.deep.equal({ ...fullLoan, statusId: 2 });
+        expect(encodeLoan(decoded)).to.equal(encodeLoan(fullLoan));
+    });
+
+    it("should decode a stored loan the same as the encoded request", async function () {
+        await loanContract.requestLoan(encodeLoan(loan));
+
+        const stored = decodeLoan(await loanContract.loans(0));
+        const requested = decodeLoan(encodeLoan(loan));
+
+        expect({ ...stored, createdTimestamp: 0 }).to.deep.equal(requested);
+    });
+
+    it("should accept a valid loan", async function () {
+        expect(validateLoan(loan, { sender: borrower.address })).to.deep.equal([]);
+        expect(await validateLoanRequest(loan, borrower, { sender: borrower.address })).to.deep.equal([]);
+    });
+
+    it("should report all violations at once", async function () {
+        loan.asset = loan.collateral;
+        loan.repaymentAmount = loan.assetAmount;
+        loan.liquidation.liquidationThreshold = 10001;
+
+        expect(validateLoan(loan, { sender: lender.address })).to.deep.equal([
+            { field: "borrower", reason: "borrower != msg.sender" },
+            { field: "collateral", reason: "asset == collateral" },
+            { field: "repaymentAmount", reason: "amount <= repayment" },
+            { field: "liquidation.liquidationThreshold", reason: "liq threshold > max bps" }
+        ]);
+    });
+
+    it("should report malformed fields", async function () {
+        loan.borrower = "0x1234";
+        loan.assetAmount = -1;
+        loan.duration = 2n ** 64n;
+
+        expect(validateLoan(loan).map((v) => v.field)).to.deep.equal(["borrower", "assetAmount", "duration"]);
+    });
+
+    it("should report invalid token and oracle decimals", async function () {
+        const invalidToken = await (await ethers.getContractFactory("MockNonStandardToken")).deploy()
+        loan.asset = invalidToken.target;
+        await aggregatorCollateral.setDecimals(19);
+
+        expect(await validateLoanRequest(loan, borrower)).to.deep.equal([
+            { field: "asset", reason: "invalid decimals" },
+            { field: "liquidation.collateralOracle", reason: "oracle decimals > 18" }
+        ]);
+    });
+
+    it("should not check oracles of non-liquidatable loans", async function () {
+        loan.liquidation.isLiquidatable = false;
+        loan.liquidation.assetOracle = ethers.ZeroAddress;
+        await aggregatorCollateral.setDecimals(19);
+
+        expect(await validateLoanRequest(loan, borrower)).to.deep.equal([]);
+    });
+
+    it("should reject invalid loans in the client before sending a transaction", async function () {
+        const client = new LendingP2PClient(loanContract.connect(lender));
+        const nonceBefore = await ethers.provider.getTransactionCount(lender.address);
+
+        loan.repaymentAmount = 1;
+
+        const error = await client.requestLoan(loan).catch((e) => e);
+
+        expect(error).to.be.instanceOf(LoanValidationError);
+        expect(error.violations).to.deep.equal([
+            { field: "borrower", reason: "borrower != msg.sender" },
+            { field: "repaymentAmount", reason: "amount <= repayment" }
+        ]);
+        expect(await ethers.provider.getTransactionCount(lender.address)).to.equal(nonceBefore);
+    });
+});
@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deploy, loadConfig, readManifest } = require("../scripts/deploy")
+
+describe("Deploy", function () {
+    let manifestDir;
+
+    let deployer;
+    let feeCollector;
+    let newOwner;
+
+    beforeEach(async function () {
+        [deployer, feeCollector, newOwner] = await ethers.getSigners();
+        manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "hyperlend-p2p-"));
+    });
+
+    afterEach(async function () {
+        fs.rmSync(manifestDir, { recursive: true, force: true });
+    });
+
+    it("should deploy with the network config", async function () {
+        const config = loadConfig("hardhat");
+        const manifest = await deploy(hre, config, { manifestDir });
+
+        const loanContract = await ethers.getContractAt("LendingP2P", manifest.address);
+
+        expect(await loanContract.owner()).to.equal(deployer.address);
+        expect(await loanContract.PROTOCOL_FEE()).to.equal(config.protocolFee);
+        expect(await loanContract.LIQUIDATOR_BONUS_BPS()).to.equal(config.liquidatorBonus);
+        expect(await loanContract.PROTOCOL_LIQUIDATION_FEE()).to.equal(config.protocolLiquidationFee);
+        expect(await loanContract.REQUEST_EXPIRATION_DURATION()).to.equal(config.requestExpirationDuration);
+        expect(await loanContract.MAX_ORACLE_PRICE_AGE()).to.equal(config.maxOraclePriceAge);
+    });
+
+    it("should write a deployment manifest", async function () {
+        const manifest = await deploy(hre, { protocolFee: 1000, auctionDuration: 60 * 60 }, { manifestDir });
+        const receipt = await ethers.provider.getTransactionReceipt(manifest.transactionHash);
+
+        expect(readManifest("hardhat", manifestDir)).to.deep.equal(manifest);
+
+        expect(manifest.network).to.equal("hardhat");
+        expect(manifest.chainId).to.equal(31337);
+        expect(manifest.contract).to.equal("LendingP2P");
+        expect(manifest.deployer).to.equal(deployer.address);
+        expect(manifest.blockNumber).to.equal(receipt.blockNumber);
+        expect(receipt.contractAddress).to.equal(manifest.address);
+        expect(await (await ethers.getContractAt("LendingP2P", manifest.address)).extension()).to.equal(manifest.extension);
+        expect(await (await ethers.getContractAt("LendingP2P", manifest.address)).manager()).to.equal(manifest.manager);
+        expect(await (await ethers.getContractAt("LendingP2P", manifest.address)).lenderPositions()).to.equal(manifest.lenderPositions);
+        expect(manifest.config).to.deep.equal({
+            owner: deployer.address,
+            feeCollector: deployer.address,
+            protocolFee: 1000,
+            liquidatorBonus: 100,
+            protocolLiquidationFee: 20,
+            requestExpirationDuration: 7 * 24 * 60 * 60,
+            maxOraclePriceAge: 60 * 60,
+            auctionDuration: 60 * 60,
+            auctionMaxDiscount: 0,
+            pausedActions: 0,
+            guardian: ethers.ZeroAddress
+        });
+    });
+
+    it("should set the fee collector, the guardian and transfer ownership", async function () {
+        const manifest = await deploy(hre, { feeCollector: feeCollector.address, guardian: feeCollector.address, owner: newOwner.address }, { manifestDir });
+        const loanContract = await ethers.getContractAt("LendingP2P", manifest.address);
+
+        expect(await loanContract.feeCollector()).to.equal(feeCollector.address);
+        expect(await loanContract.guardian()).to.equal(feeCollector.address);
+        expect(await loanContract.owner()).to.equal(newOwner.address);
+        expect(manifest.config.owner).to.equal(newOwner.address);
+    });
+
+    it("should not send transactions for unchanged values", async function () {
+        const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+        await deploy(hre, { protocolFee: 2000, liquidatorBonus: 100 }, { manifestDir: null });
+
+        //LendingP2PExtension, LendingP2PManager, LendingP2P, LenderPositions and setLenderPositions
+        expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore + 5);
+    });
+
+    it("should skip the lender positions when disabled", async function () {
+        const manifest = await deploy(hre, { lenderPositions: false }, { manifestDir: null });
+        const loanContract = await ethers.getContractAt("LendingP2P", manifest.address);
+
+        expect(manifest.lenderPositions).to.equal(null);
+        expect(await loanContract.lenderPositions()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should hand ownership to a timelock with the configured roles", async function () {
+        const manifest = await deploy(hre, {
+            protocolFee: 1000,
+            timelock: { delay: 2 * 24 * 60 * 60, admin: newOwner.address, feeManagers: [feeCollector.address], guardians: [newOwner.address] }
+        }, { manifestDir: null });
+        const loanContract = await ethers.getContractAt("LendingP2P", manifest.address);
+        const timelock = await ethers.getContractAt("LendingP2PTimelock", manifest.timelock);
+
+        expect(await loanContract.owner()).to.equal(timelock.target);
+        expect(await loanContract.PROTOCOL_FEE()).to.equal(1000);
+        expect(await timelock.delay()).to.equal(2 * 24 * 60 * 60);
+        expect(await timelock.hasRole(await timelock.DEFAULT_ADMIN_ROLE(), newOwner.address)).to.equal(true);
+        expect(await timelock.hasRole(await timelock.DEFAULT_ADMIN_ROLE(), deployer.address)).to.equal(false);
+        expect(await timelock.hasRole(await timelock.FEE_MANAGER_ROLE(), feeCollector.address)).to.equal(true);
+        expect(await timelock.hasRole(await timelock.GUARDIAN_ROLE(), newOwner.address)).to.equal(true);
+        expect(await timelock.selectorRoles(loanContract.target, loanContract.interface.getFunction("setProtocolFee").selector)).to.equal(await timelock.FEE_MANAGER_ROLE());
+
+        await expect(deploy(hre, { owner: newOwner.address, timelock: {} }, { manifestDir: null })).to.be.rejectedWith("can't both be set");
+    });
+
+    it("should revert: missing network config", async function () {
+        expect(() => loadConfig("unknown")).to.throw("missing deployment config");
+    });
+});
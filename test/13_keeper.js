@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { LendingP2PClient, LiquidationKeeper, StaleOracleError } = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Keeper", function () {
+    let loanContract;
+    let borrowerClient;
+    let lenderClient;
+    let liquidatorClient;
+
+    let borrower;
+    let lender;
+    let liquidator;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    async function openLoan(overrides = {}){
+        const { loanId } = await borrowerClient.requestLoan({ ...loan, ...overrides });
+        await lenderClient.fillRequest(loanId);
+        return loanId;
+    }
+
+    beforeEach(async function () {
+        [borrower, lender, liquidator] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P();
+        borrowerClient = new LendingP2PClient(loanContract.connect(borrower));
+        lenderClient = borrowerClient.connect(lender);
+        liquidatorClient = borrowerClient.connect(liquidator);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator"); 
+        aggregatorAsset = await MockAggregator.deploy();
+        aggregatorCollateral = await MockAggregator.deploy();
+
+        await aggregatorAsset.setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.setAnswer(5000000000000); //50k usd
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseEther("100"))
+
+        loan = {
+            borrower: borrower.address,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+    
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"), //30k usd
+    
+            duration: 30 * 24 * 60 * 60, 
+    
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+    });
+
+    it("should liquidate price-based and defaulted loans", async function () {
+        const shortLoan = await openLoan({ duration: 60 * 60, liquidation: { ...loan.liquidation, isLiquidatable: false } });
+        const priceLoan = await openLoan({ collateralAmount: ethers.parseEther("0.51") });
+        const healthyLoan = await openLoan();
+
+        await time.increase(2 * 60 * 60);
+        await aggregatorAsset.setAnswer(210000000000); //only priceLoan is under-collateralized
+
+        const keeper = new LiquidationKeeper(liquidatorClient);
+        const liquidated = [];
+        keeper.on("liquidated", (event) => liquidated.push(event));
+
+        const result = await keeper.runOnce();
+
+        expect(result.checked).to.equal(3);
+        expect(result.liquidated).to.deep.equal([shortLoan, priceLoan]);
+        expect(liquidated).to.deep.equal([
+            { loanId: shortLoan, reason: "defaulted", dryRun: false },
+            { loanId: priceLoan, reason: "price", dryRun: false }
+        ]);
+
+        expect((await liquidatorClient.getLoan(shortLoan)).status).to.equal("Liquidated");
+        expect((await liquidatorClient.getLoan(priceLoan)).status).to.equal("Liquidated");
+        expect((await liquidatorClient.getLoan(healthyLoan)).status).to.equal("Active");
+        expect([...keeper.tracked]).to.deep.equal([healthyLoan]);
+    });
+
+    it("should only report liquidatable loans in dry-run mode", async function () {
+        const loanId = await openLoan();
+        await aggregatorAsset.setAnswer(250000000000);
+
+        const keeper = new LiquidationKeeper(liquidatorClient, { dryRun: true });
+        const result = await keeper.runOnce();
+
+        expect(result.liquidated).to.deep.equal([loanId]);
+        expect((await liquidatorClient.getLoan(loanId)).status).to.equal("Active");
+    });
+
+    it("should track pending loans until they are filled", async function () {
+        const { loanId } = await borrowerClient.requestLoan(loan);
+        const keeper = new LiquidationKeeper(liquidatorClient);
+
+        expect((await keeper.runOnce()).checked).to.equal(0);
+        expect([...keeper.tracked]).to.deep.equal([loanId]);
+
+        await lenderClient.fillRequest(loanId);
+        await aggregatorAsset.setAnswer(250000000000);
+
+        expect((await keeper.runOnce()).liquidated).to.deep.equal([loanId]);
+    });
+
+    it("should stop tracking repaid, canceled and expired loans", async function () {
+        const repaidLoan = await openLoan();
+        await borrowerClient.repayLoan(repaidLoan);
+
+        const { loanId: canceledLoan } = await borrowerClient.requestLoan(loan);
+        await borrowerClient.cancelLoan(canceledLoan);
+
+        await borrowerClient.requestLoan(loan);
+        await time.increase(8 * 24 * 60 * 60);
+
+        const keeper = new LiquidationKeeper(liquidatorClient);
+        await keeper.runOnce();
+
+        expect(keeper.tracked.size).to.equal(0);
+        expect(keeper.nextLoanId).to.equal(3);
+    });
+
+    it("should skip and alert on stale oracles", async function () {
+        const healthyLoan = await openLoan();
+        const priceLoan = await openLoan({ collateralAmount: ethers.parseEther("0.51") });
+
+        await aggregatorAsset.setAnswer(210000000000);
+
+        const keeper = new LiquidationKeeper(liquidatorClient);
+        const alerts = [];
+        keeper.on("alert", (event) => alerts.push(event));
+
+        await aggregatorCollateral.setPriceAge(2 * 60 * 60);
+        const result = await keeper.runOnce();
+
+        expect(result.liquidated).to.deep.equal([]);
+        expect(result.alerts).to.have.members([healthyLoan, priceLoan]);
+        expect(alerts[0].error).to.be.instanceOf(StaleOracleError);
+        expect(alerts[0].error.reason).to.equal("stale collateral oracle");
+    });
+
+    it("should skip liquidations above the gas price limit or when not profitable", async function () {
+        const loanId = await openLoan();
+        await aggregatorAsset.setAnswer(250000000000);
+
+        const expensive = new LiquidationKeeper(liquidatorClient, { maxGasPrice: 1 });
+        expect((await expensive.runOnce()).skipped).to.deep.equal([loanId]);
+
+        let quote;
+        const unprofitable = new LiquidationKeeper(liquidatorClient, {
+            isProfitable: async (args) => { quote = args; return false; }
+        });
+        expect((await unprofitable.runOnce()).skipped).to.deep.equal([loanId]);
+
+        expect(quote.loan.loanId).to.equal(loanId);
+        expect(quote.bonus).to.equal(loan.collateralAmount * 100n / 10000n);
+        expect(quote.gasCost).to.be.greaterThan(0);
+
+        expect((await liquidatorClient.getLoan(loanId)).status).to.equal("Active");
+    });
+
+    it("should start auctions, and buy the collateral once it's profitable", async function () {
+        await loanContract.connect(borrower).setAuctionConfig(60 * 60, 2000);
+        await mockAsset.connect(borrower).transfer(liquidator.address, ethers.parseEther("20"))
+
+        const loanId = await openLoan({ collateralAmount: ethers.parseEther("0.51") });
+        await aggregatorAsset.setAnswer(210000000000);
+
+        const quotes = [];
+        const keeper = new LiquidationKeeper(liquidatorClient, {
+            isProfitable: async (args) => { quotes.push(args); return args.auction.discountBps >= 1000; }
+        });
+        const events = [];
+        keeper.on("auctionStarted", (event) => events.push(event));
+        keeper.on("bought", (event) => events.push(event));
+
+        //auctions are started without checking the profit
+        const started = await keeper.runOnce();
+        expect(started.auctions).to.deep.equal([loanId]);
+        expect(started.liquidated).to.deep.equal([]);
+        expect(quotes).to.deep.equal([]);
+        expect([...keeper.tracked]).to.deep.equal([loanId]);
+
+        expect((await keeper.runOnce()).skipped).to.deep.equal([loanId]);
+        expect(quotes[0].auction.discountBps).to.be.lessThan(1000);
+
+        await time.increase(30 * 60);
+        const lenderBalance = await mockAsset.balanceOf(lender.address);
+        const bought = await keeper.runOnce();
+        expect(bought.bought).to.deep.equal([loanId]);
+
+        const { auction, bonus } = quotes[1];
+        expect(auction.discountBps).to.be.greaterThanOrEqual(1000);
+        expect(bonus).to.equal(auction.collateralAmount * BigInt(auction.discountBps) / 10000n);
+
+        expect(events[0]).to.deep.equal({ loanId, reason: "price", dryRun: false });
+        expect(events[1].loanId).to.equal(loanId);
+        expect(await mockAsset.balanceOf(lender.address)).to.equal(lenderBalance + events[1].assetAmount);
+        expect(await mockCollateral.balanceOf(liquidator.address)).to.equal(events[1].collateralAmount);
+
+        expect((await liquidatorClient.getLoan(loanId)).status).to.equal("Liquidated");
+        expect(keeper.tracked.size).to.equal(0);
+    });
+});
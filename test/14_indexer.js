@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+    mine,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { LendingP2PClient, LoanIndexer, JsonStore, MemoryStore, encodeLoan } = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Indexer", function () {
+    let loanContract;
+    let borrowerClient;
+    let lenderClient;
+
+    let borrower;
+    let lender;
+    let deployer;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+    let startBlock;
+
+    beforeEach(async function () {
+        [borrower, lender, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        startBlock = (await loanContract.deploymentTransaction().wait()).blockNumber;
+
+        borrowerClient = new LendingP2PClient(loanContract.connect(borrower));
+        lenderClient = borrowerClient.connect(lender);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseEther("100"))
+
+        loan = {
+            borrower: borrower.address,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+    
+            assetAmount: ethers.parseEther("10"),
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("1"),
+    
+            duration: 30 * 24 * 60 * 60, 
+    
+            liquidation: {
+                isLiquidatable: false,
+                liquidationThreshold: 0,
+                assetOracle: ethers.ZeroAddress,
+                collateralOracle: ethers.ZeroAddress
+            }
+        };
+    });
+
+    it("should index loans with their status history", async function () {
+        await borrowerClient.requestLoan(loan);
+        await lenderClient.fillRequest(0);
+        await borrowerClient.repayLoan(0);
+
+        await borrowerClient.requestLoan(loan);
+        await borrowerClient.cancelLoan(1);
+
+        const indexer = new LoanIndexer(loanContract, new MemoryStore(), { startBlock });
+        await indexer.sync();
+
+        const repaid = indexer.getLoan(0);
+        expect(repaid.status).to.equal("Repaid");
+        expect(repaid.borrower).to.equal(borrower.address);
+        expect(repaid.lender).to.equal(lender.address);
+        expect(repaid.assetAmount).to.equal(loan.assetAmount.toString());
+        expect(repaid.startTimestamp).to.equal(Number((await loanContract.loans(0)).startTimestamp));
+        expect(repaid.history.map((entry) => entry.status)).to.deep.equal(["Pending", "Active", "Repaid"]);
+
+        expect(indexer.getLoan(1).history.map((entry) => entry.event)).to.deep.equal(["LoanRequested", "LoanCanceled"]);
+
+        expect(indexer.getLoans({ status: "Canceled" }).map((l) => l.loanId)).to.deep.equal([1]);
+        expect(indexer.getLoans({ lender: lender.address }).map((l) => l.loanId)).to.deep.equal([0]);
+        expect(indexer.getLoans({ borrower: borrower.address }).length).to.equal(2);
+
+        const protocolFee = (loan.repaymentAmount - loan.assetAmount) * 2000n / 10000n;
+        expect(indexer.getRevenue()).to.deep.equal({ [mockAsset.target]: protocolFee.toString() });
+    });
+
+    it("should index partial repayments and added collateral", async function () {
+        await borrowerClient.requestLoan(loan);
+        await lenderClient.fillRequest(0);
+        await borrowerClient.repayPartial(0, ethers.parseEther("3"));
+        await borrowerClient.addCollateral(0, ethers.parseEther("0.5"));
+
+        const indexer = new LoanIndexer(loanContract, new MemoryStore(), { startBlock });
+        await indexer.sync();
+
+        const indexed = indexer.getLoan(0);
+        expect(indexed.status).to.equal("Active");
+        expect(indexed.repaidAmount).to.equal(ethers.parseEther("3").toString());
+        expect(indexed.initialCollateralAmount).to.equal(loan.collateralAmount.toString());
+        expect(indexed.collateralAmount).to.equal(ethers.parseEther("1.5").toString());
+        expect(indexed.history.map((entry) => entry.event)).to.deep.equal(["LoanRequested", "LoanFilled", "LoanPartiallyRepaid", "CollateralAdded"]);
+    });
+
+    it("should index loans created from signed requests", async function () {
+        const { order, signature } = await borrowerClient.signLoanRequest(loan, { nonce: 1 });
+        await lenderClient.fillSignedRequest(order, signature);
+
+        const indexer = new LoanIndexer(loanContract, new MemoryStore(), { startBlock });
+        await indexer.sync();
+
+        const indexed = indexer.getLoan(0);
+        expect(indexed.status).to.equal("Active");
+        expect(indexed.lender).to.equal(lender.address);
+        expect(indexed.history.map((entry) => entry.event)).to.deep.equal(["SignedRequestFilled", "LoanFilled"]);
+        expect(indexed.history[0].nonce).to.equal("1");
+    });
+
+    it("should index config updates", async function () {
+        await loanContract.connect(deployer).setProtocolFee(1000);
+        await loanContract.connect(deployer).setLiquidationConfig(200, 30);
+        await loanContract.connect(deployer).setFeeCollector(lender.address);
+        await loanContract.connect(deployer).setProtocolFee(500);
+
+        const indexer = new LoanIndexer(loanContract, new MemoryStore(), { startBlock });
+        await indexer.sync();
+
+        expect(indexer.getConfig()).to.deep.equal({
+            owner: deployer.address,
+            protocolFee: "500",
+            liquidatorBonus: "200",
+            protocolLiquidationFee: "30",
+            feeCollector: lender.address
+        });
+        expect(indexer.getConfigHistory().filter((entry) => entry.key === "protocolFee").length).to.equal(2);
+    });
+
+    it("should resume from the checkpoint", async function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hyperlend-p2p-")), "indexer.json");
+
+        await borrowerClient.requestLoan(loan);
+
+        const indexer = new LoanIndexer(loanContract, new JsonStore(file), { startBlock, batchSize: 3, confirmations: 0 });
+        const checkpoint = await indexer.sync();
+
+        await lenderClient.fillRequest(0);
+
+        const resumed = new LoanIndexer(loanContract, new JsonStore(file), { startBlock, batchSize: 3, confirmations: 0 });
+        expect(resumed.getCheckpoint()).to.deep.equal(checkpoint);
+
+        const ranges = [];
+        resumed.on("synced", (range) => ranges.push(range));
+        await resumed.sync();
+
+        expect(ranges[0].fromBlock).to.equal(checkpoint.blockNumber + 1);
+        expect(resumed.getLoan(0).status).to.equal("Active");
+        expect(resumed.getLoan(0).history.length).to.equal(2);
+
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it("should only checkpoint confirmed blocks", async function () {
+        await borrowerClient.requestLoan(loan);
+        const requestBlock = await ethers.provider.getBlockNumber();
+
+        const indexer = new LoanIndexer(loanContract, new MemoryStore(), { startBlock, confirmations: 3 });
+        const checkpoint = await indexer.sync();
+
+        //the request is indexed, but its block is provisional until it has 3 blocks on top of it
+        expect(checkpoint.blockNumber).to.equal(requestBlock - 3);
+        expect(indexer.getProvisionalBlock().blockNumber).to.equal(requestBlock);
+        expect(indexer.getLoan(0).status).to.equal("Pending");
+
+        await mine(2);
+        await indexer.sync();
+        expect(indexer.getCheckpoint().blockNumber).to.equal(requestBlock - 1);
+        expect(indexer.getProvisionalBlock().blockNumber).to.equal(requestBlock + 2);
+
+        await mine(3);
+        const ranges = [];
+        indexer.on("synced", (range) => ranges.push(range));
+        await indexer.sync();
+
+        //blocks that were already indexed are not processed again
+        expect(ranges).to.deep.equal([{ fromBlock: requestBlock + 3, toBlock: requestBlock + 5 }]);
+        expect(indexer.getCheckpoint().blockNumber).to.equal(requestBlock + 2);
+        expect(indexer.getLoan(0).history.length).to.equal(1);
+    });
+
+    it("should fetch the timestamp of each block once per batch", async function () {
+        //two requests in the same block
+        await network.provider.send("evm_setAutomine", [false]);
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan), { gasLimit: 1000000 });
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan), { gasLimit: 1000000 });
+        await mine(1);
+        await network.provider.send("evm_setAutomine", [true]);
+        const requestBlock = await ethers.provider.getBlockNumber();
+        await mine(1);
+
+        const indexer = new LoanIndexer(loanContract, new MemoryStore(), { startBlock, confirmations: 0 });
+        const getBlock = indexer.provider.getBlock;
+        const fetched = [];
+        indexer.provider.getBlock = function (block, ...args){
+            fetched.push(block);
+            return getBlock.call(this, block, ...args);
+        };
+
+        try {
+            await indexer.sync();
+        } finally {
+            indexer.provider.getBlock = getBlock;
+        }
+
+        expect(indexer.getLoans().map((loan) => [loan.loanId, loan.history[0].blockNumber])).to.deep.equal([[0, requestBlock], [1, requestBlock]]);
+        expect(indexer.getLoan(0).history[0].timestamp).to.equal(indexer.getLoan(1).history[0].timestamp);
+        const { hash } = await ethers.provider.getBlock(requestBlock);
+        expect(fetched.filter((block) => block === hash).length).to.equal(1);
+    });
+
+    it("should re-process blocks after a reorg", async function () {
+        await borrowerClient.requestLoan(loan);
+        await mine(5);
+
+        const snapshot = await network.provider.send("evm_snapshot");
+
+        await lenderClient.fillRequest(0);
+
+        const indexer = new LoanIndexer(loanContract, new MemoryStore(), { startBlock, confirmations: 3 });
+        await indexer.sync();
+        expect(indexer.getLoan(0).status).to.equal("Active");
+
+        //replace the fill with a cancel on a different fork
+        await network.provider.send("evm_revert", [snapshot]);
+        await mine(1);
+        await borrowerClient.cancelLoan(0);
+
+        const reorgs = [];
+        indexer.on("reorg", (range) => reorgs.push(range));
+        await indexer.sync();
+
+        expect(reorgs.length).to.equal(1);
+        expect(indexer.getLoan(0).status).to.equal("Canceled");
+        expect(indexer.getLoan(0).lender).to.equal(null);
+        expect(indexer.getLoan(0).history.map((entry) => entry.event)).to.deep.equal(["LoanRequested", "LoanCanceled"]);
+    });
+
+    it("should drop loans requested in reorged blocks", async function () {
+        const snapshot = await network.provider.send("evm_snapshot");
+        await borrowerClient.requestLoan(loan);
+
+        const indexer = new LoanIndexer(loanContract, new MemoryStore(), { startBlock, confirmations: 3 });
+        await indexer.sync();
+        expect(indexer.getLoans().length).to.equal(1);
+
+        await network.provider.send("evm_revert", [snapshot]);
+        await mine(3);
+        await indexer.sync();
+
+        expect(indexer.getLoans().length).to.equal(0);
+    });
+});
@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { LendingP2PClient, InvalidStatusError } = require("../sdk")
+const { run, CliError, parseDuration } = require("../cli")
+const { deployLendingP2P } = require("./utils")
+
+describe("CLI", function () {
+    let loanContract;
+
+    let borrower;
+    let lender;
+    let deployer;
+
+    let mockAsset;
+    let mockCollateral;
+
+    let output;
+
+    /// @notice runs the cli as `signer`, and returns the printed lines
+    async function cli(signer, ...argv){
+        output = [];
+        await run(argv, {
+            client: new LendingP2PClient(loanContract.connect(signer)),
+            out: (line) => output.push(line)
+        });
+        return output;
+    }
+
+    async function requestLoan(){
+        return cli(borrower, "request",
+            "--asset", mockAsset.target, "--amount", "10", "--repayment", "11",
+            "--collateral", mockCollateral.target, "--collateral-amount", "1.5",
+            "--duration", "30d"
+        );
+    }
+
+    beforeEach(async function () {
+        [borrower, lender, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 6)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseUnits("100", 6))
+    });
+
+    it("should request a loan using human amounts", async function () {
+        expect(await requestLoan()).to.deep.equal(["requested loan #0"]);
+
+        const loan = await loanContract.loans(0);
+        expect(loan.assetAmount).to.equal(ethers.parseUnits("10", 6));
+        expect(loan.repaymentAmount).to.equal(ethers.parseUnits("11", 6));
+        expect(loan.collateralAmount).to.equal(ethers.parseEther("1.5"));
+        expect(loan.duration).to.equal(30 * 24 * 60 * 60);
+        expect(loan.liquidation.isLiquidatable).to.equal(false);
+    });
+
+    it("should request a loan with an APR", async function () {
+        await cli(borrower, "request",
+            "--asset", mockAsset.target, "--amount", "10", "--apr", "1200", "--min-interest-duration", "7d",
+            "--collateral", mockCollateral.target, "--collateral-amount", "1.5",
+            "--duration", "365d"
+        );
+
+        expect((await loanContract.loans(0)).repaymentAmount).to.equal(ethers.parseUnits("11.2", 6));
+        expect(await cli(borrower, "show", "0")).to.include("  apr:         12.00%, charged for at least 7d");
+
+        await expect(cli(borrower, "request", "--apr", "12%")).to.be.rejectedWith(CliError, "invalid apr");
+    });
+
+    it("should show a decoded loan", async function () {
+        await requestLoan();
+        const lines = await cli(borrower, "show", "0");
+
+        expect(lines[0]).to.equal("Loan #0 (Pending)");
+        expect(lines).to.include(`  borrower:    ${borrower.address}`);
+        expect(lines).to.include(`  asset:       10.0 ASSET (${mockAsset.target})`);
+        expect(lines).to.include("  repayment:   11.0 ASSET");
+        expect(lines).to.include(`  collateral:  1.5 COLLAT (${mockCollateral.target})`);
+        expect(lines).to.include("  duration:    30d");
+        expect(lines).to.include("  liquidation: only after default");
+    });
+
+    it("should fill, repay and list loans", async function () {
+        await requestLoan();
+        await requestLoan();
+
+        expect(await cli(lender, "fill", "0")).to.deep.equal(["filled loan #0"]);
+        expect(await cli(borrower, "cancel", "1")).to.deep.equal(["canceled loan #1"]);
+
+        expect(await cli(borrower, "list", "--status", "active")).to.deep.equal([
+            `#0 Active 10.0 ASSET for 1.5 COLLAT, borrower ${borrower.address}`
+        ]);
+        expect((await cli(borrower, "list")).length).to.equal(2);
+        expect((await cli(borrower, "list", "--lender", lender.address)).length).to.equal(1);
+
+        expect(await cli(borrower, "repay", "0")).to.deep.equal(["repaid loan #0"]);
+        expect((await loanContract.loans(0)).status).to.equal(3);
+    });
+
+    it("should simulate a fill and print token movements", async function () {
+        await requestLoan();
+        expect(await cli(lender, "fill", "0", "--dry-run")).to.deep.equal([
+            `requires approval of 10.0 ASSET to ${loanContract.target}, simulation skipped`,
+            "expected token movements:",
+            `  1.5 COLLAT: ${borrower.address} -> ${loanContract.target}`,
+            `  10.0 ASSET: ${lender.address} -> ${borrower.address}`
+        ]);
+
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.parseUnits("10", 6));
+        expect((await cli(lender, "fill", "0", "--dry-run"))[0]).to.equal("dry run: fillRequest would succeed");
+
+        expect((await loanContract.loans(0)).status).to.equal(0);
+    });
+
+    it("should simulate a repayment and print token movements", async function () {
+        await requestLoan();
+        await cli(lender, "fill", "0");
+
+        await mockAsset.connect(borrower).approve(loanContract.target, ethers.parseUnits("11", 6));
+        expect(await cli(borrower, "repay", "0", "--dry-run")).to.deep.equal([
+            "dry run: repayLoan would succeed",
+            "expected token movements:",
+            `  10.8 ASSET: ${borrower.address} -> ${lender.address}`,
+            `  1.5 COLLAT: ${loanContract.target} -> ${borrower.address}`,
+            `  0.2 ASSET: ${borrower.address} -> ${deployer.address}`
+        ]);
+        expect((await loanContract.loans(0)).status).to.equal(2);
+    });
+
+    it("should partially repay and add collateral", async function () {
+        await requestLoan();
+        await cli(lender, "fill", "0");
+
+        expect(await cli(borrower, "repay", "0", "--amount", "5.5", "--dry-run")).to.deep.equal([
+            `requires approval of 5.5 ASSET to ${loanContract.target}, simulation skipped`,
+            "expected token movements:",
+            `  5.4 ASSET: ${borrower.address} -> ${lender.address}`,
+            `  0.1 ASSET: ${borrower.address} -> ${deployer.address}`
+        ]);
+
+        expect(await cli(borrower, "repay", "0", "--amount", "5.5")).to.deep.equal(["repaid 5.5 ASSET of loan #0"]);
+        expect(await cli(borrower, "add-collateral", "0", "0.5")).to.deep.equal(["added 0.5 COLLAT to loan #0"]);
+
+        const lines = await cli(borrower, "show", "0");
+        expect(lines).to.include("  outstanding: 5.5 ASSET");
+        expect(lines).to.include(`  collateral:  2.0 COLLAT (${mockCollateral.target})`);
+    });
+
+    it("should refinance a loan and print the fill movements", async function () {
+        await requestLoan();
+        await cli(lender, "fill", "0");
+
+        expect(await cli(borrower, "refinance", "0", "--amount", "12", "--repayment", "13", "--duration", "60d"))
+            .to.deep.equal(["requested loan #1 to refinance loan #0"]);
+        expect(await cli(borrower, "show", "1")).to.include("  refinances:  loan #0");
+
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.parseUnits("12", 6));
+        expect(await cli(lender, "fill", "1", "--dry-run")).to.deep.equal([
+            "dry run: fillRequest would succeed",
+            "expected token movements:",
+            `  12.0 ASSET: ${lender.address} -> ${loanContract.target}`,
+            `  1.0 ASSET: ${loanContract.target} -> ${borrower.address}`,
+            `  10.8 ASSET: ${loanContract.target} -> ${lender.address}`,
+            `  0.2 ASSET: ${loanContract.target} -> ${deployer.address}`
+        ]);
+
+        expect(await cli(lender, "fill", "1")).to.deep.equal(["filled loan #1"]);
+        expect((await loanContract.loans(0)).status).to.equal(5);
+        expect((await loanContract.loans(1)).duration).to.equal(60 * 24 * 60 * 60);
+    });
+
+    it("should not liquidate a healthy loan", async function () {
+        await requestLoan();
+        await cli(lender, "fill", "0");
+
+        expect(await cli(deployer, "liquidate", "0", "--dry-run")).to.deep.equal(["dry run: loan is not liquidatable"]);
+        expect(await cli(deployer, "liquidate", "0")).to.deep.equal(["loan #0 is not liquidatable"]);
+    });
+
+    it("should run admin commands", async function () {
+        expect(await cli(deployer, "admin", "set-fee", "1000")).to.deep.equal(["setProtocolFee(1000) done"]);
+        await cli(deployer, "admin", "set-expiration", "2d");
+        await cli(deployer, "admin", "set-liquidation-config", "200", "50");
+        await cli(deployer, "admin", "set-auction-config", "1h", "1500");
+
+        expect(await loanContract.PROTOCOL_FEE()).to.equal(1000);
+        expect(await loanContract.REQUEST_EXPIRATION_DURATION()).to.equal(2 * 24 * 60 * 60);
+        expect(await loanContract.LIQUIDATOR_BONUS_BPS()).to.equal(200);
+        expect(await loanContract.AUCTION_DURATION()).to.equal(60 * 60);
+        expect(await loanContract.AUCTION_MAX_DISCOUNT_BPS()).to.equal(1500);
+
+        expect(await cli(deployer, "admin", "set-fee", "500", "--dry-run")).to.deep.equal([
+            "dry run: setProtocolFee would succeed",
+            "no token movements"
+        ]);
+        expect(await loanContract.PROTOCOL_FEE()).to.equal(1000);
+
+        expect(await cli(deployer, "config")).to.include("protocolFee: 1000");
+    });
+
+    it("should reject invalid input", async function () {
+        await expect(cli(borrower, "unknown")).to.be.rejectedWith(CliError, "unknown command");
+        await expect(cli(borrower, "show", "abc")).to.be.rejectedWith(CliError, "invalid loanId");
+        await expect(cli(borrower, "buy", "0")).to.be.rejectedWith(CliError, "wasn't started");
+        await expect(cli(borrower, "request", "--asset", mockAsset.target)).to.be.rejectedWith(CliError, "missing --collateral");
+        await expect(cli(borrower, "list", "--status", "open")).to.be.rejectedWith(CliError, "invalid status");
+
+        await requestLoan();
+        await expect(cli(borrower, "repay", "0")).to.be.rejectedWith(InvalidStatusError);
+
+        expect(() => parseDuration("1w")).to.throw(CliError);
+        expect(parseDuration("12h")).to.equal(12 * 60 * 60);
+    });
+});
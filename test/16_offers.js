@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { LendingP2PClient, InsufficientCollateralError, encodeOffer, decodeOffer } = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Offers", function () {
+    let loanContract;
+
+    let borrower;
+    let lender;
+    let deployer;
+    let liquidator;
+
+    let offer;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    async function createOffer(){
+        await mockAsset.connect(lender).approve(loanContract.target, offer.availableAmount)
+        await loanContract.connect(lender).createOffer(encodeOffer(offer));
+    }
+
+    beforeEach(async function () {
+        [borrower, lender, deployer, liquidator] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
+        mockAsset = await MockToken.connect(lender).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator"); 
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        offer = {
+            lender: lender.address,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            availableAmount: ethers.parseEther("100"),
+            interestBps: 500, //repay 105%
+            collateralRatio: 15000, //150%
+
+            duration: 30 * 24 * 60 * 60,
+            expiration: 0,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+    });
+
+    it("should create an offer", async function () {
+        await expect(loanContract.connect(lender).createOffer(encodeOffer(offer)))
+            .to.emit(loanContract, "OfferCreated")
+            .withArgs(0, lender.address);
+
+        const storedOffer = decodeOffer(await loanContract.offers(0));
+
+        expect(storedOffer).to.deep.equal({ ...offer, active: true });
+        expect(await loanContract.offerLength()).to.equal(1);
+        expect(await mockAsset.balanceOf(loanContract.target)).to.equal(0);
+    });
+
+    it("should accept an offer", async function () {
+        await createOffer();
+
+        const assetAmount = ethers.parseEther("10"); //20k usd
+        const collateralAmount = ethers.parseEther("0.6"); //30k usd = 150%
+
+        await mockCollateral.connect(borrower).approve(loanContract.target, collateralAmount)
+        await expect(loanContract.connect(borrower).acceptOffer(0, assetAmount, collateralAmount))
+            .to.emit(loanContract, "OfferAccepted")
+            .withArgs(0, 0, borrower.address, assetAmount)
+            .to.emit(loanContract, "LoanFilled")
+            .withArgs(0, borrower.address, lender.address);
+
+        expect(await mockAsset.balanceOf(borrower.address)).to.equal(assetAmount);
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(collateralAmount);
+
+        const storedLoan = await loanContract.loans(0);
+        expect(storedLoan.borrower).to.equal(borrower.address);
+        expect(storedLoan.lender).to.equal(lender.address);
+        expect(storedLoan.assetAmount).to.equal(assetAmount);
+        expect(storedLoan.repaymentAmount).to.equal(ethers.parseEther("10.5"));
+        expect(storedLoan.collateralAmount).to.equal(collateralAmount);
+        expect(storedLoan.startTimestamp).to.equal(storedLoan.createdTimestamp);
+        expect(storedLoan.duration).to.equal(offer.duration);
+        expect(storedLoan.status).to.equal(2);
+        expect(storedLoan.liquidation.liquidationThreshold).to.equal(8000);
+
+        expect((await loanContract.offers(0)).availableAmount).to.equal(offer.availableAmount - assetAmount);
+        expect(await loanContract.loanLength()).to.equal(1);
+    });
+
+    it("should repay and liquidate loans created from offers", async function () {
+        await createOffer();
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.parseEther("1.2"))
+        await loanContract.connect(borrower).acceptOffer(0, ethers.parseEther("10"), ethers.parseEther("0.6"));
+        await loanContract.connect(borrower).acceptOffer(0, ethers.parseEther("10"), ethers.parseEther("0.6"));
+
+        await mockAsset.connect(lender).transfer(borrower.address, ethers.parseEther("1"))
+        await mockAsset.connect(borrower).approve(loanContract.target, ethers.parseEther("10.5"))
+        await expect(loanContract.connect(borrower).repayLoan(0))
+            .to.emit(loanContract, "LoanRepaid")
+            .withArgs(0, borrower.address, lender.address);
+
+        await time.increase(offer.duration + 1);
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000);
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000);
+
+        await expect(loanContract.connect(liquidator).liquidateLoan(1))
+            .to.emit(loanContract, "LoanLiquidated")
+            .withArgs(1);
+    });
+
+    it("should cancel an offer", async function () {
+        await createOffer();
+
+        await expect(loanContract.connect(borrower).cancelOffer(0)).to.revertedWith("sender != lender")
+        await expect(loanContract.connect(lender).cancelOffer(0))
+            .to.emit(loanContract, "OfferCanceled")
+            .withArgs(0, lender.address);
+
+        await expect(loanContract.connect(borrower).acceptOffer(0, 1, 1)).to.revertedWith("invalid status")
+        await expect(loanContract.connect(lender).cancelOffer(0)).to.revertedWith("invalid status")
+    });
+
+    it("should revert: invalid offers", async function () {
+        await expect(loanContract.connect(borrower).createOffer(encodeOffer(offer))).to.revertedWith("lender != msg.sender")
+        await expect(loanContract.connect(lender).createOffer(encodeOffer({ ...offer, collateral: offer.asset }))).to.revertedWith("asset == collateral")
+        await expect(loanContract.connect(lender).createOffer(encodeOffer({ ...offer, availableAmount: 0 }))).to.revertedWith("amount == 0")
+        await expect(loanContract.connect(lender).createOffer(encodeOffer({ ...offer, interestBps: 0 }))).to.revertedWith("interest == 0")
+        await expect(loanContract.connect(lender).createOffer(encodeOffer({ ...offer, expiration: 1 }))).to.revertedWith("already expired")
+        await expect(loanContract.connect(lender).createOffer(encodeOffer({
+            ...offer, liquidation: { ...offer.liquidation, liquidationThreshold: 10001 }
+        }))).to.revertedWith("liq threshold > max bps")
+
+        await aggregatorCollateral.setDecimals(19);
+        await expect(loanContract.connect(lender).createOffer(encodeOffer(offer))).to.revertedWith("oracle decimals > 18")
+    });
+
+    it("should revert: accept more than available", async function () {
+        await createOffer();
+        await expect(loanContract.connect(borrower).acceptOffer(0, offer.availableAmount + 1n, ethers.parseEther("100"))).to.revertedWith("amount > available")
+        await expect(loanContract.connect(borrower).acceptOffer(0, 0, ethers.parseEther("100"))).to.revertedWith("amount == 0")
+    });
+
+    it("should revert: insufficient collateral ratio", async function () {
+        await createOffer();
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.parseEther("1"))
+        await expect(loanContract.connect(borrower).acceptOffer(0, ethers.parseEther("10"), ethers.parseEther("0.59"))).to.revertedWith("insufficient collateral")
+    });
+
+    it("should revert: instantly liquidatable", async function () {
+        offer.collateralRatio = 10000;
+        await createOffer();
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.parseEther("1"))
+
+        //meets the 100% collateral ratio, but above the 80% liquidation threshold
+        await expect(loanContract.connect(borrower).acceptOffer(0, ethers.parseEther("10"), ethers.parseEther("0.45"))).to.revertedWith("instantly liquidatable")
+    });
+
+    it("should revert: expired offer", async function () {
+        offer.expiration = (await time.latest()) + 60 * 60;
+        await createOffer();
+
+        await time.increase(60 * 60);
+        await expect(loanContract.connect(borrower).acceptOffer(0, 1, 1)).to.revertedWith("already expired")
+    });
+
+    it("should revert: stale oracle price", async function () {
+        await createOffer();
+        await aggregatorCollateral.setPriceAge(2 * 60 * 60);
+        await expect(loanContract.connect(borrower).acceptOffer(0, 1, 1)).to.revertedWith("stale collateral oracle")
+    });
+
+    it("should create and accept offers with the client", async function () {
+        const lenderClient = new LendingP2PClient(loanContract.connect(lender));
+        const borrowerClient = lenderClient.connect(borrower);
+
+        const { offerId } = await lenderClient.createOffer(offer);
+        expect((await borrowerClient.getOffer(offerId)).active).to.equal(true);
+
+        await expect(borrowerClient.acceptOffer(offerId, ethers.parseEther("10"), ethers.parseEther("0.1"))).to.be.rejectedWith(InsufficientCollateralError);
+
+        const { loanId } = await borrowerClient.acceptOffer(offerId, ethers.parseEther("10"), ethers.parseEther("0.6"));
+        const storedLoan = await borrowerClient.getLoan(loanId);
+
+        expect(storedLoan.status).to.equal("Active");
+        expect(storedLoan.lender).to.equal(lender.address);
+        expect((await borrowerClient.getOffer(offerId)).availableAmount).to.equal(ethers.parseEther("90"));
+    });
+});
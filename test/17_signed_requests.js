@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const {
+    LendingP2PClient,
+    InvalidNonceError,
+    InvalidSignatureError,
+    orderDomain,
+    buildOrder,
+    signOrder,
+    hashOrder,
+    verifyOrder
+} = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Signed requests", function () {
+    let loanContract;
+
+    let borrower;
+    let lender;
+    let deployer;
+
+    let loan;
+    let domain;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    async function signedOrder(overrides = {}, options = {}){
+        const order = buildOrder({ ...loan, ...overrides }, {
+            nonce: 1,
+            deadline: (await time.latest()) + 60 * 60,
+            ...options
+        });
+        return { order, signature: await signOrder(borrower, domain, order) };
+    }
+
+    beforeEach(async function () {
+        [borrower, lender, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
+        mockAsset = await MockToken.connect(lender).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator"); 
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        const { chainId } = await ethers.provider.getNetwork();
+        domain = orderDomain(loanContract.target, chainId);
+
+        loan = {
+            borrower: borrower.address,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("1"), //50k usd
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+    });
+
+    it("should match the on-chain order hash", async function () {
+        const { order, signature } = await signedOrder();
+
+        expect(await loanContract.hashLoanOrder(order)).to.equal(hashOrder(domain, order));
+        expect(verifyOrder(domain, order, signature)).to.equal(true);
+        expect(verifyOrder(domain, { ...order, nonce: 2n }, signature)).to.equal(false);
+    });
+
+    it("should fill a signed request", async function () {
+        const { order, signature } = await signedOrder();
+
+        await expect(loanContract.connect(lender).fillSignedRequest(order, signature))
+            .to.emit(loanContract, "SignedRequestFilled")
+            .withArgs(0, borrower.address, 1)
+            .to.emit(loanContract, "LoanFilled")
+            .withArgs(0, borrower.address, lender.address);
+
+        const storedLoan = await loanContract.loans(0);
+        expect(storedLoan.borrower).to.equal(borrower.address);
+        expect(storedLoan.lender).to.equal(lender.address);
+        expect(storedLoan.assetAmount).to.equal(loan.assetAmount);
+        expect(storedLoan.repaymentAmount).to.equal(loan.repaymentAmount);
+        expect(storedLoan.collateralAmount).to.equal(loan.collateralAmount);
+        expect(storedLoan.startTimestamp).to.equal(await time.latest());
+        expect(storedLoan.createdTimestamp).to.equal(storedLoan.startTimestamp);
+        expect(storedLoan.status).to.equal(2);
+
+        expect(await mockAsset.balanceOf(borrower.address)).to.equal(loan.assetAmount);
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(loan.collateralAmount);
+        expect(await loanContract.usedNonces(borrower.address, 1)).to.equal(true);
+
+        //repaid like any other loan
+        await mockAsset.connect(lender).transfer(borrower.address, ethers.parseEther("1"))
+        await mockAsset.connect(borrower).approve(loanContract.target, loan.repaymentAmount)
+        await expect(loanContract.connect(borrower).repayLoan(0)).to.emit(loanContract, "LoanRepaid");
+    });
+
+    it("should revert: order filled twice", async function () {
+        const { order, signature } = await signedOrder();
+
+        await loanContract.connect(lender).fillSignedRequest(order, signature);
+        await expect(loanContract.connect(lender).fillSignedRequest(order, signature)).to.revertedWith("nonce already used")
+    });
+
+    it("should revert: invalid signature", async function () {
+        const { order } = await signedOrder();
+        const lenderSignature = await signOrder(lender, domain, order);
+
+        await expect(loanContract.connect(lender).fillSignedRequest(order, lenderSignature)).to.revertedWith("invalid signature")
+
+        const { signature } = await signedOrder();
+        const tamperedOrder = { ...order, loan: { ...order.loan, assetAmount: ethers.parseEther("10.5") } };
+        await expect(loanContract.connect(lender).fillSignedRequest(tamperedOrder, signature)).to.revertedWith("invalid signature")
+    });
+
+    it("should revert: expired order", async function () {
+        const { order, signature } = await signedOrder();
+
+        await time.increase(60 * 60 + 1);
+        await expect(loanContract.connect(lender).fillSignedRequest(order, signature)).to.revertedWith("already expired")
+    });
+
+    it("should revert: order for a different lender", async function () {
+        const { order, signature } = await signedOrder({ lender: deployer.address });
+
+        await expect(loanContract.connect(lender).fillSignedRequest(order, signature)).to.revertedWith("sender != lender")
+
+        await mockAsset.connect(lender).transfer(deployer.address, loan.assetAmount)
+        await mockAsset.connect(deployer).approve(loanContract.target, loan.assetAmount)
+        await expect(loanContract.connect(deployer).fillSignedRequest(order, signature))
+            .to.emit(loanContract, "LoanFilled")
+            .withArgs(0, borrower.address, deployer.address);
+    });
+
+    it("should revert: invalid loan", async function () {
+        let { order, signature } = await signedOrder({ repaymentAmount: loan.assetAmount });
+        await expect(loanContract.connect(lender).fillSignedRequest(order, signature)).to.revertedWith("amount <= repayment");
+
+        ({ order, signature } = await signedOrder({ collateralAmount: ethers.parseEther("0.4") }));
+        await expect(loanContract.connect(lender).fillSignedRequest(order, signature)).to.revertedWith("instantly liquidatable");
+    });
+
+    it("should cancel a signed request", async function () {
+        const { order, signature } = await signedOrder();
+
+        await expect(loanContract.connect(borrower).cancelSignedRequest(1))
+            .to.emit(loanContract, "SignedRequestCanceled")
+            .withArgs(borrower.address, 1);
+
+        await expect(loanContract.connect(lender).fillSignedRequest(order, signature)).to.revertedWith("nonce already used")
+        await expect(loanContract.connect(borrower).cancelSignedRequest(1)).to.revertedWith("nonce already used")
+    });
+
+    it("should cancel all signed requests below a nonce", async function () {
+        const first = await signedOrder({}, { nonce: 1 });
+        const second = await signedOrder({}, { nonce: 5 });
+
+        await expect(loanContract.connect(borrower).cancelSignedRequestsBelow(5))
+            .to.emit(loanContract, "MinNonceUpdated")
+            .withArgs(borrower.address, 5);
+
+        await expect(loanContract.connect(lender).fillSignedRequest(first.order, first.signature)).to.revertedWith("nonce too low")
+        await expect(loanContract.connect(borrower).cancelSignedRequestsBelow(5)).to.revertedWith("nonce too low")
+
+        await loanContract.connect(lender).fillSignedRequest(second.order, second.signature);
+        expect(await loanContract.loanLength()).to.equal(1);
+    });
+
+    it("should sign and fill requests with the client", async function () {
+        const borrowerClient = new LendingP2PClient(loanContract.connect(borrower));
+        const lenderClient = borrowerClient.connect(lender);
+
+        const { order, signature } = await borrowerClient.signLoanRequest(loan, { nonce: 7 });
+        expect(order.deadline).to.be.greaterThan(BigInt(await time.latest()));
+        expect(verifyOrder(await lenderClient.getOrderDomain(), order, signature)).to.equal(true);
+        expect(await lenderClient.isOrderNonceValid(order)).to.equal(true);
+
+        await expect(lenderClient.fillSignedRequest(order, await signOrder(lender, domain, order))).to.be.rejectedWith(InvalidSignatureError);
+
+        const { loanId } = await lenderClient.fillSignedRequest(order, signature);
+        expect((await lenderClient.getLoan(loanId)).status).to.equal("Active");
+        expect(await lenderClient.isOrderNonceValid(order)).to.equal(false);
+
+        const next = await borrowerClient.signLoanRequest(loan, { nonce: 8 });
+        await borrowerClient.cancelSignedRequest(8);
+        await expect(lenderClient.fillSignedRequest(next.order, next.signature)).to.be.rejectedWith(InvalidNonceError);
+    });
+});
@@ -0,0 +1,204 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { LendingP2PClient, encodeLoan, decodeLoan, repaymentAmountAt } = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("APR loans", function () {
+    let loanContract;
+
+    let borrower;
+    let lender;
+    let deployer;
+
+    let loan;
+    let terms;
+    let mockAsset;
+    let mockCollateral;
+
+    const DAY = 24 * 60 * 60;
+    const YEAR = 365 * DAY;
+
+    async function requestAndFill(){
+        await loanContract.connect(borrower).requestLoanWithApr(encodeLoan(loan), terms, 0);
+        await loanContract.connect(lender).fillRequest(0);
+        return time.latest();
+    }
+
+    beforeEach(async function () {
+        [borrower, lender, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseEther("1000"))
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+        await mockAsset.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+
+        loan = {
+            borrower: borrower.address,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("100"),
+            repaymentAmount: 0, //ignored, set from the apr
+            collateralAmount: ethers.parseEther("1"),
+
+            duration: YEAR,
+
+            liquidation: {
+                isLiquidatable: false,
+                liquidationThreshold: 0,
+                assetOracle: ethers.ZeroAddress,
+                collateralOracle: ethers.ZeroAddress
+            }
+        };
+
+        terms = { aprBps: 1000, minInterestDuration: 30 * DAY }; //10% APR
+    });
+
+    it("should request a loan with an APR", async function () {
+        await expect(loanContract.connect(borrower).requestLoanWithApr(encodeLoan(loan), terms, 0))
+            .to.emit(loanContract, "LoanRequested")
+            .withArgs(0, borrower.address);
+
+        const storedLoan = await loanContract.loans(0);
+        expect(storedLoan.repaymentAmount).to.equal(ethers.parseEther("110")); //interest for the full duration
+
+        const storedTerms = await loanContract.interestTerms(0);
+        expect(storedTerms.aprBps).to.equal(terms.aprBps);
+        expect(storedTerms.minInterestDuration).to.equal(terms.minInterestDuration);
+
+        //no interest accrues before the loan is filled
+        await time.increase(DAY);
+        expect(await loanContract.getRepaymentAmount(0)).to.equal(ethers.parseEther("110"));
+    });
+
+    it("should accrue interest linearly", async function () {
+        const startTimestamp = await requestAndFill();
+        const storedLoan = await loanContract.loans(0);
+
+        //minimum interest
+        expect(await loanContract.getRepaymentAmount(0)).to.equal(loan.assetAmount + loan.assetAmount * 1000n * BigInt(30 * DAY) / (10000n * BigInt(YEAR)));
+
+        await time.increaseTo(startTimestamp + YEAR / 2);
+        expect(await loanContract.getRepaymentAmount(0)).to.equal(ethers.parseEther("105"));
+        expect(await loanContract.getOutstandingAmount(0)).to.equal(ethers.parseEther("105"));
+        expect(repaymentAmountAt(decodeLoan(storedLoan), terms, startTimestamp + YEAR / 2)).to.equal(ethers.parseEther("105"));
+
+        //capped at the loan duration
+        await time.increaseTo(startTimestamp + 2 * YEAR);
+        expect(await loanContract.getRepaymentAmount(0)).to.equal(ethers.parseEther("110"));
+    });
+
+    it("should charge the minimum interest on early repayment", async function () {
+        await requestAndFill();
+        await time.increase(DAY);
+
+        const interest = loan.assetAmount * 1000n * BigInt(30 * DAY) / (10000n * BigInt(YEAR));
+        const fee = interest * 2000n / 10000n;
+        const lenderBalance = await mockAsset.balanceOf(lender.address);
+
+        await expect(loanContract.connect(borrower).repayLoan(0))
+            .to.emit(loanContract, "ProtocolRevenue")
+            .withArgs(0, mockAsset.target, fee);
+
+        expect(await mockAsset.balanceOf(lender.address)).to.equal(lenderBalance + loan.assetAmount + interest - fee);
+        expect(await mockAsset.balanceOf(deployer.address)).to.equal(fee);
+        expect(await loanContract.getRepaymentAmount(0)).to.equal(ethers.parseEther("110"));
+    });
+
+    it("should charge the protocol fee on accrued interest only", async function () {
+        const startTimestamp = await requestAndFill();
+
+        await time.setNextBlockTimestamp(startTimestamp + YEAR / 2);
+        await loanContract.connect(borrower).repayLoan(0);
+
+        const fee = ethers.parseEther("5") * 2000n / 10000n;
+        expect(await mockAsset.balanceOf(deployer.address)).to.equal(fee);
+        expect(await mockAsset.balanceOf(lender.address)).to.equal(ethers.parseEther("1005") - fee);
+    });
+
+    it("should partially repay a loan with an APR", async function () {
+        const startTimestamp = await requestAndFill();
+        const interestOf = (amount, elapsed) => amount * 1000n * BigInt(elapsed) / (10000n * BigInt(YEAR));
+
+        await time.setNextBlockTimestamp(startTimestamp + YEAR / 4);
+        await expect(loanContract.connect(borrower).repayPartial(0, ethers.parseEther("102.5"))).to.revertedWith("amount >= outstanding");
+
+        //the accrued interest is paid first, the rest of the repayment reduces the principal
+        await time.setNextBlockTimestamp(startTimestamp + YEAR / 4 + 1);
+        await loanContract.connect(borrower).repayPartial(0, ethers.parseEther("50"));
+
+        const interest = interestOf(loan.assetAmount, YEAR / 4 + 1);
+        const principal = loan.assetAmount - (ethers.parseEther("50") - interest);
+
+        const accrual = await loanContract.interestAccruals(0);
+        expect(accrual.principal).to.equal(principal);
+        expect(accrual.interest).to.equal(interest);
+        expect(accrual.timestamp).to.equal(startTimestamp + YEAR / 4 + 1);
+
+        //interest accrues on the remaining principal only
+        await time.increaseTo(startTimestamp + YEAR / 2);
+        const repaymentAmount = loan.assetAmount + interest + interestOf(principal, YEAR / 4 - 1);
+
+        expect(await loanContract.getRepaymentAmount(0)).to.equal(repaymentAmount);
+        expect(await loanContract.getOutstandingAmount(0)).to.equal(repaymentAmount - ethers.parseEther("50"));
+        expect(repaymentAmountAt(decodeLoan(await loanContract.loans(0)), terms, startTimestamp + YEAR / 2, accrual)).to.equal(repaymentAmount);
+        expect(repaymentAmountAt(decodeLoan(await loanContract.loans(0)), terms, startTimestamp + YEAR / 2)).to.equal(ethers.parseEther("105"));
+
+        //capped at the loan duration
+        await time.setNextBlockTimestamp(startTimestamp + 2 * YEAR);
+        await loanContract.connect(borrower).repayLoan(0);
+
+        const totalInterest = interest + interestOf(principal, YEAR - YEAR / 4 - 1);
+        const lenderBalance = await mockAsset.balanceOf(lender.address);
+        const fees = await mockAsset.balanceOf(deployer.address);
+
+        expect(lenderBalance + fees).to.equal(ethers.parseEther("1000") + totalInterest);
+        expect(totalInterest).to.be.lt(ethers.parseEther("10"));
+
+        //never more than the fee on the accrued interest
+        expect(fees).to.be.lte(totalInterest * 2000n / 10000n);
+    });
+
+    it("should charge the minimum interest after partial repayments", async function () {
+        const startTimestamp = await requestAndFill();
+        const minInterest = loan.assetAmount * 1000n * BigInt(30 * DAY) / (10000n * BigInt(YEAR));
+
+        await time.setNextBlockTimestamp(startTimestamp + DAY);
+        await loanContract.connect(borrower).repayPartial(0, ethers.parseEther("90"));
+
+        expect(await loanContract.getRepaymentAmount(0)).to.equal(loan.assetAmount + minInterest);
+    });
+
+    it("should revert: invalid interest terms", async function () {
+        await expect(loanContract.connect(borrower).requestLoanWithApr(encodeLoan(loan), { ...terms, aprBps: 0 }, 0)).to.revertedWith("apr == 0")
+        await expect(loanContract.connect(borrower).requestLoanWithApr(encodeLoan(loan), { ...terms, minInterestDuration: YEAR + 1 }, 0)).to.revertedWith("min interest > duration")
+        await expect(loanContract.connect(borrower).requestLoanWithApr(encodeLoan({ ...loan, assetAmount: 1n }), terms, 0)).to.revertedWith("amount <= repayment")
+    });
+
+    it("should request and repay loans with an APR with the client", async function () {
+        const borrowerClient = new LendingP2PClient(loanContract.connect(borrower));
+        const lenderClient = borrowerClient.connect(lender);
+
+        const { loanId } = await borrowerClient.requestLoanWithApr(loan, terms);
+        await lenderClient.fillRequest(loanId);
+        await time.increase(YEAR / 2);
+
+        const activeLoan = await borrowerClient.getLoan(loanId);
+        expect(activeLoan.interestTerms).to.deep.equal(terms);
+        expect(activeLoan.repaymentAmount).to.equal(ethers.parseEther("110"));
+        expect(activeLoan.outstandingAmount).to.be.closeTo(ethers.parseEther("105"), ethers.parseEther("0.001"));
+
+        await borrowerClient.repayLoan(loanId);
+        expect((await borrowerClient.getLoan(loanId)).status).to.equal("Repaid");
+    });
+});
@@ -0,0 +1,307 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { LendingP2PClient, LoanIndexer, MemoryStore, InvalidStatusError, encodeLoan, quoteAuction } = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Auction liquidations", function () {
+    let loanContract;
+
+    let borrower;
+    let lender;
+    let deployer;
+    let liquidator;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    const AUCTION_DURATION = 60 * 60;
+    const AUCTION_MAX_DISCOUNT = 2000;
+
+    /// @notice same as the on-chain quote, with the prices used in these tests
+    function expectedQuote(startedAt, timestamp, collateralPrice = 3000000000000n){
+        return quoteAuction({
+            startedAt,
+            duration: AUCTION_DURATION,
+            maxDiscountBps: AUCTION_MAX_DISCOUNT,
+            debt: loan.repaymentAmount,
+            collateralAmount: loan.collateralAmount,
+            assetPrice: 200000000000n,
+            collateralPrice,
+            assetDecimals: 18,
+            collateralDecimals: 18,
+            protocolLiquidationFee: 20
+        }, timestamp);
+    }
+
+    /// @notice requests and fills the loan, and drops the collateral price so it becomes liquidatable
+    async function liquidatableLoan(){
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        await loanContract.connect(lender).fillRequest(0);
+
+        await aggregatorCollateral.setAnswer(3000000000000); //30k usd, loan value > 60% of the collateral value
+    }
+
+    async function startAuction(){
+        await expect(loanContract.connect(liquidator).liquidateLoan(0))
+            .to.emit(loanContract, "AuctionStarted")
+            .withArgs(0);
+        return time.latest();
+    }
+
+    beforeEach(async function () {
+        [borrower, lender, deployer, liquidator] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        await loanContract.connect(deployer).setAuctionConfig(AUCTION_DURATION, AUCTION_MAX_DISCOUNT);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
+        mockAsset = await MockToken.connect(lender).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator"); 
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.setAnswer(5000000000000); //50k usd
+
+        await mockAsset.connect(lender).transfer(liquidator.address, ethers.parseEther("100"))
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+        await mockAsset.connect(liquidator).approve(loanContract.target, ethers.MaxUint256)
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+
+        loan = {
+            borrower: borrower.address,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"), //22k usd
+            collateralAmount: ethers.parseEther("1"), //50k usd
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 6000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+    });
+
+    it("should start an auction instead of liquidating", async function () {
+        await liquidatableLoan();
+
+        expect(await loanContract.connect(liquidator).liquidateLoan.staticCall(0)).to.equal(true);
+        const startedAt = await startAuction();
+
+        expect(await loanContract.auctionStarts(0)).to.equal(startedAt);
+        expect((await loanContract.loans(0)).status).to.equal(2);
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(loan.collateralAmount);
+
+        //auction can't be restarted
+        expect(await loanContract.connect(liquidator).liquidateLoan.staticCall(0)).to.equal(false);
+    });
+
+    it("should decay the collateral price over the auction duration", async function () {
+        await liquidatableLoan();
+        const startedAt = await startAuction();
+
+        expect(await loanContract.getAuctionDiscount(0)).to.equal(0);
+
+        await time.increaseTo(startedAt + AUCTION_DURATION / 4);
+        expect(await loanContract.getAuctionDiscount(0)).to.equal(AUCTION_MAX_DISCOUNT / 4);
+
+        const [assetAmount, collateralAmount] = await loanContract.getAuctionQuote(0);
+        const quote = expectedQuote(startedAt, startedAt + AUCTION_DURATION / 4);
+        expect(quote.discountBps).to.equal(AUCTION_MAX_DISCOUNT / 4);
+        expect(assetAmount).to.equal(loan.repaymentAmount);
+        expect(collateralAmount).to.equal(quote.collateralAmount);
+
+        await time.increaseTo(startedAt + 2 * AUCTION_DURATION);
+        expect(await loanContract.getAuctionDiscount(0)).to.equal(AUCTION_MAX_DISCOUNT);
+    });
+
+    it("should sell the collateral covering the debt, and return the surplus", async function () {
+        await liquidatableLoan();
+        const startedAt = await startAuction();
+
+        const lenderBalance = await mockAsset.balanceOf(lender.address);
+        const borrowerCollateral = await mockCollateral.balanceOf(borrower.address);
+
+        await time.setNextBlockTimestamp(startedAt + AUCTION_DURATION / 2);
+        const quote = expectedQuote(startedAt, startedAt + AUCTION_DURATION / 2);
+        expect(quote.collateralAmount).to.be.lessThan(loan.collateralAmount);
+
+        await expect(loanContract.connect(liquidator).buyCollateral(0))
+            .to.emit(loanContract, "AuctionSettled")
+            .withArgs(0, liquidator.address, loan.repaymentAmount, quote.collateralAmount, quote.surplus)
+            .to.emit(loanContract, "LoanLiquidated")
+            .withArgs(0)
+            .to.emit(loanContract, "ProtocolRevenue")
+            .withArgs(0, mockCollateral.target, quote.protocolFee);
+
+        expect(await mockAsset.balanceOf(lender.address)).to.equal(lenderBalance + loan.repaymentAmount);
+        expect(await mockCollateral.balanceOf(liquidator.address)).to.equal(quote.collateralAmount);
+        expect(await mockCollateral.balanceOf(deployer.address)).to.equal(quote.protocolFee);
+        expect(await mockCollateral.balanceOf(borrower.address)).to.equal(borrowerCollateral + quote.surplus);
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(0);
+
+        expect((await loanContract.loans(0)).status).to.equal(4);
+    });
+
+    it("should sell all collateral for less if it doesn't cover the debt", async function () {
+        await liquidatableLoan();
+        const startedAt = await startAuction();
+
+        await time.increaseTo(startedAt + AUCTION_DURATION);
+        await aggregatorCollateral.setAnswer(2400000000000); //24k usd
+
+        const lenderBalance = await mockAsset.balanceOf(lender.address);
+        await time.setNextBlockTimestamp(startedAt + AUCTION_DURATION + 10);
+        await loanContract.connect(liquidator).buyCollateral(0);
+
+        //24k usd at 20% discount = 19.2k usd = 9.6 asset
+        expect(await mockAsset.balanceOf(lender.address)).to.equal(lenderBalance + ethers.parseEther("9.6"));
+        expect(await mockCollateral.balanceOf(liquidator.address)).to.equal(loan.collateralAmount);
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(0);
+    });
+
+    it("should revert: buy without an auction", async function () {
+        await liquidatableLoan();
+        await expect(loanContract.connect(liquidator).buyCollateral(0)).to.revertedWith("auction not started")
+        await expect(loanContract.getAuctionQuote(0)).to.revertedWith("auction not started")
+        expect(await loanContract.getAuctionDiscount(0)).to.equal(0);
+    });
+
+    it("should revert: buy after the loan recovered or was repaid", async function () {
+        await liquidatableLoan();
+        await startAuction();
+
+        await aggregatorCollateral.setAnswer(5000000000000);
+        await expect(loanContract.connect(liquidator).buyCollateral(0)).to.revertedWith("not liquidatable")
+
+        await mockAsset.connect(lender).transfer(borrower.address, ethers.parseEther("1"))
+        await mockAsset.connect(borrower).approve(loanContract.target, loan.repaymentAmount)
+        await loanContract.connect(borrower).repayLoan(0);
+
+        await expect(loanContract.connect(liquidator).buyCollateral(0)).to.revertedWith("invalid status")
+    });
+
+    it("should reset the auction once the loan recovers, and start a new one when it's liquidatable again", async function () {
+        const indexer = new LoanIndexer(loanContract.connect(ethers.provider), new MemoryStore(), { confirmations: 0 });
+        await liquidatableLoan();
+        const startedAt = await startAuction();
+
+        await time.increaseTo(startedAt + AUCTION_DURATION);
+        expect(await loanContract.getAuctionDiscount(0)).to.equal(AUCTION_MAX_DISCOUNT);
+
+        await aggregatorCollateral.setAnswer(5000000000000); //50k usd, recovered
+        expect(await loanContract.connect(liquidator).liquidateLoan.staticCall(0)).to.equal(false);
+        await expect(loanContract.connect(liquidator).liquidateLoan(0))
+            .to.emit(loanContract, "AuctionReset")
+            .withArgs(0);
+
+        expect(await loanContract.auctionStarts(0)).to.equal(0);
+        expect(await loanContract.getAuctionDiscount(0)).to.equal(0);
+        await indexer.sync();
+        expect(indexer.getLoan(0).auctionStartedAt).to.equal(null);
+
+        //the old auction can't be bought at its max discount once the price drops again
+        await aggregatorCollateral.setAnswer(3000000000000);
+        await expect(loanContract.connect(liquidator).buyCollateral(0)).to.revertedWith("auction not started")
+
+        const restartedAt = await startAuction();
+        expect(await loanContract.auctionStarts(0)).to.equal(restartedAt);
+        expect(await loanContract.getAuctionDiscount(0)).to.equal(0);
+        await indexer.sync();
+        expect(indexer.getLoan(0).auctionStartedAt).to.equal(restartedAt);
+
+        //quoted from the new start
+        const quote = expectedQuote(restartedAt, restartedAt + AUCTION_DURATION / 2);
+        await time.setNextBlockTimestamp(restartedAt + AUCTION_DURATION / 2);
+        await expect(loanContract.connect(liquidator).buyCollateral(0))
+            .to.emit(loanContract, "AuctionSettled")
+            .withArgs(0, liquidator.address, loan.repaymentAmount, quote.collateralAmount, quote.surplus);
+    });
+
+    it("should reset the auction when the borrower adds collateral or repays a part of the loan", async function () {
+        await liquidatableLoan();
+        await startAuction();
+
+        //still liquidatable
+        await expect(loanContract.connect(borrower).addCollateral(0, 1))
+            .not.to.emit(loanContract, "AuctionReset");
+
+        await expect(loanContract.connect(borrower).addCollateral(0, ethers.parseEther("0.5")))
+            .to.emit(loanContract, "AuctionReset")
+            .withArgs(0);
+        expect(await loanContract.auctionStarts(0)).to.equal(0);
+
+        await aggregatorCollateral.setAnswer(1500000000000); //15k usd, liquidatable again
+        await startAuction();
+
+        await mockAsset.connect(lender).transfer(borrower.address, ethers.parseEther("6"))
+        await mockAsset.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+        await expect(loanContract.connect(borrower).repayPartial(0, ethers.parseEther("6")))
+            .to.emit(loanContract, "AuctionReset")
+            .withArgs(0);
+        expect(await loanContract.auctionStarts(0)).to.equal(0);
+    });
+
+    it("should liquidate loans without oracles with the liquidator bonus", async function () {
+        loan.liquidation = { isLiquidatable: false, liquidationThreshold: 0, assetOracle: ethers.ZeroAddress, collateralOracle: ethers.ZeroAddress };
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        await loanContract.connect(lender).fillRequest(0);
+
+        await time.increase(loan.duration + 1);
+        await expect(loanContract.connect(liquidator).liquidateLoan(0))
+            .to.emit(loanContract, "LoanLiquidated")
+            .withArgs(0);
+    });
+
+    it("should revert: invalid auction config", async function () {
+        await expect(loanContract.connect(deployer).setAuctionConfig(AUCTION_DURATION, 10000)).to.revertedWith("auctionMaxDiscount > 10000 bps")
+        await expect(loanContract.connect(liquidator).setAuctionConfig(AUCTION_DURATION, 1000)).to.revertedWithCustomError(loanContract, "OwnableUnauthorizedAccount")
+
+        await expect(loanContract.connect(deployer).setAuctionConfig(0, 1000))
+            .to.emit(loanContract, "AuctionDurationUpdated")
+            .withArgs(AUCTION_DURATION, 0)
+            .to.emit(loanContract, "AuctionMaxDiscountUpdated")
+            .withArgs(AUCTION_MAX_DISCOUNT, 1000);
+    });
+
+    it("should quote and buy auctions with the client", async function () {
+        const client = new LendingP2PClient(loanContract.connect(liquidator));
+        await liquidatableLoan();
+
+        expect(await client.getAuction(0)).to.equal(null);
+        await expect(client.buyCollateral(0)).to.be.rejectedWith(InvalidStatusError);
+
+        await client.liquidateLoan(0);
+        const { startedAt } = await client.getAuction(0);
+
+        const timestamp = startedAt + AUCTION_DURATION / 2;
+        const simulated = await client.quoteAuctionAt(0, timestamp);
+        expect(simulated).to.deep.equal(expectedQuote(startedAt, timestamp));
+
+        await time.increaseTo(timestamp);
+        const auction = await client.getAuction(0);
+        expect(auction.discountBps).to.equal(simulated.discountBps);
+        expect(auction.collateralAmount).to.equal(simulated.collateralAmount);
+
+        await time.setNextBlockTimestamp(timestamp + 1);
+        const result = await client.buyCollateral(0);
+        expect(result.assetAmount).to.equal(loan.repaymentAmount);
+        expect(result.surplus).to.equal(expectedQuote(startedAt, timestamp + 1).surplus);
+    });
+});
@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { LendingP2PClient, LoanIndexer, MemoryStore, InvalidLoanError, encodeLoan } = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Refinance", function () {
+    let loanContract;
+
+    let borrower;
+    let lender;
+    let newLender;
+    let deployer;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    beforeEach(async function () {
+        [borrower, lender, newLender, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator");
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseEther("100"))
+        await mockAsset.connect(borrower).transfer(newLender.address, ethers.parseEther("100"))
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+        await mockAsset.connect(newLender).approve(loanContract.target, ethers.MaxUint256)
+        await mockAsset.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"), //30k usd
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        await loanContract.connect(lender).fillRequest(0);
+    });
+
+    it("should request a refinance linked to the active loan", async function () {
+        const refinance = { ...loan, assetAmount: ethers.parseEther("12"), repaymentAmount: ethers.parseEther("13") };
+
+        await expect(loanContract.connect(borrower).requestRefinance(0, encodeLoan(refinance)))
+            .to.emit(loanContract, "LoanRequested")
+            .withArgs(1, borrower.address)
+            .and.to.emit(loanContract, "RefinanceRequested")
+            .withArgs(1, 0, borrower.address);
+
+        expect(await loanContract.isRefinance(1)).to.equal(true);
+        expect(await loanContract.refinancedFrom(1)).to.equal(0);
+        expect(await loanContract.isRefinance(0)).to.equal(false);
+        expect((await loanContract.loans(1)).status).to.equal(0);
+    });
+
+    it("should pay off the old lender and keep the collateral in the contract", async function () {
+        const refinance = { ...loan, assetAmount: ethers.parseEther("12"), repaymentAmount: ethers.parseEther("13") };
+        await loanContract.connect(borrower).requestRefinance(0, encodeLoan(refinance));
+
+        const fee = ethers.parseEther("1") * 2000n / 10000n;
+        const lenderBalance = await mockAsset.balanceOf(lender.address);
+        const newLenderBalance = await mockAsset.balanceOf(newLender.address);
+        const borrowerBalance = await mockAsset.balanceOf(borrower.address);
+        const borrowerCollateral = await mockCollateral.balanceOf(borrower.address);
+
+        await expect(loanContract.connect(newLender).fillRequest(1))
+            .to.emit(loanContract, "LoanRefinanced")
+            .withArgs(0, 1, newLender.address)
+            .and.to.emit(loanContract, "ProtocolRevenue")
+            .withArgs(0, mockAsset.target, fee)
+            .and.to.emit(loanContract, "LoanFilled")
+            .withArgs(1, borrower.address, newLender.address);
+
+        expect((await loanContract.loans(0)).status).to.equal(5); //Refinanced
+        expect((await loanContract.loans(1)).status).to.equal(2);
+        expect((await loanContract.loans(1)).lender).to.equal(newLender.address);
+
+        expect(await mockAsset.balanceOf(lender.address)).to.equal(lenderBalance + ethers.parseEther("11") - fee);
+        expect(await mockAsset.balanceOf(newLender.address)).to.equal(newLenderBalance - ethers.parseEther("12"));
+        expect(await mockAsset.balanceOf(borrower.address)).to.equal(borrowerBalance + ethers.parseEther("1")); //12 - 11 outstanding
+        expect(await mockAsset.balanceOf(deployer.address)).to.equal(fee);
+        expect(await mockAsset.balanceOf(loanContract.target)).to.equal(0);
+
+        expect(await mockCollateral.balanceOf(borrower.address)).to.equal(borrowerCollateral);
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(loan.collateralAmount);
+    });
+
+    it("should pull the shortfall and extra collateral from the borrower", async function () {
+        await loanContract.connect(borrower).repayPartial(0, ethers.parseEther("3"));
+
+        const refinance = {
+            ...loan,
+            assetAmount: ethers.parseEther("5"),
+            repaymentAmount: ethers.parseEther("6"),
+            collateralAmount: ethers.parseEther("0.8")
+        };
+        await loanContract.connect(borrower).requestRefinance(0, encodeLoan(refinance));
+
+        const borrowerBalance = await mockAsset.balanceOf(borrower.address);
+        const borrowerCollateral = await mockCollateral.balanceOf(borrower.address);
+
+        await loanContract.connect(newLender).fillRequest(1);
+
+        //8 outstanding, 5 paid by the new lender
+        expect(await mockAsset.balanceOf(borrower.address)).to.equal(borrowerBalance - ethers.parseEther("3"));
+        expect(await mockCollateral.balanceOf(borrower.address)).to.equal(borrowerCollateral - ethers.parseEther("0.2"));
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(ethers.parseEther("0.8"));
+    });
+
+    it("should return collateral when the new loan needs less", async function () {
+        const refinance = { ...loan, collateralAmount: ethers.parseEther("0.5") };
+        await loanContract.connect(borrower).requestRefinance(0, encodeLoan(refinance));
+
+        const borrowerCollateral = await mockCollateral.balanceOf(borrower.address);
+        await loanContract.connect(lender).fillRequest(1); //refinanced by the same lender
+
+        expect(await mockCollateral.balanceOf(borrower.address)).to.equal(borrowerCollateral + ethers.parseEther("0.1"));
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(ethers.parseEther("0.5"));
+        expect((await loanContract.loans(1)).lender).to.equal(lender.address);
+    });
+
+    it("should not request a refinance of an inactive or foreign loan", async function () {
+        await expect(loanContract.connect(lender).requestRefinance(0, encodeLoan({ ...loan, borrower: lender.address })))
+            .to.be.revertedWith("sender != borrower");
+        await expect(loanContract.connect(borrower).requestRefinance(0, encodeLoan({ ...loan, collateral: aggregatorAsset.target })))
+            .to.be.revertedWith("token mismatch");
+
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        await expect(loanContract.connect(borrower).requestRefinance(1, encodeLoan(loan)))
+            .to.be.revertedWith("invalid status");
+    });
+
+    it("should not fill a refinance of a loan that was repaid or liquidated", async function () {
+        await loanContract.connect(borrower).requestRefinance(0, encodeLoan(loan));
+        await loanContract.connect(borrower).requestRefinance(0, encodeLoan(loan));
+
+        await loanContract.connect(newLender).fillRequest(1);
+        await expect(loanContract.connect(newLender).fillRequest(2)).to.be.revertedWith("invalid status");
+
+        //the second request can still be canceled
+        await loanContract.connect(borrower).cancelLoan(2);
+        expect((await loanContract.loans(2)).status).to.equal(1);
+    });
+
+    it("should not fill an instantly liquidatable refinance", async function () {
+        await loanContract.connect(borrower).requestRefinance(0, encodeLoan({ ...loan, assetAmount: ethers.parseEther("13"), repaymentAmount: ethers.parseEther("14") }));
+
+        await expect(loanContract.connect(newLender).fillRequest(1)).to.be.revertedWith("instantly liquidatable");
+    });
+
+    it("should refinance through the client and chain loans in the indexer", async function () {
+        const client = new LendingP2PClient(loanContract.connect(borrower));
+        const indexer = new LoanIndexer(loanContract.connect(ethers.provider), new MemoryStore(), { confirmations: 0 });
+
+        await expect(client.requestRefinance(0, { assetAmount: ethers.parseEther("10"), repaymentAmount: ethers.parseEther("10") }))
+            .to.be.rejectedWith(InvalidLoanError);
+
+        const { loanId } = await client.requestRefinance(0, { assetAmount: ethers.parseEther("11"), repaymentAmount: ethers.parseEther("12") });
+        await client.connect(newLender).fillRequest(loanId);
+
+        await time.increase(60);
+        const { loanId: nextLoanId } = await client.requestRefinance(loanId, { assetAmount: ethers.parseEther("12"), repaymentAmount: ethers.parseEther("13") });
+        await client.connect(lender).fillRequest(nextLoanId);
+
+        expect((await client.getLoan(nextLoanId)).refinancedFrom).to.equal(loanId);
+        expect((await client.getLoan(loanId)).status).to.equal("Refinanced");
+        expect((await client.getLoan(0)).refinancedFrom).to.equal(null);
+
+        await indexer.sync();
+        expect(indexer.getRefinanceChain(loanId).map((l) => [l.loanId, l.status])).to.deep.equal([
+            [0, "Refinanced"],
+            [loanId, "Refinanced"],
+            [nextLoanId, "Active"]
+        ]);
+    });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { LendingP2PClient, LoanIndexer, MemoryStore, InvalidConfigError, encodeLoan, encodeOffer, decodePositionURI } = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Lender positions", function () {
+    let loanContract;
+    let positions;
+
+    let borrower;
+    let lender;
+    let buyer;
+    let deployer;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    beforeEach(async function () {
+        [borrower, lender, buyer, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+
+        const LenderPositions = await ethers.getContractFactory("LenderPositions");
+        positions = await LenderPositions.connect(deployer).deploy(loanContract.target);
+        await loanContract.connect(deployer).setLenderPositions(positions.target);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator");
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseEther("100"))
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+        await mockAsset.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"), //30k usd
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+    });
+
+    it("should mint the position to the lender when filled", async function () {
+        await expect(loanContract.connect(lender).fillRequest(0))
+            .to.emit(positions, "Transfer")
+            .withArgs(ethers.ZeroAddress, lender.address, 0);
+
+        expect(await positions.ownerOf(0)).to.equal(lender.address);
+        expect(await positions.balanceOf(lender.address)).to.equal(1);
+    });
+
+    it("should pay the repayment to the current owner of the position", async function () {
+        await loanContract.connect(lender).fillRequest(0);
+
+        await expect(positions.connect(lender).transferFrom(lender.address, buyer.address, 0))
+            .to.emit(loanContract, "LenderTransferred")
+            .withArgs(0, lender.address, buyer.address);
+        expect((await loanContract.loans(0)).lender).to.equal(buyer.address);
+
+        const fee = ethers.parseEther("1") * 2000n / 10000n;
+        const lenderBalance = await mockAsset.balanceOf(lender.address);
+
+        await expect(loanContract.connect(borrower).repayLoan(0))
+            .to.emit(loanContract, "LoanRepaid")
+            .withArgs(0, borrower.address, buyer.address);
+
+        expect(await mockAsset.balanceOf(buyer.address)).to.equal(ethers.parseEther("11") - fee);
+        expect(await mockAsset.balanceOf(lender.address)).to.equal(lenderBalance);
+    });
+
+    it("should send the liquidated collateral to the current owner of the position", async function () {
+        await loanContract.connect(lender).fillRequest(0);
+        await positions.connect(lender).transferFrom(lender.address, buyer.address, 0);
+
+        await time.increase(loan.duration + 1);
+        await loanContract.connect(deployer).liquidateLoan(0);
+
+        const bonus = loan.collateralAmount * 100n / 10000n;
+        const protocolFee = loan.collateralAmount * 20n / 10000n;
+        expect(await mockCollateral.balanceOf(buyer.address)).to.equal(loan.collateralAmount - bonus - protocolFee);
+        expect(await mockCollateral.balanceOf(lender.address)).to.equal(0);
+    });
+
+    it("should mint positions for loans created from offers", async function () {
+        const offer = {
+            lender: lender.address,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+            availableAmount: ethers.parseEther("20"),
+            interestBps: 1000,
+            collateralRatio: 15000,
+            duration: loan.duration,
+            liquidation: loan.liquidation
+        };
+        await loanContract.connect(lender).createOffer(encodeOffer(offer));
+        await loanContract.connect(borrower).acceptOffer(0, ethers.parseEther("10"), ethers.parseEther("0.6"));
+
+        expect(await positions.ownerOf(1)).to.equal(lender.address);
+    });
+
+    it("should describe the loan terms in tokenURI", async function () {
+        await loanContract.connect(lender).fillRequest(0);
+        const storedLoan = await loanContract.loans(0);
+
+        const metadata = decodePositionURI(await positions.tokenURI(0));
+        expect(metadata.name).to.equal("HyperLend P2P Loan #0");
+        expect(metadata.attributes).to.deep.equal({
+            status: "Active",
+            borrower: borrower.address.toLowerCase(),
+            asset: mockAsset.target.toLowerCase(),
+            collateral: mockCollateral.target.toLowerCase(),
+            assetAmount: loan.assetAmount,
+            repaymentAmount: loan.repaymentAmount,
+            collateralAmount: loan.collateralAmount,
+            startTimestamp: Number(storedLoan.startTimestamp),
+            maturity: Number(storedLoan.startTimestamp) + loan.duration
+        });
+
+        await loanContract.connect(borrower).repayLoan(0);
+        expect(decodePositionURI(await positions.tokenURI(0)).attributes.status).to.equal("Repaid");
+
+        await expect(positions.tokenURI(1)).to.be.revertedWithCustomError(positions, "ERC721NonexistentToken");
+    });
+
+    it("should only let LendingP2P mint and the positions contract move lenders", async function () {
+        await expect(positions.connect(lender).mint(lender.address, 5)).to.be.revertedWith("sender != lendingP2P");
+        await expect(loanContract.connect(lender).transferLender(0, lender.address)).to.be.revertedWith("sender != positions");
+    });
+
+    it("should set the positions contract only once", async function () {
+        const LenderPositions = await ethers.getContractFactory("LenderPositions");
+        const otherPositions = await LenderPositions.connect(deployer).deploy(loanContract.target);
+        const foreignPositions = await LenderPositions.connect(deployer).deploy(mockAsset.target);
+
+        await expect(loanContract.connect(deployer).setLenderPositions(otherPositions.target)).to.be.revertedWith("positions already set");
+        await expect(loanContract.connect(lender).setLenderPositions(otherPositions.target)).to.be.revertedWithCustomError(loanContract, "OwnableUnauthorizedAccount");
+
+        const freshContract = await deployLendingP2P(deployer);
+        await expect(freshContract.connect(deployer).setLenderPositions(foreignPositions.target)).to.be.revertedWith("invalid positions");
+        await expect(freshContract.connect(deployer).setLenderPositions(otherPositions.target)).to.be.revertedWith("invalid positions");
+    });
+
+    it("should transfer positions through the client and track the lender in the indexer", async function () {
+        const client = new LendingP2PClient(loanContract.connect(lender));
+        const indexer = new LoanIndexer(loanContract.connect(ethers.provider), new MemoryStore(), { confirmations: 0 });
+
+        await client.fillRequest(0);
+        await client.transferPosition(0, buyer.address);
+
+        const position = await client.getPosition(0);
+        expect(position.owner).to.equal(buyer.address);
+        expect(position.metadata.attributes.status).to.equal("Active");
+        expect(await client.getPosition(1)).to.equal(null);
+        expect((await client.getLoan(0)).lender).to.equal(buyer.address);
+
+        await expect(client.connect(deployer).setLenderPositions(positions.target)).to.be.rejectedWith(InvalidConfigError);
+
+        await indexer.sync();
+        expect(indexer.getLoan(0).lender).to.equal(buyer.address);
+        expect(indexer.getConfig().lenderPositions).to.equal(positions.target);
+    });
+});
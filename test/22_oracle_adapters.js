@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { LendingP2PClient, InvalidOraclePriceError, encodeLoan, oracleValue } = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Oracle adapters", function () {
+    let loanContract;
+
+    let borrower;
+    let lender;
+    let deployer;
+
+    let mockAsset;
+    let mockCollateral;
+    let aggregator;
+
+    const PRICE_ID = ethers.id("ETH/USD");
+
+    beforeEach(async function () {
+        [borrower, lender, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 6)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        aggregator = await (await ethers.getContractFactory("Aggregator")).connect(deployer).deploy();
+        await aggregator.setAnswer(ethers.parseUnits("2000", 8));
+    });
+
+    describe("ChainlinkAdapter", function () {
+        it("should normalize the feed price to 18 decimals", async function () {
+            const adapter = await (await ethers.getContractFactory("ChainlinkAdapter")).deploy(aggregator.target);
+
+            expect(await adapter.decimals()).to.equal(18);
+            expect(await adapter.feedDecimals()).to.equal(8);
+            expect((await adapter.latestRoundData()).answer).to.equal(ethers.parseUnits("2000", 18));
+
+            const highPrecisionFeed = await (await ethers.getContractFactory("Aggregator")).deploy();
+            await highPrecisionFeed.setDecimals(24);
+            await highPrecisionFeed.setAnswer(ethers.parseUnits("2000", 24));
+            const highPrecisionAdapter = await (await ethers.getContractFactory("ChainlinkAdapter")).deploy(highPrecisionFeed.target);
+
+            expect((await highPrecisionAdapter.latestRoundData()).answer).to.equal(ethers.parseUnits("2000", 18));
+        });
+
+        it("should keep the feed update time", async function () {
+            const adapter = await (await ethers.getContractFactory("ChainlinkAdapter")).deploy(aggregator.target);
+            await aggregator.setPriceAge(3600);
+
+            const { updatedAt } = await adapter.latestRoundData();
+            expect(updatedAt).to.equal(await time.latest() - 3600);
+        });
+    });
+
+    describe("PythAdapter", function () {
+        let pyth;
+        let adapter;
+
+        beforeEach(async function () {
+            pyth = await (await ethers.getContractFactory("MockPyth")).deploy();
+            adapter = await (await ethers.getContractFactory("PythAdapter")).deploy(pyth.target, PRICE_ID, 200);
+        });
+
+        it("should normalize the price by its exponent", async function () {
+            const publishTime = await time.latest();
+            await pyth.setPrice(PRICE_ID, 200000000000n, 100000000n, -8, publishTime); //2000.00000000 +- 1
+
+            const { answer, updatedAt } = await adapter.latestRoundData();
+            expect(answer).to.equal(ethers.parseUnits("2000", 18));
+            expect(updatedAt).to.equal(publishTime);
+        });
+
+        it("should use prices pushed with updatePriceFeeds", async function () {
+            await pyth.setUpdateFee(1);
+            const update = ethers.AbiCoder.defaultAbiCoder().encode(
+                ["bytes32", "int64", "uint64", "int32", "uint256"],
+                [PRICE_ID, 1999500n, 10n, -3, await time.latest()]
+            );
+
+            expect(await pyth.getUpdateFee([update])).to.equal(1);
+            await pyth.updatePriceFeeds([update], { value: 1 });
+
+            expect((await adapter.latestRoundData()).answer).to.equal(ethers.parseUnits("1999.5", 18));
+        });
+
+        it("should reject invalid prices and wide confidence intervals", async function () {
+            await expect(adapter.latestRoundData()).to.be.revertedWith("invalid oracle price");
+
+            //conf is 2.5% of the price, max is 2%
+            await pyth.setPrice(PRICE_ID, 200000000000n, 5000000000n, -8, await time.latest());
+            await expect(adapter.latestRoundData()).to.be.revertedWith("price confidence too low");
+        });
+    });
+
+    describe("TwapAdapter", function () {
+        let pair;
+        let adapter;
+
+        beforeEach(async function () {
+            //token0 = collateral (18 decimals), token1 = asset (6 decimals), 1 collateral = 2000 asset
+            pair = await (await ethers.getContractFactory("MockUniswapV2Pair")).deploy(mockCollateral.target, mockAsset.target);
+            await pair.setReserves(ethers.parseEther("100"), ethers.parseUnits("200000", 6));
+
+            adapter = await (await ethers.getContractFactory("TwapAdapter")).deploy(pair.target, mockCollateral.target, 3600);
+        });
+
+        it("should report no price before the first update", async function () {
+            expect((await adapter.latestRoundData()).answer).to.equal(0);
+            await expect(adapter.update()).to.be.revertedWith("period not elapsed");
+        });
+
+        it("should average the pool price over the period", async function () {
+            await time.increase(1800);
+            await pair.setReserves(ethers.parseEther("100"), ethers.parseUnits("400000", 6)); //4000 for the second half
+
+            await time.increase(1799);
+            await expect(adapter.update()).to.emit(adapter, "PriceUpdated");
+
+            //each transaction moves the block timestamp by a second, so the halves are not exactly equal
+            const { answer, updatedAt } = await adapter.latestRoundData();
+            expect(answer).to.be.closeTo(ethers.parseUnits("3000", 18), ethers.parseUnits("1", 18));
+            expect(updatedAt).to.equal(await time.latest());
+        });
+
+        it("should price the second token of the pool", async function () {
+            const assetAdapter = await (await ethers.getContractFactory("TwapAdapter")).deploy(pair.target, mockAsset.target, 60);
+
+            await time.increase(60);
+            await assetAdapter.update();
+
+            expect((await assetAdapter.latestRoundData()).answer).to.be.closeTo(ethers.parseUnits("0.0005", 18), 10n ** 6n);
+            await expect((await ethers.getContractFactory("TwapAdapter")).deploy(pair.target, aggregator.target, 60))
+                .to.be.revertedWith("token not in pair");
+        });
+    });
+
+    describe("FixedPriceAdapter", function () {
+        it("should always report a fresh fixed price", async function () {
+            const adapter = await (await ethers.getContractFactory("FixedPriceAdapter")).deploy(ethers.parseEther("1"));
+
+            await time.increase(365 * 24 * 60 * 60);
+            const { answer, updatedAt } = await adapter.latestRoundData();
+            expect(answer).to.equal(ethers.parseEther("1"));
+            expect(updatedAt).to.equal(await time.latest());
+
+            await expect((await ethers.getContractFactory("FixedPriceAdapter")).deploy(0)).to.be.revertedWith("invalid oracle price");
+        });
+    });
+
+    describe("Loans", function () {
+        let loan;
+
+        beforeEach(async function () {
+            await mockAsset.connect(borrower).transfer(lender.address, ethers.parseUnits("10000", 6))
+            await mockAsset.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+            await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+
+            //asset priced by an 18 decimals adapter, collateral by an 8 decimals chainlink feed
+            const assetOracle = await (await ethers.getContractFactory("FixedPriceAdapter")).deploy(ethers.parseEther("1"));
+
+            loan = {
+                borrower: borrower.address,
+                lender: ethers.ZeroAddress,
+                asset: mockAsset.target,
+                collateral: mockCollateral.target,
+
+                assetAmount: ethers.parseUnits("1000", 6),
+                repaymentAmount: ethers.parseUnits("1100", 6),
+                collateralAmount: ethers.parseEther("1"), //2000 usd
+
+                duration: 30 * 24 * 60 * 60,
+
+                liquidation: {
+                    isLiquidatable: true,
+                    liquidationThreshold: 8000,
+                    assetOracle: assetOracle.target,
+                    collateralOracle: aggregator.target
+                }
+            };
+        });
+
+        it("should pair oracles with different decimals", async function () {
+            await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+            await loanContract.connect(lender).fillRequest(0);
+
+            //1000 debt vs 1250 * 0.8 = 1000 collateral
+            await aggregator.setAnswer(ethers.parseUnits("1250", 8));
+            expect(await loanContract._isLoanLiquidatable(0)).to.equal(false);
+            await aggregator.setAnswer(ethers.parseUnits("1249.99", 8));
+            expect(await loanContract._isLoanLiquidatable(0)).to.equal(true);
+
+            expect(oracleValue(loan.repaymentAmount, ethers.parseEther("1"), 6, 18))
+                .to.equal(oracleValue(loan.repaymentAmount, ethers.parseUnits("1", 8), 6));
+        });
+
+        it("should quote auctions with adapter prices", async function () {
+            await loanContract.connect(deployer).setAuctionConfig(3600, 1000);
+            await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+            await loanContract.connect(lender).fillRequest(0);
+
+            await aggregator.setAnswer(ethers.parseUnits("1000", 8));
+            await loanContract.connect(deployer).liquidateLoan(0);
+
+            const client = new LendingP2PClient(loanContract.connect(deployer));
+            const timestamp = await time.latest();
+            const quote = await client.quoteAuctionAt(0, timestamp);
+            const onChain = await loanContract.getAuctionQuote(0);
+
+            expect(quote.assetAmount).to.equal(onChain.assetAmount);
+            expect(quote.collateralAmount).to.equal(onChain.collateralAmount);
+        });
+
+        it("should reject stale pull oracle prices", async function () {
+            const pyth = await (await ethers.getContractFactory("MockPyth")).deploy();
+            const adapter = await (await ethers.getContractFactory("PythAdapter")).deploy(pyth.target, PRICE_ID, 200);
+            await pyth.setPrice(PRICE_ID, 200000000000n, 0, -8, await time.latest());
+
+            loan.liquidation.collateralOracle = adapter.target;
+            await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+            await loanContract.connect(lender).fillRequest(0);
+
+            await time.increase(24 * 60 * 60);
+            await expect(loanContract._isLoanLiquidatable(0)).to.be.revertedWith("stale collateral oracle");
+
+            await pyth.setPrice(PRICE_ID, 0, 0, -8, await time.latest());
+            const client = new LendingP2PClient(loanContract.connect(deployer));
+            await expect(client.liquidateLoan(0)).to.be.rejectedWith(InvalidOraclePriceError);
+        });
+    });
+});
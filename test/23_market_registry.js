@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { LendingP2PClient, LoanIndexer, MemoryStore, UnverifiedMarketError, InvalidConfigError, encodeLoan, encodeOffer } = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Market registry", function () {
+    let loanContract;
+    let registry;
+
+    let borrower;
+    let lender;
+    let deployer;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    const DAY = 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [borrower, lender, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        registry = await (await ethers.getContractFactory("MarketRegistry")).connect(deployer).deploy();
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator");
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseEther("100"))
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+
+        await registry.setTokenConfig(mockAsset.target, true, 9000, 7 * DAY);
+        await registry.setTokenConfig(mockCollateral.target, true, 8000, 1 * DAY);
+        await registry.setOracleApproval(mockAsset.target, aggregatorAsset.target, true);
+        await registry.setOracleApproval(mockCollateral.target, aggregatorCollateral.target, true);
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"), //30k usd
+
+            duration: 30 * DAY,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+    });
+
+    it("should verify loans in listed markets", async function () {
+        const liquidation = loan.liquidation;
+
+        expect(await registry.isVerifiedLoan(encodeLoan(loan))).to.equal(true);
+        expect(await registry.isVerifiedLoan(encodeLoan({ ...loan, duration: 6 * DAY }))).to.equal(false);
+        expect(await registry.isVerifiedLoan(encodeLoan({ ...loan, liquidation: { ...liquidation, liquidationThreshold: 8001 } }))).to.equal(false);
+        expect(await registry.isVerifiedLoan(encodeLoan({ ...loan, liquidation: { ...liquidation, assetOracle: aggregatorCollateral.target } }))).to.equal(false);
+
+        //oracles and threshold of loans that are only liquidated after default are not checked
+        expect(await registry.isVerifiedLoan(encodeLoan({
+            ...loan, liquidation: { ...liquidation, isLiquidatable: false, liquidationThreshold: 10000, assetOracle: ethers.ZeroAddress }
+        }))).to.equal(true);
+
+        await expect(registry.setTokenConfig(mockCollateral.target, false, 8000, 0))
+            .to.emit(registry, "TokenConfigUpdated")
+            .withArgs(mockCollateral.target, false, 8000, 0);
+        expect(await registry.isVerifiedLoan(encodeLoan(loan))).to.equal(false);
+    });
+
+    it("should only let the owner curate the registry", async function () {
+        await expect(registry.connect(borrower).setTokenConfig(mockAsset.target, true, 8000, 0))
+            .to.be.revertedWithCustomError(registry, "OwnableUnauthorizedAccount");
+        await expect(registry.connect(borrower).setOracleApproval(mockAsset.target, aggregatorAsset.target, false))
+            .to.be.revertedWithCustomError(registry, "OwnableUnauthorizedAccount");
+        await expect(registry.setTokenConfig(mockAsset.target, true, 10001, 0)).to.be.revertedWith("liq threshold > max bps");
+
+        await expect(registry.setOracleApproval(mockAsset.target, aggregatorAsset.target, false))
+            .to.emit(registry, "OracleApprovalUpdated")
+            .withArgs(mockAsset.target, aggregatorAsset.target, false);
+    });
+
+    it("should mark loans as verified without enforcing the registry", async function () {
+        await expect(loanContract.connect(deployer).setMarketRegistry(registry.target, false))
+            .to.emit(loanContract, "MarketRegistryUpdated")
+            .withArgs(registry.target, false);
+
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        await loanContract.connect(borrower).requestLoan(encodeLoan({ ...loan, duration: DAY }));
+
+        expect(await loanContract.isVerified(0)).to.equal(true);
+        expect(await loanContract.isVerified(1)).to.equal(false);
+
+        //verification is kept when the registry changes
+        await registry.setTokenConfig(mockAsset.target, false, 0, 0);
+        await loanContract.connect(lender).fillRequest(0);
+        expect(await loanContract.isVerified(0)).to.equal(true);
+    });
+
+    it("should reject unverified loans when the registry is enforced", async function () {
+        await loanContract.connect(deployer).setMarketRegistry(registry.target, true);
+
+        await expect(loanContract.connect(borrower).requestLoan(encodeLoan({ ...loan, duration: DAY }))).to.be.revertedWith("unverified market");
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        expect(await loanContract.isVerified(0)).to.equal(true);
+
+        const offer = {
+            lender: lender.address,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+            availableAmount: ethers.parseEther("20"),
+            interestBps: 1000,
+            collateralRatio: 15000,
+            duration: DAY,
+            liquidation: loan.liquidation
+        };
+        await loanContract.connect(lender).createOffer(encodeOffer(offer));
+        await expect(loanContract.connect(borrower).acceptOffer(0, ethers.parseEther("10"), ethers.parseEther("0.6"))).to.be.revertedWith("unverified market");
+
+        await loanContract.connect(deployer).setMarketRegistry(ethers.ZeroAddress, false);
+        await loanContract.connect(borrower).acceptOffer(0, ethers.parseEther("10"), ethers.parseEther("0.6"));
+        expect(await loanContract.isVerified(1)).to.equal(false);
+    });
+
+    it("should only let the owner set the registry", async function () {
+        await expect(loanContract.connect(borrower).setMarketRegistry(registry.target, true))
+            .to.be.revertedWithCustomError(loanContract, "OwnableUnauthorizedAccount");
+        await expect(loanContract.connect(deployer).setMarketRegistry(ethers.ZeroAddress, true)).to.be.revertedWith("invalid registry");
+    });
+
+    it("should expose verification in the client and the indexer", async function () {
+        const client = new LendingP2PClient(loanContract.connect(borrower));
+        const indexer = new LoanIndexer(loanContract.connect(ethers.provider), new MemoryStore(), { confirmations: 0 });
+
+        expect(await client.getMarketRegistry()).to.equal(null);
+        expect(await client.isVerifiedLoan(loan)).to.equal(false);
+        await expect(client.connect(deployer).setMarketRegistry(ethers.ZeroAddress, true)).to.be.rejectedWith(InvalidConfigError);
+
+        await client.connect(deployer).setMarketRegistry(registry.target, true);
+        expect(await client.getMarketRegistry()).to.deep.equal({ address: registry.target, enforced: true });
+        expect(await client.isVerifiedLoan(loan)).to.equal(true);
+
+        const nonceBefore = await ethers.provider.getTransactionCount(borrower.address);
+        await expect(client.requestLoan({ ...loan, duration: DAY })).to.be.rejectedWith(UnverifiedMarketError);
+        expect(await ethers.provider.getTransactionCount(borrower.address)).to.equal(nonceBefore);
+
+        const { loanId } = await client.requestLoan(loan);
+        expect((await client.getLoan(loanId)).verified).to.equal(true);
+
+        await indexer.sync();
+        expect(indexer.getLoan(loanId).verified).to.equal(true);
+        expect(indexer.getConfig().marketRegistry).to.equal(registry.target);
+    });
+});
@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { LendingP2PClient, NotAuthorizedError, ChangeNotReadyError, InvalidConfigError, ROLES, REGISTRY_ABI } = require("../sdk")
+const { run } = require("../cli")
+const { deployLendingP2P } = require("./utils")
+
+describe("Timelock", function () {
+    let loanContract;
+    let timelock;
+    let registry;
+
+    let admin;
+    let feeManager;
+    let riskManager;
+    let guardian;
+    let other;
+
+    const DELAY = 2 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [admin, feeManager, riskManager, guardian, other] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(admin);
+        registry = await (await ethers.getContractFactory("MarketRegistry")).connect(admin).deploy();
+        timelock = await (await ethers.getContractFactory("LendingP2PTimelock")).connect(admin).deploy(DELAY, admin.address, loanContract.target, registry.target);
+
+        await timelock.grantRole(ROLES.FEE_MANAGER_ROLE, feeManager.address);
+        await timelock.grantRole(ROLES.RISK_MANAGER_ROLE, riskManager.address);
+        await timelock.grantRole(ROLES.GUARDIAN_ROLE, guardian.address);
+
+        await loanContract.transferOwnership(timelock.target);
+        await registry.transferOwnership(timelock.target);
+    });
+
+    function encode(method, args){
+        return loanContract.interface.encodeFunctionData(method, args);
+    }
+
+    it("should schedule and execute a change after the delay", async function () {
+        const data = encode("setProtocolFee", [1000]);
+        const eta = await time.latest() + 1 + DELAY;
+
+        await expect(timelock.connect(feeManager).schedule(loanContract.target, data))
+            .to.emit(timelock, "ChangeScheduled")
+            .withArgs(0, loanContract.target, feeManager.address, data, eta);
+
+        expect(await timelock.isReady(0)).to.equal(false);
+        await expect(timelock.connect(other).execute(0)).to.be.revertedWith("change not ready");
+
+        await time.increase(DELAY);
+        expect(await timelock.isReady(0)).to.equal(true);
+
+        //anyone can execute a ready change
+        await expect(timelock.connect(other).execute(0))
+            .to.emit(timelock, "ChangeExecuted")
+            .withArgs(0, other.address)
+            .and.to.emit(loanContract, "ProtocolFeeUpdated");
+
+        expect(await loanContract.PROTOCOL_FEE()).to.equal(1000);
+        expect((await timelock.changes(0)).status).to.equal(1);
+        await expect(timelock.execute(0)).to.be.revertedWith("invalid status");
+    });
+
+    it("should require the role of the function to schedule it", async function () {
+        await expect(timelock.connect(riskManager).schedule(loanContract.target, encode("setProtocolFee", [1000])))
+            .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount")
+            .withArgs(riskManager.address, ROLES.FEE_MANAGER_ROLE);
+        await expect(timelock.connect(feeManager).schedule(loanContract.target, encode("setAuctionConfig", [3600, 1000])))
+            .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+
+        //functions without a role require the admin
+        await expect(timelock.connect(feeManager).schedule(loanContract.target, encode("transferOwnership", [other.address])))
+            .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount")
+            .withArgs(feeManager.address, ROLES.DEFAULT_ADMIN_ROLE);
+        await timelock.connect(admin).schedule(loanContract.target, encode("transferOwnership", [other.address]));
+
+        await timelock.connect(riskManager).schedule(loanContract.target, encode("setAuctionConfig", [3600, 1000]));
+        await expect(timelock.connect(admin).schedule(loanContract.target, "0x1234")).to.be.revertedWith("invalid data");
+
+        //the timelock is the only owner
+        await expect(loanContract.connect(admin).setProtocolFee(1000)).to.be.revertedWithCustomError(loanContract, "OwnableUnauthorizedAccount");
+    });
+
+    it("should let the proposer role or a guardian cancel a change", async function () {
+        await timelock.connect(feeManager).schedule(loanContract.target, encode("setProtocolFee", [1000]));
+        await timelock.connect(feeManager).schedule(loanContract.target, encode("setProtocolFee", [500]));
+
+        await expect(timelock.connect(riskManager).cancel(0)).to.be.revertedWith("sender can't cancel");
+
+        await expect(timelock.connect(guardian).cancel(0))
+            .to.emit(timelock, "ChangeCanceled")
+            .withArgs(0, guardian.address);
+        await timelock.connect(feeManager).cancel(1);
+
+        await time.increase(DELAY);
+        await expect(timelock.execute(0)).to.be.revertedWith("invalid status");
+        await expect(timelock.connect(guardian).cancel(1)).to.be.revertedWith("invalid status");
+        expect(await loanContract.PROTOCOL_FEE()).to.equal(2000);
+    });
+
+    it("should bubble up the revert of a failed change, and keep it pending", async function () {
+        await timelock.connect(feeManager).schedule(loanContract.target, encode("setProtocolFee", [3000]));
+        await time.increase(DELAY);
+
+        await expect(timelock.execute(0)).to.be.revertedWith("protocolFee > 2000 bps");
+        expect((await timelock.changes(0)).status).to.equal(0);
+    });
+
+    it("should manage the market registry", async function () {
+        const registryInterface = new ethers.Interface(REGISTRY_ABI);
+        const data = registryInterface.encodeFunctionData("setTokenConfig", [loanContract.target, true, 8000, 0]);
+
+        await timelock.connect(riskManager).schedule(registry.target, data);
+        await time.increase(DELAY);
+        await timelock.execute(0);
+
+        expect((await registry.tokenConfigs(loanContract.target)).listed).to.equal(true);
+    });
+
+    it("should change its own delay and selector roles only through scheduled changes", async function () {
+        await expect(timelock.connect(admin).setDelay(0)).to.be.revertedWith("sender != timelock");
+        await expect(timelock.connect(admin).setSelectorRole(loanContract.target, "0x12345678", ROLES.GUARDIAN_ROLE)).to.be.revertedWith("sender != timelock");
+
+        const setProtocolFee = loanContract.interface.getFunction("setProtocolFee").selector;
+        await timelock.connect(admin).schedule(timelock.target, timelock.interface.encodeFunctionData("setDelay", [60]));
+        await timelock.connect(admin).schedule(timelock.target, timelock.interface.encodeFunctionData("setSelectorRole", [loanContract.target, setProtocolFee, ROLES.RISK_MANAGER_ROLE]));
+        await timelock.connect(admin).schedule(timelock.target, timelock.interface.encodeFunctionData("setDelay", [31 * 24 * 60 * 60]));
+        await time.increase(DELAY);
+
+        await expect(timelock.execute(0)).to.emit(timelock, "DelayUpdated").withArgs(DELAY, 60);
+        await expect(timelock.execute(1)).to.emit(timelock, "SelectorRoleUpdated").withArgs(loanContract.target, setProtocolFee, ROLES.RISK_MANAGER_ROLE);
+        await expect(timelock.execute(2)).to.be.revertedWith("delay > max");
+
+        expect(await timelock.delay()).to.equal(60);
+        await timelock.connect(riskManager).schedule(loanContract.target, encode("setProtocolFee", [1000]));
+
+        await expect((await ethers.getContractFactory("LendingP2PTimelock")).deploy(31 * 24 * 60 * 60, admin.address, loanContract.target, registry.target))
+            .to.be.revertedWith("delay > max");
+    });
+
+    it("should key function roles by target and selector", async function () {
+        const secondContract = await deployLendingP2P(admin);
+        await secondContract.transferOwnership(timelock.target);
+
+        const setProtocolFee = loanContract.interface.getFunction("setProtocolFee").selector;
+        expect(await timelock.selectorRoles(loanContract.target, setProtocolFee)).to.equal(ROLES.FEE_MANAGER_ROLE);
+        expect(await timelock.selectorRoles(secondContract.target, setProtocolFee)).to.equal(ROLES.DEFAULT_ADMIN_ROLE);
+
+        //the role of a selector on one target doesn't apply to the same selector on another target
+        await expect(timelock.connect(feeManager).schedule(secondContract.target, encode("setProtocolFee", [1000])))
+            .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount")
+            .withArgs(feeManager.address, ROLES.DEFAULT_ADMIN_ROLE);
+        const registrySetter = new ethers.Interface(REGISTRY_ABI).encodeFunctionData("setOracleApproval", [other.address, other.address, true]);
+        await expect(timelock.connect(riskManager).schedule(loanContract.target, registrySetter))
+            .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+        await timelock.connect(riskManager).schedule(registry.target, registrySetter);
+
+        await timelock.connect(admin).schedule(timelock.target, timelock.interface.encodeFunctionData("setSelectorRole", [secondContract.target, setProtocolFee, ROLES.FEE_MANAGER_ROLE]));
+        await time.increase(DELAY);
+        await timelock.execute(1);
+
+        await timelock.connect(feeManager).schedule(secondContract.target, encode("setProtocolFee", [1000]));
+        await expect(timelock.connect(riskManager).cancel(2)).to.be.revertedWith("sender can't cancel");
+        await timelock.connect(feeManager).cancel(2);
+
+        //a timelock without a registry only sets the roles of LendingP2P
+        const noRegistry = await (await ethers.getContractFactory("LendingP2PTimelock")).deploy(DELAY, admin.address, loanContract.target, ethers.ZeroAddress);
+        expect(await noRegistry.selectorRoles(registry.target, registrySetter.slice(0, 10))).to.equal(ROLES.DEFAULT_ADMIN_ROLE);
+        expect(await noRegistry.selectorRoles(loanContract.target, setProtocolFee)).to.equal(ROLES.FEE_MANAGER_ROLE);
+    });
+
+    it("should list pending changes with the client and the CLI", async function () {
+        const client = new LendingP2PClient(loanContract.connect(feeManager));
+        expect(await client.getTimelock()).to.equal(timelock.target);
+
+        const { changeId, eta } = await client.scheduleChange("setProtocolFee", [1000]);
+        await client.connect(riskManager).scheduleChange("setTokenConfig", [other.address, true, 8000, 0], {
+            target: registry.target,
+            interface: new ethers.Interface(REGISTRY_ABI)
+        });
+        await client.connect(riskManager).scheduleChange("setAuctionConfig", [3600, 1000]);
+        await client.connect(guardian).cancelChange(2);
+
+        const pending = await client.getPendingChanges();
+        expect(pending.map((change) => [change.changeId, change.method, change.target, change.status, change.ready])).to.deep.equal([
+            [0, "setProtocolFee", loanContract.target, "Pending", false],
+            [1, "setTokenConfig", registry.target, "Pending", false]
+        ]);
+        expect(pending[0].args).to.deep.equal([1000n]);
+        expect(pending[0].eta).to.equal(eta);
+
+        await expect(client.scheduleChange("setAuctionConfig", [3600, 1000])).to.be.rejectedWith(NotAuthorizedError);
+        await expect(client.connect(other).cancelChange(0)).to.be.rejectedWith(NotAuthorizedError);
+        await expect(client.executeChange(changeId)).to.be.rejectedWith(ChangeNotReadyError);
+
+        const output = [];
+        await run(["admin", "pending"], { client, out: (line) => output.push(line) });
+        expect(output).to.deep.equal([
+            `#0 setProtocolFee(1000) on ${loanContract.target}, eta ${new Date(eta * 1000).toISOString()}`,
+            `#1 setTokenConfig(${other.address}, true, 8000, 0) on ${registry.target}, eta ${new Date(eta * 1000 + 1000).toISOString()}`
+        ]);
+
+        await run(["admin", "set-fee", "3000", "--schedule"], { client, out: () => {} });
+        await time.increase(DELAY);
+        await run(["admin", "execute", "0"], { client, out: () => {} });
+        await expect(client.executeChange(3)).to.be.rejectedWith(InvalidConfigError);
+
+        expect(await loanContract.PROTOCOL_FEE()).to.equal(1000);
+        expect((await client.getPendingChanges()).map((change) => [change.changeId, change.ready])).to.deep.equal([[1, true], [3, true]]);
+
+        const ownedContract = await deployLendingP2P(admin);
+        expect(await new LendingP2PClient(ownedContract).getTimelock()).to.equal(null);
+        await expect(new LendingP2PClient(ownedContract).getPendingChanges()).to.be.rejectedWith("not a timelock");
+    });
+});
@@ -0,0 +1,285 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const {
+    LendingP2PClient,
+    LiquidationKeeper,
+    LoanIndexer,
+    MemoryStore,
+    ActionPausedError,
+    NotAuthorizedError,
+    NotOwnerError,
+    ROLES,
+    encodeLoan,
+    encodeOffer
+} = require("../sdk")
+const { run } = require("../cli")
+const { deployLendingP2P } = require("./utils")
+
+describe("Pause", function () {
+    let loanContract;
+
+    let borrower;
+    let lender;
+    let deployer;
+    let guardian;
+
+    let loan;
+    let offer;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    const REQUESTS = 1;
+    const FILLS = 2;
+    const LIQUIDATIONS = 4;
+
+    beforeEach(async function () {
+        [borrower, lender, deployer, guardian] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator");
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseEther("100"))
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+        await mockAsset.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"), //30k usd
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+
+        offer = {
+            lender: lender.address,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+            availableAmount: ethers.parseEther("20"),
+            interestBps: 1000,
+            collateralRatio: 15000,
+            duration: 30 * 24 * 60 * 60,
+            liquidation: loan.liquidation
+        };
+    });
+
+    async function openLoan(overrides = {}){
+        await loanContract.connect(borrower).requestLoan(encodeLoan({ ...loan, ...overrides }));
+        const loanId = Number(await loanContract.loanLength()) - 1;
+        await loanContract.connect(lender).fillRequest(loanId);
+        return loanId;
+    }
+
+    it("should only let the owner pause valid actions", async function () {
+        expect(await loanContract.PAUSED_ACTIONS()).to.equal(0);
+
+        await expect(loanContract.connect(deployer).setPausedActions(REQUESTS | LIQUIDATIONS))
+            .to.emit(loanContract, "PausedActionsUpdated")
+            .withArgs(0, REQUESTS | LIQUIDATIONS);
+        await expect(loanContract.connect(deployer).setPausedActions(0))
+            .to.emit(loanContract, "PausedActionsUpdated")
+            .withArgs(REQUESTS | LIQUIDATIONS, 0);
+
+        await expect(loanContract.connect(deployer).setPausedActions(8)).to.be.revertedWith("invalid actions");
+        await expect(loanContract.connect(borrower).setPausedActions(FILLS))
+            .to.be.revertedWithCustomError(loanContract, "OwnableUnauthorizedAccount");
+    });
+
+    it("should pause new requests and offers", async function () {
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        await loanContract.connect(deployer).setPausedActions(REQUESTS);
+
+        await expect(loanContract.connect(borrower).requestLoan(encodeLoan(loan))).to.be.revertedWith("action paused");
+        await expect(loanContract.connect(borrower).requestLoanWithApr(encodeLoan(loan), { aprBps: 1000, minInterestDuration: 0 }, 0))
+            .to.be.revertedWith("action paused");
+        await expect(loanContract.connect(lender).createOffer(encodeOffer(offer))).to.be.revertedWith("action paused");
+
+        //existing requests can still be filled
+        await loanContract.connect(lender).fillRequest(0);
+        await expect(loanContract.connect(borrower).requestRefinance(0, encodeLoan(loan))).to.be.revertedWith("action paused");
+
+        await loanContract.connect(deployer).setPausedActions(0);
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+    });
+
+    it("should pause fills, but not cancellations", async function () {
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        await loanContract.connect(lender).createOffer(encodeOffer(offer));
+
+        const client = new LendingP2PClient(loanContract.connect(borrower));
+        const { order, signature } = await client.signLoanRequest(loan);
+
+        await loanContract.connect(deployer).setPausedActions(FILLS);
+
+        await expect(loanContract.connect(lender).fillRequest(0)).to.be.revertedWith("action paused");
+        await expect(loanContract.connect(lender).fillSignedRequest(order, signature)).to.be.revertedWith("action paused");
+        await expect(loanContract.connect(borrower).acceptOffer(0, ethers.parseEther("10"), ethers.parseEther("0.6")))
+            .to.be.revertedWith("action paused");
+        await expect(client.connect(lender).fillRequest(0)).to.be.rejectedWith(ActionPausedError);
+
+        //requests and cancellations are still allowed
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        await expect(loanContract.connect(borrower).cancelLoan(1)).to.emit(loanContract, "LoanCanceled");
+        await loanContract.connect(lender).cancelOffer(0);
+    });
+
+    it("should pause price-based liquidations, but not repayments or liquidations after default", async function () {
+        const priceLoan = await openLoan({ collateralAmount: ethers.parseEther("0.51") });
+        const defaultedLoan = await openLoan({ duration: 24 * 60 * 60 });
+        const repaidLoan = await openLoan();
+
+        await loanContract.connect(deployer).setPausedActions(LIQUIDATIONS);
+        await time.increase(2 * 24 * 60 * 60);
+        await aggregatorCollateral.setAnswer(4000000000000); //40k usd, priceLoan is under-collateralized
+        await aggregatorAsset.setAnswer(200000000000);
+
+        await expect(loanContract.connect(lender).liquidateLoan(priceLoan)).to.be.revertedWith("action paused");
+        await expect(loanContract.connect(lender).liquidateLoan(defaultedLoan)).to.emit(loanContract, "LoanLiquidated");
+
+        await expect(loanContract.connect(borrower).repayLoan(repaidLoan)).to.emit(loanContract, "LoanRepaid");
+        await loanContract.connect(borrower).addCollateral(priceLoan, ethers.parseEther("0.1"));
+        await expect(loanContract.connect(borrower).repayLoan(priceLoan)).to.emit(loanContract, "LoanRepaid");
+    });
+
+    it("should pause auction purchases", async function () {
+        await loanContract.connect(deployer).setAuctionConfig(60 * 60, 1000);
+        const loanId = await openLoan({ collateralAmount: ethers.parseEther("0.51") });
+
+        await aggregatorCollateral.setAnswer(4000000000000);
+        await loanContract.connect(lender).liquidateLoan(loanId);
+
+        await loanContract.connect(deployer).setPausedActions(LIQUIDATIONS);
+        await expect(loanContract.connect(lender).buyCollateral(loanId)).to.be.revertedWith("action paused");
+
+        await loanContract.connect(deployer).setPausedActions(REQUESTS | FILLS);
+        await expect(loanContract.connect(lender).buyCollateral(loanId)).to.emit(loanContract, "LoanLiquidated");
+    });
+
+    it("should let the guardian pause directly, but only the owner unpause", async function () {
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        await expect(loanContract.connect(guardian).pauseActions(FILLS)).to.be.revertedWith("not guardian");
+        await expect(loanContract.connect(guardian).setGuardian(guardian.address))
+            .to.be.revertedWithCustomError(loanContract, "OwnableUnauthorizedAccount");
+
+        await expect(loanContract.connect(deployer).setGuardian(guardian.address))
+            .to.emit(loanContract, "GuardianUpdated")
+            .withArgs(ethers.ZeroAddress, guardian.address);
+        expect(await loanContract.guardian()).to.equal(guardian.address);
+
+        //pausing only adds to the paused actions
+        await loanContract.connect(deployer).setPausedActions(REQUESTS);
+        await expect(loanContract.connect(guardian).pauseActions(FILLS))
+            .to.emit(loanContract, "PausedActionsUpdated")
+            .withArgs(REQUESTS, REQUESTS | FILLS);
+        await expect(loanContract.connect(guardian).pauseActions(8)).to.be.revertedWith("invalid actions");
+        await expect(loanContract.connect(lender).fillRequest(0)).to.be.revertedWith("action paused");
+
+        await expect(loanContract.connect(guardian).setPausedActions(0))
+            .to.be.revertedWithCustomError(loanContract, "OwnableUnauthorizedAccount");
+
+        const client = new LendingP2PClient(loanContract.connect(guardian));
+        await expect(client.connect(borrower).pauseActions(["liquidations"])).to.be.rejectedWith(NotAuthorizedError);
+        const output = [];
+        await run(["admin", "pause", "liquidations"], { client, out: (line) => output.push(line) });
+        expect(output).to.deep.equal(["paused actions: requests, fills, liquidations"]);
+        expect((await client.getConfig()).guardian).to.equal(guardian.address);
+
+        await loanContract.connect(deployer).setPausedActions(0);
+        await loanContract.connect(deployer).setGuardian(ethers.ZeroAddress);
+        await expect(client.pauseActions(["fills"])).to.be.rejectedWith(NotAuthorizedError);
+
+        const indexer = new LoanIndexer(loanContract.connect(ethers.provider), new MemoryStore(), { confirmations: 0 });
+        await indexer.sync();
+        expect(indexer.getConfig().guardian).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should let timelock guardians pause instantly, and only unpause through a scheduled change", async function () {
+        const timelock = await (await ethers.getContractFactory("LendingP2PTimelock")).connect(deployer).deploy(24 * 60 * 60, deployer.address, loanContract.target, ethers.ZeroAddress);
+        await timelock.grantRole(ROLES.GUARDIAN_ROLE, guardian.address);
+        await loanContract.connect(deployer).transferOwnership(timelock.target);
+
+        const client = new LendingP2PClient(loanContract.connect(guardian));
+        await expect(client.connect(borrower).pauseActions(["fills"])).to.be.rejectedWith(NotAuthorizedError);
+        await expect(client.pauseActions(["fills", "unknown"])).to.be.rejectedWith("unknown action: unknown");
+
+        await expect(timelock.connect(guardian).pauseActions(loanContract.target, 8)).to.be.revertedWith("invalid actions");
+        const otherContract = await deployLendingP2P(deployer);
+        await expect(timelock.connect(guardian).pauseActions(otherContract.target, FILLS)).to.be.revertedWith("invalid target");
+
+        await expect(client.pauseActions(["fills", "liquidations"]))
+            .to.emit(loanContract, "PausedActionsUpdated")
+            .withArgs(0, FILLS | LIQUIDATIONS);
+        expect(await client.getPausedActions()).to.deep.equal(["fills", "liquidations"]);
+        expect((await client.getConfig()).pausedActions).to.equal(FILLS | LIQUIDATIONS);
+
+        const output = [];
+        await run(["admin", "pause", "requests"], { client, out: (line) => output.push(line) });
+        expect(await client.getPausedActions()).to.deep.equal(["requests", "fills", "liquidations"]);
+
+        //guardians can't unpause, directly or by scheduling it
+        await expect(client.setPausedActions([])).to.be.rejectedWith(NotOwnerError);
+        await expect(client.scheduleChange("setPausedActions", [0])).to.be.rejectedWith(NotAuthorizedError);
+        await expect(run(["admin", "set-paused", "none"], { client, out: () => {} })).to.be.rejectedWith(NotOwnerError);
+
+        const admin = client.connect(deployer);
+        await run(["admin", "set-paused", "none", "--schedule"], { client: admin, out: (line) => output.push(line) });
+        await time.increase(24 * 60 * 60);
+        await admin.executeChange(0);
+        expect(await client.getPausedActions()).to.deep.equal([]);
+
+        expect(output[0]).to.equal("paused actions: requests, fills, liquidations");
+        expect(output[1]).to.match(/^scheduled setPausedActions\(none\) as change #0, executable from /);
+
+        const indexer = new LoanIndexer(loanContract.connect(ethers.provider), new MemoryStore(), { confirmations: 0 });
+        await indexer.sync();
+        expect(indexer.getConfig().pausedActions).to.equal("0");
+    });
+
+    it("should make the keeper skip price-based liquidations while they are paused", async function () {
+        const priceLoan = await openLoan({ collateralAmount: ethers.parseEther("0.51") });
+        const defaultedLoan = await openLoan({ duration: 60 * 60, liquidation: { ...loan.liquidation, isLiquidatable: false } });
+
+        await time.increase(2 * 60 * 60);
+        await aggregatorCollateral.setAnswer(4000000000000);
+        await aggregatorAsset.setAnswer(200000000000);
+        await loanContract.connect(deployer).setPausedActions(LIQUIDATIONS);
+
+        const keeper = new LiquidationKeeper(new LendingP2PClient(loanContract.connect(deployer)));
+        const skipped = [];
+        keeper.on("skipped", (event) => skipped.push(event));
+
+        const result = await keeper.runOnce();
+        expect(result.liquidated).to.deep.equal([defaultedLoan]);
+        expect(skipped).to.deep.equal([{ loanId: priceLoan, reason: "liquidations paused" }]);
+    });
+});
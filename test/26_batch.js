@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const {
+    LendingP2PClient,
+    LiquidationKeeper,
+    InvalidStatusError,
+    NotBorrowerError,
+    RequestExpiredError,
+    encodeLoan
+} = require("../sdk")
+const { run } = require("../cli")
+const { deployLendingP2P } = require("./utils")
+
+describe("Batch", function () {
+    let loanContract;
+    let borrowerClient;
+    let lenderClient;
+
+    let borrower;
+    let lender;
+    let deployer;
+    let other;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    beforeEach(async function () {
+        [borrower, lender, deployer, other] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        borrowerClient = new LendingP2PClient(loanContract.connect(borrower));
+        lenderClient = borrowerClient.connect(lender);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator");
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseEther("100"))
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"), //30k usd
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+    });
+
+    async function requestLoan(overrides = {}){
+        await loanContract.connect(borrower).requestLoan(encodeLoan({ ...loan, ...overrides }));
+        return Number(await loanContract.loanLength()) - 1;
+    }
+
+    async function openLoan(overrides = {}){
+        const loanId = await requestLoan(overrides);
+        await loanContract.connect(lender).fillRequest(loanId);
+        return loanId;
+    }
+
+    function encode(method, loanId){
+        return loanContract.interface.encodeFunctionData(method, [loanId]);
+    }
+
+    it("should return per-call results without reverting the batch", async function () {
+        const filled = await openLoan();
+        const pending = await requestLoan();
+        const canceled = await requestLoan();
+        await loanContract.connect(borrower).cancelLoan(canceled);
+
+        const calls = [filled, pending, canceled].map((loanId) => encode("fillRequest", loanId));
+        const [successes, results] = await loanContract.connect(lender).tryMulticall.staticCall(calls);
+        expect(successes).to.deep.equal([false, true, false]);
+        expect(ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(results[0], 4))[0]).to.equal("invalid status");
+
+        await expect(loanContract.connect(lender).tryMulticall(calls))
+            .to.emit(loanContract, "LoanFilled")
+            .withArgs(pending, borrower.address, lender.address);
+
+        expect((await loanContract.loans(pending)).status).to.equal(2);
+        expect((await loanContract.loans(canceled)).status).to.equal(1);
+    });
+
+    it("should keep msg.sender in batched calls", async function () {
+        const first = await requestLoan();
+        const second = await requestLoan();
+
+        //cancelLoan checks the borrower, so only the borrower's batch succeeds
+        const calls = [encode("cancelLoan", first), encode("cancelLoan", second)];
+        const [successes] = await loanContract.connect(other).tryMulticall.staticCall(calls);
+        expect(successes).to.deep.equal([false, false]);
+
+        await loanContract.connect(borrower).tryMulticall(calls);
+        expect((await loanContract.loans(first)).status).to.equal(1);
+        expect((await loanContract.loans(second)).status).to.equal(1);
+    });
+
+    it("should fill several requests with the client, skipping the ones that can't be filled", async function () {
+        await mockAsset.connect(lender).approve(loanContract.target, 0);
+
+        const expired = await requestLoan();
+        await time.increase(7 * 24 * 60 * 60);
+
+        const first = await requestLoan();
+        const canceled = await requestLoan();
+        const second = await requestLoan({ assetAmount: ethers.parseEther("5"), repaymentAmount: ethers.parseEther("6") });
+        await loanContract.connect(borrower).cancelLoan(canceled);
+
+        const { results, receipt } = await lenderClient.fillRequests([expired, first, canceled, second]);
+        expect(receipt).to.not.equal(null);
+        expect(results.map((result) => result.success)).to.deep.equal([false, true, false, true]);
+        expect(results[0].error).to.be.instanceOf(RequestExpiredError);
+        expect(results[2].error).to.be.instanceOf(InvalidStatusError);
+
+        //the allowance only covers the requests that can be filled, the expired one is reported as Expired
+        expect(await mockAsset.allowance(lender.address, loanContract.target)).to.equal(0);
+        expect((await lenderClient.getLoan(first)).status).to.equal("Active");
+        expect((await lenderClient.getLoan(second)).lender).to.equal(lender.address);
+    });
+
+    it("should cancel several requests and report the failed ones", async function () {
+        const first = await requestLoan();
+        const filled = await openLoan();
+        const second = await requestLoan();
+
+        const { results } = await borrowerClient.cancelLoans([first, filled, second]);
+        expect(results.map((result) => [result.loanId, result.success])).to.deep.equal([[first, true], [filled, false], [second, true]]);
+        expect(results[1].error).to.be.instanceOf(InvalidStatusError);
+
+        expect((await borrowerClient.getLoan(first)).status).to.equal("Canceled");
+        expect((await borrowerClient.getLoan(second)).status).to.equal("Canceled");
+
+        //nothing is sent when every call fails
+        const { results: failed, receipt } = await lenderClient.cancelLoans([first, second]);
+        expect(receipt).to.equal(null);
+        expect(failed[0].error).to.be.instanceOf(InvalidStatusError);
+
+        const pending = await requestLoan();
+        expect((await lenderClient.simulateBatch("cancelLoan", [pending]))[0].error).to.be.instanceOf(NotBorrowerError);
+    });
+
+    it("should only send the liquidatable loans of a batch", async function () {
+        const healthyLoan = await openLoan({ collateralAmount: ethers.parseEther("1") });
+        const priceLoan = await openLoan({ collateralAmount: ethers.parseEther("0.51") });
+        const repaidLoan = await openLoan();
+        await mockAsset.connect(borrower).approve(loanContract.target, ethers.MaxUint256);
+        await loanContract.connect(borrower).repayLoan(repaidLoan);
+
+        await aggregatorCollateral.setAnswer(4000000000000); //40k usd, priceLoan is under-collateralized
+
+        const { results, receipt } = await lenderClient.connect(other).liquidateLoans([healthyLoan, priceLoan, repaidLoan]);
+        expect(results.map((result) => [result.success, result.liquidated])).to.deep.equal([[true, false], [true, true], [true, false]]);
+
+        const events = receipt.logs
+            .map((log) => loanContract.interface.parseLog(log))
+            .filter((event) => event !== null && event.name === "LoanLiquidated");
+        expect(events.map((event) => event.args.loanId)).to.deep.equal([BigInt(priceLoan)]);
+
+        expect((await lenderClient.getLoan(healthyLoan)).status).to.equal("Active");
+        expect((await lenderClient.getLoan(priceLoan)).status).to.equal("Liquidated");
+    });
+
+    it("should liquidate in batches with the keeper", async function () {
+        const loans = [];
+        for (let i = 0; i < 3; i++){
+            loans.push(await openLoan({ collateralAmount: ethers.parseEther("0.51") }));
+        }
+        const healthyLoan = await openLoan({ collateralAmount: ethers.parseEther("1") });
+        await aggregatorCollateral.setAnswer(4000000000000);
+
+        const keeper = new LiquidationKeeper(lenderClient.connect(other), { batchSize: 2 });
+        const liquidated = [];
+        keeper.on("liquidated", (event) => liquidated.push(event.loanId));
+
+        const blockBefore = await ethers.provider.getBlockNumber();
+        const result = await keeper.runOnce();
+        expect(result.liquidated).to.deep.equal(loans);
+        expect(liquidated).to.deep.equal(loans);
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 2);
+
+        expect(keeper.tracked.has(healthyLoan)).to.equal(true);
+        expect(loans.some((loanId) => keeper.tracked.has(loanId))).to.equal(false);
+    });
+
+    it("should fill, cancel and liquidate several loans with the CLI", async function () {
+        const first = await requestLoan();
+        const second = await requestLoan();
+        const third = await requestLoan();
+        const output = [];
+        const out = (line) => output.push(line);
+
+        await run(["cancel", String(first), String(second), "--dry-run"], { client: borrowerClient.connect(other), out });
+        await run(["cancel", String(first), String(third)], { client: borrowerClient, out });
+        await run(["fill", String(first), String(second)], { client: lenderClient, out });
+        await run(["liquidate", String(second), String(third)], { client: lenderClient, out });
+
+        expect(output).to.deep.equal([
+            `skipped loan #${first}: sender != borrower`,
+            `skipped loan #${second}: sender != borrower`,
+            `canceled loan #${first}`,
+            `canceled loan #${third}`,
+            `skipped loan #${first}: invalid status`,
+            `filled loan #${second}`,
+            `skipped loan #${second}: not liquidatable`,
+            `skipped loan #${third}: not liquidatable`
+        ]);
+    });
+});
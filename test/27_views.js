@@ -0,0 +1,275 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { LendingP2PClient, encodeLoan, encodeOffer } = require("../sdk")
+const { run } = require("../cli")
+const { deployLendingP2P } = require("./utils")
+
+describe("Views", function () {
+    let loanContract;
+    let positions;
+    let client;
+
+    let borrower;
+    let otherBorrower;
+    let lender;
+    let buyer;
+    let deployer;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    beforeEach(async function () {
+        [borrower, otherBorrower, lender, buyer, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        client = new LendingP2PClient(loanContract.connect(borrower));
+
+        positions = await (await ethers.getContractFactory("LenderPositions")).connect(deployer).deploy(loanContract.target);
+        await loanContract.connect(deployer).setLenderPositions(positions.target);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator");
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        await mockAsset.connect(borrower).transfer(lender.address, ethers.parseEther("100"))
+        await mockCollateral.connect(borrower).transfer(otherBorrower.address, ethers.parseEther("10"))
+        await mockAsset.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+        await mockCollateral.connect(otherBorrower).approve(loanContract.target, ethers.MaxUint256)
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"), //30k usd
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+    });
+
+    async function requestLoan(signer = borrower, overrides = {}){
+        await loanContract.connect(signer).requestLoan(encodeLoan({ ...loan, borrower: signer.address, ...overrides }));
+        return Number(await loanContract.loanLength()) - 1;
+    }
+
+    function ids(page){
+        return page[0].map(Number);
+    }
+
+    //value of `amount` (18 decimals) at a price with 8 decimals, as computed by _getValue
+    function value(amount, price){
+        return 10n ** 8n * amount * price * 10n ** 8n / 10n ** 26n;
+    }
+
+    it("should paginate all loans", async function () {
+        for (let i = 0; i < 5; i++){
+            await requestLoan();
+        }
+
+        expect(ids(await loanContract.getLoans(0, 2))).to.deep.equal([0, 1]);
+        expect(ids(await loanContract.getLoans(2, 2))).to.deep.equal([2, 3]);
+        expect(ids(await loanContract.getLoans(4, 2))).to.deep.equal([4]);
+        expect(ids(await loanContract.getLoans(5, 2))).to.deep.equal([]);
+        expect(ids(await loanContract.getLoans(1, ethers.MaxUint256))).to.deep.equal([1, 2, 3, 4]);
+
+        const [, loans] = await loanContract.getLoans(3, 1);
+        expect(loans[0].borrower).to.equal(borrower.address);
+        expect(loans[0].assetAmount).to.equal(loan.assetAmount);
+    });
+
+    it("should index the loans of borrowers and lenders", async function () {
+        const requested = await requestLoan();
+        const other = await requestLoan(otherBorrower);
+        await loanContract.connect(lender).fillRequest(requested);
+
+        //signed requests and offers are indexed too
+        const { order, signature } = await client.signLoanRequest(loan);
+        await loanContract.connect(lender).fillSignedRequest(order, signature);
+        const signed = 2;
+
+        await loanContract.connect(lender).createOffer(encodeOffer({
+            lender: lender.address,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+            availableAmount: ethers.parseEther("20"),
+            interestBps: 1000,
+            collateralRatio: 15000,
+            duration: loan.duration,
+            liquidation: loan.liquidation
+        }));
+        await loanContract.connect(otherBorrower).acceptOffer(0, ethers.parseEther("10"), ethers.parseEther("0.6"));
+        const accepted = 3;
+
+        expect(ids(await loanContract.getLoansByBorrower(borrower.address, 0, 10))).to.deep.equal([requested, signed]);
+        expect(ids(await loanContract.getLoansByBorrower(otherBorrower.address, 0, 10))).to.deep.equal([other, accepted]);
+        expect(ids(await loanContract.getLoansByBorrower(otherBorrower.address, 1, 10))).to.deep.equal([accepted]);
+        expect(ids(await loanContract.getLoansByLender(lender.address, 0, 10))).to.deep.equal([requested, signed, accepted]);
+
+        //transferred positions are added to the new lender, and kept in the list of the previous one
+        await positions.connect(lender).transferFrom(lender.address, buyer.address, signed);
+        expect(ids(await loanContract.getLoansByLender(buyer.address, 0, 10))).to.deep.equal([signed]);
+
+        const [loanIds, loans] = await loanContract.getLoansByLender(lender.address, 1, 1);
+        expect(loanIds).to.deep.equal([BigInt(signed)]);
+        expect(loans[0].lender).to.equal(buyer.address);
+
+        expect(await loanContract.getLoanCounts(lender.address)).to.deep.equal([0n, 3n]);
+
+        //positions coming back to a previous lender are not indexed twice
+        await positions.connect(buyer).transferFrom(buyer.address, lender.address, signed);
+        await positions.connect(lender).transferFrom(lender.address, buyer.address, signed);
+        expect(ids(await loanContract.getLoansByLender(lender.address, 0, 10))).to.deep.equal([requested, signed, accepted]);
+        expect(ids(await loanContract.getLoansByLender(buyer.address, 0, 10))).to.deep.equal([signed]);
+        expect(await loanContract.getLoanCounts(lender.address)).to.deep.equal([0n, 3n]);
+
+        const output = [];
+        await run(["list", "--lender", buyer.address], { client, out: (line) => output.push(line) });
+        expect(output).to.deep.equal([`#${signed} Active 10.0 ASSET for 0.6 COLLAT, borrower ${borrower.address}`]);
+        expect(await loanContract.getLoanCounts(otherBorrower.address)).to.deep.equal([2n, 0n]);
+        expect(ids(await loanContract.getLoansByBorrower(buyer.address, 0, 10))).to.deep.equal([]);
+    });
+
+    it("should only list pending requests that can still be filled", async function () {
+        const expired = await requestLoan();
+        await time.increase(7 * 24 * 60 * 60);
+
+        const pending = await requestLoan();
+        const filled = await requestLoan();
+        const canceled = await requestLoan();
+        const otherPending = await requestLoan(otherBorrower);
+        await loanContract.connect(lender).fillRequest(filled);
+        await loanContract.connect(borrower).cancelLoan(canceled);
+
+        expect(ids(await loanContract.getPendingLoans(0, 10))).to.deep.equal([pending, otherPending]).and.not.include(expired);
+        expect(ids(await loanContract.getPendingLoans(0, 2))).to.deep.equal([pending]);
+        expect(ids(await loanContract.getPendingLoans(2, 2))).to.deep.equal([]);
+        expect(ids(await loanContract.getPendingLoans(4, 2))).to.deep.equal([otherPending]);
+        expect(ids(await loanContract.getPendingLoans(10, 2))).to.deep.equal([]);
+
+        const [, loans] = await loanContract.getPendingLoans(0, 10);
+        expect(loans[1].borrower).to.equal(otherBorrower.address);
+    });
+
+    it("should return the health of a loan without reverting on oracle failures", async function () {
+        const loanId = await requestLoan();
+        await loanContract.connect(lender).fillRequest(loanId);
+
+        const loanValue = value(loan.assetAmount, 2000n * 10n ** 8n);
+        const collateralValue = value(loan.collateralAmount, 50000n * 10n ** 8n);
+        expect(await loanContract.getLoanHealth(loanId)).to.deep.equal([loanValue, collateralValue, 6666n, true]);
+
+        //partial repayments reduce the debt like in _isLoanLiquidatable
+        await mockAsset.connect(borrower).approve(loanContract.target, ethers.MaxUint256);
+        await loanContract.connect(borrower).repayPartial(loanId, ethers.parseEther("5.5"));
+        expect((await loanContract.getLoanHealth(loanId))[0]).to.equal(loanValue / 2n);
+
+        //stale prices are still used
+        await aggregatorCollateral.setPriceAge(2 * 60 * 60);
+        expect(await loanContract.getLoanHealth(loanId)).to.deep.equal([loanValue / 2n, collateralValue, 3333n, false]);
+        await expect(loanContract._isLoanLiquidatable(loanId)).to.be.revertedWith("stale collateral oracle");
+
+        await aggregatorCollateral.setRevert(true);
+        expect(await loanContract.getLoanHealth(loanId)).to.deep.equal([loanValue / 2n, 0n, ethers.MaxUint256, false]);
+
+        await aggregatorCollateral.setRevert(false);
+        await aggregatorCollateral.setAnswer(0);
+        expect((await loanContract.getLoanHealth(loanId))[3]).to.equal(false);
+
+        //loans without oracles and unknown loans
+        const noOracles = await requestLoan(borrower, {
+            liquidation: { isLiquidatable: false, liquidationThreshold: 0, assetOracle: ethers.ZeroAddress, collateralOracle: ethers.ZeroAddress }
+        });
+        expect(await loanContract.getLoanHealth(noOracles)).to.deep.equal([0n, 0n, 0n, false]);
+        expect(await loanContract.getLoanHealth(100)).to.deep.equal([0n, 0n, 0n, false]);
+    });
+
+    it("should return an unknown health if a value overflows", async function () {
+        const loanId = await requestLoan();
+        await loanContract.connect(lender).fillRequest(loanId);
+        const collateralValue = value(loan.collateralAmount, 50000n * 10n ** 8n);
+
+        //the price normalization overflows
+        await aggregatorAsset.setAnswer(2n ** 255n - 1n);
+        expect(await loanContract.getLoanHealth(loanId)).to.deep.equal([0n, collateralValue, 0n, false]);
+
+        //the value itself doesn't fit in uint256
+        await aggregatorAsset.setAnswer(2n * 10n ** 68n);
+        expect(await loanContract.getLoanHealth(loanId)).to.deep.equal([0n, collateralValue, 0n, false]);
+
+        //large values that fit don't overflow the LTV
+        await aggregatorAsset.setAnswer(10n ** 65n);
+        await aggregatorCollateral.setAnswer(1);
+        const loanValue = value(loan.assetAmount, 10n ** 65n);
+        expect(await loanContract.getLoanHealth(loanId)).to.deep.equal([loanValue, value(loan.collateralAmount, 1n), loanValue * 10000n / value(loan.collateralAmount, 1n), true]);
+    });
+
+    it("should return an unknown health if a token has no decimals", async function () {
+        const loanId = await requestLoan();
+        await loanContract.connect(lender).fillRequest(loanId);
+
+        //the collateral stops implementing decimals() after the loan was requested
+        const invalidToken = await (await ethers.getContractFactory("MockNonStandardToken")).deploy();
+        await network.provider.send("hardhat_setCode", [mockCollateral.target, await ethers.provider.getCode(invalidToken.target)]);
+
+        const loanValue = value(loan.assetAmount, 2000n * 10n ** 8n);
+        expect(await loanContract.getLoanHealth(loanId)).to.deep.equal([loanValue, 0n, ethers.MaxUint256, false]);
+
+        const health = await client.getLoanHealth(loanId);
+        expect(health.validPrices).to.equal(false);
+        expect(health.ltvBps).to.equal(Infinity);
+    });
+
+    it("should expose the views in the client and the CLI", async function () {
+        const first = await requestLoan();
+        const second = await requestLoan(otherBorrower);
+        await loanContract.connect(lender).fillRequest(first);
+
+        const page = await client.getLoans(0, 10);
+        expect(page.map((loan) => [loan.loanId, loan.status, loan.borrower])).to.deep.equal([
+            [first, "Active", borrower.address],
+            [second, "Pending", otherBorrower.address]
+        ]);
+        expect((await client.getLoansByBorrower(otherBorrower.address)).map((loan) => loan.loanId)).to.deep.equal([second]);
+        expect((await client.getLoansByLender(lender.address)).map((loan) => loan.loanId)).to.deep.equal([first]);
+        expect((await client.getPendingLoans()).map((loan) => loan.loanId)).to.deep.equal([second]);
+        expect(await client.getLoanCounts(borrower.address)).to.deep.equal({ borrowed: 1, lent: 0 });
+
+        const health = await client.getLoanHealth(first);
+        expect(health.ltvBps).to.equal(6666);
+        expect(health.validPrices).to.equal(true);
+
+        await aggregatorCollateral.setRevert(true);
+        expect((await client.getLoanHealth(first)).ltvBps).to.equal(Infinity);
+
+        const output = [];
+        await run(["list", "--borrower", otherBorrower.address], { client, out: (line) => output.push(line) });
+        await run(["list", "--lender", lender.address, "--status", "pending"], { client, out: (line) => output.push(line) });
+        expect(output).to.deep.equal([`#${second} Pending 10.0 ASSET for 0.6 COLLAT, borrower ${otherBorrower.address}`]);
+    });
+});
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+    LendingP2PClient,
+    NotLenderError,
+    encodeLoan,
+    decodeLoan,
+    hashLender,
+    allowlistRoot,
+    allowlistProof
+} = require("../sdk")
+const { run } = require("../cli")
+const { deployLendingP2P } = require("./utils")
+
+describe("Private requests", function () {
+    let loanContract;
+    let client;
+
+    let borrower;
+    let lender;
+    let otherLender;
+    let deployer;
+    let other;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    beforeEach(async function () {
+        [borrower, lender, otherLender, deployer, other] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        client = new LendingP2PClient(loanContract.connect(borrower));
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        for (const signer of [lender, otherLender, deployer, other]){
+            await mockAsset.connect(borrower).transfer(signer.address, ethers.parseEther("100"))
+            await mockAsset.connect(signer).approve(loanContract.target, ethers.MaxUint256)
+        }
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"),
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"),
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: false,
+                liquidationThreshold: 0,
+                assetOracle: ethers.ZeroAddress,
+                collateralOracle: ethers.ZeroAddress
+            }
+        };
+    });
+
+    async function requestLoan(lenders){
+        if (lenders === undefined){
+            await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        } else {
+            await loanContract.connect(borrower).requestLoanWithAllowlist(encodeLoan(loan), allowlistRoot(lenders), 0);
+        }
+        return Number(await loanContract.loanLength()) - 1;
+    }
+
+    it("should only let the designated lender fill a request", async function () {
+        loan.lender = lender.address;
+        const loanId = await requestLoan();
+
+        expect(decodeLoan(await loanContract.loans(loanId)).lender).to.equal(lender.address);
+        await expect(loanContract.connect(other).fillRequest(loanId)).to.be.revertedWith("sender != lender");
+        await expect(loanContract.connect(other).fillRequestWithProof(loanId, [])).to.be.revertedWith("sender != lender");
+
+        await expect(loanContract.connect(lender).fillRequest(loanId))
+            .to.emit(loanContract, "LoanFilled")
+            .withArgs(loanId, borrower.address, lender.address);
+    });
+
+    it("should only let allowlisted lenders fill a request", async function () {
+        const lenders = [lender.address, otherLender.address, deployer.address];
+        const loanId = await requestLoan(lenders);
+        expect(await loanContract.lenderRoots(loanId)).to.equal(allowlistRoot(lenders));
+
+        await expect(loanContract.connect(lender).fillRequest(loanId)).to.be.revertedWith("lender not allowed");
+        await expect(loanContract.connect(other).fillRequestWithProof(loanId, allowlistProof(lenders, lender.address)))
+            .to.be.revertedWith("lender not allowed");
+
+        //every lender of an odd-sized list has a valid proof
+        for (const signer of [lender, otherLender, deployer]){
+            await loanContract.connect(signer).fillRequestWithProof.staticCall(loanId, allowlistProof(lenders, signer.address));
+        }
+
+        await expect(loanContract.connect(otherLender).fillRequestWithProof(loanId, allowlistProof(lenders, otherLender.address)))
+            .to.emit(loanContract, "LoanFilled")
+            .withArgs(loanId, borrower.address, otherLender.address);
+        expect((await loanContract.loans(loanId)).lender).to.equal(otherLender.address);
+
+        //requests without an allowlist ignore the proof
+        const publicLoanId = await requestLoan();
+        await loanContract.connect(other).fillRequestWithProof(publicLoanId, []);
+    });
+
+    it("should revert: allowlist with a zero root", async function () {
+        await expect(loanContract.connect(borrower).requestLoanWithAllowlist(encodeLoan(loan), ethers.ZeroHash, 0))
+            .to.be.revertedWith("invalid allowlist");
+    });
+
+    it("should build allowlists compatible with OpenZeppelin's MerkleProof", async function () {
+        //a single lender is the root itself, with an empty proof
+        expect(allowlistRoot([lender.address])).to.equal(hashLender(lender.address));
+        expect(allowlistProof([lender.address], lender.address)).to.deep.equal([]);
+
+        //order, duplicates and address case don't change the root
+        const lenders = [lender.address, otherLender.address, deployer.address, other.address];
+        expect(allowlistRoot([...lenders].reverse())).to.equal(allowlistRoot(lenders));
+        expect(allowlistRoot([...lenders, lender.address.toLowerCase()])).to.equal(allowlistRoot(lenders));
+
+        expect(() => allowlistProof(lenders, borrower.address)).to.throw("is not in the allowlist");
+        expect(() => allowlistRoot([])).to.throw("empty allowlist");
+
+        const loanId = await requestLoan([lender.address]);
+        await loanContract.connect(lender).fillRequestWithProof(loanId, []);
+    });
+
+    it("should request and fill private requests with the client and the CLI", async function () {
+        const lenders = [lender.address, otherLender.address];
+        const { loanId } = await client.requestLoan(loan, { allowlist: lenders });
+        expect((await client.getLoan(loanId)).lenderRoot).to.equal(allowlistRoot(lenders));
+
+        await expect(client.connect(other).fillRequest(loanId)).to.be.rejectedWith(NotLenderError);
+        await expect(client.connect(other).fillRequest(loanId, { allowlist: lenders })).to.be.rejectedWith("is not in the allowlist");
+        await expect(client.requestLoanWithApr(loan, { aprBps: 1000 }, { allowlist: lenders })).to.be.rejectedWith("not supported");
+
+        await client.connect(lender).fillRequest(loanId, { allowlist: lenders });
+        expect((await client.getLoan(loanId)).lender).to.equal(lender.address);
+
+        const output = [];
+        const out = (line) => output.push(line);
+        const args = [
+            "--asset", mockAsset.target, "--amount", "10", "--repayment", "11",
+            "--collateral", mockCollateral.target, "--collateral-amount", "0.6", "--duration", "30d"
+        ];
+
+        await run(["request", ...args, "--allowlist", lenders.join(",")], { client, out });
+        await run(["request", ...args, "--lender", otherLender.address], { client, out });
+        const [allowlisted, designated] = [loanId + 1, loanId + 2];
+
+        await run(["show", String(allowlisted)], { client, out });
+        await expect(run(["fill", String(allowlisted)], { client: client.connect(lender), out })).to.be.rejectedWith("missing --allowlist");
+        await expect(run(["fill", String(allowlisted), "--allowlist", lenders.join(",")], { client: client.connect(other), out }))
+            .to.be.rejectedWith("is not in the allowlist");
+        await expect(run(["fill", String(designated)], { client: client.connect(lender), out })).to.be.rejectedWith(NotLenderError);
+
+        await run(["fill", String(allowlisted), "--allowlist", lenders.join(","), "--dry-run"], { client: client.connect(otherLender), out });
+        await run(["fill", String(allowlisted), "--allowlist", lenders.join(",")], { client: client.connect(otherLender), out });
+        await run(["fill", String(designated)], { client: client.connect(otherLender), out });
+
+        expect(output).to.include.members([
+            `requested loan #${allowlisted}`,
+            `requested loan #${designated}`,
+            `  allowlist:   ${allowlistRoot(lenders)}`,
+            "dry run: fillRequestWithProof would succeed",
+            `filled loan #${allowlisted}`,
+            `filled loan #${designated}`
+        ]);
+        expect((await client.getLoan(designated)).lender).to.equal(otherLender.address);
+    });
+});
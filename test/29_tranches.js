@@ -0,0 +1,314 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const {
+    LendingP2PClient,
+    LoanIndexer,
+    MemoryStore,
+    InvalidAmountError,
+    encodeLoan
+} = require("../sdk")
+const { run } = require("../cli")
+const { deployLendingP2P } = require("./utils")
+
+describe("Tranches", function () {
+    let loanContract;
+    let client;
+
+    let borrower;
+    let lender;
+    let otherLender;
+    let thirdLender;
+    let deployer;
+    let other;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    beforeEach(async function () {
+        [borrower, lender, otherLender, thirdLender, deployer, other] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        client = new LendingP2PClient(loanContract.connect(borrower));
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator");
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        for (const signer of [lender, otherLender, thirdLender]){
+            await mockAsset.connect(borrower).transfer(signer.address, ethers.parseEther("100"))
+            await mockAsset.connect(signer).approve(loanContract.target, ethers.MaxUint256)
+        }
+        await mockAsset.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+        await mockCollateral.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"), //30k usd
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            }
+        };
+    });
+
+    async function requestLoan(overrides = {}){
+        await loanContract.connect(borrower).requestLoan(encodeLoan({ ...loan, ...overrides }));
+        return Number(await loanContract.loanLength()) - 1;
+    }
+
+    //funds `loanId` with tranches of 5, 3 and 2 of the asset
+    async function fillTranches(loanId){
+        await loanContract.connect(lender).fillTranche(loanId, ethers.parseEther("5"), []);
+        await loanContract.connect(otherLender).fillTranche(loanId, ethers.parseEther("3"), []);
+        return loanContract.connect(thirdLender).fillTranche(loanId, ethers.parseEther("2"), []);
+    }
+
+    async function balances(token, signers){
+        return Promise.all(signers.map((signer) => token.balanceOf(signer.address)));
+    }
+
+    it("should start a loan once its tranches fund the full amount", async function () {
+        const loanId = await requestLoan();
+
+        await expect(loanContract.connect(lender).fillTranche(loanId, ethers.parseEther("5"), []))
+            .to.emit(loanContract, "TrancheFilled")
+            .withArgs(loanId, lender.address, ethers.parseEther("5"));
+        expect(await loanContract.fundedAmounts(loanId)).to.equal(ethers.parseEther("5"));
+        expect(await mockAsset.balanceOf(loanContract.target)).to.equal(ethers.parseEther("5"));
+        expect((await loanContract.loans(loanId)).status).to.equal(0);
+
+        //a request funded with tranches can't be filled by one lender anymore
+        await expect(loanContract.connect(other).fillRequest(loanId)).to.be.revertedWith("partially filled");
+
+        const borrowerBefore = await mockAsset.balanceOf(borrower.address);
+        await loanContract.connect(otherLender).fillTranche(loanId, ethers.parseEther("3"), []);
+        await expect(loanContract.connect(thirdLender).fillTranche(loanId, ethers.parseEther("2"), []))
+            .to.emit(loanContract, "LoanFilled")
+            .withArgs(loanId, borrower.address, loanContract.target);
+
+        const started = await loanContract.loans(loanId);
+        expect(started.status).to.equal(2);
+        expect(started.lender).to.equal(loanContract.target);
+        expect(started.assetAmount).to.equal(loan.assetAmount);
+        expect(await mockAsset.balanceOf(borrower.address)).to.equal(borrowerBefore + loan.assetAmount);
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(loan.collateralAmount);
+
+        const [lenders, amounts] = await loanContract.getTranches(loanId);
+        expect(lenders).to.deep.equal([lender.address, otherLender.address, thirdLender.address]);
+        expect(amounts).to.deep.equal([ethers.parseEther("5"), ethers.parseEther("3"), ethers.parseEther("2")]);
+        expect(await loanContract.trancheAmounts(loanId, otherLender.address)).to.equal(ethers.parseEther("3"));
+        expect((await loanContract.getLoansByLender(otherLender.address, 0, 10))[0]).to.deep.equal([BigInt(loanId)]);
+    });
+
+    it("should repay the tranche lenders pro-rata", async function () {
+        const loanId = await requestLoan();
+        await fillTranches(loanId);
+
+        const lenders = [lender, otherLender, thirdLender];
+        const before = await balances(mockAsset, lenders);
+
+        //the interest is 1, so the protocol fee is 0.2 and the lenders share 10.8
+        await loanContract.connect(borrower).repayPartial(loanId, ethers.parseEther("5.5"));
+        await loanContract.connect(borrower).repayLoan(loanId);
+
+        const after = await balances(mockAsset, lenders);
+        expect(after.map((balance, i) => balance - before[i])).to.deep.equal([
+            ethers.parseEther("5.4"), ethers.parseEther("3.24"), ethers.parseEther("2.16")
+        ]);
+        expect(await mockAsset.balanceOf(loanContract.target)).to.equal(0);
+    });
+
+    it("should split the collateral of liquidated loans between the tranche lenders", async function () {
+        const loanId = await requestLoan();
+        await fillTranches(loanId);
+
+        await aggregatorCollateral.setAnswer(4000000000000); //40k usd, under-collateralized
+
+        const lenders = [lender, otherLender, thirdLender];
+        const before = await balances(mockCollateral, lenders);
+        await loanContract.connect(other).liquidateLoan(loanId);
+        const received = (await balances(mockCollateral, lenders)).map((balance, i) => balance - before[i]);
+
+        //the last lender receives the rounding remainder
+        const total = received.reduce((sum, amount) => sum + amount, 0n);
+        expect(received[0]).to.equal(total * 5n / 10n);
+        expect(received[1]).to.equal(total * 3n / 10n);
+        expect(received[2]).to.equal(total - received[0] - received[1]);
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(0);
+    });
+
+    it("should start a loan from its minimum funding with scaled terms", async function () {
+        const loanId = await requestLoan();
+        await expect(loanContract.connect(other).setMinFunding(loanId, ethers.parseEther("6"))).to.be.revertedWith("sender != borrower");
+        await expect(loanContract.connect(borrower).setMinFunding(loanId, ethers.parseEther("11"))).to.be.revertedWith("amount > available");
+        await expect(loanContract.connect(borrower).setMinFunding(loanId, ethers.parseEther("6")))
+            .to.emit(loanContract, "MinFundingUpdated")
+            .withArgs(loanId, ethers.parseEther("6"));
+
+        await loanContract.connect(lender).fillTranche(loanId, ethers.parseEther("4"), []);
+        await expect(loanContract.connect(other).startLoan(loanId)).to.be.revertedWith("insufficient funding");
+
+        await loanContract.connect(otherLender).fillTranche(loanId, ethers.parseEther("2.5"), []);
+
+        const borrowerBefore = await mockAsset.balanceOf(borrower.address);
+        await expect(loanContract.connect(other).startLoan(loanId))
+            .to.emit(loanContract, "LoanFilled")
+            .withArgs(loanId, borrower.address, loanContract.target);
+
+        const started = await loanContract.loans(loanId);
+        expect(started.assetAmount).to.equal(ethers.parseEther("6.5"));
+        expect(started.repaymentAmount).to.equal(ethers.parseEther("7.15"));
+        expect(started.collateralAmount).to.equal(ethers.parseEther("0.39"));
+        expect(await mockAsset.balanceOf(borrower.address)).to.equal(borrowerBefore + ethers.parseEther("6.5"));
+
+        await expect(loanContract.connect(thirdLender).fillTranche(loanId, ethers.parseEther("1"), [])).to.be.revertedWith("invalid status");
+
+        //requests without a minimum funding only start once fully funded
+        const unfunded = await requestLoan();
+        await loanContract.connect(lender).fillTranche(unfunded, ethers.parseEther("9"), []);
+        await expect(loanContract.connect(other).startLoan(unfunded)).to.be.revertedWith("insufficient funding");
+    });
+
+    it("should let lenders withdraw their tranches from canceled or expired requests", async function () {
+        const canceled = await requestLoan();
+        await loanContract.connect(lender).fillTranche(canceled, ethers.parseEther("5"), []);
+        await expect(loanContract.connect(lender).withdrawTranche(canceled)).to.be.revertedWith("invalid status");
+
+        await loanContract.connect(borrower).cancelLoan(canceled);
+        const before = await mockAsset.balanceOf(lender.address);
+        await expect(loanContract.connect(lender).withdrawTranche(canceled))
+            .to.emit(loanContract, "TrancheWithdrawn")
+            .withArgs(canceled, lender.address, ethers.parseEther("5"));
+        expect(await mockAsset.balanceOf(lender.address)).to.equal(before + ethers.parseEther("5"));
+        await expect(loanContract.connect(lender).withdrawTranche(canceled)).to.be.revertedWith("amount == 0");
+
+        //expired requests can be withdrawn from before and after expireRequests
+        const expired = await requestLoan();
+        await loanContract.connect(lender).fillTranche(expired, ethers.parseEther("5"), []);
+        await loanContract.connect(otherLender).fillTranche(expired, ethers.parseEther("1"), []);
+        await time.increase(7 * 24 * 60 * 60);
+
+        await expect(loanContract.connect(otherLender).fillTranche(expired, ethers.parseEther("4"), [])).to.be.revertedWith("already expired");
+        await loanContract.connect(lender).withdrawTranche(expired);
+        await loanContract.expireRequests([expired]);
+        await loanContract.connect(otherLender).withdrawTranche(expired);
+
+        expect(await loanContract.fundedAmounts(expired)).to.equal(0);
+        expect(await mockAsset.balanceOf(loanContract.target)).to.equal(0);
+    });
+
+    it("should revert: invalid tranches", async function () {
+        const loanId = await requestLoan();
+
+        await expect(loanContract.connect(lender).fillTranche(loanId, 0, [])).to.be.revertedWith("amount == 0");
+        await expect(loanContract.connect(lender).fillTranche(loanId, ethers.parseEther("11"), [])).to.be.revertedWith("amount > available");
+        await expect(loanContract.connect(lender).fillTranche(loanId, ethers.parseEther("0.4"), [])).to.be.revertedWith("tranche too small");
+
+        //the last tranche can be smaller than the minimum
+        await loanContract.connect(lender).fillTranche(loanId, ethers.parseEther("9.6"), []);
+        await loanContract.connect(otherLender).fillTranche(loanId, ethers.parseEther("0.4"), []);
+        expect((await loanContract.loans(loanId)).status).to.equal(2);
+
+        //designated lenders and paused fills apply to tranches too
+        const designated = await requestLoan({ lender: lender.address });
+        await expect(loanContract.connect(otherLender).fillTranche(designated, ethers.parseEther("5"), [])).to.be.revertedWith("sender != lender");
+
+        await loanContract.connect(deployer).setPausedActions(await loanContract.PAUSE_FILLS());
+        await expect(loanContract.connect(lender).fillTranche(designated, ethers.parseEther("5"), [])).to.be.revertedWith("action paused");
+        await loanContract.connect(deployer).setPausedActions(0);
+
+        //refinance requests are filled by one lender
+        await loanContract.connect(borrower).requestRefinance(loanId, encodeLoan(loan));
+        const refinance = Number(await loanContract.loanLength()) - 1;
+        await expect(loanContract.connect(lender).fillTranche(refinance, ethers.parseEther("5"), [])).to.be.revertedWith("refinance request");
+    });
+
+    it("should fund tranches with the client, the CLI and the indexer", async function () {
+        const startBlock = await ethers.provider.getBlockNumber();
+        const { loanId } = await client.requestLoan(loan, { minFunding: ethers.parseEther("6") });
+
+        await client.connect(lender).fillTranche(loanId, ethers.parseEther("4"));
+        await expect(client.connect(other).startLoan(loanId)).to.be.rejectedWith(InvalidAmountError);
+
+        const output = [];
+        const out = (line) => output.push(line);
+
+        await run(["fill", String(loanId), "--amount", "2", "--dry-run"], { client: client.connect(otherLender), out });
+        await run(["fill", String(loanId), "--amount", "2"], { client: client.connect(otherLender), out });
+        await run(["show", String(loanId)], { client, out });
+        await run(["start", String(loanId)], { client: client.connect(other), out });
+
+        expect(output).to.include.members([
+            "dry run: fillTranche would succeed",
+            `  2.0 ASSET: ${otherLender.address} -> ${loanContract.target}`,
+            `funded 2.0 ASSET of loan #${loanId}`,
+            "  funded:      6.0 ASSET, starts at 6.0 ASSET",
+            `  tranche:     4.0 ASSET from ${lender.address}`,
+            `started loan #${loanId} with 6.0 ASSET`
+        ]);
+
+        const started = await client.getLoan(loanId);
+        expect(started.status).to.equal("Active");
+        expect(started.fundedAmount).to.equal(ethers.parseEther("6"));
+        expect(await client.getTranches(loanId)).to.deep.equal([
+            { lender: lender.address, amount: ethers.parseEther("4") },
+            { lender: otherLender.address, amount: ethers.parseEther("2") }
+        ]);
+
+        //repayments are split between the tranche lenders in the dry run
+        output.length = 0;
+        await run(["repay", String(loanId), "--dry-run"], { client, out });
+        expect(output).to.include.members([
+            `  4.32 ASSET: ${borrower.address} -> ${lender.address}`,
+            `  2.16 ASSET: ${borrower.address} -> ${otherLender.address}`
+        ]);
+
+        //withdrawals of canceled requests
+        const { loanId: canceled } = await client.requestLoan(loan);
+        await client.connect(lender).fillTranche(canceled, ethers.parseEther("5"));
+        await client.cancelLoan(canceled);
+        await run(["withdraw-tranche", String(canceled)], { client: client.connect(lender), out });
+        expect(output).to.include(`withdrew 5.0 ASSET from loan #${canceled}`);
+
+        const indexer = new LoanIndexer(loanContract, new MemoryStore(), { startBlock });
+        await indexer.sync();
+
+        const indexed = indexer.getLoan(loanId);
+        expect(indexed.status).to.equal("Active");
+        expect(indexed.fundedAmount).to.equal(ethers.parseEther("6").toString());
+        expect(indexed.assetAmount).to.equal(ethers.parseEther("6").toString());
+        expect(indexed.repaymentAmount).to.equal(ethers.parseEther("6.6").toString());
+        expect(indexed.collateralAmount).to.equal(ethers.parseEther("0.36").toString());
+        expect(indexed.tranches).to.deep.equal({
+            [lender.address]: ethers.parseEther("4").toString(),
+            [otherLender.address]: ethers.parseEther("2").toString()
+        });
+        expect(indexer.getLoan(canceled).fundedAmount).to.equal("0");
+    });
+});
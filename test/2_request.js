@@ -1,7 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
-const { encodeLoan } = require("./utils")
+const { encodeLoan, deployLendingP2P } = require("./utils")
 
 describe("Request", function () {
     let loanContract;
@@ -9,10 +9,9 @@ describe("Request", function () {
     let loan;
 
     beforeEach(async function () {
-        const LoanContract = await ethers.getContractFactory("LendingP2P"); 
         [owner] = await ethers.getSigners();
 
-        loanContract = await LoanContract.deploy();
+        loanContract = await deployLendingP2P();
 
         const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
         mockAsset = await MockToken.deploy("Asset", "ASSET", 8)
@@ -0,0 +1,305 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const {
+    LendingP2PClient,
+    InvalidConfigError,
+    InvalidLoanError,
+    LoanIndexer,
+    MemoryStore,
+    encodeLoan,
+    encodeOffer,
+    orderDomain,
+    buildOrder,
+    signOrder
+} = require("../sdk")
+const { run } = require("../cli")
+const { deployLendingP2P } = require("./utils")
+
+describe("Native tokens", function () {
+    let loanContract;
+    let client;
+
+    let borrower;
+    let lender;
+    let deployer;
+    let other;
+
+    let weth;
+    let mockToken;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    beforeEach(async function () {
+        [borrower, lender, deployer, other] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        client = new LendingP2PClient(loanContract.connect(borrower));
+
+        weth = await (await ethers.getContractFactory("MockWETH")).connect(deployer).deploy();
+        await loanContract.connect(deployer).setWrappedNative(weth.target);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockToken = await MockToken.connect(borrower).deploy("Token", "TOKEN", 18)
+        await mockToken.connect(borrower).transfer(lender.address, ethers.parseEther("100"))
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator");
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(200000000000); //2k usd
+
+        for (const signer of [borrower, lender]){
+            await weth.connect(signer).deposit({ value: ethers.parseEther("10") });
+            await weth.connect(signer).approve(loanContract.target, ethers.MaxUint256);
+            await mockToken.connect(signer).approve(loanContract.target, ethers.MaxUint256);
+        }
+    });
+
+    //loan of 1 WETH against 2 TOKEN, or of 1 TOKEN against 2 WETH with `wethCollateral`
+    function buildLoan(wethCollateral = false, overrides = {}){
+        return {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: wethCollateral ? mockToken.target : weth.target,
+            collateral: wethCollateral ? weth.target : mockToken.target,
+
+            assetAmount: ethers.parseEther("1"),
+            repaymentAmount: ethers.parseEther("1.1"),
+            collateralAmount: ethers.parseEther("2"),
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            },
+            ...overrides
+        };
+    }
+
+    async function requestLoan(wethCollateral = false){
+        await loanContract.connect(borrower).requestLoan(encodeLoan(buildLoan(wethCollateral)));
+        return Number(await loanContract.loanLength()) - 1;
+    }
+
+    it("should only set the wrapped native token once", async function () {
+        expect(await loanContract.wrappedNative()).to.equal(weth.target);
+        expect(await client.getWrappedNative()).to.equal(weth.target);
+
+        await expect(loanContract.connect(other).setWrappedNative(other.address))
+            .to.be.revertedWithCustomError(loanContract, "OwnableUnauthorizedAccount");
+        await expect(loanContract.connect(deployer).setWrappedNative(other.address)).to.be.revertedWith("wrapped native already set");
+
+        const fresh = await deployLendingP2P(deployer);
+        await expect(fresh.connect(deployer).setWrappedNative(ethers.ZeroAddress)).to.be.revertedWith("wrappedNative == address(0)");
+        await expect(fresh.connect(deployer).setWrappedNative(weth.target))
+            .to.emit(fresh, "WrappedNativeUpdated")
+            .withArgs(weth.target);
+
+        //native tokens are only accepted from the wrapper
+        await expect(other.sendTransaction({ to: loanContract.target, value: 1 })).to.be.revertedWith("sender != wrappedNative");
+    });
+
+    it("should fill and repay with native tokens", async function () {
+        const loanId = await requestLoan();
+
+        //the part of msg.value above the asset amount is refunded
+        await expect(loanContract.connect(lender).fillRequestNative(loanId, [], { value: ethers.parseEther("1.5") }))
+            .to.changeEtherBalances([lender, loanContract], [ethers.parseEther("-1"), 0]);
+        expect(await weth.balanceOf(borrower.address)).to.equal(ethers.parseEther("11"));
+        expect((await loanContract.loans(loanId)).lender).to.equal(lender.address);
+
+        //the lender receives the repayment as native tokens, the fee collector as wrapped native
+        await expect(loanContract.connect(lender).setNativePayouts(true))
+            .to.emit(loanContract, "NativePayoutsUpdated")
+            .withArgs(lender.address, true);
+
+        const wethBefore = await weth.balanceOf(borrower.address);
+        await expect(loanContract.connect(borrower).repayLoanNative(loanId, { value: ethers.parseEther("2") }))
+            .to.changeEtherBalances([borrower, lender], [ethers.parseEther("-1.1"), ethers.parseEther("1.08")]);
+        expect(await weth.balanceOf(deployer.address)).to.equal(ethers.parseEther("0.02"));
+        expect(await weth.balanceOf(borrower.address)).to.equal(wethBefore);
+        expect(await weth.balanceOf(loanContract.target)).to.equal(0);
+        expect((await loanContract.loans(loanId)).status).to.equal(3);
+
+        const indexer = new LoanIndexer(loanContract.connect(ethers.provider), new MemoryStore(), { confirmations: 0 });
+        await indexer.sync();
+        expect(indexer.getConfig().wrappedNative).to.equal(weth.target);
+        expect(indexer.getConfig().nativePayouts).to.deep.equal({ [lender.address]: true });
+    });
+
+    it("should pay native collateral back to borrowers and liquidators", async function () {
+        const repaid = await requestLoan(true);
+        await loanContract.connect(lender).fillRequest(repaid);
+
+        await expect(loanContract.connect(borrower).addCollateralNative(repaid, { value: ethers.parseEther("1") }))
+            .to.emit(loanContract, "CollateralAdded")
+            .withArgs(repaid, borrower.address, ethers.parseEther("1"));
+        expect((await loanContract.loans(repaid)).collateralAmount).to.equal(ethers.parseEther("3"));
+
+        await loanContract.connect(borrower).setNativePayouts(true);
+        await expect(loanContract.connect(borrower).repayLoan(repaid))
+            .to.changeEtherBalance(borrower, ethers.parseEther("3"));
+
+        //liquidated collateral is paid to the lender and the liquidator as native tokens
+        const liquidated = await requestLoan(true);
+        await loanContract.connect(lender).fillRequest(liquidated);
+        await loanContract.connect(lender).setNativePayouts(true);
+        await loanContract.connect(other).setNativePayouts(true);
+        await aggregatorCollateral.setAnswer(100000000000); //1k usd, under-collateralized
+
+        await expect(loanContract.connect(other).liquidateLoan(liquidated))
+            .to.changeEtherBalances([lender, other], [ethers.parseEther("1.976"), ethers.parseEther("0.02")]);
+        expect(await weth.balanceOf(loanContract.target)).to.equal(0);
+    });
+
+    it("should pay refinance surpluses and released collateral as native tokens", async function () {
+        await weth.connect(other).deposit({ value: ethers.parseEther("10") });
+        await weth.connect(other).approve(loanContract.target, ethers.MaxUint256);
+        await mockToken.connect(borrower).transfer(other.address, ethers.parseEther("10"));
+        await mockToken.connect(other).approve(loanContract.target, ethers.MaxUint256);
+
+        const wethLoan = await requestLoan();
+        await loanContract.connect(lender).fillRequest(wethLoan);
+        const wethCollateralLoan = await requestLoan(true);
+        await loanContract.connect(lender).fillRequest(wethCollateralLoan);
+        await loanContract.connect(borrower).setNativePayouts(true);
+
+        //1.5 WETH pays off the 1.1 WETH outstanding, the rest goes to the borrower
+        await loanContract.connect(borrower).requestRefinance(wethLoan, encodeLoan(buildLoan(false, {
+            assetAmount: ethers.parseEther("1.5"),
+            repaymentAmount: ethers.parseEther("1.6")
+        })));
+        await expect(loanContract.connect(other).fillRequest(Number(await loanContract.loanLength()) - 1))
+            .to.changeEtherBalance(borrower, ethers.parseEther("0.4"));
+
+        //0.5 of the 2 WETH of collateral is released
+        await loanContract.connect(borrower).requestRefinance(wethCollateralLoan, encodeLoan(buildLoan(true, {
+            assetAmount: ethers.parseEther("1.1"),
+            repaymentAmount: ethers.parseEther("1.2"),
+            collateralAmount: ethers.parseEther("1.5")
+        })));
+        await expect(loanContract.connect(other).fillRequest(Number(await loanContract.loanLength()) - 1))
+            .to.changeEtherBalance(borrower, ethers.parseEther("0.5"));
+
+        expect(await weth.balanceOf(loanContract.target)).to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("should pay signed request fills, accepted offers and tranches as native tokens", async function () {
+        await loanContract.connect(borrower).setNativePayouts(true);
+        await loanContract.connect(lender).setNativePayouts(true);
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const order = buildOrder(buildLoan(), { nonce: 1, deadline: (await ethers.provider.getBlock("latest")).timestamp + 3600 });
+        const signature = await signOrder(borrower, orderDomain(loanContract.target, chainId), order);
+        await expect(loanContract.connect(lender).fillSignedRequest(order, signature))
+            .to.changeEtherBalance(borrower, ethers.parseEther("1"));
+
+        const { asset, collateral, duration, liquidation } = buildLoan();
+        await loanContract.connect(lender).createOffer(encodeOffer({
+            lender: lender.address,
+            asset,
+            collateral,
+            availableAmount: ethers.parseEther("1"),
+            interestBps: 500,
+            collateralRatio: 15000,
+            duration,
+            expiration: 0,
+            liquidation
+        }));
+        await expect(loanContract.connect(borrower).acceptOffer(0, ethers.parseEther("1"), ethers.parseEther("2")))
+            .to.changeEtherBalance(borrower, ethers.parseEther("1"));
+
+        //the funded part of a tranche request is paid to the borrower, tranches of canceled requests to their lender
+        const started = await requestLoan();
+        await loanContract.connect(borrower).setMinFunding(started, ethers.parseEther("0.5"));
+        await loanContract.connect(lender).fillTranche(started, ethers.parseEther("0.5"), []);
+        await expect(loanContract.connect(borrower).startLoan(started))
+            .to.changeEtherBalance(borrower, ethers.parseEther("0.5"));
+
+        const canceled = await requestLoan();
+        await loanContract.connect(lender).fillTranche(canceled, ethers.parseEther("0.5"), []);
+        await loanContract.connect(borrower).cancelLoan(canceled);
+        await expect(loanContract.connect(lender).withdrawTranche(canceled))
+            .to.changeEtherBalance(lender, ethers.parseEther("0.5"));
+
+        expect(await weth.balanceOf(loanContract.target)).to.equal(0);
+        expect(await weth.balanceOf(borrower.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("should pay wrapped native to recipients that reject native tokens", async function () {
+        const loanId = await requestLoan();
+        await loanContract.connect(lender).fillRequest(loanId);
+        await loanContract.connect(lender).setNativePayouts(true);
+
+        //the lender becomes a contract that reverts on any call, using all the gas it gets
+        await network.provider.send("hardhat_setCode", [lender.address, "0xfe"]);
+
+        const before = await weth.balanceOf(lender.address);
+        await loanContract.connect(borrower).repayLoanNative(loanId, { value: ethers.parseEther("1.1") });
+        expect(await weth.balanceOf(lender.address)).to.equal(before + ethers.parseEther("1.08"));
+
+        await network.provider.send("hardhat_setCode", [lender.address, "0x"]);
+    });
+
+    it("should revert: invalid native calls", async function () {
+        const loanId = await requestLoan(true);
+
+        await expect(loanContract.connect(lender).fillRequestNative(loanId, [], { value: ethers.parseEther("1") }))
+            .to.be.revertedWith("not wrapped native");
+
+        const wethLoan = await requestLoan();
+        await expect(loanContract.connect(lender).fillRequestNative(wethLoan, [], { value: ethers.parseEther("0.5") }))
+            .to.be.revertedWith("msg.value < amount");
+
+        await loanContract.connect(lender).fillRequest(loanId);
+        await expect(loanContract.connect(borrower).addCollateralNative(loanId)).to.be.revertedWith("amount == 0");
+        await expect(loanContract.connect(borrower).repayLoanNative(loanId, { value: ethers.parseEther("1.1") }))
+            .to.be.revertedWith("not wrapped native");
+
+        //without a wrapped native token, native calls always revert
+        const fresh = await deployLendingP2P(deployer);
+        await expect(fresh.connect(lender).fillRequestNative(0, [], { value: 1 })).to.be.revertedWith("not wrapped native");
+    });
+
+    it("should use native tokens with the client and the CLI", async function () {
+        const loanId = await requestLoan();
+        const lenderClient = client.connect(lender);
+
+        const output = [];
+        const out = (line) => output.push(line);
+
+        await run(["fill", String(loanId), "--native", "--dry-run"], { client: lenderClient, out });
+        await run(["native-payouts", "true"], { client, out });
+        const borrowerBefore = await ethers.provider.getBalance(borrower.address);
+        await lenderClient.fillRequest(loanId, { native: true });
+        expect(await ethers.provider.getBalance(borrower.address)).to.equal(borrowerBefore + ethers.parseEther("1"));
+
+        await expect(run(["repay", String(loanId), "--native", "--amount", "0.5"], { client, out })).to.be.rejectedWith("--native is only supported");
+        await expect(run(["fill", String(loanId), String(loanId), "--native"], { client: lenderClient, out })).to.be.rejectedWith("only takes one loanId");
+        await run(["repay", String(loanId), "--native"], { client, out });
+
+        expect(output).to.deep.equal([
+            "dry run: fillRequestNative would succeed",
+            "expected token movements:",
+            `  2.0 TOKEN: ${borrower.address} -> ${loanContract.target}`,
+            `  1.0 WNATIVE: ${lender.address} -> ${borrower.address}`,
+            `native payouts enabled for ${borrower.address}`,
+            `repaid loan #${loanId}`
+        ]);
+        expect((await client.getLoan(loanId)).status).to.equal("Repaid");
+
+        const collateralLoan = await requestLoan(true);
+        await lenderClient.fillRequest(collateralLoan);
+        await client.addCollateral(collateralLoan, ethers.parseEther("0.5"), { native: true });
+        expect((await client.getLoan(collateralLoan)).collateralAmount).to.equal(ethers.parseEther("2.5"));
+        await expect(client.repayLoan(collateralLoan, { native: true })).to.be.rejectedWith(InvalidLoanError);
+
+        await expect(client.connect(deployer).setWrappedNative(other.address)).to.be.rejectedWith(InvalidConfigError);
+    });
+});
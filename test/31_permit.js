@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+    LendingP2PClient,
+    PERMIT_TYPES,
+    buildPermit,
+    signPermit,
+    encodeLoan
+} = require("../sdk")
+const { run } = require("../cli")
+const { deployLendingP2P } = require("./utils")
+
+describe("Permits", function () {
+    let loanContract;
+    let client;
+
+    let borrower;
+    let lender;
+    let deployer;
+    let other;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    beforeEach(async function () {
+        [borrower, lender, deployer, other] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        client = new LendingP2PClient(loanContract.connect(borrower));
+
+        //no approvals, every transfer to LendingP2P is allowed by a permit
+        const MockToken = await ethers.getContractFactory("MockERC20Permit");
+        mockAsset = await MockToken.connect(lender).deploy("Asset", "ASSET")
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT")
+        await mockAsset.connect(lender).transfer(borrower.address, ethers.parseEther("100"))
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+
+            assetAmount: ethers.parseEther("10"),
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"),
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: false,
+                liquidationThreshold: 0,
+                assetOracle: ethers.ZeroAddress,
+                collateralOracle: ethers.ZeroAddress
+            }
+        };
+    });
+
+    async function deadline(){
+        return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    }
+
+    async function permit(signer, token, value){
+        return signPermit(signer, token.target, loanContract.target, value, await deadline());
+    }
+
+    it("should request, fill and repay a loan with permits", async function () {
+        await loanContract.connect(borrower).requestLoanWithPermit(
+            encodeLoan(loan),
+            await permit(borrower, mockCollateral, loan.collateralAmount),
+            0
+        );
+        expect(await mockCollateral.allowance(borrower.address, loanContract.target)).to.equal(loan.collateralAmount);
+
+        await expect(loanContract.connect(lender).fillRequestWithPermit(0, [], await permit(lender, mockAsset, loan.assetAmount)))
+            .to.emit(loanContract, "LoanFilled")
+            .withArgs(0, borrower.address, lender.address);
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(loan.collateralAmount);
+
+        //anyone can submit the borrower's permit, the protocol fee is 20% of the interest, the repayment is still paid by the borrower
+        const repayPermit = await permit(borrower, mockAsset, loan.repaymentAmount);
+        await expect(loanContract.connect(other).repayLoanWithPermit(0, repayPermit))
+            .to.changeTokenBalances(mockAsset, [borrower, lender], [-loan.repaymentAmount, ethers.parseEther("10.8")]);
+        expect((await loanContract.loans(0)).status).to.equal(3);
+    });
+
+    it("should use an existing allowance when the permit was already submitted", async function () {
+        await loanContract.connect(borrower).requestLoanWithPermit(
+            encodeLoan(loan),
+            await permit(borrower, mockCollateral, loan.collateralAmount),
+            0
+        );
+
+        //the permit is front-run by someone else, the fill still goes through with the allowance it set
+        const fillPermit = await permit(lender, mockAsset, loan.assetAmount);
+        await mockAsset.connect(other).permit(lender.address, loanContract.target, fillPermit.value, fillPermit.deadline, fillPermit.v, fillPermit.r, fillPermit.s);
+        await loanContract.connect(lender).fillRequestWithPermit(0, [], fillPermit);
+
+        expect((await loanContract.loans(0)).lender).to.equal(lender.address);
+    });
+
+    it("should revert: invalid permits", async function () {
+        await loanContract.connect(borrower).requestLoanWithPermit(
+            encodeLoan(loan),
+            await permit(borrower, mockCollateral, loan.collateralAmount),
+            0
+        );
+
+        //a permit signed by someone else or for a lower amount doesn't allow the transfer
+        await expect(loanContract.connect(lender).fillRequestWithPermit(0, [], await permit(other, mockAsset, loan.assetAmount)))
+            .to.be.revertedWithCustomError(mockAsset, "ERC20InsufficientAllowance");
+        await expect(loanContract.connect(lender).fillRequestWithPermit(0, [], await permit(lender, mockAsset, ethers.parseEther("1"))))
+            .to.be.revertedWithCustomError(mockAsset, "ERC20InsufficientAllowance");
+
+        //the reverts of the underlying call are kept
+        await loanContract.connect(lender).fillRequestWithPermit(0, [], await permit(lender, mockAsset, loan.assetAmount));
+        await expect(loanContract.connect(lender).fillRequestWithPermit(0, [], await permit(lender, mockAsset, loan.assetAmount)))
+            .to.be.revertedWith("invalid status");
+    });
+
+    it("should build permits matching the token's domain", async function () {
+        const value = ethers.parseEther("1");
+        const { domain, types, message } = await buildPermit(mockAsset.target, lender.address, loanContract.target, value, 1000, ethers.provider);
+
+        expect(types).to.equal(PERMIT_TYPES);
+        expect(domain.name).to.equal("Asset");
+        expect(domain.version).to.equal("1");
+        expect(domain.verifyingContract).to.equal(mockAsset.target);
+        expect(message.nonce).to.equal(0n);
+        expect(ethers.TypedDataEncoder.hashDomain(domain)).to.equal(await mockAsset.DOMAIN_SEPARATOR());
+
+        const signature = await signPermit(lender, mockAsset.target, loanContract.target, value, 1000);
+        expect(signature.value).to.equal(value);
+        expect(signature.deadline).to.equal(1000n);
+        expect(ethers.recoverAddress(ethers.TypedDataEncoder.hash(domain, types, message), signature)).to.equal(lender.address);
+    });
+
+    it("should set the expiry of a request with a permit in the same transaction", async function () {
+        const expiresAt = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+        await expect(loanContract.connect(borrower).requestLoanWithPermit(
+            encodeLoan(loan),
+            await permit(borrower, mockCollateral, loan.collateralAmount),
+            expiresAt
+        )).to.emit(loanContract, "RequestExpiryUpdated").withArgs(0, expiresAt);
+        expect(await mockCollateral.allowance(borrower.address, loanContract.target)).to.equal(loan.collateralAmount);
+
+        const { loanId } = await client.requestLoan(loan, { permit: true, expiresAt });
+        expect((await client.getLoan(loanId)).expiresAt).to.equal(expiresAt);
+    });
+
+    it("should use permits with the client and the CLI", async function () {
+        const { loanId } = await client.requestLoan(loan, { permit: true });
+        expect(await mockCollateral.allowance(borrower.address, loanContract.target)).to.equal(loan.collateralAmount);
+        await expect(client.requestLoanWithApr(loan, { aprBps: 1000 }, { permit: true })).to.be.rejectedWith("not supported");
+        await expect(client.requestLoan(loan, { permit: true, allowlist: [lender.address] })).to.be.rejectedWith("not supported");
+
+        const lenderClient = client.connect(lender);
+        await lenderClient.fillRequest(loanId, { permit: true });
+        expect(await mockAsset.allowance(lender.address, loanContract.target)).to.equal(0);
+        expect((await client.getLoan(loanId)).status).to.equal("Active");
+
+        const output = [];
+        const out = (line) => output.push(line);
+        const args = [
+            "--asset", mockAsset.target, "--amount", "10", "--repayment", "11",
+            "--collateral", mockCollateral.target, "--collateral-amount", "0.6", "--duration", "30d"
+        ];
+
+        await run(["request", ...args, "--permit", "--dry-run"], { client, out });
+        await run(["request", ...args, "--permit"], { client, out });
+        await expect(run(["request", ...args, "--permit", "--apr", "1000"], { client, out })).to.be.rejectedWith("--permit can't be used");
+        await expect(run(["repay", String(loanId), "--permit", "--amount", "1"], { client, out })).to.be.rejectedWith("--permit is only supported");
+        await expect(run(["fill", String(loanId), String(loanId), "--permit"], { client: lenderClient, out })).to.be.rejectedWith("only takes one loanId");
+
+        await run(["repay", String(loanId), "--permit", "--dry-run"], { client, out });
+        await run(["repay", String(loanId), "--permit"], { client, out });
+        await run(["fill", String(loanId + 1), "--permit"], { client: lenderClient, out });
+
+        expect(output).to.deep.equal([
+            "dry run: requestLoanWithPermit would succeed",
+            "no token movements",
+            `requested loan #${loanId + 1}`,
+            "dry run: repayLoanWithPermit would succeed",
+            "expected token movements:",
+            `  10.8 ASSET: ${borrower.address} -> ${lender.address}`,
+            `  0.6 COLLAT: ${loanContract.target} -> ${borrower.address}`,
+            `  0.2 ASSET: ${borrower.address} -> ${deployer.address}`,
+            `repaid loan #${loanId}`,
+            `filled loan #${loanId + 1}`
+        ]);
+        expect((await client.getLoan(loanId)).status).to.equal("Repaid");
+        expect((await client.getLoan(loanId + 1)).status).to.equal("Active");
+    });
+});
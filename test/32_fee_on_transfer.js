@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    time
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const {
+    LendingP2PClient,
+    InvalidLoanError,
+    encodeLoan,
+    encodeOffer,
+    buildOrder,
+    orderDomain,
+    signOrder
+} = require("../sdk")
+const { deployLendingP2P } = require("./utils")
+
+describe("Fee-on-transfer tokens", function () {
+    let loanContract;
+    let client;
+
+    let borrower;
+    let lender;
+    let deployer;
+
+    let loan;
+    let mockToken;
+    let feeToken;
+
+    beforeEach(async function () {
+        [borrower, lender, deployer] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+        client = new LendingP2PClient(loanContract.connect(borrower));
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata");
+        mockToken = await MockToken.connect(borrower).deploy("Token", "TOKEN", 18)
+
+        //1% of every transfer is burned
+        const FeeToken = await ethers.getContractFactory("MockFeeOnTransferToken");
+        feeToken = await FeeToken.connect(borrower).deploy(100)
+
+        for (const token of [mockToken, feeToken]){
+            await token.connect(borrower).mint(lender.address, ethers.parseEther("100"))
+            await token.connect(borrower).approve(loanContract.target, ethers.MaxUint256)
+            await token.connect(lender).approve(loanContract.target, ethers.MaxUint256)
+        }
+
+        loan = {
+            borrower: borrower.address,
+            lender: ethers.ZeroAddress,
+            asset: mockToken.target,
+            collateral: feeToken.target,
+
+            assetAmount: ethers.parseEther("10"),
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("20"),
+
+            duration: 30 * 24 * 60 * 60,
+
+            liquidation: {
+                isLiquidatable: false,
+                liquidationThreshold: 0,
+                assetOracle: ethers.ZeroAddress,
+                collateralOracle: ethers.ZeroAddress
+            }
+        };
+    });
+
+    async function requestLoan(){
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+        return Number(await loanContract.loanLength()) - 1;
+    }
+
+    it("should reject collateral that arrives with a transfer fee", async function () {
+        const loanId = await requestLoan();
+        await expect(loanContract.connect(lender).fillRequest(loanId)).to.be.revertedWith("fee-on-transfer token");
+
+        //without the fee the collateral held matches the loan
+        await feeToken.setFeeBps(0);
+        await loanContract.connect(lender).fillRequest(loanId);
+        expect(await feeToken.balanceOf(loanContract.target)).to.equal(loan.collateralAmount);
+
+        await feeToken.setFeeBps(100);
+        await expect(loanContract.connect(borrower).addCollateral(loanId, ethers.parseEther("1")))
+            .to.be.revertedWith("fee-on-transfer token");
+
+        //the collateral sent back pays the fee on the way out, and nothing is left for other loans to cover
+        await loanContract.connect(borrower).repayLoan(loanId);
+        expect(await feeToken.balanceOf(loanContract.target)).to.equal(0);
+    });
+
+    it("should reject assets held by the contract, and let lenders pay them directly", async function () {
+        loan.asset = feeToken.target;
+        loan.collateral = mockToken.target;
+
+        const trancheLoan = await requestLoan();
+        await expect(loanContract.connect(lender).fillTranche(trancheLoan, ethers.parseEther("5"), []))
+            .to.be.revertedWith("fee-on-transfer token");
+
+        //fills and repayments go from one user to the other, the recipient bears the fee
+        const loanId = await requestLoan();
+        await expect(loanContract.connect(lender).fillRequest(loanId))
+            .to.changeTokenBalances(feeToken, [lender, borrower], [-loan.assetAmount, ethers.parseEther("9.9")]);
+
+        await expect(loanContract.connect(borrower).repayLoan(loanId))
+            .to.changeTokenBalances(feeToken, [borrower, lender, loanContract], [-loan.repaymentAmount, ethers.parseEther("10.692"), 0]);
+        expect(await mockToken.balanceOf(loanContract.target)).to.equal(0);
+    });
+
+    it("should reject fee-on-transfer collateral in signed requests, offers and refinances", async function () {
+        const domain = orderDomain(loanContract.target, (await ethers.provider.getNetwork()).chainId);
+        const order = buildOrder(loan, { nonce: 1, deadline: (await time.latest()) + 60 * 60 });
+        await expect(loanContract.connect(lender).fillSignedRequest(order, await signOrder(borrower, domain, order)))
+            .to.be.revertedWith("fee-on-transfer token");
+
+        const Aggregator = await ethers.getContractFactory("Aggregator");
+        const oracle = await Aggregator.connect(deployer).deploy();
+        await oracle.connect(deployer).setAnswer(100000000); //1 usd
+
+        await loanContract.connect(lender).createOffer(encodeOffer({
+            lender: lender.address,
+            asset: mockToken.target,
+            collateral: feeToken.target,
+            availableAmount: loan.assetAmount,
+            interestBps: 1000,
+            collateralRatio: 15000,
+            duration: loan.duration,
+            expiration: 0,
+            liquidation: { ...loan.liquidation, assetOracle: oracle.target, collateralOracle: oracle.target }
+        }));
+        await expect(loanContract.connect(borrower).acceptOffer(0, loan.assetAmount, loan.collateralAmount))
+            .to.be.revertedWith("fee-on-transfer token");
+
+        //the extra collateral of a refinance is pulled into the contract too
+        await feeToken.setFeeBps(0);
+        const loanId = await requestLoan();
+        await loanContract.connect(lender).fillRequest(loanId);
+
+        await feeToken.setFeeBps(100);
+        await loanContract.connect(borrower).requestRefinance(loanId, encodeLoan({ ...loan, collateralAmount: ethers.parseEther("30") }));
+        await expect(loanContract.connect(lender).fillRequest(loanId + 1)).to.be.revertedWith("fee-on-transfer token");
+    });
+
+    it("should map fee-on-transfer reverts in the client", async function () {
+        const loanId = await requestLoan();
+        await expect(client.connect(lender).fillRequest(loanId)).to.be.rejectedWith(InvalidLoanError, "fee-on-transfer token");
+    });
+});
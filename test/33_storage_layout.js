@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const { deployLendingP2P } = require("./utils")
+
+/// @notice storage of LendingP2P as [label, slot, offset, type], new variables can only be appended to LendingP2PCore
+const EXPECTED_LAYOUT = [
+    ["_status", 0, 0, "uint256"],
+    ["_owner", 1, 0, "address"],
+    ["_nameFallback", 2, 0, "string"],
+    ["_versionFallback", 3, 0, "string"],
+    ["MAX_ORACLE_PRICE_AGE", 4, 0, "uint256"],
+    ["PRECISION_FACTOR", 5, 0, "uint256"],
+    ["REQUEST_EXPIRATION_DURATION", 6, 0, "uint256"],
+    ["PROTOCOL_FEE", 7, 0, "uint256"],
+    ["LIQUIDATOR_BONUS_BPS", 8, 0, "uint256"],
+    ["PROTOCOL_LIQUIDATION_FEE", 9, 0, "uint256"],
+    ["AUCTION_DURATION", 10, 0, "uint256"],
+    ["AUCTION_MAX_DISCOUNT_BPS", 11, 0, "uint256"],
+    ["PAUSED_ACTIONS", 12, 0, "uint256"],
+    ["loanLength", 13, 0, "uint256"],
+    ["loans", 14, 0, "mapping(uint256 => struct LendingP2PCore.Loan)"],
+    ["repaidAmounts", 15, 0, "mapping(uint256 => uint256)"],
+    ["interestTerms", 16, 0, "mapping(uint256 => struct LendingP2PCore.InterestTerms)"],
+    ["auctionStarts", 17, 0, "mapping(uint256 => uint256)"],
+    ["isRefinance", 18, 0, "mapping(uint256 => bool)"],
+    ["refinancedFrom", 19, 0, "mapping(uint256 => uint256)"],
+    ["lenderPositions", 20, 0, "contract LenderPositions"],
+    ["marketRegistry", 21, 0, "contract MarketRegistry"],
+    ["enforceMarketRegistry", 21, 20, "bool"],
+    ["isVerified", 22, 0, "mapping(uint256 => bool)"],
+    ["feeCollector", 23, 0, "address"],
+    ["offerLength", 24, 0, "uint256"],
+    ["offers", 25, 0, "mapping(uint256 => struct LendingP2PCore.Offer)"],
+    ["usedNonces", 26, 0, "mapping(address => mapping(uint256 => bool))"],
+    ["minNonces", 27, 0, "mapping(address => uint256)"],
+    ["borrowerLoanIds", 28, 0, "mapping(address => uint256[])"],
+    ["lenderLoanIds", 29, 0, "mapping(address => uint256[])"],
+    ["requestExpiries", 30, 0, "mapping(uint256 => uint256)"],
+    ["lenderRoots", 31, 0, "mapping(uint256 => bytes32)"],
+    ["fundedAmounts", 32, 0, "mapping(uint256 => uint256)"],
+    ["trancheAmounts", 33, 0, "mapping(uint256 => mapping(address => uint256))"],
+    ["trancheLenders", 34, 0, "mapping(uint256 => address[])"],
+    ["minFundings", 35, 0, "mapping(uint256 => uint256)"],
+    ["wrappedNative", 36, 0, "contract IWETH"],
+    ["nativePayouts", 37, 0, "mapping(address => bool)"],
+    ["nativeBalance", 38, 0, "uint256"],
+    ["guardian", 39, 0, "address"],
+    ["isIndexedLender", 40, 0, "mapping(address => mapping(uint256 => bool))"],
+    ["interestAccruals", 41, 0, "mapping(uint256 => struct LendingP2PCore.InterestAccrual)"]
+];
+
+const MAX_CODE_SIZE = 24576;
+
+/// @notice storage layout of a contract, from the storageLayout compiler output enabled in hardhat.config.js
+async function getStorageLayout(name){
+    const source = `contracts/${name}.sol`;
+    const buildInfo = await hre.artifacts.getBuildInfo(`${source}:${name}`);
+    const { storage, types } = buildInfo.output.contracts[source][name].storageLayout;
+
+    const structs = Object.values(types)
+        .filter((type) => type.members !== undefined)
+        .map((type) => [type.label, type.members.map((member) => [member.label, Number(member.slot), member.offset, types[member.type].label])]);
+
+    return {
+        storage: storage.map((entry) => [entry.label, Number(entry.slot), entry.offset, types[entry.type].label]),
+        structs: Object.fromEntries(structs)
+    };
+}
+
+describe("Storage Layout", function () {
+    it("should use the same storage layout in LendingP2P, LendingP2PExtension and LendingP2PManager", async function () {
+        const layout = await getStorageLayout("LendingP2P");
+
+        for (const name of ["LendingP2PExtension", "LendingP2PManager"]){
+            const extensionLayout = await getStorageLayout(name);
+
+            expect(extensionLayout.storage).to.deep.equal(layout.storage, name);
+            expect(extensionLayout.structs).to.deep.equal(layout.structs, name);
+        }
+    });
+
+    it("should only append new storage variables", async function () {
+        const layout = await getStorageLayout("LendingP2P");
+
+        expect(layout.storage.slice(0, EXPECTED_LAYOUT.length)).to.deep.equal(EXPECTED_LAYOUT);
+    });
+
+    it("should keep all contracts under the contract size limit", async function () {
+        for (const name of ["LendingP2P", "LendingP2PExtension", "LendingP2PManager"]){
+            const artifact = await hre.artifacts.readArtifact(name);
+            expect((artifact.deployedBytecode.length - 2) / 2).to.be.lessThanOrEqual(MAX_CODE_SIZE, name);
+        }
+    });
+
+    it("should delegate to the extension and the manager passed to the constructor", async function () {
+        const [deployer] = await ethers.getSigners();
+        const loanContract = await deployLendingP2P(deployer);
+        const extension = await ethers.getContractAt("LendingP2PExtension", await loanContract.extension());
+        const manager = await ethers.getContractAt("LendingP2PManager", await loanContract.manager());
+
+        //their own storage is never used
+        await loanContract.setNativePayouts(true);
+        expect(await extension.nativePayouts(deployer.address)).to.equal(false);
+        expect(await loanContract.nativePayouts(deployer.address)).to.equal(true);
+
+        await loanContract.setFeeCollector(extension.target);
+        expect(await manager.feeCollector()).to.equal(ethers.ZeroAddress);
+        expect(await loanContract.feeCollector()).to.equal(extension.target);
+
+        const LoanContract = await ethers.getContractFactory("LendingP2P");
+        await expect(LoanContract.deploy(extension.target, deployer.address)).to.be.revertedWith("invalid extension");
+        await expect(LoanContract.deploy(deployer.address, manager.target)).to.be.revertedWith("invalid extension");
+    });
+});
@@ -5,7 +5,7 @@ const {
     loadFixture,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
-const { encodeLoan } = require("./utils")
+const { encodeLoan, deployLendingP2P } = require("./utils")
 
 describe("Accept", function () {
     let loanContract;
@@ -35,10 +35,9 @@ describe("Accept", function () {
     }
 
     beforeEach(async function () {
-        const LoanContract = await ethers.getContractFactory("LendingP2P"); 
         [borrower, lender] = await ethers.getSigners();
 
-        loanContract = await LoanContract.deploy();
+        loanContract = await deployLendingP2P();
 
         const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
         mockAsset = await MockToken.deploy("Asset", "ASSET", 8)
@@ -0,0 +1,228 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { encodeLoan, deployLendingP2P } = require("./utils")
+
+describe("PartialRepay", function () {
+    let loanContract;
+
+    let borrower;
+    let lender;
+    let deployer;
+    let liquidator;
+
+    let loan;
+    let mockAsset;
+    let mockCollateral;
+
+    let aggregatorAsset;
+    let aggregatorCollateral;
+
+    async function recordBalances(){
+        return {
+            borrower: {
+                asset: await mockAsset.balanceOf(borrower.address),
+                collateral: await mockCollateral.balanceOf(borrower.address),
+            },
+            lender: {
+                asset: await mockAsset.balanceOf(lender.address),
+            },
+            contract: {
+                collateral: await mockCollateral.balanceOf(loanContract.target),
+            },
+            deployer: {
+                asset: await mockAsset.balanceOf(deployer.address)
+            }
+        }
+    }
+
+    /// @notice same as LendingP2P._protocolFee
+    function protocolFee(repaidAmount){
+        return (loan.repaymentAmount - loan.assetAmount) * repaidAmount / loan.repaymentAmount * 2000n / 10000n;
+    }
+
+    beforeEach(async function () {
+        [borrower, lender, deployer, liquidator] = await ethers.getSigners();
+
+        loanContract = await deployLendingP2P(deployer);
+
+        const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
+        mockAsset = await MockToken.connect(borrower).deploy("Asset", "ASSET", 18)
+        mockCollateral = await MockToken.connect(borrower).deploy("Collateral", "COLLAT", 18)
+
+        const MockAggregator = await ethers.getContractFactory("Aggregator"); 
+        aggregatorAsset = await MockAggregator.connect(deployer).deploy();
+        aggregatorCollateral = await MockAggregator.connect(deployer).deploy();
+
+        await aggregatorAsset.connect(deployer).setAnswer(200000000000); //2k usd
+        await aggregatorCollateral.connect(deployer).setAnswer(5000000000000); //50k usd
+
+        loan = {
+            borrower: borrower.address,
+            lender: "0x0000000000000000000000000000000000000000",
+            asset: mockAsset.target,
+            collateral: mockCollateral.target,
+    
+            assetAmount: ethers.parseEther("10"), //20k usd
+            repaymentAmount: ethers.parseEther("11"),
+            collateralAmount: ethers.parseEther("0.6"), //30k usd => 24k max borrow @ 80% lltv
+    
+            duration: 30 * 24 * 60 * 60, 
+    
+            liquidation: {
+                isLiquidatable: true,
+                liquidationThreshold: 8000,
+                assetOracle: aggregatorAsset.target,
+                collateralOracle: aggregatorCollateral.target
+            },
+            status: 0 //Pending
+        };
+
+        await loanContract.connect(borrower).requestLoan(encodeLoan(loan));
+
+        await mockAsset.connect(borrower).transfer(lender.address, loan.assetAmount)
+        await mockCollateral.connect(borrower).approve(loanContract.target, loan.collateralAmount)
+        await mockAsset.connect(lender).approve(loanContract.target, loan.assetAmount)
+
+        await loanContract.connect(lender).fillRequest(0);
+    });
+
+    it("should partially repay a loan", async function () {
+        const amount = ethers.parseEther("4");
+        const fee = protocolFee(amount);
+
+        let balancesBefore = await recordBalances()
+
+        await mockAsset.connect(borrower).approve(loanContract.target, amount)
+        await expect(loanContract.connect(borrower).repayPartial(0, amount))
+            .to.emit(loanContract, "LoanPartiallyRepaid")
+            .withArgs(0, borrower.address, lender.address, amount, loan.repaymentAmount - amount)
+            .to.emit(loanContract, "ProtocolRevenue")
+            .withArgs(0, mockAsset.target, fee)
+
+        let balancesAfter = await recordBalances()
+
+        expect(balancesAfter.borrower.asset).to.equal(balancesBefore.borrower.asset - amount);
+        expect(balancesAfter.lender.asset).to.equal(balancesBefore.lender.asset + amount - fee);
+        expect(balancesAfter.deployer.asset).to.equal(balancesBefore.deployer.asset + fee);
+        expect(balancesAfter.contract.collateral).to.equal(loan.collateralAmount);
+
+        expect(await loanContract.repaidAmounts(0)).to.equal(amount);
+        expect(await loanContract.getOutstandingAmount(0)).to.equal(loan.repaymentAmount - amount);
+        expect((await loanContract.loans(0)).status).to.equal(2);
+    });
+
+    it("should repay the outstanding amount after partial repayments", async function () {
+        const firstAmount = ethers.parseEther("3");
+        const secondAmount = ethers.parseEther("5");
+
+        let balancesBefore = await recordBalances()
+
+        await mockAsset.connect(borrower).approve(loanContract.target, loan.repaymentAmount)
+        await loanContract.connect(borrower).repayPartial(0, firstAmount);
+        await loanContract.connect(borrower).repayPartial(0, secondAmount);
+
+        const remainingFee = protocolFee(loan.repaymentAmount) - protocolFee(firstAmount + secondAmount);
+        await expect(loanContract.connect(borrower).repayLoan(0))
+            .to.emit(loanContract, "LoanRepaid")
+            .withArgs(0, borrower.address, lender.address)
+            .to.emit(loanContract, "ProtocolRevenue")
+            .withArgs(0, mockAsset.target, remainingFee)
+
+        let balancesAfter = await recordBalances()
+
+        //same totals as a single repayLoan
+        const fee = protocolFee(loan.repaymentAmount);
+        expect(balancesAfter.borrower.asset).to.equal(balancesBefore.borrower.asset - loan.repaymentAmount);
+        expect(balancesAfter.borrower.collateral).to.equal(balancesBefore.borrower.collateral + loan.collateralAmount);
+        expect(balancesAfter.lender.asset).to.equal(balancesBefore.lender.asset + loan.repaymentAmount - fee);
+        expect(balancesAfter.deployer.asset).to.equal(balancesBefore.deployer.asset + fee);
+        expect(balancesAfter.contract.collateral).to.equal(0);
+
+        expect((await loanContract.loans(0)).status).to.equal(3);
+    });
+
+    it("should add collateral to an active loan", async function () {
+        const amount = ethers.parseEther("0.4");
+
+        await mockCollateral.connect(borrower).approve(loanContract.target, amount)
+        await expect(loanContract.connect(borrower).addCollateral(0, amount))
+            .to.emit(loanContract, "CollateralAdded")
+            .withArgs(0, borrower.address, amount)
+
+        expect((await loanContract.loans(0)).collateralAmount).to.equal(loan.collateralAmount + amount);
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(loan.collateralAmount + amount);
+
+        //added collateral is returned on repayment
+        let balancesBefore = await recordBalances()
+        await mockAsset.connect(borrower).approve(loanContract.target, loan.repaymentAmount)
+        await loanContract.connect(borrower).repayLoan(0);
+
+        let balancesAfter = await recordBalances()
+        expect(balancesAfter.borrower.collateral).to.equal(balancesBefore.borrower.collateral + loan.collateralAmount + amount);
+    });
+
+    it("should use added collateral in liquidation checks", async function () {
+        //24.5k usd loan value, 30k usd collateral => liquidatable at 80% lltv
+        await aggregatorAsset.connect(deployer).setAnswer(245000000000);
+        expect(await loanContract._isLoanLiquidatable(0)).to.equal(true);
+
+        const amount = ethers.parseEther("0.1");
+        await mockCollateral.connect(borrower).approve(loanContract.target, amount)
+        await loanContract.connect(borrower).addCollateral(0, amount);
+
+        expect(await loanContract._isLoanLiquidatable(0)).to.equal(false);
+        expect(await loanContract.connect(liquidator).liquidateLoan.staticCall(0)).to.equal(false);
+    });
+
+    it("should use the reduced debt in liquidation checks", async function () {
+        await aggregatorAsset.connect(deployer).setAnswer(245000000000);
+        expect(await loanContract._isLoanLiquidatable(0)).to.equal(true);
+
+        //repaying 1/11 of the repayment amount reduces the debt by 1/11 of the asset amount
+        const amount = ethers.parseEther("1");
+        await mockAsset.connect(borrower).approve(loanContract.target, amount)
+        await loanContract.connect(borrower).repayPartial(0, amount);
+
+        expect(await loanContract._isLoanLiquidatable(0)).to.equal(false);
+    });
+
+    it("should liquidate all collateral after partial repayments", async function () {
+        const amount = ethers.parseEther("2");
+        await mockAsset.connect(borrower).approve(loanContract.target, amount)
+        await loanContract.connect(borrower).repayPartial(0, amount);
+
+        await aggregatorAsset.connect(deployer).setAnswer(300000000000);
+
+        await expect(loanContract.connect(liquidator).liquidateLoan(0))
+            .to.emit(loanContract, "LoanLiquidated")
+            .withArgs(0)
+        expect(await mockCollateral.balanceOf(loanContract.target)).to.equal(0);
+    });
+
+    it("should revert: partial repayment of the full outstanding amount", async function () {
+        await mockAsset.connect(borrower).approve(loanContract.target, loan.repaymentAmount)
+        await expect(loanContract.connect(borrower).repayPartial(0, loan.repaymentAmount)).to.revertedWith("amount >= outstanding")
+
+        await loanContract.connect(borrower).repayPartial(0, ethers.parseEther("10"));
+        await expect(loanContract.connect(borrower).repayPartial(0, ethers.parseEther("1"))).to.revertedWith("amount >= outstanding")
+    });
+
+    it("should revert: zero amounts", async function () {
+        await expect(loanContract.connect(borrower).repayPartial(0, 0)).to.revertedWith("amount == 0")
+        await expect(loanContract.connect(borrower).addCollateral(0, 0)).to.revertedWith("amount == 0")
+    });
+
+    it("should revert: caller is not the borrower", async function () {
+        await expect(loanContract.connect(lender).repayPartial(0, 1)).to.revertedWith("sender != borrower")
+        await expect(loanContract.connect(lender).addCollateral(0, 1)).to.revertedWith("sender != borrower")
+    });
+
+    it("should revert: loan is not active", async function () {
+        await mockAsset.connect(borrower).approve(loanContract.target, loan.repaymentAmount)
+        await loanContract.connect(borrower).repayLoan(0);
+
+        await expect(loanContract.connect(borrower).repayPartial(0, 1)).to.revertedWith("invalid status")
+        await expect(loanContract.connect(borrower).addCollateral(0, 1)).to.revertedWith("invalid status")
+    });
+});
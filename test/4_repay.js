@@ -5,7 +5,7 @@ const {
     loadFixture,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
-const { encodeLoan } = require("./utils")
+const { encodeLoan, deployLendingP2P } = require("./utils")
 
 describe("Repay", function () {
     let loanContract;
@@ -39,10 +39,9 @@ describe("Repay", function () {
     }
 
     beforeEach(async function () {
-        const LoanContract = await ethers.getContractFactory("LendingP2P"); 
         [borrower, lender, deployer] = await ethers.getSigners();
 
-        loanContract = await LoanContract.connect(deployer).deploy();
+        loanContract = await deployLendingP2P(deployer);
 
         const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
         mockAsset = await MockToken.deploy("Asset", "ASSET", 8)
@@ -5,7 +5,9 @@ const {
     loadFixture,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
-const { encodeLoan } = require("./utils")
+const { encodeLoan, deployLendingP2P } = require("./utils")
+const { LendingP2PClient, LoanIndexer, MemoryStore, InvalidExpiryError, RequestExpiredError } = require("../sdk")
+const { run } = require("../cli")
 
 describe("Cancel", function () {
     let loanContract;
@@ -14,10 +16,9 @@ describe("Cancel", function () {
     let loan;
 
     beforeEach(async function () {
-        const LoanContract = await ethers.getContractFactory("LendingP2P"); 
         [owner, addr1] = await ethers.getSigners();
 
-        loanContract = await LoanContract.deploy();
+        loanContract = await deployLendingP2P();
 
         const MockToken = await ethers.getContractFactory("MockERC20Metadata"); 
         mockAsset = await MockToken.deploy("Asset", "ASSET", 18)
@@ -104,4 +105,160 @@ describe("Cancel", function () {
 
         await expect(loanContract.cancelLoan(0)).to.revertedWith("invalid status")
     });
+
+    it("should let anyone mark expired requests as Expired", async function () {
+        await loanContract.requestLoan(encodeLoan(loan));
+        await loanContract.requestLoan(encodeLoan(loan));
+        await time.increase(7 * 24 * 60 * 60);
+
+        //the stored status is only updated by expireRequests, views already report Expired
+        expect((await loanContract.loans(0)).status).to.equal(0);
+        expect(await loanContract.getLoanStatus(0)).to.equal(6);
+        expect((await loanContract.getLoans(0, 1))[1][0].status).to.equal(6);
+
+        await expect(loanContract.connect(addr1).expireRequests([0, 2]))
+            .to.emit(loanContract, "LoanExpired")
+            .withArgs(0);
+        expect((await loanContract.loans(0)).status).to.equal(6);
+        expect((await loanContract.loans(2)).status).to.equal(0); //loans that don't exist are skipped
+
+        await expect(loanContract.cancelLoan(0)).to.revertedWith("invalid status");
+        await expect(loanContract.fillRequest(0)).to.revertedWith("invalid status");
+        expect(await loanContract.expireRequests.staticCall([0, 1])).to.equal(1);
+    });
+
+    it("should skip requests that are not expired", async function () {
+        await loanContract.requestLoan(encodeLoan(loan));
+        await loanContract.requestLoan(encodeLoan(loan));
+        await loanContract.cancelLoan(1);
+
+        await expect(loanContract.expireRequests([0, 1])).to.not.emit(loanContract, "LoanExpired");
+        expect((await loanContract.loans(0)).status).to.equal(0);
+        expect((await loanContract.loans(1)).status).to.equal(1);
+        expect(await loanContract.getLoanStatus(1)).to.equal(1);
+    });
+
+    it("should let the borrower set a custom expiry, bounded by the maximum", async function () {
+        await loanContract.requestLoan(encodeLoan(loan));
+        const createdTimestamp = Number((await loanContract.loans(0)).createdTimestamp);
+        const maxExpiry = createdTimestamp + 7 * 24 * 60 * 60;
+        expect(await loanContract.getRequestExpiry(0)).to.equal(maxExpiry);
+
+        await expect(loanContract.connect(addr1).setRequestExpiry(0, maxExpiry)).to.revertedWith("sender != borrower");
+        await expect(loanContract.setRequestExpiry(0, maxExpiry + 1)).to.revertedWith("expiry > max");
+        await expect(loanContract.setRequestExpiry(0, createdTimestamp)).to.revertedWith("invalid expiry");
+
+        await expect(loanContract.setRequestExpiry(0, createdTimestamp + 3600))
+            .to.emit(loanContract, "RequestExpiryUpdated")
+            .withArgs(0, createdTimestamp + 3600);
+        expect(await loanContract.getRequestExpiry(0)).to.equal(createdTimestamp + 3600);
+
+        //a lower expiration duration still caps the custom expiry
+        await loanContract.setRequestExpiry(0, createdTimestamp + 3 * 24 * 60 * 60);
+        await loanContract.setRequestExpirationDuration(2 * 24 * 60 * 60);
+        expect(await loanContract.getRequestExpiry(0)).to.equal(createdTimestamp + 2 * 24 * 60 * 60);
+        await loanContract.setRequestExpirationDuration(7 * 24 * 60 * 60);
+        expect(await loanContract.getRequestExpiry(0)).to.equal(createdTimestamp + 3 * 24 * 60 * 60);
+
+        await time.increaseTo(createdTimestamp + 3 * 24 * 60 * 60);
+        await expect(loanContract.cancelLoan(0)).to.revertedWith("already expired");
+        await expect(loanContract.setRequestExpiry(0, maxExpiry)).to.revertedWith("already expired");
+
+        await loanContract.expireRequests([0]);
+        expect((await loanContract.loans(0)).status).to.equal(6);
+        await expect(loanContract.setRequestExpiry(0, maxExpiry)).to.revertedWith("invalid status");
+    });
+
+    it("should set the expiry in the same transaction as the request", async function () {
+        const timestamp = await time.latest() + 1;
+        await time.setNextBlockTimestamp(timestamp);
+        await expect(loanContract.requestLoanWithExpiry(encodeLoan(loan), timestamp + 3600))
+            .to.emit(loanContract, "LoanRequested")
+            .withArgs(0, owner.address)
+            .to.emit(loanContract, "RequestExpiryUpdated")
+            .withArgs(0, timestamp + 3600);
+        expect(await loanContract.getRequestExpiry(0)).to.equal(timestamp + 3600);
+
+        //invalid expiries revert the whole request
+        await expect(loanContract.requestLoanWithExpiry(encodeLoan(loan), timestamp + 8 * 24 * 60 * 60)).to.revertedWith("expiry > max");
+        await expect(loanContract.requestLoanWithExpiry(encodeLoan(loan), timestamp)).to.revertedWith("invalid expiry");
+        expect(await loanContract.loanLength()).to.equal(1);
+    });
+
+    it("should set the expiry of allowlist and APR requests in the same transaction", async function () {
+        const lenderRoot = ethers.keccak256(ethers.toUtf8Bytes("allowlist"));
+        const terms = { aprBps: 1000, minInterestDuration: 0 };
+        const expiresAt = await time.latest() + 3600;
+
+        await expect(loanContract.requestLoanWithAllowlist(encodeLoan(loan), lenderRoot, expiresAt))
+            .to.emit(loanContract, "RequestExpiryUpdated")
+            .withArgs(0, expiresAt);
+        await expect(loanContract.requestLoanWithApr(encodeLoan(loan), terms, expiresAt))
+            .to.emit(loanContract, "RequestExpiryUpdated")
+            .withArgs(1, expiresAt);
+        expect(await loanContract.getRequestExpiry(0)).to.equal(expiresAt);
+        expect(await loanContract.getRequestExpiry(1)).to.equal(expiresAt);
+
+        //0 keeps the default expiry
+        await expect(loanContract.requestLoanWithApr(encodeLoan(loan), terms, 0)).not.to.emit(loanContract, "RequestExpiryUpdated");
+        const createdTimestamp = (await loanContract.loans(2)).createdTimestamp;
+        expect(await loanContract.getRequestExpiry(2)).to.equal(createdTimestamp + BigInt(7 * 24 * 60 * 60));
+
+        await expect(loanContract.requestLoanWithAllowlist(encodeLoan(loan), lenderRoot, expiresAt + 8 * 24 * 60 * 60)).to.revertedWith("expiry > max");
+        await expect(loanContract.requestLoanWithApr(encodeLoan(loan), terms, 1)).to.revertedWith("invalid expiry");
+        expect(await loanContract.loanLength()).to.equal(3);
+    });
+
+    it("should expose expiry in the client, the CLI and the indexer", async function () {
+        const client = new LendingP2PClient(loanContract);
+        const indexer = new LoanIndexer(loanContract.connect(ethers.provider), new MemoryStore(), { confirmations: 0 });
+
+        const expiresAt = await time.latest() + 3600;
+        const { loanId, receipt } = await client.requestLoan(loan, { validate: false, expiresAt });
+        expect(client._findEvent(receipt, "RequestExpiryUpdated").args.expiresAt).to.equal(expiresAt);
+        expect((await client.getLoan(loanId)).expiresAt).to.equal(expiresAt);
+        const { loanId: allowlistId } = await client.requestLoan(loan, { validate: false, expiresAt, allowlist: [addr1.address] });
+        const { loanId: aprId } = await client.requestLoanWithApr(loan, { aprBps: 1000 }, { validate: false, expiresAt });
+        expect((await client.getLoan(allowlistId)).expiresAt).to.equal(expiresAt);
+        expect((await client.getLoan(aprId)).expiresAt).to.equal(expiresAt);
+        await expect(client.setRequestExpiry(loanId, expiresAt + 8 * 24 * 60 * 60)).to.be.rejectedWith(InvalidExpiryError);
+
+        const output = [];
+        await run(["expire", String(loanId)], { client, out: (line) => output.push(line) });
+
+        await time.increaseTo(expiresAt);
+        const expired = await client.getLoan(loanId);
+        expect([expired.status, expired.statusId]).to.deep.equal(["Expired", 6]);
+        await expect(client.cancelLoan(loanId)).to.be.rejectedWith(RequestExpiredError);
+
+        await run(["show", String(loanId)], { client, out: (line) => output.push(line) });
+        await run(["expire", String(loanId), "5"], { client, out: (line) => output.push(line) });
+        expect(output).to.include.members([
+            "no expired requests",
+            `Loan #${loanId} (Expired)`,
+            `  expires:     ${new Date(expiresAt * 1000).toISOString()}`,
+            `expired loan #${loanId}`
+        ]);
+
+        expect((await client.expireRequests([loanId])).expired).to.deep.equal([]);
+
+        await indexer.sync();
+        expect(indexer.getLoan(loanId).status).to.equal("Expired");
+        expect(indexer.getLoan(loanId).expiresAt).to.equal(expiresAt);
+
+        const args = [
+            "request", "--asset", mockAsset.target, "--amount", "10", "--repayment", "12",
+            "--collateral", mockCollateral.target, "--collateral-amount", "1", "--duration", "30d", "--expires-in", "1h"
+        ];
+        await run([...args, "--dry-run"], { client, out: (line) => output.push(line) });
+        await run([...args, "--apr", "1000", "--dry-run"], { client, out: (line) => output.push(line) });
+        expect(output).to.include.members(["dry run: requestLoanWithExpiry would succeed", "dry run: requestLoanWithApr would succeed"]);
+
+        await run(args, { client, out: (line) => output.push(line) });
+        await run([...args, "--apr", "1000"], { client, out: (line) => output.push(line) });
+        for (const requestId of [aprId + 1, aprId + 2]){
+            const requested = await client.getLoan(requestId);
+            expect(requested.expiresAt - requested.createdTimestamp).to.be.within(3599, 3600);
+        }
+    });
 });
@@ -2,7 +2,7 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
 
-const { encodeLoan } = require("./utils")
+const { encodeLoan, deployLendingP2P } = require("./utils")
 
 describe("Oracle", function () {
     async function deployContractFixture() {
@@ -16,8 +16,7 @@ describe("Oracle", function () {
         const assetOracle = await MockOracle.deploy();
         const collateralOracle = await MockOracle.deploy();
 
-        const LendingP2P = await ethers.getContractFactory("LendingP2P");
-        const lending = await LendingP2P.deploy();
+        const lending = await deployLendingP2P();
 
         const ASSET_PRICE = ethers.parseUnits("1", 8); // $1.00
         const COLLATERAL_PRICE = ethers.parseUnits("1500", 8); // $1500.00
@@ -172,18 +171,49 @@ describe("Oracle", function () {
         await expect(lending._isLoanLiquidatable(0)).to.be.revertedWith("invalid oracle price");
     });
 
-    it("should revert: on different oracle decimals", async function () {
-        const { lending, createLoanRequest, assetOracle, assetToken, collateralToken, lender, borrower } = await loadFixture(deployContractFixture);
+    it("should normalize oracles with different decimals", async function () {
+        const { 
+            lending, assetToken, collateralToken, 
+            createLoanRequest, assetOracle, collateralOracle,
+            borrower, lender
+         } = await loadFixture(deployContractFixture);
 
         const assetAmount = ethers.parseUnits("1000", 6);
         const collateralAmount = ethers.parseUnits("1", 18);
 
+        //$1.00 with 18 decimals, collateral is still $1500.00 with 8 decimals
         await assetOracle.setDecimals(18);
+        await assetOracle.setAnswer(ethers.parseUnits("1", 18));
+
+        await createLoanRequest(
+            assetAmount,
+            assetAmount + ethers.parseUnits("100", 6),
+            collateralAmount
+        );
+
+        await assetToken.connect(lender).approve(lending.target, "99999999999999999999999999999999");
+        await collateralToken.connect(borrower).approve(lending.target, "99999999999999999999999999999999");
+        await lending.connect(lender).fillRequest(0)
+
+        //1000 debt vs 1250 * 0.8 = 1000 collateral
+        await collateralOracle.setAnswer(ethers.parseUnits("1250", 8));
+        expect(await lending._isLoanLiquidatable(0)).to.be.false;
+        await collateralOracle.setAnswer(ethers.parseUnits("1249.99", 8));
+        expect(await lending._isLoanLiquidatable(0)).to.be.true;
+    });
+
+    it("should revert: on oracle decimals > 18", async function () {
+        const { createLoanRequest, collateralOracle } = await loadFixture(deployContractFixture);
+
+        const assetAmount = ethers.parseUnits("1000", 6);
+        const collateralAmount = ethers.parseUnits("1", 18);
+
+        await collateralOracle.setDecimals(19);
 
         await expect(createLoanRequest(
             assetAmount,
             assetAmount + ethers.parseUnits("100", 6),
             collateralAmount
-        )).to.be.revertedWith("oracle decimals mismatch");
+        )).to.be.revertedWith("oracle decimals > 18");
     });
 });
\ No newline at end of file
@@ -1,12 +1,12 @@
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
+const { deployLendingP2P } = require("./utils")
 
 describe("AdminFunctions", function () {
     async function depoyContracts() {
         const [owner, otherAccount] = await ethers.getSigners();
 
-        const LendingP2P = await ethers.getContractFactory("LendingP2P");
-        const p2p = await LendingP2P.deploy();
+        const p2p = await deployLendingP2P();
 
         return { p2p, owner, otherAccount };
     }
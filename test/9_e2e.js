@@ -1,7 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
-const { encodeLoan } = require("./utils")
+const { encodeLoan, deployLendingP2P } = require("./utils")
 
 describe("e2e", function () {
     let loanContract;
@@ -11,10 +11,9 @@ describe("e2e", function () {
     let mockAssetOracle, mockCollateralOracle;
 
     beforeEach(async function () {
-        const LoanContract = await ethers.getContractFactory("LendingP2P"); 
         [borrower, lender, liquidator] = await ethers.getSigners();
 
-        loanContract = await LoanContract.deploy();
+        loanContract = await deployLendingP2P();
 
         const MockToken = await ethers.getContractFactory("MockERC20"); 
         mockAsset = await MockToken.deploy();
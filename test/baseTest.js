@@ -1,6 +1,6 @@
 const { expect } = require("chai");
 
-const { encodeLoan } = require("./utils")
+const { encodeLoan, deployLendingP2P } = require("./utils")
 
 describe("BaseTest", function () {
     let loanContract;
@@ -17,10 +17,9 @@ describe("BaseTest", function () {
     let aggregatorCollateral;
 
     beforeEach(async function () {
-        const LoanContract = await ethers.getContractFactory("LendingP2P"); 
         [borrower, lender, deployer] = await ethers.getSigners();
 
-        loanContract = await LoanContract.connect(deployer).deploy();
+        loanContract = await deployLendingP2P(deployer);
 
         const MockToken = await ethers.getContractFactory("MockERC20"); 
         mockAsset = await MockToken.connect(borrower).deploy()
@@ -3,8 +3,10 @@ pragma solidity 0.8.20;
 
 import {Test} from "forge-std/Test.sol";
 import {LendingP2P} from "../../contracts/LendingP2P.sol";
+import {LendingP2PCore} from "../../contracts/LendingP2PCore.sol";
 import {MockERC20} from "../../contracts/mocks/MockERC20.sol";
 import {MockERC20Metadata} from "../../contracts/mocks/MockERC20Metadata.sol";
+import {MockFeeOnTransferToken} from "../../contracts/mocks/MockFeeOnTransferToken.sol";
 import {Aggregator} from "../../contracts/mocks/Aggregator.sol";
 import {console} from "forge-std/console.sol";
 
@@ -12,12 +14,14 @@ contract Handler is Test {
     LendingP2P public lendingP2P;
     MockERC20 public mockAsset;
     MockERC20Metadata public mockCollateral;
+    MockFeeOnTransferToken public feeToken;
     Aggregator public assetOracle;
     Aggregator public collateralOracle;
 
     address public borrower;
     address public lender;
     address public liquidator;
+    address public feeLender; // lends in fillFeeOnTransferLoan, so its leftover assets don't count as repayments of `lender`
 
     // Ghost variables for invariant testing
     bool public lastLiquidationSuccess;
@@ -26,6 +30,9 @@ contract Handler is Test {
     mapping(uint256 => bool) public loanExists;
     mapping(uint256 => bool) public loanRepaid;
     mapping(uint256 => bool) public loanCanceled;
+    mapping(uint256 => bool) public feeLoanExists;
+    uint256 public feeCollateralShortfalls;
+    uint256 public unexpectedFeeReverts;
 
     // Constants for price calculations
     uint256 constant INITIAL_ASSET_PRICE = 2000e8; // $2000
@@ -45,12 +52,18 @@ contract Handler is Test {
         liquidator = makeAddr("liquidator");
     vm.label(liquidator, "Liquidator");
 
+        feeLender = makeAddr("feeLender");
+        vm.label(feeLender, "Fee Token Lender");
+
         // Deploy mock tokens
         mockAsset = new MockERC20();
         mockCollateral = new MockERC20Metadata("Mock Collateral", "MCOL", 18);
         vm.label(address(mockAsset), "Asset Token");
         vm.label(address(mockCollateral), "Collateral Token");
 
+        feeToken = new MockFeeOnTransferToken(100);
+        vm.label(address(feeToken), "Fee On Transfer Token");
+
         // Deploy mock oracles
         assetOracle = new Aggregator();
         collateralOracle = new Aggregator();
@@ -79,7 +92,7 @@ contract Handler is Test {
         vm.startPrank(borrower);
         // Create loan struct
         bytes memory encodedLoan = abi.encode(
-            LendingP2P.Loan({
+            LendingP2PCore.Loan({
                 borrower: borrower,
                 lender: lender,
                 asset: address(mockAsset),
@@ -90,8 +103,8 @@ contract Handler is Test {
                 createdTimestamp: 0, // Will be set by contract
                 startTimestamp: 0,
                 duration: duration,
-                status: LendingP2P.Status.Pending,
-                liquidation: LendingP2P.Liquidation({
+                status: LendingP2PCore.Status.Pending,
+                liquidation: LendingP2PCore.Liquidation({
                     isLiquidatable: true,
                     liquidationThreshold: liquidationThreshold,
                     assetOracle: address(assetOracle),
@@ -117,7 +130,7 @@ contract Handler is Test {
 
         setDefaultPrices();
 
-        LendingP2P.Loan memory loan;
+        LendingP2PCore.Loan memory loan;
         (
             loan.borrower,
             loan.lender,
@@ -134,7 +147,7 @@ contract Handler is Test {
         ) = lendingP2P.loans(loanId);
 
         // Only fill if loan is pending
-        if (loan.status != LendingP2P.Status.Pending) return;
+        if (loan.status != LendingP2PCore.Status.Pending) return;
 
         // Ensure we're within the expiration window
         if (loan.createdTimestamp + lendingP2P.REQUEST_EXPIRATION_DURATION() <= block.timestamp) {
@@ -166,7 +179,7 @@ contract Handler is Test {
         loanId = bound(loanId, 0, lendingP2P.loanLength() - 1);
         if (!loanExists[loanId]) return;
 
-        LendingP2P.Loan memory loan;
+        LendingP2PCore.Loan memory loan;
         (
             loan.borrower,
             loan.lender,
@@ -183,7 +196,7 @@ contract Handler is Test {
         ) = lendingP2P.loans(loanId);
 
         // Only proceed if loan is Active
-        if (loan.status != LendingP2P.Status.Active) return;
+        if (loan.status != LendingP2PCore.Status.Active) return;
 
         // First try to liquidate by price (if loan is liquidatable)
         if (!timeBased) {
@@ -217,7 +230,7 @@ contract Handler is Test {
         loanId = bound(loanId, 0, lendingP2P.loanLength() - 1);
         if (!loanExists[loanId]) return;
 
-        LendingP2P.Loan memory loan;
+        LendingP2PCore.Loan memory loan;
         (
             loan.borrower,
             loan.lender,
@@ -234,7 +247,7 @@ contract Handler is Test {
         ) = lendingP2P.loans(loanId);
 
         // Only proceed if loan is Active
-        if (loan.status != LendingP2P.Status.Active) return;
+        if (loan.status != LendingP2PCore.Status.Active) return;
 
         // Prepare borrower with repayment amount
         vm.startPrank(borrower);
@@ -257,7 +270,7 @@ contract Handler is Test {
         loanId = bound(loanId, 0, lendingP2P.loanLength() - 1);
         if (!loanExists[loanId]) return;
 
-        LendingP2P.Loan memory loan;
+        LendingP2PCore.Loan memory loan;
         (
             loan.borrower,
             loan.lender,
@@ -274,7 +287,7 @@ contract Handler is Test {
         ) = lendingP2P.loans(loanId);
 
         // Only proceed if loan is Pending
-        if (loan.status != LendingP2P.Status.Pending) return;
+        if (loan.status != LendingP2PCore.Status.Pending) return;
 
         // Ensure we're within the expiration window
         if (loan.createdTimestamp + lendingP2P.REQUEST_EXPIRATION_DURATION() <= block.timestamp) {
@@ -293,6 +306,60 @@ contract Handler is Test {
         vm.stopPrank();
     }
 
+    function fillFeeOnTransferLoan(uint256 assetAmount, uint256 collateralAmount, uint256 feeBps) public {
+        // Bound inputs to reasonable values, a fee of 0 behaves like a standard token
+        assetAmount = bound(assetAmount, MIN_LOAN_AMOUNT, MAX_LOAN_AMOUNT);
+        collateralAmount = bound(collateralAmount, MIN_LOAN_AMOUNT, MAX_LOAN_AMOUNT);
+        feeBps = bound(feeBps, 0, 1000);
+        feeToken.setFeeBps(feeBps);
+
+        vm.startPrank(borrower);
+        bytes memory encodedLoan = abi.encode(
+            LendingP2PCore.Loan({
+                borrower: borrower,
+                lender: feeLender,
+                asset: address(mockAsset),
+                collateral: address(feeToken),
+                assetAmount: assetAmount,
+                repaymentAmount: assetAmount * 2,
+                collateralAmount: collateralAmount,
+                createdTimestamp: 0,
+                startTimestamp: 0,
+                duration: 30 days,
+                status: LendingP2PCore.Status.Pending,
+                liquidation: LendingP2PCore.Liquidation({
+                    isLiquidatable: false,
+                    liquidationThreshold: 0,
+                    assetOracle: address(0),
+                    collateralOracle: address(0)
+                })
+            })
+        );
+        lendingP2P.requestLoan(encodedLoan);
+        uint256 loanId = lendingP2P.loanLength() - 1;
+        feeLoanExists[loanId] = true;
+
+        feeToken.mint(borrower, collateralAmount);
+        feeToken.approve(address(lendingP2P), collateralAmount);
+        vm.stopPrank();
+
+        vm.startPrank(feeLender);
+        mockAsset.mint(feeLender, assetAmount);
+        mockAsset.approve(address(lendingP2P), assetAmount);
+
+        uint256 balanceBefore = feeToken.balanceOf(address(lendingP2P));
+        try lendingP2P.fillRequest(loanId) {
+            // Fills have to hold the full collateralAmount, whatever the fee
+            if (feeToken.balanceOf(address(lendingP2P)) - balanceBefore != collateralAmount) feeCollateralShortfalls += 1;
+        } catch (bytes memory reason) {
+            // Fills can only be rejected because of the transfer fee
+            if (keccak256(reason) != keccak256(abi.encodeWithSignature("Error(string)", "fee-on-transfer token"))) {
+                unexpectedFeeReverts += 1;
+            }
+        }
+        vm.stopPrank();
+    }
+
     function setDefaultPrices() public {
         assetOracle.setAnswer(int256(INITIAL_ASSET_PRICE));
         collateralOracle.setAnswer(int256(INITIAL_COLLATERAL_PRICE));
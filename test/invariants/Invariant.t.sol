@@ -3,6 +3,9 @@ pragma solidity 0.8.20;
 
 import {Test} from "forge-std/Test.sol";
 import {LendingP2P} from "../../contracts/LendingP2P.sol";
+import {LendingP2PCore} from "../../contracts/LendingP2PCore.sol";
+import {LendingP2PExtension} from "../../contracts/LendingP2PExtension.sol";
+import {LendingP2PManager} from "../../contracts/LendingP2PManager.sol";
 import {Handler} from "./Handler.t.sol";
 import {MockERC20} from "../../contracts/mocks/MockERC20.sol";
 import {MockERC20Metadata} from "../../contracts/mocks/MockERC20Metadata.sol";
@@ -14,7 +17,7 @@ contract InvariantTest is Test {
 
     function setUp() public {
         // Deploy main contract
-        lendingP2P = new LendingP2P();
+        lendingP2P = new LendingP2P(address(new LendingP2PExtension()), address(new LendingP2PManager()));
 
         // Deploy handler
         handler = new Handler(lendingP2P);
@@ -23,12 +26,13 @@ contract InvariantTest is Test {
         targetContract(address(handler));
 
         // Add function selectors to be called during invariant testing
-        bytes4[] memory selectors = new bytes4[](5);
+        bytes4[] memory selectors = new bytes4[](6);
         selectors[0] = handler.requestLoan.selector;
         selectors[1] = handler.fillRequest.selector;
         selectors[2] = handler.liquidateLoan.selector;
         selectors[3] = handler.repayLoan.selector;
         selectors[4] = handler.cancelLoan.selector;
+        selectors[5] = handler.fillFeeOnTransferLoan.selector;
 
         targetSelector(FuzzSelector({addr: address(handler), selectors: selectors}));
     }
@@ -41,7 +45,7 @@ contract InvariantTest is Test {
             // Only check loans that have attempted liquidation
             if (!handler.loanAttemptedLiquidation(i)) continue;
 
-            LendingP2P.Loan memory loan;
+            LendingP2PCore.Loan memory loan;
             (
                 loan.borrower,
                 loan.lender,
@@ -71,7 +75,7 @@ contract InvariantTest is Test {
         for (uint256 i = 0; i < lendingP2P.loanLength(); i++) {
             if (!handler.loanExists(i)) continue;
 
-            LendingP2P.Loan memory loan;
+            LendingP2PCore.Loan memory loan;
             (
                 loan.borrower,
                 loan.lender,
@@ -88,7 +92,7 @@ contract InvariantTest is Test {
             ) = lendingP2P.loans(i);
 
             // Only sum collateral for active loans
-            if (loan.status == LendingP2P.Status.Active) {
+            if (loan.status == LendingP2PCore.Status.Active) {
                 totalExpectedCollateral += loan.collateralAmount;
             }
         }
@@ -109,7 +113,7 @@ contract InvariantTest is Test {
             if (!handler.loanExists(i)) continue;
             if (!handler.loanRepaid(i)) continue; // Only check repaid loans
 
-            LendingP2P.Loan memory loan;
+            LendingP2PCore.Loan memory loan;
             (
                 loan.borrower,
                 loan.lender,
@@ -168,7 +172,7 @@ contract InvariantTest is Test {
             if (!handler.loanExists(i)) continue;
             if (!handler.loanAttemptedLiquidation(i)) continue;
 
-            LendingP2P.Loan memory loan;
+            LendingP2PCore.Loan memory loan;
             (
                 loan.borrower,
                 loan.lender,
@@ -183,7 +187,7 @@ contract InvariantTest is Test {
                 loan.status,
                 loan.liquidation
             ) = lendingP2P.loans(i);
-            if (loan.status == LendingP2P.Status.Liquidated) {
+            if (loan.status == LendingP2PCore.Status.Liquidated) {
                 // Calculate liquidation distributions
                 uint256 liquidatorBonus = loan.collateralAmount * lendingP2P.LIQUIDATOR_BONUS_BPS() / 10000;
                 uint256 protocolFee = loan.collateralAmount * lendingP2P.PROTOCOL_LIQUIDATION_FEE() / 10000;
@@ -217,4 +221,27 @@ contract InvariantTest is Test {
             "Lender collateral balance does not match expected amount from liquidations"
         );
     }
+
+    function invariant_feeOnTransferCollateralIsRejected() public view {
+        assertEq(handler.feeCollateralShortfalls(), 0, "Loan filled with less collateral than its collateralAmount");
+        assertEq(handler.unexpectedFeeReverts(), 0, "Fee-on-transfer fill reverted with another reason");
+    }
+
+    function invariant_feeTokenBalanceMatchesActiveLoans() public view {
+        uint256 totalExpectedCollateral = 0;
+
+        for (uint256 i = 0; i < lendingP2P.loanLength(); i++) {
+            if (!handler.feeLoanExists(i)) continue;
+
+            (,,,,,, uint256 collateralAmount,,,, LendingP2PCore.Status status,) = lendingP2P.loans(i);
+            if (status == LendingP2PCore.Status.Active) {
+                totalExpectedCollateral += collateralAmount;
+            }
+        }
+
+        uint256 actualBalance = handler.feeToken().balanceOf(address(lendingP2P));
+        assertEq(
+            actualBalance, totalExpectedCollateral, "Contract fee token balance does not match sum of active loans"
+        );
+    }
 }
@@ -1,23 +1,17 @@
-function encodeLoan(loan){
-    const abiEncoder = new ethers.AbiCoder()
-    return abiEncoder.encode(
-        [
-            "address", "address", "address", "address", 
-            "uint256", "uint256", "uint256", 
-            "uint256", "uint256", "uint256",
-            "uint8",
-            "tuple(bool, uint256, address, address)"
-        ],
-        [
-            loan.borrower, loan.lender, loan.asset, loan.collateral,
-            loan.assetAmount, loan.repaymentAmount, loan.collateralAmount,
-            0, 0, loan.duration,
-            loan.status,
-            [loan.liquidation.isLiquidatable, loan.liquidation.liquidationThreshold, loan.liquidation.assetOracle, loan.liquidation.collateralOracle]
-        ]
-    );
+const { ethers } = require("hardhat")
+
+const { encodeLoan } = require("../sdk/loan")
+
+/// @notice deploys a LendingP2PExtension, a LendingP2PManager and a LendingP2P delegating to them, from `signer` (the first signer by default)
+async function deployLendingP2P(signer){
+    signer = signer ?? (await ethers.getSigners())[0];
+
+    const extension = await (await ethers.getContractFactory("LendingP2PExtension")).connect(signer).deploy();
+    const manager = await (await ethers.getContractFactory("LendingP2PManager")).connect(signer).deploy();
+    return (await ethers.getContractFactory("LendingP2P")).connect(signer).deploy(extension.target, manager.target);
 }
 
 module.exports = {
-    encodeLoan: encodeLoan
-}
\ No newline at end of file
+    encodeLoan: encodeLoan,
+    deployLendingP2P: deployLendingP2P
+}